@@ -0,0 +1,37 @@
+const { parentPort, workerData } = require('worker_threads');
+const Module = require('./module');
+const { parseDevtool } = require('./source-map');
+
+/**
+ * 构建线程入口
+ * 在线程中执行模块的 loader、依赖解析和代码转换，结果按 Module#serialize 的格式返回主线程
+ */
+
+// 构建模块只需要配置和 devtool，loader 输出的文件随结果一起交给主线程
+const compilation = {
+  options: workerData.options,
+  devtool: parseDevtool(workerData.options.devtool),
+  assets: [],
+  emitAsset(name, content, assetInfo) {
+    this.assets.push([name, content, assetInfo]);
+  }
+};
+
+parentPort.on('message', async (task) => {
+  compilation.assets = [];
+
+  try {
+    const module = new Module({ ...task, compilation });
+    module.source = task.source;
+    await module.doBuild();
+
+    parentPort.postMessage({
+      data: module.serialize(),
+      assets: compilation.assets
+    });
+  } catch (error) {
+    parentPort.postMessage({
+      error: { message: error.message, stack: error.stack }
+    });
+  }
+});
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { generateHash, ensureDir } = require('./utils');
+const { findConfigFile } = require('./config');
+
+/**
+ * 文件系统构建缓存
+ * 按模块路径保存 loader 输出、解析出的依赖和转换后的代码，
+ * 源码内容、loader 链或配置（含构建依赖文件）变化时缓存失效
+ */
+class FileSystemCache {
+  constructor(options = {}, compilerOptions = {}) {
+    const context = compilerOptions.context || process.cwd();
+
+    this.options = {
+      cacheDirectory: path.resolve(context, 'node_modules/.cache/mini-webpack'),
+      name: `${compilerOptions.name || 'default'}-${compilerOptions.mode || 'development'}`,
+      version: '',
+      ...options
+    };
+
+    this.cacheDirectory = path.resolve(context, this.options.cacheDirectory, this.options.name);
+    this.buildDependencies = this.getBuildDependencies(context);
+    this.configHash = this.getConfigHash(compilerOptions);
+    this.version = ''; // 配置 hash + 构建依赖文件内容，每次编译前重新计算
+
+    this.entries = new Map(); // 模块标识 -> 缓存内容
+    this.pending = new Set(); // 等待写入磁盘的模块标识
+  }
+
+  /**
+   * 获取构建依赖文件：package.json、打包器自身的源码、配置文件以及 buildDependencies 中声明的文件
+   */
+  getBuildDependencies(context) {
+    const files = [
+      path.join(context, 'package.json'),
+      path.join(__dirname, '../package.json'),
+      ...getSourceFiles(__dirname) // 解析、loader、转换和代码生成的实现都会影响缓存内容
+    ];
+
+    const configFile = findConfigFile(context);
+    if (configFile) {
+      files.push(configFile);
+    }
+
+    // 与 webpack 相同，buildDependencies 为 { 名称: [文件...] }
+    Object.values(this.options.buildDependencies || {}).forEach(list => {
+      (Array.isArray(list) ? list : [list]).forEach(file => files.push(path.resolve(context, file)));
+    });
+
+    return Array.from(new Set(files));
+  }
+
+  /**
+   * 计算影响模块构建结果的配置 hash
+   */
+  getConfigHash(compilerOptions) {
+    const { module, resolve, resolveLoader, mode, devtool, target, output = {} } = compilerOptions;
+    const { publicPath, assetModuleFilename } = output; // 写入资源模块代码的输出选项
+
+    const content = JSON.stringify({ module, resolve, resolveLoader, mode, devtool, target, publicPath, assetModuleFilename }, (key, value) => {
+      if (value instanceof RegExp || typeof value === 'function') {
+        return value.toString();
+      }
+      return value;
+    });
+
+    return generateHash(`${content}|${this.options.version}`, 'md5', 16);
+  }
+
+  /**
+   * 编译开始前重新计算缓存版本，构建依赖文件变化时之前的缓存全部失效
+   */
+  async prepare() {
+    const contents = await Promise.all(this.buildDependencies.map(async file => {
+      try {
+        return `${file}:${generateHash(await fs.promises.readFile(file), 'md5', 16)}`;
+      } catch (error) {
+        return `${file}:missing`;
+      }
+    }));
+
+    const version = generateHash(`${this.configHash}|${contents.join('|')}`, 'md5', 16);
+    if (version !== this.version) {
+      this.entries.clear();
+      this.version = version;
+    }
+  }
+
+  /**
+   * 读取缓存，版本或 etag 不匹配、依赖的文件已变化时返回 null
+   */
+  async get(identifier, etag) {
+    let entry = this.entries.get(identifier);
+
+    if (!entry) {
+      try {
+        entry = JSON.parse(await fs.promises.readFile(this.getCacheFile(identifier), 'utf-8'));
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (entry.version !== this.version || entry.etag !== etag) {
+      return null;
+    }
+
+    for (const [file, hash] of Object.entries(entry.fileHashes || {})) {
+      if (this.getFileHash(file) !== hash) {
+        return null;
+      }
+    }
+
+    this.entries.set(identifier, entry);
+    return entry.data;
+  }
+
+  /**
+   * 写入缓存（在 persist 时保存到磁盘）
+   * @param {string[]} fileDependencies 除模块文件外，构建结果依赖的其他文件
+   */
+  set(identifier, etag, data, fileDependencies = []) {
+    const fileHashes = {};
+    fileDependencies.forEach(file => {
+      fileHashes[file] = this.getFileHash(file);
+    });
+
+    this.entries.set(identifier, {
+      version: this.version,
+      etag,
+      fileHashes,
+      data
+    });
+    this.pending.add(identifier);
+  }
+
+  /**
+   * 把本次编译新增、更新的缓存写入磁盘
+   */
+  async persist() {
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    ensureDir(this.cacheDirectory);
+
+    const identifiers = Array.from(this.pending);
+    this.pending.clear();
+
+    await Promise.all(identifiers.map(identifier => {
+      return fs.promises.writeFile(this.getCacheFile(identifier), JSON.stringify(this.entries.get(identifier)));
+    }));
+  }
+
+  /**
+   * 模块标识对应的缓存文件
+   */
+  getCacheFile(identifier) {
+    return path.join(this.cacheDirectory, `${generateHash(identifier, 'md5', 16)}.json`);
+  }
+
+  /**
+   * 计算文件内容 hash，文件不存在时返回 null
+   */
+  getFileHash(file) {
+    try {
+      return generateHash(fs.readFileSync(file), 'md5', 16);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * 递归获取目录下的所有 .js 文件
+ */
+function getSourceFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return getSourceFiles(file);
+    }
+    return entry.isFile() && entry.name.endsWith('.js') ? [file] : [];
+  }).sort();
+}
+
+/**
+ * 按 cache 配置创建缓存，未开启文件系统缓存时返回 null
+ */
+function createCache(compilerOptions) {
+  const cacheOptions = compilerOptions.cache;
+
+  if (!cacheOptions || cacheOptions.type !== 'filesystem') {
+    return null;
+  }
+
+  return new FileSystemCache(cacheOptions, compilerOptions);
+}
+
+module.exports = {
+  FileSystemCache,
+  createCache
+};
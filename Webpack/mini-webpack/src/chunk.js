@@ -1,14 +1,20 @@
+const path = require('path');
 const Template = require('./template');
+const { decodeMappings, createSourceMap, toCheapSourceMap, getSourceMappingComment } = require('./source-map');
+const { renderCssModules } = require('./css');
+const { compareIds, replacePathVariables } = require('./utils');
 
 /**
  * 代码块类
  * 表示一个输出的代码块，包含多个模块
  */
 class Chunk {
-  constructor(name, compilation) {
+  constructor(name, compilation, options = {}) {
     this.name = name; // 代码块名称
     this.id = null; // 代码块ID
     this.compilation = compilation;
+    this.async = options.async || false; // 是否为 import() 按需加载的异步代码块
+    this.split = options.split || false; // 是否为 splitChunks 拆分出的代码块
     
     // 包含的模块
     this.modules = new Set();
@@ -17,12 +23,14 @@ class Chunk {
     // 代码块信息
     this.size = 0; // 代码块大小
     this.hash = ''; // 代码块hash
+    this.contentHash = {}; // 各类型输出内容的 hash：javascript、css
     this.rendered = false; // 是否已渲染
     this.files = []; // 生成的文件列表
     
     // 依赖关系
     this.parents = new Set(); // 父代码块
     this.children = new Set(); // 子代码块
+    this.requiredChunks = new Set(); // 拆分出去、需要先于本代码块加载的代码块
     
     // 运行时信息
     this.runtime = new Set(); // 运行时模块
@@ -37,8 +45,8 @@ class Chunk {
       this.modules.add(module);
       this.size += module.size || 0;
       
-      // 设置入口模块
-      if (!this.entryModule) {
+      // 设置入口模块（异步代码块和拆分出的代码块没有入口模块）
+      if (!this.entryModule && !this.async && !this.split) {
         this.entryModule = module;
       }
     }
@@ -54,7 +62,7 @@ class Chunk {
       
       // 如果移除的是入口模块，重新设置
       if (this.entryModule === module) {
-        this.entryModule = this.modules.values().next().value || null;
+        this.entryModule = this.async ? null : this.modules.values().next().value || null;
       }
     }
   }
@@ -96,6 +104,35 @@ class Chunk {
     child.parents.add(this);
   }
   
+  /**
+   * 添加需要先加载的拆分代码块
+   */
+  addRequiredChunk(chunk) {
+    this.requiredChunks.add(chunk);
+  }
+  
+  /**
+   * 获取所有后代异步代码块（运行时需要知道它们的文件名）
+   */
+  getAllAsyncChunks() {
+    const asyncChunks = new Set();
+    const queue = Array.from(this.children);
+    
+    while (queue.length > 0) {
+      const chunk = queue.shift();
+      if (asyncChunks.has(chunk) || chunk === this) {
+        continue;
+      }
+      
+      if (!chunk.isInitial()) {
+        asyncChunks.add(chunk);
+      }
+      queue.push(...chunk.children);
+    }
+    
+    return Array.from(asyncChunks);
+  }
+  
   /**
    * 检查是否为入口代码块
    */
@@ -107,6 +144,9 @@ class Chunk {
    * 检查是否为初始代码块
    */
   isInitial() {
+    if (this.async) {
+      return false;
+    }
     return this.isEntry() || this.parents.size === 0;
   }
   
@@ -117,17 +157,41 @@ class Chunk {
     const requirements = new Set();
     
     // 分析模块的运行时需求
-    for (const module of this.modules) {
-      // 如果模块有依赖，需要 require 函数
-      if (module.dependencies.length > 0) {
-        requirements.add('require');
-      }
+    // 启动代码总是通过 require 函数加载入口模块
+    requirements.add('require');
+    
+    // 开启模块热替换时需要 HMR 运行时
+    if (this.compilation && this.compilation.compiler.hotModuleReplacement) {
+      requirements.add('hmr');
+      requirements.add('publicPath');
+    }
+    
+    // 如果有后代异步代码块或拆分出的代码块，需要代码块加载运行时
+    const asyncChunks = this.getAllAsyncChunks();
+    if (asyncChunks.length > 0 || this.requiredChunks.size > 0) {
+      requirements.add('import');
+      requirements.add('publicPath');
       
-      // 如果有动态导入，需要 import 函数
-      const hasDynamicImport = module.dependencies.some(dep => dep.type === 'dynamic-import');
-      if (hasDynamicImport) {
-        requirements.add('import');
+      // 提取 CSS 时，异步代码块的 .css 文件由运行时插入 <link> 加载
+      if (asyncChunks.some(chunk => chunk.getCssFile())) {
+        requirements.add('css');
       }
+    }
+    
+    // 由本运行时执行的模块中有 ES 模块时，需要 __webpack_require__.d 等辅助函数
+    const runtimeChunks = [this, ...this.requiredChunks];
+    asyncChunks.forEach(chunk => runtimeChunks.push(chunk, ...chunk.requiredChunks));
+    if (requirements.has('hmr') || runtimeChunks.some(chunk => chunk.getModules().some(module => module.esModule))) {
+      requirements.add('esModule');
+    }
+    
+    // JSONP 代码块加载和 script 类型的外部模块通过 script 标签加载脚本
+    if ((requirements.has('import') && this.compilation.options.output.chunkLoading === 'jsonp') ||
+      runtimeChunks.some(chunk => chunk.getModules().some(module => module.external && module.external.type === 'script'))) {
+      requirements.add('loadScript');
+    }
+    
+    for (const module of this.modules) {
       
       // 如果是入口模块，需要启动运行时
       if (module === this.entryModule) {
@@ -149,6 +213,27 @@ class Chunk {
     // 为模块分配ID
     this.assignModuleIds();
     
+    // 异步代码块和拆分出的代码块只包含模块，由入口代码块的运行时加载
+    if (!this.isEntry()) {
+      // 静态 import 只能出现在入口代码块的文件顶部
+      this.getExternalModules().forEach(({ request }) => {
+        this.compilation.errors.push(
+          `module 类型的外部模块 "${request}" 只能在入口代码块中使用（所在代码块: ${this.name || this.id}），请改用 import 类型`
+        );
+      });
+      
+      this.source = new Template().generateAsyncChunk({
+        chunkIds: [this.id],
+        moduleMap: this.generateModuleMap(),
+        chunkLoadingGlobal: this.getChunkLoadingGlobal(),
+        chunkFormat: this.compilation.options.output.chunkFormat,
+        globalObject: this.compilation.options.output.globalObject
+      });
+      
+      this.rendered = true;
+      return this.source;
+    }
+    
     // 获取运行时需求
     this.runtimeRequirements = this.getRuntimeRequirements();
     
@@ -164,18 +249,88 @@ class Chunk {
       moduleMap,
       runtime,
       entryModuleId: this.entryModule ? this.entryModule.id : null,
+      startupChunkIds: this.getRequiredChunkIds(),
       chunkName: this.name,
-      runtimeRequirements: this.runtimeRequirements
+      runtimeRequirements: this.runtimeRequirements,
+      library: this.getLibrary(),
+      exportNames: this.getEntryExportNames(),
+      globalObject: this.compilation ? this.compilation.options.output.globalObject : undefined,
+      externalModules: this.getExternalModules()
     });
     
     this.rendered = true;
     return this.source;
   }
   
+  /**
+   * 代码块中 module 类型的外部模块，返回 [{ variable, request }]
+   */
+  getExternalModules() {
+    const externalModules = new Map();
+    for (const module of this.modules) {
+      if (module.external && module.external.type === 'module') {
+        externalModules.set(module.getExternalVariable(), [].concat(module.external.request)[0]);
+      }
+    }
+    
+    return Array.from(externalModules, ([variable, request]) => ({ variable, request }));
+  }
+  
+  /**
+   * 获取 output.library 配置，名称中的 [name] 替换为代码块名称
+   */
+  getLibrary() {
+    const library = this.compilation && this.compilation.options.output.library;
+    if (!library) {
+      return null;
+    }
+    
+    const replaceName = (name) => typeof name === 'string' ? replacePathVariables(name, { name: this.name }) : name;
+    const name = library.name && typeof library.name === 'object' && !Array.isArray(library.name)
+      ? Object.fromEntries(Object.entries(library.name).map(([key, value]) => [key, [].concat(value).map(replaceName)]))
+      : library.name && [].concat(library.name).map(replaceName);
+    
+    return { ...library, name };
+  }
+  
+  /**
+   * 入口模块的全部导出名（包括 export * 转导出的），用于 ES 模块形式的 library
+   * 入口不是 ES 模块时返回 null
+   */
+  getEntryExportNames() {
+    if (!this.entryModule || !this.entryModule.esModule) {
+      return null;
+    }
+    
+    const names = new Set();
+    const visited = new Set();
+    // export * 不转导出 default
+    const collect = (module, isEntry) => {
+      if (visited.has(module) || !module.providedExports) {
+        return;
+      }
+      visited.add(module);
+      
+      module.providedExports
+        .filter(name => isEntry || name !== 'default')
+        .forEach(name => names.add(name));
+      module.dependencies.forEach(dep => {
+        const starExport = dep.reexport && dep.specifiers && dep.specifiers.some(spec => spec.imported === '*' && !spec.exported);
+        if (starExport && dep.module) {
+          collect(dep.module, false);
+        }
+      });
+    };
+    collect(this.entryModule, true);
+    
+    return Array.from(names);
+  }
+  
   /**
    * 为模块分配ID
    */
   assignModuleIds() {
+    // 编译时ID已在 seal 阶段统一分配，这里只处理单独渲染的代码块
     let id = 0;
     for (const module of this.modules) {
       if (module.id === null) {
@@ -187,10 +342,10 @@ class Chunk {
   /**
    * 生成模块映射
    */
-  generateModuleMap() {
+  generateModuleMap(modules = this.modules) {
     const moduleMap = {};
     
-    for (const module of this.modules) {
+    for (const module of modules) {
       moduleMap[module.id] = {
         code: this.wrapModule(module),
         dependencies: this.getModuleDependencyMap(module)
@@ -204,12 +359,165 @@ class Chunk {
    * 包装模块代码
    */
   wrapModule(module) {
-    const source = module.getSource();
+    const template = new Template();
+    const devtool = this.compilation && this.compilation.devtool;
+    let source = module.getSource();
     
-    // 包装为函数
-    return `function(module, exports, require) {
-${source}
-}`;
+    // eval-source-map：模块代码放在 eval 中执行，Source Map 内联在 eval 的代码里
+    if (devtool && devtool.eval && !module.external && !module.contextOptions) {
+      source = template.generateEvalSource(
+        source,
+        getSourceMappingComment(this.finalizeSourceMap(module.getSourceMap())),
+        module.getSourceName().replace(/^webpack:/, 'webpack-internal:')
+      );
+    }
+    
+    // 外部模块中的 require 是运行环境的 require，不能被包装函数的参数遮蔽
+    if (module.external) {
+      return template.generateExternalModuleWrapper(source);
+    }
+    
+    // 包装为函数，并把依赖请求替换为模块ID
+    return template.generateModuleWrapper(
+      source,
+      this.getModuleDependencyMap(module),
+      this.getAsyncDependencyMap(module),
+      module.esModule
+    );
+  }
+  
+  /**
+   * 按 devtool 选项去掉 Source Map 的列信息（cheap）和源码内容（nosources）
+   */
+  finalizeSourceMap(map) {
+    const devtool = this.compilation.devtool;
+    
+    if (devtool.cheap) {
+      map = toCheapSourceMap(map);
+    }
+    
+    if (devtool.noSources) {
+      map = { ...map };
+      delete map.sourcesContent;
+    }
+    
+    return map;
+  }
+  
+  /**
+   * 生成代码块的 Source Map
+   * 模块代码在渲染结果中的位置由模块映射中的模块ID标记和模块包装器的偏移确定
+   */
+  generateSourceMap(source, file) {
+    const template = new Template();
+    const lines = source.split('\n').map(() => []);
+    const sources = [];
+    const sourcesContent = [];
+    const names = [];
+    const sourceIndexes = new Map();
+    const nameIndexes = new Map();
+    
+    const getIndex = (indexes, list, value) => {
+      if (!indexes.has(value)) {
+        indexes.set(value, list.length);
+        list.push(value);
+      }
+      return indexes.get(value);
+    };
+    
+    for (const module of this.modules) {
+      // 外部模块、上下文模块没有源文件
+      const index = module.external || module.contextOptions ? -1 : source.indexOf(`/***/ ${template.renderModuleKey(module.id)}:\n/***/ (`);
+      if (index === -1) {
+        continue;
+      }
+      
+      // 包装器第一行所在的行号
+      const wrapperLine = source.slice(0, index).split('\n').length;
+      const offset = template.getModuleWrapperOffset(module.esModule);
+      const map = module.getSourceMap();
+      
+      decodeMappings(map.mappings).forEach((segments, line) => {
+        const target = lines[wrapperLine + offset.line + line];
+        if (!target) {
+          return;
+        }
+        
+        segments.forEach(segment => {
+          if (segment.length < 4) {
+            return;
+          }
+          
+          const sourceName = map.sources[segment[1]];
+          const sourceIndex = getIndex(sourceIndexes, sources, sourceName);
+          sourcesContent[sourceIndex] = map.sourcesContent ? map.sourcesContent[segment[1]] : null;
+          
+          const mapped = [segment[0] + offset.column, sourceIndex, segment[2], segment[3]];
+          if (segment.length === 5) {
+            mapped.push(getIndex(nameIndexes, names, map.names[segment[4]]));
+          }
+          target.push(mapped);
+        });
+      });
+    }
+    
+    return this.finalizeSourceMap(createSourceMap({ file, sources, sourcesContent, names, lines }));
+  }
+  
+  /**
+   * 获取模块的动态导入映射：请求 -> { 模块ID, 需要加载的代码块ID }
+   */
+  getAsyncDependencyMap(module) {
+    const asyncDependencyMap = {};
+    
+    module.dependencies.forEach(dep => {
+      if (dep.type === 'dynamic-import' && dep.module && dep.module.id !== null) {
+        asyncDependencyMap[dep.request] = {
+          moduleId: dep.module.id,
+          chunkIds: dep.chunk ? dep.chunk.getRequiredChunkIds().concat(dep.chunk.id) : []
+        };
+      }
+    });
+    
+    return asyncDependencyMap;
+  }
+  
+  /**
+   * 获取需要先加载的拆分代码块ID
+   */
+  getRequiredChunkIds() {
+    return Array.from(this.requiredChunks)
+      .map(chunk => chunk.id)
+      .sort(compareIds);
+  }
+  
+  /**
+   * 拼接代码块中 CSS 模块的内容（CSS 提取使用），url() 替换为资源的 URL
+   * 只输出本代码块中的模块，被 @import 的模块排在前面
+   */
+  renderCss() {
+    const cssModules = this.getModules().filter(module => module.type === 'css');
+    
+    return renderCssModules(
+      cssModules.map(module => [module, null]),
+      module => module.assetUrl,
+      module => this.hasModule(module)
+    );
+  }
+  
+  /**
+   * 获取代码块提取出的 .css 文件
+   */
+  getCssFile() {
+    return this.files.find(file => file.endsWith('.css')) || null;
+  }
+  
+  /**
+   * 获取 JSONP 代码块加载使用的全局变量名
+   */
+  getChunkLoadingGlobal() {
+    const output = this.compilation.options.output || {};
+    return output.chunkLoadingGlobal || 'webpackChunk';
   }
   
   /**
@@ -219,7 +527,9 @@ ${source}
     const dependencyMap = {};
     
     module.dependencies.forEach(dep => {
-      if (dep.module && dep.module.id !== null) {
+      // 上下文依赖的请求是目录，在生成模块代码时已替换；
+      // 同一请求既有 import 又有 require 时，require() 使用按 require 条件解析的模块
+      if (dep.module && dep.module.id !== null && dep.type !== 'context' && (dep.type === 'require' || !(dep.request in dependencyMap))) {
         dependencyMap[dep.request] = dep.module.id;
       }
     });
@@ -238,10 +548,31 @@ ${source}
       runtime.push(this.generateRequireRuntime());
     }
     
+    if (this.runtimeRequirements.has('esModule')) {
+      runtime.push(new Template().generateESModuleRuntime());
+    }
+    
+    if (this.runtimeRequirements.has('publicPath')) {
+      const publicPath = this.compilation.options.output?.publicPath || '';
+      runtime.push(new Template().generatePublicPathRuntime(publicPath));
+    }
+    
+    if (this.runtimeRequirements.has('hmr')) {
+      runtime.push(this.generateHotRuntime());
+    }
+    
+    if (this.runtimeRequirements.has('loadScript')) {
+      runtime.push(new Template().generateLoadScriptRuntime());
+    }
+    
     if (this.runtimeRequirements.has('import')) {
       runtime.push(this.generateImportRuntime());
     }
     
+    if (this.runtimeRequirements.has('css')) {
+      runtime.push(this.generateCssLoadingRuntime());
+    }
+    
     if (this.runtimeRequirements.has('startup')) {
       runtime.push(this.generateStartupRuntime());
     }
@@ -253,6 +584,8 @@ ${source}
    * 生成 require 运行时
    */
   generateRequireRuntime() {
+    const hot = this.runtimeRequirements.has('hmr');
+    
     return `
 // require 函数实现
 function __webpack_require__(moduleId) {
@@ -264,15 +597,19 @@ function __webpack_require__(moduleId) {
   // 创建新模块并缓存
   var module = __webpack_require__.cache[moduleId] = {
     id: moduleId,
-    exports: {}
+    exports: {}${hot ? `,
+    hot: hotCreateModule(moduleId),
+    parents: hotCurrentParents,
+    children: []` : ''}
   };
-  
+  ${hot ? `hotCurrentParents = [];
+  ` : ''}
   // 执行模块函数
   __webpack_modules__[moduleId].call(
     module.exports,
     module,
     module.exports,
-    __webpack_require__
+    ${hot ? 'hotCreateRequire(moduleId)' : '__webpack_require__'}
   );
   
   return module.exports;
@@ -284,25 +621,499 @@ __webpack_require__.cache = {};
   }
   
   /**
-   * 生成动态导入运行时
+   * 生成模块热替换运行时
+   * 提供 module.hot API，并负责下载、应用热更新
    */
-  generateImportRuntime() {
+  generateHotRuntime() {
+    const output = this.compilation.options.output || {};
+    
+    // 把文件名模板转换为运行时的字符串拼接表达式
+    const toExpression = (filename) => JSON.stringify(filename)
+      .replace(/\[id\]/g, '" + chunkId + "')
+      .replace(/\[hash\]/g, '" + hotCurrentHash + "');
+    const mainFilename = toExpression(output.hotUpdateMainFilename || '[hash].hot-update.json');
+    const chunkFilename = toExpression(output.hotUpdateChunkFilename || '[id].[hash].hot-update.js');
+    
     return `
-// 动态导入函数
-__webpack_require__.import = function(chunkId) {
-  return new Promise(function(resolve, reject) {
-    // 简化实现：直接返回模块
-    try {
-      var module = __webpack_require__(chunkId);
-      resolve(module);
-    } catch (error) {
-      reject(error);
+// 模块热替换运行时
+var hotCurrentHash = ${JSON.stringify(this.compilation.hash)};
+var hotStatus = "idle";
+var hotStatusHandlers = [];
+var hotData = {}; // 模块 dispose 时保存的数据
+var hotCurrentParents = [];
+var hotCurrentChunks = {}; // 当前运行时已加载的代码块
+hotCurrentChunks[${JSON.stringify(this.id)}] = true;
+
+// 异步代码块加载完成后登记，以便接收它的热更新
+__webpack_require__.hmrC = function(chunkId) {
+  hotCurrentChunks[chunkId] = true;
+};
+var hotWaitingChunks = {}; // 正在下载的热更新代码块
+var hotUpdate = {}; // 下载到的新模块
+var hotQueuedInvalidatedModules = null;
+
+function hotSetStatus(status) {
+  hotStatus = status;
+  for (var i = 0; i < hotStatusHandlers.length; i++) {
+    hotStatusHandlers[i](status);
+  }
+}
+
+function hotCreateRequire(parentId) {
+  var fn = function(request) {
+    var parent = __webpack_require__.cache[parentId];
+    var cachedModule = __webpack_require__.cache[request];
+    
+    // 记录父子关系，用于更新冒泡
+    if (cachedModule) {
+      if (cachedModule.parents.indexOf(String(parentId)) === -1) {
+        cachedModule.parents.push(String(parentId));
+      }
+    } else {
+      hotCurrentParents = [String(parentId)];
+    }
+    if (parent && parent.children.indexOf(String(request)) === -1) {
+      parent.children.push(String(request));
+    }
+    
+    return __webpack_require__(request);
+  };
+  
+  for (var name in __webpack_require__) {
+    fn[name] = __webpack_require__[name];
+  }
+  
+  return fn;
+}
+
+function hotCreateModule(moduleId) {
+  var hot = {
+    _acceptedDependencies: {},
+    _declinedDependencies: {},
+    _selfAccepted: false,
+    _selfDeclined: false,
+    _selfInvalidated: false,
+    _disposeHandlers: [],
+    data: hotData[moduleId],
+    
+    // 接受自身或依赖的更新
+    accept: function(dep, callback) {
+      if (dep === undefined) {
+        hot._selfAccepted = true;
+      } else if (typeof dep === "function") {
+        hot._selfAccepted = dep;
+      } else if (typeof dep === "object" && dep !== null) {
+        for (var i = 0; i < dep.length; i++) {
+          hot._acceptedDependencies[dep[i]] = callback || function() {};
+        }
+      } else {
+        hot._acceptedDependencies[dep] = callback || function() {};
+      }
+    },
+    
+    // 拒绝自身或依赖的更新（需要整页刷新）
+    decline: function(dep) {
+      if (dep === undefined) {
+        hot._selfDeclined = true;
+      } else if (typeof dep === "object" && dep !== null) {
+        for (var i = 0; i < dep.length; i++) {
+          hot._declinedDependencies[dep[i]] = true;
+        }
+      } else {
+        hot._declinedDependencies[dep] = true;
+      }
+    },
+    
+    // 模块被替换前的清理
+    dispose: function(callback) {
+      hot._disposeHandlers.push(callback);
+    },
+    addDisposeHandler: function(callback) {
+      hot._disposeHandlers.push(callback);
+    },
+    removeDisposeHandler: function(callback) {
+      var index = hot._disposeHandlers.indexOf(callback);
+      if (index >= 0) hot._disposeHandlers.splice(index, 1);
+    },
+    
+    // 让当前模块失效，按未接受自身更新的方式冒泡
+    invalidate: function() {
+      hot._selfInvalidated = true;
+      if (hotStatus === "idle") {
+        hotQueuedInvalidatedModules = [String(moduleId)];
+        if (hotApplyInvalidated() === false && typeof location !== "undefined") {
+          location.reload();
+        }
+      } else {
+        (hotQueuedInvalidatedModules = hotQueuedInvalidatedModules || []).push(String(moduleId));
+      }
+    },
+    
+    check: hotCheck,
+    status: function(handler) {
+      if (!handler) return hotStatus;
+      hotStatusHandlers.push(handler);
+    },
+    addStatusHandler: function(handler) {
+      hotStatusHandlers.push(handler);
+    },
+    removeStatusHandler: function(handler) {
+      var index = hotStatusHandlers.indexOf(handler);
+      if (index >= 0) hotStatusHandlers.splice(index, 1);
     }
+  };
+  
+  return hot;
+}
+
+// 检查并应用更新，返回更新的模块ID，需要整页刷新时返回 false
+function hotCheck(targetHash) {
+  if (hotStatus !== "idle") {
+    return Promise.reject(new Error("check() is only allowed in idle status"));
+  }
+  if (targetHash === hotCurrentHash) {
+    return Promise.resolve([]);
+  }
+  
+  hotSetStatus("check");
+  
+  return fetch(__webpack_require__.p + ${mainFilename}).then(function(response) {
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error("Failed to fetch update manifest " + response.statusText);
+    return response.json();
+  }).then(function(manifest) {
+    if (!manifest) {
+      hotSetStatus("idle");
+      return false;
+    }
+    
+    hotSetStatus("prepare");
+    hotUpdate = {};
+    
+    var chunkIds = manifest.c.filter(function(chunkId) {
+      return hotCurrentChunks[chunkId];
+    });
+    
+    return Promise.all(chunkIds.map(hotLoadUpdateChunk)).then(function() {
+      hotCurrentHash = manifest.h;
+      hotSetStatus("ready");
+      
+      var outdatedModules = hotApply(hotUpdate, manifest.m);
+      if (outdatedModules === false) return false;
+      
+      // 期间可能有多次构建，继续追赶到最新版本
+      if (targetHash && targetHash !== hotCurrentHash) {
+        return hotCheck(targetHash).then(function(moreModules) {
+          return moreModules && outdatedModules.concat(moreModules);
+        });
+      }
+      
+      return outdatedModules;
+    });
+  }, function(error) {
+    hotSetStatus("fail");
+    throw error;
   });
+}
+
+// 通过 script 标签下载热更新代码块
+function hotLoadUpdateChunk(chunkId) {
+  return new Promise(function(resolve, reject) {
+    hotWaitingChunks[chunkId] = resolve;
+    
+    var script = document.createElement("script");
+    script.src = __webpack_require__.p + ${chunkFilename};
+    script.onerror = function() {
+      delete hotWaitingChunks[chunkId];
+      reject(new Error("Loading hot update chunk " + chunkId + " failed"));
+    };
+    document.head.appendChild(script);
+  });
+}
+
+// 热更新代码块的 JSONP 回调（多个运行时共存时依次传递）
+var hotParentUpdateCallback = self["webpackHotUpdate"];
+self["webpackHotUpdate"] = function(chunkId, moreModules) {
+  if (hotWaitingChunks[chunkId]) {
+    for (var moduleId in moreModules) {
+      hotUpdate[moduleId] = moreModules[moduleId];
+    }
+    var resolve = hotWaitingChunks[chunkId];
+    delete hotWaitingChunks[chunkId];
+    resolve();
+  }
+  if (hotParentUpdateCallback) hotParentUpdateCallback(chunkId, moreModules);
 };
+
+// 从变化的模块向上冒泡，找出受影响的模块和接受更新的父模块
+function hotGetAffectedModules(updateModuleId) {
+  var outdatedModules = [updateModuleId];
+  var outdatedDependencies = {};
+  var queue = [{ id: updateModuleId, chain: [updateModuleId] }];
+  
+  while (queue.length > 0) {
+    var item = queue.pop();
+    var moduleId = item.id;
+    var chain = item.chain;
+    var module = __webpack_require__.cache[moduleId];
+    
+    if (!module || (module.hot._selfAccepted && !module.hot._selfInvalidated)) continue;
+    if (module.hot._selfDeclined) {
+      return { type: "self-declined", chain: chain, moduleId: moduleId };
+    }
+    if (module.parents.length === 0) {
+      return { type: "unaccepted", chain: chain, moduleId: moduleId };
+    }
+    
+    for (var i = 0; i < module.parents.length; i++) {
+      var parentId = module.parents[i];
+      var parent = __webpack_require__.cache[parentId];
+      if (!parent) continue;
+      
+      if (parent.hot._declinedDependencies[moduleId]) {
+        return { type: "declined", chain: chain.concat([parentId]), moduleId: moduleId, parentId: parentId };
+      }
+      if (outdatedModules.indexOf(parentId) !== -1) continue;
+      
+      if (parent.hot._acceptedDependencies[moduleId]) {
+        if (!outdatedDependencies[parentId]) outdatedDependencies[parentId] = [];
+        if (outdatedDependencies[parentId].indexOf(moduleId) === -1) {
+          outdatedDependencies[parentId].push(moduleId);
+        }
+        continue;
+      }
+      
+      outdatedModules.push(parentId);
+      queue.push({ id: parentId, chain: chain.concat([parentId]) });
+    }
+  }
+  
+  return {
+    type: "accepted",
+    outdatedModules: outdatedModules,
+    outdatedDependencies: outdatedDependencies
+  };
+}
+
+// 应用更新：dispose 旧模块 -> 安装新模块 -> 执行 accept 回调
+function hotApply(updatedModules, removedModules) {
+  var outdatedModules = [];
+  var outdatedDependencies = {};
+  var moduleId, i, j;
+  
+  for (moduleId in updatedModules) {
+    var result = hotGetAffectedModules(String(moduleId));
+    
+    if (result.type !== "accepted") {
+      console.warn("[HMR] 更新无法应用 (" + result.type + "): " + result.chain.join(" -> "));
+      hotSetStatus("abort");
+      hotSetStatus("idle");
+      return false;
+    }
+    
+    for (i = 0; i < result.outdatedModules.length; i++) {
+      if (outdatedModules.indexOf(result.outdatedModules[i]) === -1) {
+        outdatedModules.push(result.outdatedModules[i]);
+      }
+    }
+    for (var parentId in result.outdatedDependencies) {
+      if (!outdatedDependencies[parentId]) outdatedDependencies[parentId] = [];
+      var deps = result.outdatedDependencies[parentId];
+      for (i = 0; i < deps.length; i++) {
+        if (outdatedDependencies[parentId].indexOf(deps[i]) === -1) {
+          outdatedDependencies[parentId].push(deps[i]);
+        }
+      }
+    }
+  }
+  
+  // 需要重新执行的自接受模块
+  var outdatedSelfAcceptedModules = [];
+  for (i = 0; i < outdatedModules.length; i++) {
+    var outdatedModule = __webpack_require__.cache[outdatedModules[i]];
+    if (outdatedModule && outdatedModule.hot._selfAccepted && !outdatedModule.hot._selfInvalidated) {
+      outdatedSelfAcceptedModules.push({
+        id: outdatedModules[i],
+        parents: outdatedModule.parents.slice(),
+        errorHandler: outdatedModule.hot._selfAccepted
+      });
+    }
+  }
+  
+  // dispose 阶段
+  hotSetStatus("dispose");
+  var disposedModules = outdatedModules.concat((removedModules || []).map(String));
+  for (i = 0; i < disposedModules.length; i++) {
+    moduleId = disposedModules[i];
+    var module = __webpack_require__.cache[moduleId];
+    if (!module) continue;
+    
+    var data = {};
+    for (j = 0; j < module.hot._disposeHandlers.length; j++) {
+      module.hot._disposeHandlers[j](data);
+    }
+    hotData[moduleId] = data;
+    delete __webpack_require__.cache[moduleId];
+    
+    // 从子模块的 parents 中移除
+    for (j = 0; j < module.children.length; j++) {
+      var child = __webpack_require__.cache[module.children[j]];
+      if (!child) continue;
+      var index = child.parents.indexOf(moduleId);
+      if (index >= 0) child.parents.splice(index, 1);
+    }
+  }
+  for (parentId in outdatedDependencies) {
+    var parentModule = __webpack_require__.cache[parentId];
+    if (!parentModule) continue;
+    for (i = 0; i < outdatedDependencies[parentId].length; i++) {
+      var childIndex = parentModule.children.indexOf(outdatedDependencies[parentId][i]);
+      if (childIndex >= 0) parentModule.children.splice(childIndex, 1);
+    }
+  }
+  
+  // 安装新模块
+  hotSetStatus("apply");
+  for (moduleId in updatedModules) {
+    __webpack_modules__[moduleId] = updatedModules[moduleId];
+  }
+  for (i = 0; i < (removedModules || []).length; i++) {
+    delete __webpack_modules__[removedModules[i]];
+  }
+  
+  var error = null;
+  
+  // 调用父模块的 accept 回调
+  for (parentId in outdatedDependencies) {
+    var acceptingModule = __webpack_require__.cache[parentId];
+    if (!acceptingModule) continue;
+    var callbacks = [];
+    var dependencies = outdatedDependencies[parentId];
+    for (i = 0; i < dependencies.length; i++) {
+      var callback = acceptingModule.hot._acceptedDependencies[dependencies[i]];
+      if (callbacks.indexOf(callback) === -1) callbacks.push(callback);
+    }
+    for (i = 0; i < callbacks.length; i++) {
+      try {
+        callbacks[i](dependencies);
+      } catch (err) {
+        error = error || err;
+      }
+    }
+  }
+  
+  // 重新执行自接受模块
+  for (i = 0; i < outdatedSelfAcceptedModules.length; i++) {
+    var item = outdatedSelfAcceptedModules[i];
+    hotCurrentParents = item.parents;
+    try {
+      __webpack_require__(item.id);
+    } catch (err) {
+      if (typeof item.errorHandler === "function") {
+        try {
+          item.errorHandler(err);
+        } catch (handlerError) {
+          error = error || handlerError;
+        }
+      } else {
+        error = error || err;
+      }
+    }
+  }
+  
+  if (error) {
+    console.error("[HMR] 应用更新失败:", error);
+    hotSetStatus("fail");
+    hotSetStatus("idle");
+    return false;
+  }
+  
+  hotSetStatus("idle");
+  
+  // 处理应用过程中被 invalidate() 的模块
+  if (hotQueuedInvalidatedModules) {
+    var invalidated = hotApplyInvalidated();
+    if (invalidated === false) return false;
+    return outdatedModules.concat(invalidated);
+  }
+  
+  return outdatedModules;
+}
+
+// 以当前模块工厂重新应用被 invalidate() 的模块
+function hotApplyInvalidated() {
+  var updatedModules = {};
+  for (var i = 0; i < hotQueuedInvalidatedModules.length; i++) {
+    var moduleId = hotQueuedInvalidatedModules[i];
+    updatedModules[moduleId] = __webpack_modules__[moduleId];
+  }
+  hotQueuedInvalidatedModules = null;
+  
+  return hotApply(updatedModules, []);
+}
+
+// 注册到全局，供开发服务器客户端脚本调用
+(self.__mini_webpack_hot__ = self.__mini_webpack_hot__ || []).push({
+  hash: function() { return hotCurrentHash; },
+  check: hotCheck,
+  status: function() { return hotStatus; }
+});
     `.trim();
   }
   
+  /**
+   * 生成动态导入运行时
+   */
+  generateImportRuntime() {
+    const chunkFilenames = {};
+    const addChunkFilename = (chunk) => {
+      chunkFilenames[chunk.id] = chunk.files.find(file => file.endsWith('.js'));
+    };
+    
+    this.requiredChunks.forEach(addChunkFilename);
+    this.getAllAsyncChunks().forEach(chunk => {
+      addChunkFilename(chunk);
+      chunk.requiredChunks.forEach(addChunkFilename);
+    });
+    
+    const output = this.compilation.options.output;
+    return new Template().generateDynamicImportRuntime({
+      chunkFilenames,
+      installedChunkIds: [this.id],
+      chunkLoadingGlobal: this.getChunkLoadingGlobal(),
+      chunkLoading: output.chunkLoading,
+      globalObject: output.globalObject,
+      undoPath: this.getUndoPath()
+    });
+  }
+  
+  /**
+   * 从本代码块文件所在目录回到输出目录的相对路径（如 js/main.js -> ../），
+   * Node.js 中按文件路径加载代码块时使用
+   */
+  getUndoPath() {
+    const dir = path.posix.dirname(this.compilation.getChunkFilename(this));
+    return dir === '.' ? '' : dir.split('/').map(() => '../').join('');
+  }
+  
+  /**
+   * 生成异步代码块的 CSS 加载运行时
+   */
+  generateCssLoadingRuntime() {
+    const cssFilenames = {};
+    this.getAllAsyncChunks().forEach(chunk => {
+      const file = chunk.getCssFile();
+      if (file) {
+        cssFilenames[chunk.id] = file;
+      }
+    });
+    
+    return new Template().generateCssLoadingRuntime({
+      cssFilenames,
+      installedChunkIds: [this.id]
+    });
+  }
+  
   /**
    * 生成启动运行时
    */
@@ -310,7 +1121,7 @@ __webpack_require__.import = function(chunkId) {
     return `
 // 启动应用
 __webpack_require__.startup = function() {
-  return __webpack_require__(${this.entryModule ? this.entryModule.id : 0});
+  return __webpack_require__(${JSON.stringify(this.entryModule ? this.entryModule.id : 0)});
 };
     `.trim();
   }
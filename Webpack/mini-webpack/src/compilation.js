@@ -1,9 +1,21 @@
-const fs = require('fs');
 const path = require('path');
 const Module = require('./module');
 const Chunk = require('./chunk');
-const { SyncHook, AsyncSeriesHook } = require('./hooks');
-const { generateHash } = require('./utils');
+const SplitChunks = require('./split-chunks');
+const TreeShaking = require('./tree-shaking');
+const ModuleConcatenation = require('./module-concatenation');
+const Ids = require('./ids');
+const Externals = require('./externals');
+const Resolver = require('./resolver');
+const { parseLoaderRequest, parseResource } = require('./loader');
+const { SyncHook, SyncWaterfallHook, AsyncSeriesHook } = require('./hooks');
+const { RawSource, SourceMapSource, CachedSource } = require('./sources');
+const { generateHash, replacePathVariables } = require('./utils');
+const { parseDevtool, getSourceMappingComment } = require('./source-map');
+const { isNodeTarget } = require('./config');
+
+// 编译 hash、代码块 hash 和内容 hash 的长度（与 webpack 的 hashDigestLength 默认值相同）
+const HASH_LENGTH = 20;
 
 /**
  * 编译过程管理类
@@ -18,26 +30,78 @@ class Compilation {
     // 编译状态
     this.modules = new Set();
     this.chunks = [];
-    this.assets = new Map();
+    this.assets = new Map(); // 文件名 -> Source
+    this.assetsInfo = new Map(); // 文件名 -> 资源信息
     this.entries = new Map();
     this.errors = [];
     this.warnings = [];
     this.hash = '';
+    this.devtool = parseDevtool(this.options.devtool); // 解析后的 devtool 选项，不生成 Source Map 时为 null
+    
+    // 构建过程中读取过的文件（监听模式据此监听）
+    this.fileDependencies = new Set();
+    
+    // 解析失败时尝试过的不存在的文件（监听模式等待其出现后重新构建）
+    this.missingDependencies = new Set();
+    
+    // 已开始构建的模块，避免重复构建和循环依赖导致的死循环
+    this.builtModules = new Set();
     
     // 模块缓存
     this.moduleCache = new Map();
     
+    // 模块路径解析器
+    this.resolver = this.createResolver();
+    
+    // 外部模块（externals 配置和 Node.js 内置模块）
+    this.externals = new Externals({
+      externals: this.options.externals,
+      externalsType: this.options.externalsType,
+      node: isNodeTarget(this.options.target)
+    });
+    
+    // 文件系统缓存（未开启时为 null）及本次编译的命中统计
+    this.cache = compiler.cache;
+    this.cacheStats = { hits: 0, misses: 0 };
+    
+    // 模块构建线程池（未开启 parallelism 时为 null，在主线程构建）
+    this.workerPool = compiler.getWorkerPool();
+    if (this.options.parallelism >= 1 && !this.workerPool) {
+      this.warnings.push('配置中包含无法传给构建线程的函数（如函数形式的 loader），已改为在主线程构建模块');
+    }
+    
+    // 下一个可用的临时代码块ID，seal 时按 optimization.chunkIds 重新分配
+    this.nextChunkId = 0;
+    
     // 钩子
     this.hooks = {
       buildModule: new SyncHook(['module']),
+      // loader 执行之后、解析依赖之前，插件可以修改 module.source（构建线程中不能执行插件，有监听器时在主线程构建）
+      beforeParse: new SyncHook(['module']),
+      // 计算模块的文件系统缓存 key，在 beforeParse 中修改代码的插件需要追加影响结果的内容（如 DefinePlugin 的定义）
+      moduleCacheKey: new SyncWaterfallHook(['key', 'module']),
       succeedModule: new SyncHook(['module']),
       finishModules: new AsyncSeriesHook(['modules']),
       seal: new SyncHook([]),
+      optimizeDependencies: new SyncHook(['modules']),
       optimize: new SyncHook([]),
       optimizeModules: new SyncHook(['modules']),
       optimizeChunks: new SyncHook(['chunks']),
-      additionalAssets: new AsyncSeriesHook([])
+      moduleIds: new SyncHook(['modules']),
+      chunkIds: new SyncHook(['chunks']),
+      afterSeal: new SyncHook([]),
+      additionalAssets: new AsyncSeriesHook([]),
+      // 处理资源，监听器按 stage 分阶段执行（Compilation.PROCESS_ASSETS_STAGE_*）
+      processAssets: new AsyncSeriesHook(['assets']),
+      afterProcessAssets: new SyncHook(['assets'])
     };
+    
+    // Source Map 在 DEV_TOOLING 阶段生成，之前阶段对代码的修改（如 BannerPlugin）会反映到 Source Map 中
+    if (this.devtool && !this.devtool.eval) {
+      this.hooks.processAssets.tap({ name: 'SourceMapDevToolPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_DEV_TOOLING }, () => {
+        this.emitSourceMaps();
+      });
+    }
   }
   
   /**
@@ -52,13 +116,23 @@ class Compilation {
   /**
    * 创建模块
    */
-  createModule(request, name, issuer = null) {
-    // 解析模块路径
-    const modulePath = this.resolveModule(request, issuer);
+  createModule(request, name, issuer = null, dependencyType = 'import', external = null) {
+    // 内联 loader 请求（loader!./file?query）只解析最后的资源路径
+    const { resource } = parseLoaderRequest(request);
+    const loaderPrefix = request.slice(0, request.length - resource.length);
+    const { path: resourcePath, query } = parseResource(resource);
+    
+    // 解析模块路径，false 表示被 alias、browser 字段忽略的模块
+    const resolvedPath = external ? null : this.resolveModule(resourcePath, issuer, dependencyType);
+    const ignored = resolvedPath === false;
+    const modulePath = external ? `external ${external.type} ${JSON.stringify(external.request)}` : ignored ? `ignored|${resourcePath}` : resolvedPath;
+    
+    // 同一文件使用不同的内联 loader 或查询参数时是不同的模块
+    const identifier = external ? modulePath : `${loaderPrefix}${modulePath}${query}`;
     
     // 检查缓存
-    if (this.moduleCache.has(modulePath)) {
-      return this.moduleCache.get(modulePath);
+    if (this.moduleCache.has(identifier)) {
+      return this.moduleCache.get(identifier);
     }
     
     // 创建新模块
@@ -66,55 +140,120 @@ class Compilation {
       request,
       name,
       path: modulePath,
+      identifier,
+      context: this.getRequestContext(issuer),
+      ignored,
+      external,
       compilation: this
     });
     
-    this.moduleCache.set(modulePath, module);
+    // 监听模式下复用未变化的模块
+    const cachedModule = this.compiler.getCachedModule(identifier);
+    if (cachedModule) {
+      module.restoreFrom(cachedModule);
+    }
+    
+    this.moduleCache.set(identifier, module);
     this.modules.add(module);
     
     return module;
   }
   
   /**
-   * 解析模块路径
+   * 创建上下文模块（require.context() 和部分动态的请求）
+   * 同一目录、模式和正则的上下文依赖共用一个模块
    */
-  resolveModule(request, issuer) {
-    // 处理相对路径
-    if (request.startsWith('./') || request.startsWith('../')) {
-      const basePath = issuer ? path.dirname(issuer.path) : process.cwd();
-      return path.resolve(basePath, request);
+  createContextModule(dependency, issuer) {
+    const { request, recursive, regExp, mode, chunkName } = dependency;
+    const directory = path.resolve(this.getRequestContext(issuer), request);
+    const identifier = `${directory} ${mode} ${recursive ? 'recursive' : 'nonrecursive'} ${regExp}${chunkName ? ` ${chunkName}` : ''}`;
+    
+    if (this.moduleCache.has(identifier)) {
+      return this.moduleCache.get(identifier);
     }
     
-    // 处理绝对路径
-    if (path.isAbsolute(request)) {
-      return request;
+    const module = new Module({
+      request,
+      name: null,
+      path: identifier,
+      identifier,
+      context: directory,
+      contextOptions: { directory, recursive, regExp, mode, chunkName },
+      compilation: this
+    });
+    
+    // 监听模式下复用未变化的模块（目录中没有增删文件）
+    const cachedModule = this.compiler.getCachedModule(identifier);
+    if (cachedModule) {
+      module.restoreFrom(cachedModule);
     }
     
-    // 处理 node_modules
-    const nodeModulesPath = path.resolve(process.cwd(), 'node_modules', request);
-    if (fs.existsSync(nodeModulesPath)) {
-      return nodeModulesPath;
+    this.moduleCache.set(identifier, module);
+    this.modules.add(module);
+    
+    return module;
+  }
+  
+  /**
+   * 获取请求对应的外部模块 { type, request }，不是外部模块时返回 null
+   * 使用内联 loader 的请求总是打包
+   */
+  async getExternal(request, issuer, dependencyType) {
+    if (parseLoaderRequest(request).resource !== request) {
+      return null;
     }
     
-    // 尝试添加扩展名
-    const extensions = this.options.resolve?.extensions || ['.js', '.json'];
-    for (const ext of extensions) {
-      const fullPath = request + ext;
-      if (fs.existsSync(fullPath)) {
-        return path.resolve(fullPath);
-      }
-      
-      // 相对路径 + 扩展名
-      if (issuer) {
-        const basePath = path.dirname(issuer.path);
-        const relativePath = path.resolve(basePath, fullPath);
-        if (fs.existsSync(relativePath)) {
-          return relativePath;
-        }
+    return this.externals.resolve(request, {
+      context: this.getRequestContext(issuer),
+      issuer: issuer ? issuer.path : null,
+      dependencyType
+    });
+  }
+  
+  /**
+   * 按 resolve 配置创建模块解析器
+   */
+  createResolver() {
+    const resolveOptions = this.options.resolve || {};
+    const node = isNodeTarget(this.options.target);
+    const environment = node ? ['node'] : this.options.target === 'webworker' ? ['worker', 'browser'] : ['browser'];
+    const options = {
+      mainFields: node ? ['module', 'main'] : ['browser', 'module', 'main'],
+      aliasFields: node ? [] : ['browser'],
+      conditionNames: ['webpack', this.options.mode === 'production' ? 'production' : 'development', ...environment, 'module']
+    };
+    
+    // 只传入已配置的选项，其余使用解析器的默认值
+    Object.keys(resolveOptions).forEach(key => {
+      if (resolveOptions[key] !== undefined) {
+        options[key] = resolveOptions[key];
       }
+    });
+    
+    return new Resolver(options);
+  }
+  
+  /**
+   * 解析模块路径
+   */
+  resolveModule(request, issuer, dependencyType = 'import') {
+    try {
+      return this.resolver.resolve(request, this.getRequestContext(issuer), dependencyType);
+    } catch (error) {
+      (error.missing || []).forEach(file => this.missingDependencies.add(file));
+      throw error;
+    }
+  }
+  
+  /**
+   * 请求所在的目录：发起请求的模块所在目录（上下文模块为其目录），入口为 context
+   */
+  getRequestContext(issuer) {
+    if (issuer && issuer.contextOptions) {
+      return issuer.contextOptions.directory;
     }
     
-    throw new Error(`无法解析模块: ${request}`);
+    return issuer ? path.dirname(issuer.path) : (this.options.context || process.cwd());
   }
   
   /**
@@ -129,14 +268,43 @@ class Compilation {
     
     await Promise.all(buildPromises);
     
+    // 模块构建完成的顺序取决于文件读取和线程调度，按依赖图重新排序保证输出稳定
+    this.sortModules();
+    
     // 触发 finishModules 钩子
     await this.hooks.finishModules.promise(Array.from(this.modules));
   }
   
+  /**
+   * 按入口顺序深度优先遍历依赖图，重新排列 modules
+   */
+  sortModules() {
+    const sorted = new Set();
+    const visit = (module) => {
+      if (sorted.has(module) || !this.modules.has(module)) {
+        return;
+      }
+      sorted.add(module);
+      module.dependencies.forEach(dep => dep.module && visit(dep.module));
+    };
+    
+    this.entries.forEach(visit);
+    this.modules.forEach(module => sorted.add(module));
+    this.modules = sorted;
+  }
+  
   /**
    * 构建单个模块
    */
   async buildModule(module) {
+    if (this.builtModules.has(module)) {
+      return;
+    }
+    this.builtModules.add(module);
+    if (!module.ignored && !module.external && !module.contextOptions) {
+      this.fileDependencies.add(module.path);
+    }
+    
     // 触发 buildModule 钩子
     this.hooks.buildModule.call(module);
     
@@ -144,12 +312,25 @@ class Compilation {
       // 构建模块
       await module.build();
       
+      for (const file of module.fileDependencies) {
+        this.fileDependencies.add(file);
+      }
+      
+      // loader 和解析依赖时的警告（如无法静态分析的 require 表达式）
+      module.warnings.forEach(warning => this.warnings.push(`${module.path}: ${warning}`));
+      
       // 触发 succeedModule 钩子
       this.hooks.succeedModule.call(module);
       
       // 递归构建依赖模块
-      const buildPromises = module.dependencies.map(dep => {
-        const depModule = this.createModule(dep.request, null, module);
+      const buildPromises = module.dependencies.map(async dep => {
+        if (dep.type === 'context') {
+          dep.module = this.createContextModule(dep, module);
+          return this.buildModule(dep.module);
+        }
+        
+        const external = await this.getExternal(dep.request, module, dep.type);
+        const depModule = this.createModule(dep.request, null, module, dep.type, external);
         dep.module = depModule;
         return this.buildModule(depModule);
       });
@@ -164,43 +345,66 @@ class Compilation {
   /**
    * 封装编译结果
    */
-  seal() {
+  async seal() {
     // 触发 seal 钩子
     this.hooks.seal.call();
     
+    // 标记使用的导出，移除未使用的模块
+    this.optimizeDependencies();
+    
     // 创建 chunks
     this.createChunks();
     
     // 优化
     this.optimize();
     
+    // 分配代码块ID、模块ID（生成模块代码时需要引用依赖的ID）
+    this.assignIds();
+    
+    // 按导出使用情况生成各模块代码
+    this.codeGeneration();
+    
+    // 生成 hash（运行时代码需要内嵌 hash，必须在生成代码之前）
+    this.generateHash();
+    
     // 生成代码
     this.generateCode();
     
-    // 生成 hash
-    this.generateHash();
+    // 插件添加、修改资源
+    await this.hooks.additionalAssets.promise();
+    await this.hooks.processAssets.promise(this.assets);
+    this.hooks.afterProcessAssets.call(this.assets);
+    
+    this.hooks.afterSeal.call();
   }
   
   /**
    * 创建代码块
    */
   createChunks() {
+    // chunkName 或根模块 -> 异步代码块
+    const asyncChunks = new Map();
+    
     // 为每个入口创建一个 chunk
     for (const [name, entryModule] of this.entries) {
       const chunk = new Chunk(name, this);
+      chunk.setId(this.nextChunkId++);
       chunk.addModule(entryModule);
+      this.chunks.push(chunk);
       
       // 添加所有依赖模块到 chunk
-      this.addModuleToChunk(entryModule, chunk, new Set());
-      
-      this.chunks.push(chunk);
+      this.addModuleToChunk(entryModule, chunk, new Set(), asyncChunks);
     }
+    
+    // 移除父代码块中已经加载的模块
+    this.removeAvailableModules();
   }
   
   /**
    * 递归添加模块到 chunk
+   * import() 的依赖不加入当前 chunk，而是作为新的异步代码块
    */
-  addModuleToChunk(module, chunk, visited) {
+  addModuleToChunk(module, chunk, visited, asyncChunks = new Map()) {
     if (visited.has(module)) {
       return;
     }
@@ -208,13 +412,122 @@ class Compilation {
     visited.add(module);
     
     module.dependencies.forEach(dep => {
-      if (dep.module) {
-        chunk.addModule(dep.module);
-        this.addModuleToChunk(dep.module, chunk, visited);
+      if (!dep.module) {
+        return;
+      }
+      
+      if (dep.type === 'dynamic-import') {
+        dep.chunk = this.getOrCreateAsyncChunk(dep, chunk, asyncChunks);
+        return;
       }
+      
+      chunk.addModule(dep.module);
+      this.addModuleToChunk(dep.module, chunk, visited, asyncChunks);
     });
   }
   
+  /**
+   * 获取或创建 import() 对应的异步代码块
+   * 相同 webpackChunkName 的动态导入合并到同一个代码块
+   */
+  getOrCreateAsyncChunk(dep, parentChunk, asyncChunks) {
+    const key = dep.chunkName || dep.module;
+    let asyncChunk = asyncChunks.get(key);
+    
+    if (!asyncChunk) {
+      asyncChunk = new Chunk(dep.chunkName || null, this, { async: true });
+      asyncChunk.setId(this.nextChunkId++);
+      this.chunks.push(asyncChunk);
+      asyncChunks.set(key, asyncChunk);
+    }
+    
+    parentChunk.addChild(asyncChunk);
+    
+    if (!asyncChunk.hasModule(dep.module)) {
+      asyncChunk.addModule(dep.module);
+      this.addModuleToChunk(dep.module, asyncChunk, new Set(), asyncChunks);
+    }
+    
+    return asyncChunk;
+  }
+  
+  /**
+   * 移除异步代码块中父代码块一定已经加载过的模块
+   * 模块只有在所有父代码块路径上都已加载时才能移除
+   */
+  removeAvailableModules() {
+    const availableModules = new Map(); // chunk -> 加载该 chunk 时一定已存在的模块
+    const queue = this.chunks.filter(chunk => chunk.isInitial());
+    
+    queue.forEach(chunk => availableModules.set(chunk, new Set()));
+    
+    while (queue.length > 0) {
+      const chunk = queue.shift();
+      const availableForChildren = new Set([...availableModules.get(chunk), ...chunk.modules]);
+      
+      for (const child of chunk.children) {
+        const current = availableModules.get(child);
+        const next = current
+          ? new Set([...current].filter(module => availableForChildren.has(module)))
+          : availableForChildren;
+        
+        if (!current || next.size !== current.size) {
+          availableModules.set(child, next);
+          queue.push(child);
+        }
+      }
+    }
+    
+    for (const chunk of this.chunks) {
+      if (chunk.isInitial()) {
+        continue;
+      }
+      
+      for (const module of availableModules.get(chunk) || []) {
+        chunk.removeModule(module);
+      }
+    }
+    
+    // 移除空的异步代码块，对应的 import() 直接使用已加载的模块
+    const emptyChunks = this.chunks.filter(chunk => !chunk.isInitial() && chunk.modules.size === 0);
+    emptyChunks.forEach(chunk => this.removeChunk(chunk));
+  }
+  
+  /**
+   * 移除代码块并断开相关引用
+   */
+  removeChunk(chunk) {
+    this.chunks = this.chunks.filter(c => c !== chunk);
+    
+    chunk.parents.forEach(parent => parent.children.delete(chunk));
+    chunk.children.forEach(child => child.parents.delete(chunk));
+    
+    for (const module of this.modules) {
+      module.dependencies.forEach(dep => {
+        if (dep.chunk === chunk) {
+          dep.chunk = null;
+        }
+      });
+    }
+  }
+  
+  /**
+   * 依赖优化（tree shaking）
+   */
+  optimizeDependencies() {
+    const optimization = this.options.optimization || {};
+    
+    if (optimization.usedExports || optimization.sideEffects) {
+      new TreeShaking({
+        usedExports: !!optimization.usedExports,
+        sideEffects: !!optimization.sideEffects
+      }).apply(this);
+    }
+    
+    // 触发 optimizeDependencies 钩子
+    this.hooks.optimizeDependencies.call(Array.from(this.modules));
+  }
+  
   /**
    * 优化
    */
@@ -225,65 +538,350 @@ class Compilation {
     // 优化模块
     this.hooks.optimizeModules.call(Array.from(this.modules));
     
+    // 按 splitChunks 配置拆分代码块
+    const splitChunksOptions = this.options.optimization && this.options.optimization.splitChunks;
+    if (splitChunksOptions) {
+      new SplitChunks(splitChunksOptions).apply(this);
+    }
+    
+    // 合并 ES 模块（代码块确定之后，只合并位于相同代码块中的模块）
+    if (this.options.optimization && this.options.optimization.concatenateModules) {
+      new ModuleConcatenation().apply(this);
+    }
+    
     // 优化 chunks
     this.hooks.optimizeChunks.call(this.chunks);
   }
   
+  /**
+   * 按 optimization.moduleIds / chunkIds 为代码块和其中的模块分配ID
+   * 插件可以在 moduleIds、chunkIds 钩子中修改分配结果
+   */
+  assignIds() {
+    const { moduleIds, chunkIds } = this.options.optimization || {};
+    new Ids({ moduleIds, chunkIds, context: this.options.context || process.cwd() }).apply(this);
+    
+    this.hooks.chunkIds.call(this.chunks);
+    this.hooks.moduleIds.call(Array.from(this.modules).filter(module => module.id !== null));
+  }
+  
+  /**
+   * 生成模块代码
+   */
+  codeGeneration() {
+    this.modules.forEach(module => {
+      // 被合并的模块由根模块生成代码
+      if (module.concatenationRoot) {
+        return;
+      }
+      
+      module.codeGeneration();
+      
+      // asset/resource 模块输出的文件
+      if (module.assetFilename) {
+        const sourceFilename = path.relative(this.options.context || process.cwd(), module.path).split(path.sep).join('/');
+        this.emitAsset(module.assetFilename, module.assetContent, { sourceFilename });
+      }
+    });
+  }
+  
   /**
    * 生成代码
    */
   generateCode() {
     this.chunks.forEach(chunk => {
-      const filename = this.getAssetFilename(chunk.name);
+      chunk.files = [];
+    });
+    
+    // 提取 CSS 时输出各代码块的 .css 文件，入口代码块的运行时需要异步代码块的 CSS 文件名
+    if (this.compiler.cssExtract) {
+      this.emitCssAssets();
+    }
+    
+    // 入口代码块的运行时引用其他代码块的文件名（可能包含它们的 contenthash），最后渲染
+    const chunks = this.chunks.filter(chunk => !chunk.isEntry())
+      .concat(this.chunks.filter(chunk => chunk.isEntry()));
+    
+    chunks.forEach(chunk => {
       const source = chunk.render();
+      chunk.contentHash.javascript = generateHash(source, 'md5', HASH_LENGTH);
+      
+      const { path: filename, info } = this.getChunkPathWithInfo(chunk);
+      chunk.files.unshift(filename);
       
-      this.assets.set(filename, {
-        source: () => source,
-        size: source.length
+      // eval-source-map 的 Source Map 已内联在各模块的 eval 代码中，其他模式带上代码块的 Source Map，在 DEV_TOOLING 阶段输出
+      if (this.devtool && !this.devtool.eval) {
+        this.emitAsset(filename, new CachedSource(new SourceMapSource(source, filename, chunk.generateSourceMap(source, path.basename(filename)))), info);
+      } else {
+        this.emitAsset(filename, new RawSource(source), info);
+      }
+    });
+  }
+  
+  /**
+   * 为包含 CSS 模块的代码块输出 .css 文件
+   */
+  emitCssAssets() {
+    this.chunks.forEach(chunk => {
+      const css = chunk.renderCss();
+      if (!css) {
+        return;
+      }
+      
+      chunk.contentHash.css = generateHash(css, 'md5', HASH_LENGTH);
+      
+      const { path: filename, info } = this.getCssPathWithInfo(chunk);
+      chunk.files.push(filename);
+      this.emitAsset(filename, new RawSource(css), info);
+    });
+  }
+  
+  /**
+   * 输出各代码块 JS 文件的 Source Map（processAssets 的 DEV_TOOLING 阶段）
+   */
+  emitSourceMaps() {
+    this.chunks.forEach(chunk => {
+      chunk.files.filter(file => file.endsWith('.js')).forEach(file => {
+        const asset = this.getAsset(file);
+        if (!asset) {
+          return;
+        }
+        
+        const { source, map } = asset.source.sourceAndMap();
+        if (map) {
+          this.emitSourceMap(chunk, file, String(source), chunk.finalizeSourceMap({ ...map, file: path.basename(file) }));
+        }
       });
     });
   }
   
   /**
-   * 获取资源文件名
+   * 输出代码块的 Source Map：
+   * inline 模式以 data URL 内联，否则输出 .map 资源，hidden 模式不添加 sourceMappingURL 注释
    */
-  getAssetFilename(chunkName) {
+  emitSourceMap(chunk, filename, source, map) {
+    if (this.devtool.inline) {
+      this.updateAsset(filename, new RawSource(`${source}\n${getSourceMappingComment(map)}`));
+      return;
+    }
+    
     const output = this.options.output || {};
-    let filename = output.filename || '[name].js';
+    const mapContent = JSON.stringify(map);
+    const mapFilename = this.getPath(output.sourceMapFilename || '[file].map', {
+      chunk,
+      filename,
+      contentHash: generateHash(mapContent, 'md5', HASH_LENGTH),
+      ext: '.map'
+    });
+    
+    chunk.files.push(mapFilename);
+    this.emitAsset(mapFilename, new RawSource(mapContent), { development: true });
+    
+    // sourceMappingURL 相对于代码块文件所在目录
+    const url = path.relative(path.dirname(filename), mapFilename).split(path.sep).join('/');
+    this.updateAsset(
+      filename,
+      this.devtool.hidden ? new RawSource(source) : new RawSource(`${source}\n${getSourceMappingComment(map, url)}`),
+      { related: { sourceMap: mapFilename } }
+    );
+  }
+  
+  /**
+   * 获取代码块文件名：入口代码块使用 output.filename，异步代码块使用 output.chunkFilename
+   */
+  getChunkFilename(chunk) {
+    return this.getChunkPathWithInfo(chunk).path;
+  }
+  
+  /**
+   * 获取代码块文件名和资源信息
+   */
+  getChunkPathWithInfo(chunk) {
+    const output = this.options.output || {};
+    const filename = chunk.isInitial() ? output.filename || '[name].js' : output.chunkFilename || '[id].js';
+    
+    return this.getPathWithInfo(filename, { chunk, contentHashType: 'javascript', ext: '.js' });
+  }
+  
+  /**
+   * 获取代码块提取出的 CSS 文件名和资源信息：初始代码块使用 filename，异步代码块使用 chunkFilename
+   */
+  getCssPathWithInfo(chunk) {
+    const { filename, chunkFilename } = this.compiler.cssExtract;
+    
+    return this.getPathWithInfo(chunk.isInitial() ? filename : chunkFilename, { chunk, contentHashType: 'css', ext: '.css' });
+  }
+  
+  /**
+   * 按文件名模板生成文件名
+   * 支持 [name]、[id]、[fullhash]（同 [hash]）、[chunkhash]、[contenthash]、[file]、[ext]、[query]，
+   * hash 支持 [contenthash:8] 形式的长度；filename 为函数时先以 pathData 调用得到模板
+   * @param {string|Function} filename 文件名模板
+   * @param {Object} pathData { chunk, contentHashType, contentHash, filename, ext, query }
+   */
+  getPath(filename, pathData = {}) {
+    return this.getPathWithInfo(filename, pathData).path;
+  }
+  
+  /**
+   * 按文件名模板生成文件名和资源信息：文件名包含 hash 时资源为 immutable（内容变化时文件名也会变化）
+   */
+  getPathWithInfo(filename, pathData = {}) {
+    const { chunk } = pathData;
+    const template = typeof filename === 'function' ? filename({ hash: this.hash, ...pathData }) : filename;
+    const contentHash = pathData.contentHash || (chunk && chunk.contentHash[pathData.contentHashType]);
+    const info = {};
+    const getHash = (hash) => hash ? (length) => {
+      info.immutable = true;
+      return hash.slice(0, length);
+    } : null;
     
-    // 替换占位符
-    filename = filename.replace('[name]', chunkName);
-    filename = filename.replace('[hash]', this.hash.substring(0, 8));
+    const filenamePath = replacePathVariables(template, {
+      name: chunk ? chunk.name || chunk.id : pathData.name,
+      id: chunk ? chunk.id : pathData.id,
+      fullhash: getHash(this.hash),
+      hash: getHash(this.hash),
+      chunkhash: getHash(chunk && chunk.hash),
+      contenthash: getHash(contentHash),
+      file: pathData.filename,
+      ext: pathData.ext,
+      query: pathData.query || ''
+    });
     
-    return filename;
+    return { path: filenamePath, info };
   }
   
   /**
    * 生成 hash
+   * 代码块 hash 由其中模块的ID和生成的代码计算，入口代码块的运行时引用其他代码块的文件名，同时计入这些代码块的 hash；
+   * 编译 hash 由所有模块的源码、代码块 hash 以及影响输出代码的配置（如 mode、minimize）计算
    */
   generateHash() {
-    const content = Array.from(this.modules)
-      .map(module => module.source)
-      .join('');
+    this.chunks.forEach(chunk => {
+      const modules = chunk.getModules().map(module => {
+        // 提取 CSS 时 CSS 模块的代码只有类名映射，CSS 内容单独计入
+        const css = module.type === 'css' ? module.transformedSource : '';
+        return `${module.id}:${module.getSource()}${css}`;
+      });
+      chunk.hash = generateHash(modules.join('\n'), 'md5', HASH_LENGTH);
+    });
     
-    this.hash = generateHash(content);
+    this.chunks.filter(chunk => chunk.isEntry()).forEach(chunk => {
+      const referencedChunks = new Set(chunk.requiredChunks);
+      chunk.getAllAsyncChunks().forEach(asyncChunk => {
+        referencedChunks.add(asyncChunk);
+        asyncChunk.requiredChunks.forEach(requiredChunk => referencedChunks.add(requiredChunk));
+      });
+      
+      const hashes = Array.from(referencedChunks).map(referencedChunk => `${referencedChunk.id}:${referencedChunk.hash}`);
+      chunk.hash = generateHash([chunk.hash, ...hashes].join('\n'), 'md5', HASH_LENGTH);
+    });
+    
+    const content = [
+      ...Array.from(this.modules).map(module => module.source),
+      ...this.chunks.map(chunk => `${chunk.id}:${chunk.hash}`),
+      this.getOutputOptionsContent()
+    ].join('\n');
+    
+    this.hash = generateHash(content, 'md5', HASH_LENGTH);
+  }
+  
+  /**
+   * 影响运行时和输出代码的配置，计入编译 hash（输出目录不影响代码内容，不计入）
+   */
+  getOutputOptionsContent() {
+    const { mode, devtool, target, output = {}, optimization = {} } = this.options;
+    const { path: outputPath, ...outputOptions } = output;
+    
+    return JSON.stringify({ mode, devtool, target, output: outputOptions, minimize: optimization.minimize }, (key, value) => {
+      if (value instanceof RegExp || typeof value === 'function') {
+        return value.toString();
+      }
+      return value;
+    });
   }
   
   /**
-   * 获取所有资源
+   * 获取所有资源 [{ name, source, info }]
    */
   getAssets() {
-    return this.assets;
+    return Array.from(this.assets, ([name, source]) => ({ name, source, info: this.assetsInfo.get(name) || {} }));
+  }
+  
+  /**
+   * 获取资源 { name, source, info }，不存在时返回 undefined
+   */
+  getAsset(name) {
+    if (!this.assets.has(name)) {
+      return undefined;
+    }
+    
+    return { name, source: this.assets.get(name), info: this.assetsInfo.get(name) || {} };
   }
   
   /**
    * 添加资源
+   * 同名资源内容相同时合并资源信息，内容不同时报告冲突
+   * @param {string} file 文件名
+   * @param {Source|string|Buffer} source 资源内容，字符串和 Buffer 包装为 RawSource
+   * @param {Object} assetInfo 资源信息：immutable（文件名包含 hash）、sourceFilename（对应的源文件）、
+   *   related（关联的资源，如 { sourceMap: 'main.js.map' }）、development、hotModuleReplacement
+   */
+  emitAsset(file, source, assetInfo = {}) {
+    source = toSource(source);
+    
+    const existing = this.assets.get(file);
+    if (existing && !existing.buffer().equals(source.buffer())) {
+      this.errors.push(`多个资源输出到同一文件 ${file}，但内容不同`);
+      this.assets.set(file, source);
+      this.assetsInfo.set(file, assetInfo);
+      return;
+    }
+    
+    this.assets.set(file, source);
+    this.assetsInfo.set(file, { ...this.assetsInfo.get(file), ...assetInfo });
+  }
+  
+  /**
+   * 更新资源
+   * @param {Source|Function} newSourceOrFunction 新内容，或以旧的 Source 为参数返回新内容的函数
+   * @param {Object|Function} assetInfoUpdateOrFunction 合并到资源信息的对象，或以旧的资源信息为参数返回新资源信息的函数
    */
-  emitAsset(filename, source) {
-    this.assets.set(filename, {
-      source: typeof source === 'function' ? source : () => source,
-      size: typeof source === 'function' ? source().length : source.length
+  updateAsset(file, newSourceOrFunction, assetInfoUpdateOrFunction) {
+    if (!this.assets.has(file)) {
+      throw new Error(`updateAsset: 资源 ${file} 不存在`);
+    }
+    
+    const source = typeof newSourceOrFunction === 'function'
+      ? newSourceOrFunction(this.assets.get(file))
+      : newSourceOrFunction;
+    this.assets.set(file, toSource(source));
+    
+    if (assetInfoUpdateOrFunction !== undefined) {
+      const info = this.assetsInfo.get(file) || {};
+      this.assetsInfo.set(file, typeof assetInfoUpdateOrFunction === 'function'
+        ? assetInfoUpdateOrFunction(info)
+        : { ...info, ...assetInfoUpdateOrFunction });
+    }
+  }
+  
+  /**
+   * 删除资源，同时从代码块的文件列表中移除，并删除关联的资源（如 Source Map）
+   */
+  deleteAsset(file) {
+    if (!this.assets.has(file)) {
+      return;
+    }
+    
+    const info = this.assetsInfo.get(file) || {};
+    this.assets.delete(file);
+    this.assetsInfo.delete(file);
+    
+    this.chunks.forEach(chunk => {
+      chunk.files = chunk.files.filter(chunkFile => chunkFile !== file);
     });
+    
+    Object.values(info.related || {}).flat().forEach(related => this.deleteAsset(related));
   }
   
   /**
@@ -305,4 +903,25 @@ class Compilation {
   }
 }
 
+/**
+ * 把 emitAsset、updateAsset 的内容转换为 Source
+ * 只有 source() 的对象（如旧插件直接构造的 { source, size }）用 CachedSource 包装
+ */
+function toSource(value) {
+  if (value && typeof value === 'object' && typeof value.source === 'function') {
+    return typeof value.buffer === 'function' ? value : new CachedSource(value);
+  }
+  
+  return new RawSource(value);
+}
+
+// processAssets 的阶段，数值小的先执行
+Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL = -2000; // 添加资源
+Compilation.PROCESS_ASSETS_STAGE_ADDITIONS = -100; // 在已有资源中添加内容（如横幅）
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE = 100; // 优化资源
+Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE = 400; // 减小资源体积（如压缩）
+Compilation.PROCESS_ASSETS_STAGE_DEV_TOOLING = 500; // 开发工具（如 Source Map）
+Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE = 1000; // 汇总资源列表
+Compilation.PROCESS_ASSETS_STAGE_REPORT = 5000; // 生成报告
+
 module.exports = Compilation;
\ No newline at end of file
@@ -1,7 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 const Compilation = require('./compilation');
-const { SyncHook, AsyncSeriesHook } = require('./hooks');
+const Watching = require('./watching');
+const { createCache } = require('./cache');
+const WorkerPool = require('./worker-pool');
+const JsMinimizerPlugin = require('./plugins/js-minimizer');
+const { SyncHook, SyncBailHook, AsyncSeriesHook, AsyncParallelHook } = require('./hooks');
 
 /**
  * Webpack 编译器核心类
@@ -10,37 +14,89 @@ const { SyncHook, AsyncSeriesHook } = require('./hooks');
 class Compiler {
   constructor(options) {
     this.options = options;
+    this.name = options.name; // 配置名称，多配置构建时用于 dependencies 和统计信息
     this.hooks = {
+      // 插件注册完成后，准备编译环境
+      environment: new SyncHook([]),
+      afterEnvironment: new SyncHook([]),
+      // 处理 entry 配置，返回 true 表示插件自行添加入口
+      entryOption: new SyncBailHook(['context', 'entry']),
       // 编译开始前
       beforeRun: new AsyncSeriesHook(['compiler']),
       // 编译开始
       run: new AsyncSeriesHook(['compiler']),
+      // 创建编译实例后（thisCompilation 先于 compilation 触发）
+      thisCompilation: new SyncHook(['compilation']),
+      compilation: new SyncHook(['compilation']),
+      // 添加入口并构建模块
+      make: new AsyncParallelHook(['compilation']),
+      finishMake: new AsyncSeriesHook(['compilation']),
+      // 封装完成后
+      afterCompile: new AsyncSeriesHook(['compilation']),
+      // 返回 false 时不输出资源
+      shouldEmit: new SyncBailHook(['compilation']),
       // 编译完成
       done: new SyncHook(['stats']),
       // 生成资源前
       emit: new AsyncSeriesHook(['compilation']),
+      // 每个资源写入磁盘后
+      assetEmitted: new AsyncSeriesHook(['file', 'info']),
       // 生成资源后
       afterEmit: new AsyncSeriesHook(['compilation']),
       // 编译失败
-      failed: new SyncHook(['error'])
+      failed: new SyncHook(['error']),
+      // 监听模式下每次构建开始
+      watchRun: new AsyncSeriesHook(['compiler']),
+      // 监听的文件发生变化（手动 invalidate 时 filename 为 null）
+      invalid: new SyncHook(['filename', 'changeTime']),
+      // 停止监听
+      watchClose: new SyncHook([]),
+      // 关闭编译器
+      shutdown: new AsyncSeriesHook([]),
+      // 编译器自身的日志（如生成文件），返回非 undefined 时不再输出到控制台
+      infrastructureLog: new SyncBailHook(['origin', 'type', 'args'])
     };
     
+    // 监听模式状态
+    this.watching = null;
+    this.watchMode = false;
+    this.modifiedFiles = undefined; // 上次构建后变化的文件
+    this.removedFiles = undefined; // 上次构建后删除的文件
+    this.moduleCache = new Map(); // 模块标识 -> 上次构建的模块，用于增量构建
+    this.cache = createCache(options); // 持久化的文件系统缓存，未开启时为 null
+    this.workerPool = null; // 模块构建线程池，开启 parallelism 时按需创建
+    
     // 注册插件
     this.applyPlugins();
+    
+    this.hooks.environment.call();
+    this.hooks.afterEnvironment.call();
+    
+    // 没有插件接管时，在 make 阶段添加配置中的入口
+    if (this.hooks.entryOption.call(options.context, options.entry) === undefined) {
+      this.hooks.make.tap('EntryPlugin', (compilation) => this.addEntries(compilation));
+    }
   }
   
   /**
-   * 应用插件
+   * 应用插件，开启 optimization.minimize 时再应用 optimization.minimizer 中的压缩插件
    */
   applyPlugins() {
+    const apply = (plugin) => {
+      if (typeof plugin === 'function') {
+        plugin.call(this, this);
+      } else if (plugin && typeof plugin.apply === 'function') {
+        plugin.apply(this);
+      }
+    };
+    
     if (this.options.plugins && Array.isArray(this.options.plugins)) {
-      this.options.plugins.forEach(plugin => {
-        if (typeof plugin === 'function') {
-          plugin.call(this, this);
-        } else if (plugin && typeof plugin.apply === 'function') {
-          plugin.apply(this);
-        }
-      });
+      this.options.plugins.forEach(apply);
+    }
+    
+    const { minimize, minimizer = [] } = this.options.optimization || {};
+    if (minimize) {
+      minimizer.forEach(plugin => apply(plugin === '...' ? new JsMinimizerPlugin() : plugin));
     }
   }
   
@@ -81,6 +137,134 @@ class Compiler {
       }
       
       throw error;
+    } finally {
+      await this.closeWorkerPool();
+    }
+  }
+  
+  /**
+   * 关闭编译器（监听模式下先停止监听），触发 shutdown 钩子并释放线程池
+   */
+  async close(callback) {
+    if (this.watching) {
+      await new Promise(resolve => this.watching.close(resolve));
+    }
+    
+    await this.hooks.shutdown.promise();
+    await this.closeWorkerPool();
+    
+    if (callback) {
+      callback();
+    }
+  }
+  
+  /**
+   * 获取编译器自身使用的日志，输出前先触发 infrastructureLog 钩子
+   */
+  getInfrastructureLogger(name) {
+    const log = (type) => (...args) => {
+      if (this.hooks.infrastructureLog.call(name, type, args) === undefined) {
+        console[type === 'error' || type === 'warn' ? type : 'log'](...args);
+      }
+    };
+    
+    return {
+      error: log('error'),
+      warn: log('warn'),
+      info: log('info'),
+      log: log('log')
+    };
+  }
+  
+  /**
+   * 监听模式构建
+   * 首次构建后监听模块图中的所有文件，变化时增量重新构建
+   */
+  watch(watchOptions = {}, handler = () => {}) {
+    if (this.watching) {
+      throw new Error('Compiler 已处于监听模式');
+    }
+    
+    this.watching = new Watching(this, watchOptions, handler);
+    return this.watching;
+  }
+  
+  /**
+   * 缓存已构建的模块，供下次增量构建复用
+   */
+  cacheModules(compilation) {
+    for (const module of compilation.modules) {
+      if (module.built) {
+        this.moduleCache.set(module.identifier, module);
+      }
+    }
+    
+    if (this.removedFiles) {
+      for (const [identifier, module] of this.moduleCache) {
+        if (this.removedFiles.has(module.path)) {
+          this.moduleCache.delete(identifier);
+        }
+      }
+    }
+  }
+  
+  /**
+   * 获取可复用的缓存模块（仅监听模式下，且模块可缓存、依赖的文件均未变化）
+   */
+  getCachedModule(identifier) {
+    if (!this.modifiedFiles || !this.removedFiles) {
+      return null;
+    }
+    
+    const cachedModule = this.moduleCache.get(identifier);
+    if (!cachedModule || !cachedModule.cacheable) {
+      return null;
+    }
+    
+    for (const file of cachedModule.fileDependencies) {
+      if (this.modifiedFiles.has(file) || this.removedFiles.has(file)) {
+        return null;
+      }
+    }
+    
+    return cachedModule;
+  }
+  
+  /**
+   * 获取模块构建线程池
+   * 未开启 parallelism，或配置中有无法传给线程的函数（如函数形式的 loader）时返回 null
+   */
+  getWorkerPool() {
+    const parallelism = this.options.parallelism || 0;
+    if (parallelism < 1) {
+      return null;
+    }
+    
+    if (!this.workerPool) {
+      const { module, resolveLoader, mode, devtool, context, target, output } = this.options;
+      let workerData;
+      try {
+        workerData = structuredClone({
+          options: { module, resolveLoader, mode, devtool, context, target, output: { publicPath: output?.publicPath, assetModuleFilename: output?.assetModuleFilename } }
+        });
+      } catch (error) {
+        return null;
+      }
+      
+      this.workerPool = new WorkerPool(parallelism, workerData);
+    }
+    
+    return this.workerPool;
+  }
+  
+  /**
+   * 关闭模块构建线程池
+   */
+  async closeWorkerPool() {
+    if (this.workerPool) {
+      const workerPool = this.workerPool;
+      this.workerPool = null;
+      await workerPool.close();
     }
   }
   
@@ -88,14 +272,16 @@ class Compiler {
    * 创建编译实例
    */
   createCompilation() {
-    return new Compilation(this);
+    const compilation = new Compilation(this);
+    this.hooks.thisCompilation.call(compilation);
+    this.hooks.compilation.call(compilation);
+    return compilation;
   }
   
   /**
-   * 执行编译
+   * 添加配置中的入口模块
    */
-  async compile(compilation) {
-    // 添加入口模块
+  addEntries(compilation) {
     const entry = this.options.entry;
     if (typeof entry === 'string') {
       compilation.addEntry(entry, 'main');
@@ -104,21 +290,43 @@ class Compiler {
         compilation.addEntry(entry[name], name);
       });
     }
+  }
+  
+  /**
+   * 执行编译
+   */
+  async compile(compilation) {
+    // 校验文件系统缓存版本（构建依赖变化时缓存失效）
+    if (this.cache) {
+      await this.cache.prepare();
+    }
+    
+    // 添加入口模块
+    await this.hooks.make.promise(compilation);
     
     // 构建模块
     await compilation.build();
+    await this.hooks.finishMake.promise(compilation);
     
     // 封装编译结果
-    compilation.seal();
+    await compilation.seal();
+    await this.hooks.afterCompile.promise(compilation);
     
-    // 触发 emit 钩子
-    await this.hooks.emit.promise(compilation);
-    
-    // 输出文件
-    await this.emitAssets(compilation);
+    if (this.hooks.shouldEmit.call(compilation) !== false) {
+      // 触发 emit 钩子
+      await this.hooks.emit.promise(compilation);
+      
+      // 输出文件
+      await this.emitAssets(compilation);
+      
+      // 触发 afterEmit 钩子
+      await this.hooks.afterEmit.promise(compilation);
+    }
     
-    // 触发 afterEmit 钩子
-    await this.hooks.afterEmit.promise(compilation);
+    // 保存本次构建的模块缓存
+    if (this.cache) {
+      await this.cache.persist();
+    }
   }
   
   /**
@@ -133,13 +341,17 @@ class Compiler {
     }
     
     // 写入所有资源文件
-    const assets = compilation.getAssets();
-    for (const [filename, asset] of assets) {
-      const filePath = path.join(outputPath, filename);
-      const content = typeof asset.source === 'function' ? asset.source() : asset.source;
+    const logger = this.getInfrastructureLogger('Compiler');
+    for (const { name: filename, source } of compilation.getAssets()) {
+      // 文件名中的 [query] 只作用于 URL，写入磁盘时去掉
+      const filePath = path.join(outputPath, filename.replace(/[?#].*$/, ''));
+      const content = source.buffer();
       
+      // 文件名可以包含子目录（如 images/[name].[ext]）
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
       fs.writeFileSync(filePath, content);
-      console.log(`✓ 生成文件: ${filename}`);
+      await this.hooks.assetEmitted.promise(filename, { content, source, outputPath, targetPath: filePath, compilation });
+      logger.info(`✓ 生成文件: ${filename}`);
     }
   }
   
@@ -154,9 +366,11 @@ class Compiler {
       endTime: Date.now(),
       modules: compilation.modules,
       chunks: compilation.chunks,
-      assets: compilation.getAssets(),
+      // 文件名 -> { source(), size, info }
+      assets: new Map(compilation.getAssets().map(({ name, source, info }) => [name, { source: () => source.source(), size: source.size(), info }])),
       errors: compilation.errors,
       warnings: compilation.warnings,
+      cache: this.cache ? { ...compilation.cacheStats } : null,
       
       // 获取构建时间
       get duration() {
@@ -168,24 +382,33 @@ class Compiler {
         return {
           hash: this.hash,
           duration: this.duration,
-          modules: this.modules.map(module => ({
+          modules: Array.from(this.modules).map(module => ({
             id: module.id,
             name: module.name,
+            external: module.external,
             size: module.size,
-            dependencies: module.dependencies.map(dep => dep.request)
+            dependencies: module.dependencies.map(dep => dep.request),
+            providedExports: module.providedExports,
+            usedExports: module.usedExports === true ? true : Array.from(module.usedExports),
+            prunedExports: module.getUnusedExports(),
+            concatenatedModules: module.concatenatedModules ? module.concatenatedModules.map(item => item.readableIdentifier()) : null,
+            concatenationRoot: module.concatenationRoot ? module.concatenationRoot.readableIdentifier() : null,
+            optimizationBailout: module.optimizationBailout
           })),
           chunks: this.chunks.map(chunk => ({
             id: chunk.id,
             name: chunk.name,
             size: chunk.size,
-            modules: chunk.modules.map(module => module.id)
+            modules: Array.from(chunk.modules).map(module => module.id)
           })),
           assets: Array.from(this.assets.entries()).map(([name, asset]) => ({
             name,
-            size: asset.size
+            size: asset.size,
+            info: asset.info
           })),
           errors: this.errors,
-          warnings: this.warnings
+          warnings: this.warnings,
+          cache: this.cache
         };
       },
       
@@ -196,6 +419,9 @@ class Compiler {
         
         output.push(`Hash: ${json.hash}`);
         output.push(`Time: ${json.duration}ms`);
+        if (json.cache) {
+          output.push(`Cache: ${json.cache.hits} hits, ${json.cache.misses} misses`);
+        }
         output.push('');
         
         if (json.assets.length > 0) {
@@ -214,6 +440,21 @@ class Compiler {
           output.push('');
         }
         
+        // optimizationBailout：输出模块不能合并的原因
+        if (options.optimizationBailout) {
+          const modules = Array.from(this.modules).filter(module => module.optimizationBailout.length > 0);
+          if (modules.length > 0) {
+            output.push('Modules:');
+            modules.forEach(module => {
+              output.push(`  ${module.readableIdentifier()}`);
+              module.optimizationBailout.forEach(reason => {
+                output.push(`    ModuleConcatenation bailout: ${reason}`);
+              });
+            });
+            output.push('');
+          }
+        }
+        
         if (json.errors.length > 0) {
           output.push('Errors:');
           json.errors.forEach(error => {
@@ -1,5 +1,30 @@
 const path = require('path');
+const os = require('os');
 const { isObject, isString, isArray, isFunction, deepMerge } = require('./utils');
+const Ids = require('./ids');
+const Externals = require('./externals');
+
+/**
+ * output.library.type 支持的取值
+ */
+const LIBRARY_TYPES = ['var', 'assign', 'this', 'window', 'global', 'commonjs', 'commonjs2', 'amd', 'umd', 'module'];
+
+/**
+ * 各 target 默认的异步代码块加载方式
+ */
+const CHUNK_LOADING = {
+  web: 'jsonp',
+  webworker: 'import-scripts',
+  node: 'require',
+  'async-node': 'async-node'
+};
+
+/**
+ * 是否为 Node.js 环境的 target
+ */
+function isNodeTarget(target) {
+  return target === 'node' || target === 'async-node';
+}
 
 /**
  * 默认配置
@@ -10,12 +35,26 @@ const defaultConfig = {
   output: {
     path: path.resolve(process.cwd(), 'dist'),
     filename: '[name].js',
-    publicPath: '/'
+    chunkFilename: '[id].js',
+    chunkLoadingGlobal: 'webpackChunk',
+    publicPath: '/',
+    hotUpdateChunkFilename: '[id].[hash].hot-update.js',
+    hotUpdateMainFilename: '[hash].hot-update.json',
+    sourceMapFilename: '[file].map',
+    assetModuleFilename: '[name].[hash:8][ext]'
   },
   resolve: {
     extensions: ['.js', '.json'],
     alias: {},
-    modules: ['node_modules']
+    fallback: {},
+    modules: ['node_modules'],
+    mainFiles: ['index'],
+    symlinks: true
+  },
+  resolveLoader: {
+    modules: ['node_modules'],
+    extensions: ['.js'],
+    mainFields: ['loader', 'main']
   },
   module: {
     rules: []
@@ -33,15 +72,29 @@ const defaultConfig = {
   optimization: {
     splitChunks: {
       chunks: 'all',
+      minSize: 20000,
+      minChunks: 1,
       cacheGroups: {
         vendor: {
           test: /[\\/]node_modules[\\/]/,
           name: 'vendors',
-          chunks: 'all'
+          chunks: 'all',
+          priority: -10,
+          reuseExistingChunk: true
+        },
+        default: {
+          minChunks: 2,
+          priority: -20,
+          reuseExistingChunk: true
         }
       }
     }
   },
+  watchOptions: {
+    aggregateTimeout: 300,
+    poll: false,
+    ignored: /[\\/]node_modules[\\/]/
+  },
   devtool: 'source-map',
   target: 'web',
   stats: {
@@ -92,10 +145,17 @@ class ConfigResolver {
     config.entry = this.normalizeEntry(config.entry);
 
     // 规范化 output
-    config.output = this.normalizeOutput(config.output);
+    config.output = this.normalizeOutput(config.output, config.target);
+
+    // 规范化 node
+    config.node = this.normalizeNode(config.node, config.target);
+
+    // 外部模块类型默认与 library 的类型一致，Node.js 环境下为 commonjs
+    config.externalsType = config.externalsType || this.getDefaultExternalsType(config);
 
     // 规范化 resolve
     config.resolve = this.normalizeResolve(config.resolve);
+    config.resolveLoader = this.normalizeResolve(config.resolveLoader);
 
     // 规范化 module rules
     config.module.rules = this.normalizeRules(config.module.rules);
@@ -103,10 +163,77 @@ class ConfigResolver {
     // 规范化 plugins
     config.plugins = this.normalizePlugins(config.plugins);
 
+    // 规范化 optimization
+    config.optimization = this.normalizeOptimization(config.optimization, config.mode);
+
+    // 规范化 parallelism
+    config.parallelism = this.normalizeParallelism(config.parallelism);
+
     // 设置环境变量
     this.setEnvironment(config.mode);
   }
 
+  /**
+   * 规范化构建线程数，true 表示使用除主线程外的所有 CPU，0 表示在主线程构建
+   */
+  normalizeParallelism(parallelism) {
+    if (parallelism === true) {
+      return Math.max(os.cpus().length - 1, 1);
+    }
+
+    return parallelism || 0;
+  }
+
+  /**
+   * 规范化优化配置，usedExports、sideEffects、concatenateModules、minimize 未设置时在 production 模式下开启；
+   * moduleIds、chunkIds 在 production 下默认 deterministic，development 下默认 named；
+   * minimizer 中的 '...' 表示内置的 JsMinimizerPlugin
+   */
+  normalizeOptimization(optimization = {}, mode) {
+    const production = mode === 'production';
+    const ids = production ? 'deterministic' : mode === 'development' ? 'named' : 'natural';
+
+    return {
+      ...optimization,
+      usedExports: optimization.usedExports !== undefined ? optimization.usedExports : production,
+      sideEffects: optimization.sideEffects !== undefined ? optimization.sideEffects : production,
+      concatenateModules: optimization.concatenateModules !== undefined ? optimization.concatenateModules : production,
+      minimize: optimization.minimize !== undefined ? optimization.minimize : production,
+      minimizer: optimization.minimizer || ['...'],
+      moduleIds: optimization.moduleIds || ids,
+      chunkIds: optimization.chunkIds || ids
+    };
+  }
+
+  /**
+   * 规范化 node 选项：__dirname、__filename 在 web 下默认替换为模拟值，node 下保留运行时的值
+   * false 表示都不处理
+   */
+  normalizeNode(node, target) {
+    if (node === false) {
+      return { __dirname: false, __filename: false };
+    }
+
+    const defaultValue = isNodeTarget(target) ? 'eval-only' : 'mock';
+    return {
+      __dirname: defaultValue,
+      __filename: defaultValue,
+      ...node
+    };
+  }
+
+  /**
+   * 默认的外部模块类型
+   */
+  getDefaultExternalsType(config) {
+    const libraryType = config.output.library && config.output.library.type;
+    if (Externals.EXTERNAL_TYPES.includes(libraryType)) {
+      return libraryType;
+    }
+
+    return isNodeTarget(config.target) ? 'commonjs' : 'var';
+  }
+
   /**
    * 规范化入口配置
    */
@@ -143,8 +270,9 @@ class ConfigResolver {
   /**
    * 规范化输出配置
    */
-  normalizeOutput(output) {
+  normalizeOutput(output, target) {
     const normalized = { ...output };
+    const node = isNodeTarget(target);
 
     // 确保 path 是绝对路径
     if (normalized.path && !path.isAbsolute(normalized.path)) {
@@ -156,6 +284,20 @@ class ConfigResolver {
       normalized.publicPath += '/';
     }
 
+    // 异步代码块的加载方式和格式、全局对象默认由 target 决定
+    normalized.chunkLoading = normalized.chunkLoading || CHUNK_LOADING[target];
+    normalized.chunkFormat = normalized.chunkFormat ||
+      (['require', 'async-node'].includes(normalized.chunkLoading) ? 'commonjs' : 'array-push');
+    normalized.globalObject = normalized.globalObject || (node ? 'global' : 'self');
+
+    // library 可以只写名称，默认以 var 形式暴露
+    if (normalized.library) {
+      const library = isString(normalized.library) || isArray(normalized.library)
+        ? { name: normalized.library }
+        : normalized.library;
+      normalized.library = { type: 'var', ...library };
+    }
+
     return normalized;
   }
 
@@ -165,19 +307,29 @@ class ConfigResolver {
   normalizeResolve(resolve) {
     const normalized = { ...resolve };
 
-    // 规范化 alias
-    if (normalized.alias) {
-      const normalizedAlias = {};
-      for (const [key, value] of Object.entries(normalized.alias)) {
-        normalizedAlias[key] = path.resolve(process.cwd(), value);
+    // 规范化 alias、fallback：相对路径转为绝对路径，模块名和 false 保持不变
+    const normalizeTarget = (value) => {
+      if (isArray(value)) {
+        return value.map(normalizeTarget);
       }
-      normalized.alias = normalizedAlias;
-    }
+      return isString(value) && value.startsWith('.') ? path.resolve(process.cwd(), value) : value;
+    };
+
+    ['alias', 'fallback'].forEach(key => {
+      if (normalized[key]) {
+        const normalizedAlias = {};
+        for (const [name, value] of Object.entries(normalized[key])) {
+          normalizedAlias[name] = normalizeTarget(value);
+        }
+        normalized[key] = normalizedAlias;
+      }
+    });
 
-    // 规范化 modules
+    // 规范化 modules：目录名（如 node_modules）从请求所在目录逐级向上查找，路径转为绝对路径
     if (normalized.modules) {
       normalized.modules = normalized.modules.map(module => {
-        return path.isAbsolute(module) ? module : path.resolve(process.cwd(), module);
+        const isName = !module.startsWith('.') && !/[\\/]/.test(module);
+        return isName || path.isAbsolute(module) ? module : path.resolve(process.cwd(), module);
       });
     }
 
@@ -280,11 +432,80 @@ class ConfigResolver {
         errors.push(`Module rule ${index} 必须包含 test、include 或 exclude`);
       }
 
-      if (!rule.use && !rule.loader) {
-        errors.push(`Module rule ${index} 必须包含 use 或 loader`);
+      if (!rule.use && !rule.loader && !rule.type) {
+        errors.push(`Module rule ${index} 必须包含 use、loader 或 type`);
       }
     });
 
+    // 验证 target
+    if (!Object.keys(CHUNK_LOADING).includes(config.target)) {
+      errors.push(`Target 必须是 ${Object.keys(CHUNK_LOADING).join('、')} 之一`);
+    }
+
+    // 验证 externalsType
+    if (!Externals.EXTERNAL_TYPES.includes(config.externalsType)) {
+      errors.push(`ExternalsType 必须是 ${Externals.EXTERNAL_TYPES.join('、')} 之一`);
+    }
+
+    // 验证 node
+    ['__dirname', '__filename'].forEach(key => {
+      if (![true, false, 'mock', 'warn-mock', 'eval-only'].includes(config.node[key])) {
+        errors.push(`Node.${key} 必须是 true、false、mock、warn-mock 或 eval-only`);
+      }
+    });
+
+    // 验证 library
+    const library = config.output.library;
+    if (library) {
+      if (!LIBRARY_TYPES.includes(library.type)) {
+        errors.push(`Output.library.type 必须是 ${LIBRARY_TYPES.join('、')} 之一`);
+      } else if (['var', 'assign'].includes(library.type) && !library.name) {
+        errors.push(`Output.library.type 为 ${library.type} 时必须指定 name`);
+      }
+    }
+
+    // 验证 moduleIds、chunkIds
+    ['moduleIds', 'chunkIds'].forEach(key => {
+      if (!Ids.STRATEGIES.includes(config.optimization[key])) {
+        errors.push(`Optimization.${key} 必须是 ${Ids.STRATEGIES.join('、')} 之一`);
+      }
+    });
+
+    // 验证 concatenateModules
+    if (typeof config.optimization.concatenateModules !== 'boolean') {
+      errors.push('Optimization.concatenateModules 必须是布尔值');
+    }
+
+    // 验证 minimize、minimizer
+    if (typeof config.optimization.minimize !== 'boolean') {
+      errors.push('Optimization.minimize 必须是布尔值');
+    }
+
+    if (!isArray(config.optimization.minimizer) || !config.optimization.minimizer.every(plugin => {
+      return plugin === '...' || isFunction(plugin) || (plugin && isFunction(plugin.apply));
+    })) {
+      errors.push("Optimization.minimizer 必须是插件、函数或 '...' 组成的数组");
+    }
+
+    // 验证 name、dependencies（多配置构建时使用）
+    if (config.name !== undefined && !isString(config.name)) {
+      errors.push('Name 必须是字符串');
+    }
+
+    if (config.dependencies !== undefined && (!isArray(config.dependencies) || !config.dependencies.every(isString))) {
+      errors.push('Dependencies 必须是配置名称的数组');
+    }
+
+    // 验证 parallelism
+    if (!Number.isInteger(config.parallelism) || config.parallelism < 0) {
+      errors.push('Parallelism 必须是非负整数或布尔值');
+    }
+
+    // 验证 cache
+    if (isObject(config.cache) && !['memory', 'filesystem'].includes(config.cache.type)) {
+      errors.push('Cache.type 必须是 memory 或 filesystem');
+    }
+
     if (errors.length > 0) {
       throw new Error('配置验证失败:\n' + errors.join('\n'));
     }
@@ -369,6 +590,14 @@ class ConfigResolver {
     return config.optimization;
   }
 
+  /**
+   * 获取监听配置
+   */
+  getWatchOptions() {
+    const config = this.resolve();
+    return config.watchOptions;
+  }
+
   /**
    * 获取统计信息配置
    */
@@ -378,6 +607,39 @@ class ConfigResolver {
   }
 }
 
+/**
+ * 多配置解析器
+ * 配置为数组时每一项单独解析，数组上的 parallelism 属性限制同时运行的编译器数量
+ */
+class MultiConfigResolver {
+  constructor(userConfigs = []) {
+    this.resolvers = userConfigs.map(userConfig => new ConfigResolver(userConfig));
+    this.parallelism = userConfigs.parallelism === undefined ? Infinity : userConfigs.parallelism;
+  }
+
+  /**
+   * 解析所有配置
+   */
+  resolve() {
+    if (this.resolvers.length === 0) {
+      throw new Error('配置验证失败:\n配置数组不能为空');
+    }
+
+    if (this.parallelism !== Infinity && (!Number.isInteger(this.parallelism) || this.parallelism < 1)) {
+      throw new Error('配置验证失败:\n配置数组的 parallelism 必须是正整数');
+    }
+
+    return this.resolvers.map(resolver => resolver.resolve());
+  }
+
+  /**
+   * 获取解析后的配置数组
+   */
+  getConfig() {
+    return this.resolve();
+  }
+}
+
 /**
  * 从文件加载配置
  */
@@ -421,31 +683,61 @@ function findConfigFile(cwd = process.cwd()) {
   return null;
 }
 
+/**
+ * 合并配置文件和传入的配置，任一方为数组时按项合并
+ * 数组与单个配置合并时，单个配置（如命令行的 mode）作用于每一项
+ */
+function mergeConfigs(fileConfig, config) {
+  if (!isArray(fileConfig) && !isArray(config)) {
+    return deepMerge(fileConfig, config);
+  }
+
+  const fileConfigs = [].concat(fileConfig);
+  const configs = [].concat(config);
+  const length = Math.max(fileConfigs.length, configs.length);
+  const merged = Array.from({ length }, (_, index) => deepMerge(
+    isArray(fileConfig) ? fileConfigs[index] || {} : fileConfig,
+    isArray(config) ? configs[index] || {} : config
+  ));
+
+  const parallelism = isArray(config) && config.parallelism !== undefined
+    ? config.parallelism
+    : isArray(fileConfig) ? fileConfig.parallelism : undefined;
+  if (parallelism !== undefined) {
+    merged.parallelism = parallelism;
+  }
+
+  return merged;
+}
+
 /**
  * 创建配置解析器
+ * 配置（或配置函数的返回值）为数组时返回 MultiConfigResolver
  */
 function createConfigResolver(userConfig, configPath) {
-  let config = userConfig || {};
+  let config = isFunction(userConfig) ? userConfig(process.env, process.argv) : userConfig || {};
 
   // 如果提供了配置文件路径，则加载配置文件
   if (configPath) {
     const fileConfig = loadConfigFromFile(configPath);
-    config = deepMerge(fileConfig, config);
+    config = mergeConfigs(fileConfig, config);
   } else {
     // 尝试自动查找配置文件
     const foundConfigPath = findConfigFile();
     if (foundConfigPath) {
       const fileConfig = loadConfigFromFile(foundConfigPath);
-      config = deepMerge(fileConfig, config);
+      config = mergeConfigs(fileConfig, config);
     }
   }
 
-  return new ConfigResolver(config);
+  return isArray(config) ? new MultiConfigResolver(config) : new ConfigResolver(config);
 }
 
 module.exports = {
   ConfigResolver,
+  MultiConfigResolver,
   defaultConfig,
+  isNodeTarget,
   loadConfigFromFile,
   findConfigFile,
   createConfigResolver
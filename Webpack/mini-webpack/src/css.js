@@ -0,0 +1,452 @@
+const path = require('path');
+const { interpolateName } = require('./utils');
+
+/**
+ * CSS 处理
+ * 解析 @import 和 url() 依赖，开启 CSS Modules 时为类名、id 和 @keyframes 生成局部作用域的名称
+ */
+
+const DEFAULT_LOCAL_IDENT_NAME = '[name]__[local]--[hash:5]';
+
+// 注释或 url()，注释中的 url() 不作为依赖
+const URL_REGEX = /\/\*[\s\S]*?\*\/|\burl\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]*))\s*\)/gi;
+
+/**
+ * 解析 CSS
+ * @param {string} source CSS 源码
+ * @param {Object} options
+ * @param {boolean|string} options.modules 是否开启 CSS Modules，'auto' 时只处理 *.module.css
+ * @param {string} options.localIdentName 局部名称模板，支持 [name]、[local]、[path]、[hash]
+ * @param {boolean} options.import 是否处理 @import，默认 true
+ * @param {boolean} options.url 是否处理 url()，默认 true
+ * @param {string} options.resourcePath CSS 文件路径
+ * @param {string} options.context 项目根目录（[path] 和 hash 基于它计算）
+ * @returns {{ css: string, imports: Array<{ request: string, media: string|null }>, urls: string[], exports: Object|null }}
+ */
+function parseCss(source, options = {}) {
+  const modules = isModulesEnabled(options.modules, options.resourcePath);
+  const imports = [];
+  const exports = modules ? {} : null;
+  const keyframes = modules ? getLocalKeyframes(source) : new Set();
+
+  const localize = (name) => {
+    if (!exports[name]) {
+      exports[name] = getLocalIdent(name, options);
+    }
+    return exports[name];
+  };
+
+  // 按 { ; } 把源码切分为规则头和声明，字符串、注释和括号中的内容原样保留
+  const blocks = [];
+  let css = '';
+  let text = '';
+  let depth = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      text += source.slice(i, stop);
+      i = stop - 1;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      const stop = findStringEnd(source, i);
+      text += source.slice(i, stop);
+      i = stop - 1;
+      continue;
+    }
+
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(depth - 1, 0);
+    }
+
+    if (depth > 0 || (char !== '{' && char !== ';' && char !== '}')) {
+      text += char;
+      continue;
+    }
+
+    if (char === '{') {
+      const { prelude, kind } = transformPrelude(text, blocks[blocks.length - 1], modules, localize, keyframes);
+      css += `${prelude}{`;
+      blocks.push(kind);
+    } else if (char === ';') {
+      const importRule = blocks.length === 0 && options.import !== false ? parseImport(text) : null;
+      if (importRule) {
+        imports.push({ request: importRule.request, media: importRule.media });
+        css += importRule.leading;
+      } else {
+        css += `${transformDeclaration(text, modules, localize, keyframes)};`;
+      }
+    } else {
+      css += `${transformDeclaration(text, modules, localize, keyframes)}}`;
+      blocks.pop();
+    }
+    text = '';
+  }
+  css += text;
+
+  const urls = [];
+  if (options.url !== false) {
+    replaceUrls(css, (request) => {
+      if (!urls.includes(request)) {
+        urls.push(request);
+      }
+      return null;
+    });
+  }
+
+  return { css, imports, urls, exports };
+}
+
+/**
+ * 替换 CSS 中可解析的 url()
+ * replacer(request, suffix) 返回新的 URL，返回 null 时保留原样；suffix 为原 URL 中的 ?query#hash
+ */
+function replaceUrls(css, replacer) {
+  return css.replace(URL_REGEX, (match, doubleQuoted, singleQuoted, unquoted) => {
+    if (match.startsWith('/*')) {
+      return match;
+    }
+
+    const url = [doubleQuoted, singleQuoted, unquoted].find(value => value !== undefined).trim();
+    const parsed = parseUrlRequest(url);
+    if (!parsed) {
+      return match;
+    }
+
+    const replacement = replacer(parsed.request, parsed.suffix);
+    return replacement === null || replacement === undefined ? match : `url(${JSON.stringify(replacement)})`;
+  });
+}
+
+/**
+ * 把 CSS 中的 URL 转换为模块请求
+ * 协议 URL、data URI、绝对路径和 # 开头的 URL 不处理；~ 开头从 node_modules 解析，其余按相对路径处理
+ * @returns {{ request: string, suffix: string }|null}
+ */
+function parseUrlRequest(url) {
+  if (!url || /^(?:[a-z][a-z\d+.-]*:|\/|#)/i.test(url)) {
+    return null;
+  }
+
+  const index = url.search(/[?#]/);
+  const pathname = index === -1 ? url : url.slice(0, index);
+  const suffix = index === -1 ? '' : url.slice(index);
+  if (!pathname) {
+    return null;
+  }
+
+  let request = pathname;
+  if (request.startsWith('~')) {
+    request = request.slice(1);
+  } else if (!request.startsWith('./') && !request.startsWith('../')) {
+    request = `./${request}`;
+  }
+
+  return { request, suffix };
+}
+
+/**
+ * 是否开启 CSS Modules
+ */
+function isModulesEnabled(modules, resourcePath = '') {
+  if (modules === 'auto') {
+    return /\.module\.\w+$/i.test(resourcePath);
+  }
+  return !!modules;
+}
+
+/**
+ * 生成局部名称，hash 由文件相对路径和原名称计算，保证同一文件的同名类在多次构建中一致
+ */
+function getLocalIdent(local, options) {
+  const context = options.context || process.cwd();
+  const resourcePath = options.resourcePath || path.join(context, 'index.css');
+  const relativePath = path.relative(context, resourcePath).split(path.sep).join('/');
+
+  const ident = interpolateName(options.localIdentName || DEFAULT_LOCAL_IDENT_NAME, {
+    resourcePath,
+    context,
+    content: `${relativePath}\0${local}`,
+    ext: ''
+  })
+    .replace(/\[local\]/g, local)
+    .replace(/[^\w-]/g, '-');
+
+  // 类名不能以数字开头
+  return /^(?:\d|-\d|--)/.test(ident) ? `_${ident}` : ident;
+}
+
+/**
+ * 解析 @import 语句：@import "a.css" media; 或 @import url(a.css) media;
+ * 无法解析的请求（如 http URL）返回 null，保留在 CSS 中
+ */
+function parseImport(text) {
+  const match = /^((?:\s|\/\*[\s\S]*?\*\/)*)@import\s+(?:url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]*))\s*\)|"([^"]*)"|'([^']*)')([\s\S]*)$/i.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const url = match.slice(2, 7).find(value => value !== undefined);
+  const parsed = parseUrlRequest(url.trim());
+  if (!parsed) {
+    return null;
+  }
+
+  return {
+    leading: match[1],
+    request: parsed.request,
+    media: match[7].trim() || null
+  };
+}
+
+/**
+ * 转换规则头：选择器局部化，@keyframes 名称局部化
+ * @returns {{ prelude: string, kind: string }} kind 为 rule、keyframes、keyframe 或 at-rule
+ */
+function transformPrelude(text, parentKind, modules, localize, keyframes) {
+  const trimmed = text.replace(/^(?:\s|\/\*[\s\S]*?\*\/)*/, '');
+
+  if (parentKind === 'keyframes') {
+    return { prelude: text, kind: 'keyframe' };
+  }
+
+  if (trimmed.startsWith('@')) {
+    const keyframesMatch = /^@(?:-\w+-)?keyframes\s/i.exec(trimmed);
+    if (!keyframesMatch) {
+      return { prelude: text, kind: 'at-rule' };
+    }
+
+    const prelude = !modules ? text : text.replace(
+      /(keyframes\s+)(?::(global|local)\(\s*([-\w]+)\s*\)|([-\w]+))/i,
+      (match, keyword, scope, scopedName, name) => {
+        if (scope === 'global') {
+          return `${keyword}${scopedName}`;
+        }
+        return `${keyword}${localize(scopedName || name)}`;
+      }
+    );
+    return { prelude, kind: 'keyframes' };
+  }
+
+  return {
+    prelude: modules ? transformSelector(text, localize) : text,
+    kind: 'rule'
+  };
+}
+
+/**
+ * 局部化选择器中的类名和 id
+ * :global(.a) 和 :local(.a) 只作用于括号内，单独的 :global / :local 切换之后的部分
+ */
+function transformSelector(selector, localize) {
+  return splitTopLevel(selector, ',').map(part => {
+    let mode = 'local';
+    let result = '';
+    let i = 0;
+
+    while (i < part.length) {
+      const rest = part.slice(i);
+
+      if (rest.startsWith('/*')) {
+        const end = part.indexOf('*/', i + 2);
+        const stop = end === -1 ? part.length : end + 2;
+        result += part.slice(i, stop);
+        i = stop;
+        continue;
+      }
+
+      const scopeFunction = /^:(global|local)\(/.exec(rest);
+      if (scopeFunction) {
+        const start = i + scopeFunction[0].length;
+        const end = findClosingParen(part, start);
+        const inner = part.slice(start, end);
+        result += scopeFunction[1] === 'global' ? inner : transformSelector(inner, localize);
+        i = end + 1;
+        continue;
+      }
+
+      const scopeSwitch = /^:(global|local)(?![\w(-])/.exec(rest);
+      if (scopeSwitch) {
+        mode = scopeSwitch[1];
+        i += scopeSwitch[0].length;
+        // 选择器开头的 :global 后的空格不是后代选择器
+        if (result.trim() === '') {
+          while (/\s/.test(part[i] || '')) {
+            i++;
+          }
+        }
+        continue;
+      }
+
+      if (part[i] === '[' || part[i] === '"' || part[i] === '\'') {
+        const stop = part[i] === '[' ? part.indexOf(']', i) + 1 : findStringEnd(part, i);
+        const end = stop > i ? stop : part.length;
+        result += part.slice(i, end);
+        i = end;
+        continue;
+      }
+
+      const name = /^([.#])(-?[_a-zA-Z\u00A0-\uFFFF][\w\u00A0-\uFFFF-]*)/.exec(rest);
+      if (name) {
+        result += mode === 'local' ? `${name[1]}${localize(name[2])}` : name[0];
+        i += name[0].length;
+        continue;
+      }
+
+      result += part[i];
+      i++;
+    }
+
+    return result;
+  }).join(',');
+}
+
+/**
+ * CSS Modules 下把 animation / animation-name 中引用的本地 @keyframes 替换为局部名称
+ */
+function transformDeclaration(text, modules, localize, keyframes) {
+  if (!modules || keyframes.size === 0) {
+    return text;
+  }
+
+  const match = /^(\s*(?:-\w+-)?animation(?:-name)?\s*:)([\s\S]*)$/i.exec(text);
+  if (!match) {
+    return text;
+  }
+
+  const value = match[2].replace(/(^|[\s,])(-?[_a-zA-Z][\w-]*)(?=$|[\s,!])/g, (token, prefix, name) => {
+    return keyframes.has(name) ? `${prefix}${localize(name)}` : token;
+  });
+  return `${match[1]}${value}`;
+}
+
+/**
+ * 收集文件中定义的本地 @keyframes 名称（:global 的除外）
+ */
+function getLocalKeyframes(source) {
+  const names = new Set();
+  const regex = /@(?:-\w+-)?keyframes\s+(?::local\(\s*([-\w]+)\s*\)|([-\w]+))/gi;
+  let match;
+
+  while ((match = regex.exec(source))) {
+    names.add(match[1] || match[2]);
+  }
+  return names;
+}
+
+/**
+ * 按分隔符切分，忽略括号、方括号、字符串和注释中的分隔符
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === '"' || char === '\'') {
+      i = findStringEnd(text, i) - 1;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * 查找字符串结束位置（结束引号之后），支持转义
+ */
+function findStringEnd(text, start) {
+  const quote = text[start];
+
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote || text[i] === '\n') {
+      return i + 1;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * 查找与 start 之前的左括号匹配的右括号位置
+ */
+function findClosingParen(text, start) {
+  let depth = 1;
+
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') {
+      depth++;
+    } else if (text[i] === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * 按 @import 顺序拼接 CSS 模块：被导入的模块排在导入它的模块之前，每个模块只输出一次
+ * @param {Array<[Module, string|null]>} entries 起始模块及其媒体查询
+ * @param {Function} replaceUrl url() 依赖的模块 -> 新的 URL，返回 null 时保留原样
+ * @param {Function} include 是否输出该模块（如只输出当前代码块中的模块）
+ */
+function renderCssModules(entries, replaceUrl, include = () => true) {
+  const visited = new Set();
+  const parts = [];
+
+  const visit = (module, media) => {
+    if (visited.has(module) || !include(module)) {
+      return;
+    }
+    visited.add(module);
+
+    module.dependencies.forEach(dep => {
+      if (dep.type === 'css' && dep.module) {
+        visit(dep.module, combineMedia(media, dep.media));
+      }
+    });
+
+    const css = module.renderCss(replaceUrl).trim();
+    parts.push(media ? `@media ${media} {\n${css}\n}` : css);
+  };
+
+  entries.forEach(([module, media]) => visit(module, media));
+  return parts.join('\n');
+}
+
+/**
+ * 合并嵌套 @import 的媒体查询
+ */
+function combineMedia(parent, media) {
+  if (parent && media) {
+    return `${parent} and ${media}`;
+  }
+  return parent || media || null;
+}
+
+module.exports = {
+  parseCss,
+  replaceUrls,
+  parseUrlRequest,
+  isModulesEnabled,
+  renderCssModules
+};
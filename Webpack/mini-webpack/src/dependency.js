@@ -26,6 +26,18 @@ class Dependency {
     return this.module !== null;
   }
   
+  /**
+   * 依赖在模块内的唯一标识，同一类型的同一请求只记录一次
+   * （require 和 import 按 exports 的不同条件解析，同一请求可能对应不同的模块）
+   */
+  getResourceIdentifier() {
+    return Dependency.getResourceIdentifier(this.request, this.type);
+  }
+  
+  static getResourceIdentifier(request, type) {
+    return `${type}|${request}`;
+  }
+  
   /**
    * 获取依赖信息
    */
@@ -44,13 +56,8 @@ class Dependency {
    * 克隆依赖
    */
   clone() {
-    const cloned = new Dependency({
-      request: this.request,
-      type: this.type,
-      loc: this.loc,
-      optional: this.optional,
-      weak: this.weak
-    });
+    // 保留子类类型及其特有字段
+    const cloned = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
     cloned.module = this.module;
     return cloned;
   }
@@ -64,13 +71,15 @@ class ImportDependency extends Dependency {
     super({ ...options, type: 'import' });
     this.specifiers = options.specifiers || []; // 导入的具体内容
     this.importKind = options.importKind || 'value'; // 导入类型: value, type
+    this.reexport = options.reexport || false; // 是否为 export ... from 重新导出
   }
   
   toJson() {
     return {
       ...super.toJson(),
       specifiers: this.specifiers,
-      importKind: this.importKind
+      importKind: this.importKind,
+      reexport: this.reexport
     };
   }
 }
@@ -111,6 +120,37 @@ class DynamicImportDependency extends Dependency {
   }
 }
 
+/**
+ * 上下文依赖：require.context() 和部分动态的 require()/import() 表达式
+ * request 为目录，目录下匹配 regExp 的文件都会被打包
+ */
+class ContextDependency extends Dependency {
+  constructor(options) {
+    super({ ...options, type: 'context' });
+    this.recursive = options.recursive !== false; // 是否包含子目录
+    this.regExp = options.regExp instanceof RegExp ? options.regExp : new RegExp(options.regExp, options.flags); // 匹配 ./ 开头的相对路径
+    this.mode = options.mode || 'sync'; // 加载模式: sync, eager, lazy
+    this.chunkName = options.chunkName; // lazy 模式的代码块名称，[request] 替换为文件路径
+  }
+  
+  getResourceIdentifier() {
+    return `context|${this.request}|${this.recursive}|${this.regExp}|${this.mode}|${this.chunkName || ''}`;
+  }
+  
+  toJson() {
+    return {
+      ...super.toJson(),
+      recursive: this.recursive,
+      regExp: this.regExp.source,
+      flags: this.regExp.flags,
+      mode: this.mode,
+      chunkName: this.chunkName
+    };
+  }
+}
+
+ContextDependency.MODES = ['sync', 'eager', 'lazy'];
+
 /**
  * 资源依赖（如图片、字体等）
  */
@@ -160,6 +200,8 @@ class DependencyFactory {
         return new RequireDependency(options);
       case 'dynamic-import':
         return new DynamicImportDependency(options);
+      case 'context':
+        return new ContextDependency(options);
       case 'asset':
         return new AssetDependency(options);
       case 'css':
@@ -175,6 +217,7 @@ module.exports = {
   ImportDependency,
   RequireDependency,
   DynamicImportDependency,
+  ContextDependency,
   AssetDependency,
   CssDependency,
   DependencyFactory
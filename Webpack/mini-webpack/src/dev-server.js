@@ -3,6 +3,8 @@ const WebSocket = require('ws');
 const path = require('path');
 const fs = require('fs');
 const { colors, formatTime } = require('./utils');
+const HotModuleReplacementPlugin = require('./plugins/hot-module-replacement');
+const { isNodeTarget } = require('./config');
 
 /**
  * 开发服务器类
@@ -76,9 +78,9 @@ class DevServer {
       next();
     });
 
-    // 静态文件服务
+    // 静态文件服务（index.html 交给下面的路由处理，以便注入热更新脚本）
     if (this.options.static) {
-      this.app.use(express.static(this.options.static.directory));
+      this.app.use(express.static(this.options.static.directory, { index: false }));
     }
 
     // SPA 路由支持
@@ -128,7 +130,7 @@ class DevServer {
       if (this.stats) {
         this.sendToClient(ws, {
           type: 'hash',
-          data: this.stats.hash
+          data: this.getClientHash(this.stats)
         });
         
         if (this.stats.errors.length === 0) {
@@ -156,13 +158,39 @@ class DevServer {
    * 设置编译器钩子
    */
   setupCompilerHooks() {
+    // 开启热更新时让编译器输出热更新文件（多编译器时只处理面向浏览器的配置）
+    if (this.options.hot) {
+      const compilers = this.compiler.compilers
+        ? this.compiler.compilers.filter(compiler => !isNodeTarget(compiler.options.target))
+        : [this.compiler];
+      compilers
+        .filter(compiler => !compiler.hotModuleReplacement)
+        .forEach(compiler => new HotModuleReplacementPlugin().apply(compiler));
+    }
+    
     // 编译开始
-    this.compiler.hooks.beforeRun.tap('DevServer', () => {
+    const onCompileStart = () => {
       this.isCompiling = true;
       this.broadcastToClients({
         type: 'invalid',
         data: '正在编译...'
       });
+    };
+    
+    this.compiler.hooks.beforeRun.tap('DevServer', onCompileStart);
+    this.compiler.hooks.watchRun.tap('DevServer', onCompileStart);
+    
+    // 监听的文件发生变化
+    this.compiler.hooks.invalid.tap('DevServer', (filename) => {
+      const message = filename
+        ? `文件变化: ${path.relative(process.cwd(), filename)}`
+        : '手动触发重新编译';
+      
+      console.log(colors.yellow(message));
+      this.broadcastToClients({
+        type: 'invalid',
+        data: message
+      });
     });
 
     // 编译完成
@@ -173,7 +201,7 @@ class DevServer {
       // 发送编译结果
       this.broadcastToClients({
         type: 'hash',
-        data: stats.hash
+        data: this.getClientHash(stats)
       });
       
       if (stats.errors.length > 0) {
@@ -208,6 +236,19 @@ class DevServer {
     });
   }
 
+  /**
+   * 发给客户端的 hash
+   * 多编译器时取开启热更新的编译器的 hash，与浏览器中运行时的 hash 一致
+   */
+  getClientHash(stats) {
+    if (!stats.stats) {
+      return stats.hash;
+    }
+    
+    const child = stats.stats.find(item => item.compilation.compiler.hotModuleReplacement);
+    return child ? child.hash : stats.hash;
+  }
+
   /**
    * 向客户端发送消息
    */
@@ -228,12 +269,53 @@ class DevServer {
 
   /**
    * 获取热更新客户端脚本
+   * 收到新的构建结果后交给 bundle 中的 HMR 运行时应用更新，无法热更新时整页刷新
    */
   getHMRClientScript() {
     return `
       (function() {
-        var socket = new WebSocket('ws://localhost:${this.options.port}');
+        var socket = new WebSocket('ws://' + location.host);
         var currentHash = '';
+        var hasErrors = false;
+        
+        function reloadApp() {
+          console.log('[HMR] 无法热更新，刷新页面');
+          location.reload();
+        }
+        
+        function applyUpdate() {
+          var runtimes = window.__mini_webpack_hot__ || [];
+          
+          if (runtimes.length === 0) {
+            reloadApp();
+            return;
+          }
+          
+          var pending = runtimes.filter(function(runtime) {
+            return runtime.hash() !== currentHash && runtime.status() === 'idle';
+          });
+          
+          Promise.all(pending.map(function(runtime) {
+            return runtime.check(currentHash);
+          })).then(function(results) {
+            var updatedModules = [];
+            
+            for (var i = 0; i < results.length; i++) {
+              if (results[i] === false) {
+                reloadApp();
+                return;
+              }
+              updatedModules = updatedModules.concat(results[i]);
+            }
+            
+            if (updatedModules.length > 0) {
+              console.log('[HMR] 已更新模块: ' + updatedModules.join(', '));
+            }
+          }).catch(function(error) {
+            console.warn('[HMR] 热更新失败: ' + (error && error.message));
+            reloadApp();
+          });
+        }
         
         socket.onopen = function() {
           console.log('[HMR] 连接到开发服务器');
@@ -252,13 +334,17 @@ class DevServer {
               break;
               
             case 'ok':
-              console.log('[HMR] 编译成功，准备更新');
+              if (hasErrors) {
+                console.log('[HMR] 错误已修复');
+                hasErrors = false;
+              }
               if (currentHash) {
-                location.reload();
+                applyUpdate();
               }
               break;
               
             case 'errors':
+              hasErrors = true;
               console.error('[HMR] 编译错误:');
               message.data.forEach(function(error) {
                 console.error(error);
@@ -499,6 +585,12 @@ class DevServer {
     console.log(colors.cyan('检测到文件变化，重新编译...'));
     
     try {
+      // 监听模式下只需标记失效，由 Watching 负责重新构建
+      if (this.compiler.watching) {
+        this.compiler.watching.invalidate();
+        return;
+      }
+      
       await this.compiler.run();
     } catch (error) {
       console.error(colors.red('重新编译失败:'), error.message);
@@ -0,0 +1,112 @@
+const { builtinModules } = require('module');
+
+/**
+ * 支持的外部模块类型
+ */
+const EXTERNAL_TYPES = ['var', 'global', 'window', 'commonjs', 'commonjs2', 'module', 'import', 'script', 'promise'];
+
+/**
+ * 外部模块
+ * 按 externals 配置判断请求是否为外部模块，匹配的模块不打包，运行时从外部获取：
+ * - 字符串：请求与之相同时匹配
+ * - 正则：请求匹配时以请求本身作为外部模块名
+ * - 对象：{ 请求: 外部模块名 }，值可以带类型前缀（'commonjs lodash'）、为数组（['lodash', 'map']）
+ *   或按类型区分的对象（{ root, commonjs }）
+ * - 函数：({ context, request, issuer, dependencyType }, callback)，通过 callback 或返回 Promise 给出结果
+ * - 数组：依次匹配，使用第一个匹配的结果
+ */
+class Externals {
+  constructor(options = {}) {
+    this.options = {
+      externals: null,
+      externalsType: 'var',
+      node: false, // Node.js 环境的 target 下内置模块自动作为 commonjs 外部模块
+      ...options
+    };
+  }
+
+  /**
+   * 获取请求对应的外部模块 { type, request }，不是外部模块时返回 null
+   */
+  async resolve(request, data = {}) {
+    const value = await this.match(this.options.externals, request, data);
+    if (value !== undefined && value !== false) {
+      return this.normalize(value === true ? request : value);
+    }
+
+    if (this.options.node && (request.startsWith('node:') || builtinModules.includes(request))) {
+      return { type: 'commonjs', request };
+    }
+
+    return null;
+  }
+
+  /**
+   * 按 externals 配置匹配请求，未匹配时返回 undefined
+   */
+  async match(externals, request, data) {
+    if (!externals) {
+      return undefined;
+    }
+
+    if (Array.isArray(externals)) {
+      for (const item of externals) {
+        const value = await this.match(item, request, data);
+        if (value !== undefined) {
+          return value;
+        }
+      }
+      return undefined;
+    }
+
+    if (typeof externals === 'string') {
+      return externals === request ? request : undefined;
+    }
+
+    if (externals instanceof RegExp) {
+      return externals.test(request) ? request : undefined;
+    }
+
+    if (typeof externals === 'function') {
+      return new Promise((resolve, reject) => {
+        const callback = (error, value) => error ? reject(error) : resolve(value);
+        const result = externals({ ...data, request }, callback);
+        if (result && typeof result.then === 'function') {
+          result.then(value => resolve(value), reject);
+        }
+      });
+    }
+
+    return Object.prototype.hasOwnProperty.call(externals, request) ? externals[request] : undefined;
+  }
+
+  /**
+   * 把配置的值规范化为 { type, request }，request 为字符串或属性路径数组
+   */
+  normalize(value) {
+    let type = this.options.externalsType;
+
+    // 按类型区分的对象（与 umd 的 library.name 相同）
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      value = value[type] !== undefined ? value[type] : value.root;
+    }
+
+    let [first, ...rest] = [].concat(value);
+    const match = /^(\S+) (.+)$/.exec(first);
+    if (match && EXTERNAL_TYPES.includes(match[1])) {
+      [, type, first] = match;
+    }
+
+    // script 类型可以写成 'global@url'
+    if (type === 'script' && rest.length === 0 && first.includes('@')) {
+      const index = first.indexOf('@');
+      return { type, request: [first.slice(index + 1), first.slice(0, index)] };
+    }
+
+    return { type, request: rest.length > 0 ? [first, ...rest] : first };
+  }
+}
+
+Externals.EXTERNAL_TYPES = EXTERNAL_TYPES;
+
+module.exports = Externals;
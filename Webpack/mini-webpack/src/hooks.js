@@ -1,97 +1,256 @@
 /**
  * 简化的钩子系统实现
  * 用于插件机制的事件发布订阅
+ *
+ * 注册监听器时可以传入字符串（插件名）或选项对象：
+ * - name：插件名
+ * - stage：阶段，数值小的先执行，默认为 0
+ * - before：插件名或插件名数组，在这些插件的监听器之前执行
+ *
+ * 拦截器（intercept）可以观察和修改钩子的行为：
+ * - register(tap)：注册监听器时调用，可以返回新的 tap 替换原来的
+ * - call(...args)：每次触发钩子时调用
+ * - tap(tap)：每个监听器执行前调用
+ * - loop(...args)：SyncLoopHook 每轮循环开始时调用
+ * - result(result)、error(error)、done()：钩子执行结束时调用
  */
 
 /**
- * 同步钩子基类
+ * 钩子基类
  */
-class SyncHook {
-  constructor(args = []) {
+class Hook {
+  constructor(args = [], name) {
     this.args = args;
+    this.name = name;
     this.taps = [];
+    this.interceptors = [];
   }
   
   /**
    * 注册同步监听器
    */
-  tap(name, fn) {
-    this.taps.push({ name, fn, type: 'sync' });
+  tap(options, fn) {
+    this.addTap('sync', options, fn);
   }
   
   /**
-   * 触发钩子
+   * 注册异步监听器（回调形式）
    */
-  call(...args) {
-    this.taps.forEach(tap => {
-      tap.fn(...args);
+  tapAsync(options, fn) {
+    this.addTap('async', options, fn);
+  }
+  
+  /**
+   * 注册异步监听器（Promise形式）
+   */
+  tapPromise(options, fn) {
+    this.addTap('promise', options, fn);
+  }
+  
+  /**
+   * 规范化选项，经过 register 拦截器后按 stage、before 插入
+   */
+  addTap(type, options, fn) {
+    if (typeof options === 'string') {
+      options = { name: options };
+    }
+    
+    if (!options || typeof options.name !== 'string' || options.name === '') {
+      throw new Error('注册监听器时必须提供插件名');
+    }
+    
+    let tap = { ...options, type, fn };
+    for (const interceptor of this.interceptors) {
+      if (interceptor.register) {
+        tap = interceptor.register(tap) || tap;
+      }
+    }
+    
+    this.insert(tap);
+  }
+  
+  /**
+   * 插入监听器：先移到 before 中所有插件之前，再移到 stage 更大的监听器之前
+   */
+  insert(tap) {
+    const before = new Set([].concat(tap.before || []));
+    const stage = tap.stage || 0;
+    let index = this.taps.length;
+    
+    while (index > 0) {
+      const previous = this.taps[index - 1];
+      if (before.size > 0) {
+        before.delete(previous.name);
+      } else if ((previous.stage || 0) <= stage) {
+        break;
+      }
+      index--;
+    }
+    
+    this.taps.splice(index, 0, tap);
+  }
+  
+  /**
+   * 添加拦截器，已注册的监听器也会经过 register
+   */
+  intercept(interceptor) {
+    this.interceptors.push({ ...interceptor });
+    
+    if (interceptor.register) {
+      this.taps = this.taps.map(tap => interceptor.register(tap) || tap);
+    }
+  }
+  
+  /**
+   * 是否有监听器或拦截器
+   */
+  isUsed() {
+    return this.taps.length > 0 || this.interceptors.length > 0;
+  }
+  
+  /**
+   * 返回注册时自动带上指定选项的钩子视图
+   */
+  withOptions(options) {
+    const merge = (tapOptions) => ({
+      ...options,
+      ...(typeof tapOptions === 'string' ? { name: tapOptions } : tapOptions)
     });
+    
+    return {
+      name: this.name,
+      tap: (tapOptions, fn) => this.tap(merge(tapOptions), fn),
+      tapAsync: (tapOptions, fn) => this.tapAsync(merge(tapOptions), fn),
+      tapPromise: (tapOptions, fn) => this.tapPromise(merge(tapOptions), fn),
+      intercept: (interceptor) => this.intercept(interceptor),
+      isUsed: () => this.isUsed(),
+      withOptions: (moreOptions) => this.withOptions(merge(moreOptions))
+    };
   }
-}
-
-/**
- * 异步串行钩子
- */
-class AsyncSeriesHook {
-  constructor(args = []) {
-    this.args = args;
-    this.taps = [];
+  
+  /**
+   * 调用所有拦截器上的某个方法
+   */
+  runInterceptors(method, ...args) {
+    for (const interceptor of this.interceptors) {
+      if (interceptor[method]) {
+        interceptor[method](...args);
+      }
+    }
   }
   
   /**
-   * 注册同步监听器
+   * 同步执行一个监听器
    */
-  tap(name, fn) {
-    this.taps.push({ name, fn, type: 'sync' });
+  runTap(tap, args) {
+    this.runInterceptors('tap', tap);
+    return tap.fn(...args);
   }
   
   /**
-   * 注册异步监听器（回调形式）
+   * 执行一个监听器，完成后调用 callback(error, result)
    */
-  tapAsync(name, fn) {
-    this.taps.push({ name, fn, type: 'async' });
+  runTapAsync(tap, args, callback) {
+    this.runInterceptors('tap', tap);
+    
+    if (tap.type === 'async') {
+      let called = false;
+      tap.fn(...args, (error, result) => {
+        if (!called) {
+          called = true;
+          callback(error, result);
+        }
+      });
+      return;
+    }
+    
+    if (tap.type === 'promise') {
+      let promise;
+      try {
+        promise = tap.fn(...args);
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      Promise.resolve(promise).then(
+        result => callback(null, result),
+        error => callback(error || new Error(`插件 ${tap.name} 的 Promise 被拒绝`))
+      );
+      return;
+    }
+    
+    let result;
+    try {
+      result = tap.fn(...args);
+    } catch (error) {
+      callback(error);
+      return;
+    }
+    callback(null, result);
   }
   
   /**
-   * 注册异步监听器（Promise形式）
+   * 同步触发：run 返回结果，结束时调用拦截器的 error、result 或 done
    */
-  tapPromise(name, fn) {
-    this.taps.push({ name, fn, type: 'promise' });
+  callSync(args, run) {
+    this.runInterceptors('call', ...args);
+    
+    let result;
+    try {
+      result = run();
+    } catch (error) {
+      this.runInterceptors('error', error);
+      throw error;
+    }
+    
+    if (result !== undefined) {
+      this.runInterceptors('result', result);
+    } else {
+      this.runInterceptors('done');
+    }
+    return result;
+  }
+}
+
+/**
+ * 同步钩子基类，不支持异步监听器
+ */
+class SyncBaseHook extends Hook {
+  tapAsync() {
+    throw new Error(`${this.constructor.name} 不支持 tapAsync`);
   }
   
+  tapPromise() {
+    throw new Error(`${this.constructor.name} 不支持 tapPromise`);
+  }
+}
+
+/**
+ * 异步钩子基类
+ * 子类实现 run(args, callback)，callAsync 和 promise 负责拦截器
+ */
+class AsyncBaseHook extends Hook {
   /**
    * 触发钩子（回调形式）
    */
   callAsync(...args) {
     const callback = args.pop();
-    let index = 0;
+    this.runInterceptors('call', ...args);
     
-    const next = (err) => {
-      if (err) return callback(err);
-      
-      if (index >= this.taps.length) {
-        return callback();
+    this.run(args, (error, result) => {
+      if (error) {
+        this.runInterceptors('error', error);
+        callback(error);
+        return;
       }
       
-      const tap = this.taps[index++];
-      
-      if (tap.type === 'sync') {
-        try {
-          tap.fn(...args);
-          next();
-        } catch (error) {
-          next(error);
-        }
-      } else if (tap.type === 'async') {
-        tap.fn(...args, next);
-      } else if (tap.type === 'promise') {
-        Promise.resolve(tap.fn(...args))
-          .then(() => next())
-          .catch(next);
+      if (result !== undefined) {
+        this.runInterceptors('result', result);
+      } else {
+        this.runInterceptors('done');
       }
-    };
-    
-    next();
+      callback(null, result);
+    });
   }
   
   /**
@@ -99,11 +258,11 @@ class AsyncSeriesHook {
    */
   promise(...args) {
     return new Promise((resolve, reject) => {
-      this.callAsync(...args, (err) => {
+      this.callAsync(...args, (err, result) => {
         if (err) {
           reject(err);
         } else {
-          resolve();
+          resolve(result);
         }
       });
     });
@@ -111,28 +270,145 @@ class AsyncSeriesHook {
 }
 
 /**
- * 异步并行钩子
+ * 同步钩子
  */
-class AsyncParallelHook {
-  constructor(args = []) {
-    this.args = args;
-    this.taps = [];
+class SyncHook extends SyncBaseHook {
+  /**
+   * 触发钩子
+   */
+  call(...args) {
+    this.callSync(args, () => {
+      this.taps.forEach(tap => {
+        this.runTap(tap, args);
+      });
+    });
   }
-  
-  tap(name, fn) {
-    this.taps.push({ name, fn, type: 'sync' });
+}
+
+/**
+ * 瀑布流钩子（每个监听器的返回值会传递给下一个，返回 undefined 时保持原值）
+ */
+class SyncWaterfallHook extends SyncBaseHook {
+  call(value, ...args) {
+    return this.callSync([value, ...args], () => {
+      return this.taps.reduce((current, tap) => {
+        const result = this.runTap(tap, [current, ...args]);
+        return result !== undefined ? result : current;
+      }, value);
+    });
   }
-  
-  tapAsync(name, fn) {
-    this.taps.push({ name, fn, type: 'async' });
+}
+
+/**
+ * 保释钩子（如果任何监听器返回非undefined值，则停止执行）
+ */
+class SyncBailHook extends SyncBaseHook {
+  call(...args) {
+    return this.callSync(args, () => {
+      for (const tap of this.taps) {
+        const result = this.runTap(tap, args);
+        if (result !== undefined) {
+          return result;
+        }
+      }
+    });
   }
-  
-  tapPromise(name, fn) {
-    this.taps.push({ name, fn, type: 'promise' });
+}
+
+/**
+ * 循环钩子（任一监听器返回非undefined值时从第一个监听器重新开始，直到全部返回undefined）
+ */
+class SyncLoopHook extends SyncBaseHook {
+  call(...args) {
+    this.callSync(args, () => {
+      let restart = true;
+      while (restart) {
+        restart = false;
+        this.runInterceptors('loop', ...args);
+        
+        for (const tap of this.taps) {
+          if (this.runTap(tap, args) !== undefined) {
+            restart = true;
+            break;
+          }
+        }
+      }
+    });
   }
-  
-  callAsync(...args) {
-    const callback = args.pop();
+}
+
+/**
+ * 异步串行钩子
+ */
+class AsyncSeriesHook extends AsyncBaseHook {
+  run(args, callback) {
+    let index = 0;
+    
+    const next = (err) => {
+      if (err) return callback(err);
+      
+      if (index >= this.taps.length) {
+        return callback();
+      }
+      
+      this.runTapAsync(this.taps[index++], args, next);
+    };
+    
+    next();
+  }
+}
+
+/**
+ * 异步串行保释钩子（任一监听器返回非undefined值时停止并作为结果）
+ */
+class AsyncSeriesBailHook extends AsyncBaseHook {
+  run(args, callback) {
+    let index = 0;
+    
+    const next = (err, result) => {
+      if (err) return callback(err);
+      
+      if (result !== undefined || index >= this.taps.length) {
+        return callback(null, result);
+      }
+      
+      this.runTapAsync(this.taps[index++], args, next);
+    };
+    
+    next();
+  }
+}
+
+/**
+ * 异步串行瀑布流钩子（每个监听器的返回值传递给下一个，最终值作为结果）
+ */
+class AsyncSeriesWaterfallHook extends AsyncBaseHook {
+  run([value, ...args], callback) {
+    let index = 0;
+    
+    const next = (err, result) => {
+      if (err) return callback(err);
+      
+      if (result !== undefined) {
+        value = result;
+      }
+      
+      if (index >= this.taps.length) {
+        return callback(null, value);
+      }
+      
+      this.runTapAsync(this.taps[index++], [value, ...args], next);
+    };
+    
+    next();
+  }
+}
+
+/**
+ * 异步并行钩子
+ */
+class AsyncParallelHook extends AsyncBaseHook {
+  run(args, callback) {
     let pending = this.taps.length;
     let hasError = false;
     
@@ -154,83 +430,188 @@ class AsyncParallelHook {
     };
     
     this.taps.forEach(tap => {
-      if (tap.type === 'sync') {
-        try {
-          tap.fn(...args);
-          done();
-        } catch (error) {
-          done(error);
-        }
-      } else if (tap.type === 'async') {
-        tap.fn(...args, done);
-      } else if (tap.type === 'promise') {
-        Promise.resolve(tap.fn(...args))
-          .then(() => done())
-          .catch(done);
-      }
+      this.runTapAsync(tap, args, done);
     });
   }
-  
-  promise(...args) {
-    return new Promise((resolve, reject) => {
-      this.callAsync(...args, (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve();
+}
+
+/**
+ * 异步并行保释钩子
+ * 监听器并行执行，按注册顺序取第一个出错或返回非undefined值的结果（它之前的监听器都已完成）
+ */
+class AsyncParallelBailHook extends AsyncBaseHook {
+  run(args, callback) {
+    const results = new Array(this.taps.length);
+    let finished = false;
+    
+    if (this.taps.length === 0) {
+      return callback();
+    }
+    
+    const check = () => {
+      for (const item of results) {
+        if (!item) {
+          return;
         }
+        
+        if (item.error || item.result !== undefined) {
+          finished = true;
+          return callback(item.error || null, item.result);
+        }
+      }
+      
+      finished = true;
+      callback();
+    };
+    
+    this.taps.forEach((tap, index) => {
+      this.runTapAsync(tap, args, (error, result) => {
+        if (finished) return;
+        
+        results[index] = { error, result };
+        check();
       });
     });
   }
 }
 
 /**
- * 瀑布流钩子（每个监听器的返回值会传递给下一个）
+ * 按键创建钩子（如按模块类型区分的钩子）
  */
-class SyncWaterfallHook {
-  constructor(args = []) {
-    this.args = args;
-    this.taps = [];
+class HookMap {
+  constructor(factory, name) {
+    this.factory = factory;
+    this.name = name;
+    this.map = new Map();
+    this.interceptors = [];
   }
   
-  tap(name, fn) {
-    this.taps.push({ name, fn });
+  /**
+   * 获取已创建的钩子
+   */
+  get(key) {
+    return this.map.get(key);
   }
   
-  call(value, ...args) {
-    return this.taps.reduce((current, tap) => {
-      return tap.fn(current, ...args);
-    }, value);
+  /**
+   * 获取钩子，不存在时创建
+   */
+  for(key) {
+    let hook = this.map.get(key);
+    if (!hook) {
+      hook = this.factory(key);
+      for (const interceptor of this.interceptors) {
+        if (interceptor.factory) {
+          hook = interceptor.factory(key, hook);
+        }
+      }
+      this.map.set(key, hook);
+    }
+    return hook;
+  }
+  
+  /**
+   * 添加拦截器，factory(key, hook) 可以包装新创建的钩子
+   */
+  intercept(interceptor) {
+    this.interceptors.push(interceptor);
   }
 }
 
 /**
- * 保释钩子（如果任何监听器返回非undefined值，则停止执行）
+ * 把多个钩子当作一个钩子注册监听器
  */
-class SyncBailHook {
-  constructor(args = []) {
-    this.args = args;
-    this.taps = [];
+class MultiHook {
+  constructor(hooks, name) {
+    this.hooks = hooks;
+    this.name = name;
   }
   
-  tap(name, fn) {
-    this.taps.push({ name, fn });
+  tap(options, fn) {
+    this.hooks.forEach(hook => hook.tap(options, fn));
   }
   
-  call(...args) {
-    for (const tap of this.taps) {
-      const result = tap.fn(...args);
-      if (result !== undefined) {
-        return result;
+  tapAsync(options, fn) {
+    this.hooks.forEach(hook => hook.tapAsync(options, fn));
+  }
+  
+  tapPromise(options, fn) {
+    this.hooks.forEach(hook => hook.tapPromise(options, fn));
+  }
+  
+  intercept(interceptor) {
+    this.hooks.forEach(hook => hook.intercept(interceptor));
+  }
+  
+  isUsed() {
+    return this.hooks.some(hook => hook.isUsed());
+  }
+  
+  withOptions(options) {
+    return new MultiHook(this.hooks.map(hook => hook.withOptions(options)), this.name);
+  }
+}
+
+/**
+ * 创建记录耗时的拦截器
+ * 注册时包装监听器函数，按 "钩子名/插件名" 累计调用次数和耗时（毫秒）
+ */
+function createTimingInterceptor(hookName, timings = new Map()) {
+  const record = (tap, start) => {
+    const key = `${hookName}/${tap.name}`;
+    const timing = timings.get(key) || { hook: hookName, name: tap.name, type: tap.type, calls: 0, duration: 0 };
+    timing.calls++;
+    timing.duration += performance.now() - start;
+    timings.set(key, timing);
+  };
+  
+  return {
+    register(tap) {
+      const { fn } = tap;
+      let timed;
+      
+      if (tap.type === 'async') {
+        timed = (...args) => {
+          const callback = args.pop();
+          const start = performance.now();
+          return fn(...args, (...results) => {
+            record(tap, start);
+            callback(...results);
+          });
+        };
+      } else if (tap.type === 'promise') {
+        timed = (...args) => {
+          const start = performance.now();
+          return Promise.resolve(fn(...args)).finally(() => record(tap, start));
+        };
+      } else {
+        timed = (...args) => {
+          const start = performance.now();
+          try {
+            return fn(...args);
+          } finally {
+            record(tap, start);
+          }
+        };
       }
+      
+      return { ...tap, fn: timed };
     }
-  }
+  };
 }
 
 module.exports = {
+  Hook,
   SyncHook,
+  SyncWaterfallHook,
+  SyncBailHook,
+  SyncLoopHook,
   AsyncSeriesHook,
+  AsyncSeriesBailHook,
+  AsyncSeriesWaterfallHook,
   AsyncParallelHook,
-  SyncWaterfallHook,
-  SyncBailHook
+  AsyncParallelBailHook,
+  HookMap,
+  MultiHook,
+  createTimingInterceptor
 };
\ No newline at end of file
@@ -0,0 +1,219 @@
+const path = require('path');
+const { generateHash, compareIds } = require('./utils');
+
+const STRATEGIES = ['natural', 'named', 'deterministic', 'size'];
+
+/**
+ * 模块ID、代码块ID分配
+ * 在整个编译内统一分配，按 optimization.moduleIds / chunkIds 选择策略：
+ * - natural：按模块、代码块出现的顺序递增编号
+ * - named：模块为相对路径，代码块为名称（无名称时由其中的模块路径生成）
+ * - deterministic：由名称 hash 得到的短数字，与其他模块、代码块无关，依赖图变化时保持不变
+ * - size：被引用次数多的模块、代码块使用较短的数字
+ */
+class Ids {
+  constructor(options = {}) {
+    this.options = {
+      moduleIds: 'natural',
+      chunkIds: 'natural',
+      context: process.cwd(),
+      ...options
+    };
+  }
+
+  /**
+   * 为 compilation 的代码块和其中的模块分配ID
+   */
+  apply(compilation) {
+    const chunks = compilation.chunks;
+    const modules = new Set();
+    chunks.forEach(chunk => chunk.modules.forEach(module => modules.add(module)));
+
+    this.assignChunkIds(chunks);
+    this.assignModuleIds(Array.from(modules), chunks);
+  }
+
+  /**
+   * 分配模块ID
+   */
+  assignModuleIds(modules, chunks) {
+    const getName = (module) => this.getModuleName(module);
+    const setId = (module, id) => module.setId(id);
+
+    switch (this.options.moduleIds) {
+      case 'named':
+        return assignNames(modules, getName, setId);
+      case 'deterministic':
+        return assignDeterministicIds(modules, getName, setId);
+      case 'size': {
+        // 出现在越多代码块中、被越多模块引用的模块ID越短
+        const occurrences = new Map(modules.map(module => [module, 0]));
+        chunks.forEach(chunk => chunk.modules.forEach(module => {
+          occurrences.set(module, occurrences.get(module) + 1);
+        }));
+        modules.forEach(module => module.dependencies.forEach(dep => {
+          if (dep.module && occurrences.has(dep.module)) {
+            occurrences.set(dep.module, occurrences.get(dep.module) + 1);
+          }
+        }));
+        return assignAscendingIds(sortBy(modules, getName, (a, b) => occurrences.get(b) - occurrences.get(a)), setId);
+      }
+      default:
+        return assignAscendingIds(modules, setId);
+    }
+  }
+
+  /**
+   * 分配代码块ID
+   */
+  assignChunkIds(chunks) {
+    const getName = (chunk) => this.getChunkName(chunk);
+    const setId = (chunk, id) => chunk.setId(id);
+
+    switch (this.options.chunkIds) {
+      case 'named':
+        return assignNames(chunks, getName, setId);
+      case 'deterministic':
+        return assignDeterministicIds(chunks, getName, setId);
+      case 'size':
+        // 初始代码块优先，其次是被越多代码块引用的、体积越大的
+        return assignAscendingIds(sortBy(chunks, getName, (a, b) => {
+          return (b.isInitial() - a.isInitial()) ||
+            (b.parents.size - a.parents.size) ||
+            (b.size - a.size);
+        }), setId);
+      default:
+        return assignAscendingIds(chunks, setId);
+    }
+  }
+
+  /**
+   * 模块名称：相对 context 的请求路径，内联 loader 和 query 一并保留
+   */
+  getModuleName(module) {
+    // 上下文模块：目录 + 模式 + 正则，如 ./src/locale sync recursive /^\.\/.*\.js$/
+    if (module.contextOptions) {
+      const { directory, mode, recursive, regExp } = module.contextOptions;
+      return `${contextify(this.options.context, directory)} ${mode} ${recursive ? 'recursive' : 'nonrecursive'} ${regExp}`;
+    }
+
+    return module.identifier
+      .split('!')
+      .map(part => path.isAbsolute(part) ? contextify(this.options.context, part) : part)
+      .join('!');
+  }
+
+  /**
+   * 代码块名称：未命名的代码块由其根模块（不被代码块内其他模块引用的模块）的路径生成
+   */
+  getChunkName(chunk) {
+    if (chunk.name) {
+      return chunk.name;
+    }
+
+    const referenced = new Set();
+    chunk.modules.forEach(module => module.dependencies.forEach(dep => {
+      if (dep.type !== 'dynamic-import' && dep.module && dep.module !== module) {
+        referenced.add(dep.module);
+      }
+    }));
+
+    const roots = Array.from(chunk.modules).filter(module => !referenced.has(module));
+    const names = (roots.length > 0 ? roots : Array.from(chunk.modules))
+      .map(module => requestToId(this.getModuleName(module)))
+      .sort();
+    const name = names.join('-');
+
+    return name.length > 100 ? `${name.slice(0, 100 - 9)}-${generateHash(name, 'md5', 8)}` : name;
+  }
+}
+
+/**
+ * 绝对路径转换为 ./ 开头的相对路径
+ */
+function contextify(context, request) {
+  const [resourcePath, query = ''] = request.split(/(?=\?)/);
+  const relativePath = path.relative(context, resourcePath).split(path.sep).join('/');
+
+  return (relativePath.startsWith('.') ? relativePath : `./${relativePath}`) + query;
+}
+
+/**
+ * 路径转换为可读的标识：./src/a.js -> src_a_js
+ */
+function requestToId(request) {
+  return request
+    .replace(/^(\.\.?\/)+/, '')
+    .replace(/(^[.-]|[^a-zA-Z0-9_-])+/g, '_');
+}
+
+/**
+ * 按比较函数排序，相同时按名称排序，保证结果稳定
+ */
+function sortBy(items, getName, compare) {
+  return items.slice().sort((a, b) => {
+    const result = compare(a, b);
+    if (result !== 0) {
+      return result;
+    }
+    return compareIds(getName(a), getName(b));
+  });
+}
+
+/**
+ * 按顺序分配 0、1、2...
+ */
+function assignAscendingIds(items, setId) {
+  items.forEach((item, index) => setId(item, index));
+}
+
+/**
+ * 以名称作为ID，重名时追加序号
+ */
+function assignNames(items, getName, setId) {
+  const usedIds = new Set();
+
+  sortBy(items, getName, () => 0).forEach(item => {
+    const name = getName(item);
+    let id = name;
+    for (let i = 1; usedIds.has(id); i++) {
+      id = `${name}~${i}`;
+    }
+    usedIds.add(id);
+    setId(item, id);
+  });
+}
+
+/**
+ * 由名称 hash 得到数字ID
+ * 取值范围从 3 位数开始，数量超过范围的 1/20 时扩大 10 倍以降低冲突；
+ * 冲突时在名称后追加序号重新 hash
+ */
+function assignDeterministicIds(items, getName, setId) {
+  let range = 1000;
+  while (range < items.length * 20) {
+    range *= 10;
+  }
+
+  const usedIds = new Set();
+  sortBy(items, getName, () => 0).forEach(item => {
+    const name = getName(item);
+    let id = getNumberHash(name, range);
+    for (let i = 1; usedIds.has(id); i++) {
+      id = getNumberHash(`${name}${i}`, range);
+    }
+    usedIds.add(id);
+    setId(item, id);
+  });
+}
+
+/**
+ * 名称 hash 后对 range 取模
+ */
+function getNumberHash(name, range) {
+  return parseInt(generateHash(name, 'md5', 12), 16) % range;
+}
+
+Ids.STRATEGIES = STRATEGIES;
+
+module.exports = Ids;
@@ -1,4 +1,5 @@
 const Compiler = require('./compiler');
+const MultiCompiler = require('./multi-compiler');
 const { createConfigResolver } = require('./config');
 const { createDevServer } = require('./dev-server');
 const { colors } = require('./utils');
@@ -10,8 +11,11 @@ class MiniWebpack {
   constructor(config, configPath) {
     this.configResolver = createConfigResolver(config, configPath);
     this.config = this.configResolver.getConfig();
-    this.compiler = new Compiler(this.config);
+    this.compiler = Array.isArray(this.config)
+      ? new MultiCompiler(this.config.map(options => new Compiler(options)), { parallelism: this.configResolver.parallelism })
+      : new Compiler(this.config);
     this.devServer = null;
+    this.watching = null;
   }
 
   /**
@@ -41,13 +45,18 @@ class MiniWebpack {
     try {
       console.log(colors.cyan('启动监听模式...'));
       
-      const stats = await this.compiler.watch({
-        aggregateTimeout: 300,
-        poll: false,
-        ...options
+      const watchOptions = this.getWatchOptions(options);
+      
+      this.watching = this.compiler.watch(watchOptions, (error, stats) => {
+        if (error) {
+          console.error(colors.red('构建失败:'), error.message);
+          return;
+        }
+        
+        console.log(colors.green(`构建完成! 耗时: ${stats.duration}ms`));
       });
       
-      return stats;
+      return this.watching;
     } catch (error) {
       console.error(colors.red('监听模式启动失败:'), error.message);
       throw error;
@@ -59,8 +68,10 @@ class MiniWebpack {
    */
   async serve(options = {}) {
     try {
+      // 多配置时使用第一个配置的 devServer
+      const config = Array.isArray(this.config) ? this.config[0] : this.config;
       const devServerConfig = {
-        ...this.config.devServer,
+        ...config.devServer,
         ...options
       };
       
@@ -69,8 +80,12 @@ class MiniWebpack {
       // 启动服务器
       const serverInfo = await this.devServer.listen();
       
-      // 运行初始构建
-      await this.compiler.run();
+      // 以监听模式运行构建，文件变化后自动重新编译
+      this.watching = this.compiler.watch(this.getWatchOptions(), (error) => {
+        if (error) {
+          console.error(colors.red('构建失败:'), error.message);
+        }
+      });
       
       return serverInfo;
     } catch (error) {
@@ -80,15 +95,36 @@ class MiniWebpack {
   }
 
   /**
-   * 关闭开发服务器
+   * 关闭监听和开发服务器
    */
   async close() {
+    if (this.watching) {
+      await new Promise(resolve => this.watching.close(resolve));
+      this.watching = null;
+    }
+    
+    await this.compiler.close();
+    
     if (this.devServer) {
       await this.devServer.close();
       this.devServer = null;
     }
   }
 
+  /**
+   * 获取监听选项，多配置时为与配置一一对应的数组
+   */
+  getWatchOptions(options = {}) {
+    const getOptions = (config) => ({
+      aggregateTimeout: 300,
+      poll: false,
+      ...config.watchOptions,
+      ...options
+    });
+    
+    return Array.isArray(this.config) ? this.config.map(getOptions) : getOptions(this.config);
+  }
+
   /**
    * 获取配置
    */
@@ -343,10 +379,13 @@ module.exports = {
   
   // 重新导出核心模块
   Compiler: require('./compiler'),
+  MultiCompiler: require('./multi-compiler'),
+  MultiStats: require('./multi-stats'),
   Compilation: require('./compilation'),
   Module: require('./module'),
   Chunk: require('./chunk'),
   Template: require('./template'),
+  sources: require('./sources'),
   
   // 重新导出工具模块
   utils: require('./utils'),
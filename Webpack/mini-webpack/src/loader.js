@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const Resolver = require('./resolver');
+
+/**
+ * Loader 系统
+ * 负责解析内联 loader 请求、从 node_modules 和 resolveLoader 查找 loader，
+ * 以及按 pitch -> 读取资源 -> normal 的顺序执行 loader 链
+ */
+
+const BUILTIN_LOADERS_DIR = path.join(__dirname, 'loaders');
+
+/**
+ * 解析内联 loader 请求：[-!|!!|!]loader1?query!loader2!resource
+ * ! 禁用配置中的 normal loader，-! 同时禁用 pre loader，!! 禁用所有配置的 loader
+ */
+function parseLoaderRequest(request) {
+  const match = /^(-!|!!|!)/.exec(request);
+  const prefix = match ? match[1] : '';
+  const parts = request.slice(prefix.length).split('!');
+  const resource = parts.pop();
+
+  return {
+    prefix,
+    resource,
+    loaders: parts.filter(Boolean).map(parseLoaderItem)
+  };
+}
+
+/**
+ * 拆分资源请求中的路径和查询参数：./a.png?inline -> { path: './a.png', query: '?inline' }
+ */
+function parseResource(resource) {
+  const index = resource.indexOf('?');
+  if (index === -1) {
+    return { path: resource, query: '' };
+  }
+
+  return {
+    path: resource.slice(0, index),
+    query: resource.slice(index)
+  };
+}
+
+/**
+ * 解析单个 loader 请求：loader?{"a":1} 或 loader?a=1&b
+ */
+function parseLoaderItem(request) {
+  const index = request.indexOf('?');
+  if (index === -1) {
+    return { loader: request };
+  }
+
+  return {
+    loader: request.slice(0, index),
+    options: parseQuery(request.slice(index + 1))
+  };
+}
+
+/**
+ * 解析 loader query，JSON 形式返回对象，其余按 URL 参数解析（无值的参数为 true）
+ */
+function parseQuery(query) {
+  query = query.replace(/^\?/, '');
+
+  if (query.startsWith('{')) {
+    return JSON.parse(query);
+  }
+
+  const options = {};
+  new URLSearchParams(query).forEach((value, key) => {
+    options[key] = value === '' ? true : value;
+  });
+  return options;
+}
+
+/**
+ * 创建 loader 解析器，在 resolveLoader.modules 之后查找内置 loader
+ */
+function createLoaderResolver(options = {}) {
+  return new Resolver({
+    extensions: ['.js'],
+    mainFields: ['loader', 'main'],
+    aliasFields: [],
+    conditionNames: ['loader', 'node'],
+    ...options,
+    modules: [...(options.modules || ['node_modules']), BUILTIN_LOADERS_DIR]
+  });
+}
+
+/**
+ * 解析 loader 路径，包名未带 -loader 后缀时优先查找 xxx-loader
+ */
+function resolveLoader(resolver, request, context) {
+  const isPath = path.isAbsolute(request) || request.startsWith('.');
+  if (isPath || request.endsWith('-loader')) {
+    return resolver.resolve(request, context, 'require');
+  }
+
+  try {
+    return resolver.resolve(`${request}-loader`, context, 'require');
+  } catch (error) {
+    return resolver.resolve(request, context, 'require');
+  }
+}
+
+/**
+ * 加载 loader 模块，返回 normal、pitch 函数和 raw 标记
+ */
+function loadLoader(loaderPath) {
+  let loaderModule = require(loaderPath);
+  if (loaderModule && loaderModule.__esModule) {
+    loaderModule = { ...loaderModule, ...loaderModule.default };
+    loaderModule.normal = loaderModule.default;
+  }
+
+  return createLoaderObject(loaderModule.normal || loaderModule, loaderModule.pitch, loaderModule.raw);
+}
+
+/**
+ * 创建 loader 对象
+ */
+function createLoaderObject(normal, pitch = null, raw = false) {
+  if (typeof normal !== 'function' && typeof pitch !== 'function') {
+    throw new Error('loader 必须导出函数或 pitch 函数');
+  }
+
+  return {
+    normal: typeof normal === 'function' ? normal : null,
+    pitch: typeof pitch === 'function' ? pitch : null,
+    raw: !!raw,
+    data: {} // pitch 和 normal 阶段共享的数据
+  };
+}
+
+/**
+ * 按 JSON Schema 校验 loader 选项，支持 type、enum、properties、required、
+ * additionalProperties、items 和 anyOf
+ */
+function validateOptions(schema, options, name = 'loader') {
+  const errors = [];
+  validateValue(schema, options, 'options', errors);
+
+  if (errors.length > 0) {
+    throw new Error(`${name} 的选项无效:\n${errors.map(error => ` - ${error}`).join('\n')}`);
+  }
+}
+
+function validateValue(schema, value, key, errors) {
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(item => {
+      const itemErrors = [];
+      validateValue(item, value, key, itemErrors);
+      return itemErrors.length === 0;
+    });
+    if (!matched) {
+      errors.push(`${key} 不符合任一允许的格式`);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchType(type, value))) {
+      errors.push(`${key} 应为 ${types.join(' | ')}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${key} 应为 ${schema.enum.map(item => JSON.stringify(item)).join(' | ')} 之一`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(schema.items, item, `${key}[${index}]`, errors));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(property => {
+      if (value[property] === undefined) {
+        errors.push(`${key} 缺少必需的属性 ${property}`);
+      }
+    });
+
+    Object.keys(value).forEach(property => {
+      if (properties[property]) {
+        validateValue(properties[property], value[property], `${key}.${property}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${key} 不允许包含属性 ${property}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(schema.additionalProperties, value[property], `${key}.${property}`, errors);
+      }
+    });
+  }
+}
+
+function matchType(type, value) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null':
+      return value === null;
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 执行 loader 函数，支持同步返回、返回 Promise、this.async() 和 this.callback()
+ * @returns {Promise<Array>} loader 的结果参数 [content, map, meta]
+ */
+function runLoaderFunction(fn, loaderContext, args) {
+  return new Promise((resolve, reject) => {
+    let isSync = true;
+    let isDone = false;
+
+    const callback = (error, ...results) => {
+      if (isDone) {
+        throw new Error('loader 的 callback 被重复调用');
+      }
+      isDone = true;
+      isSync = false;
+      error ? reject(error) : resolve(results);
+    };
+
+    loaderContext.async = () => {
+      if (isDone) {
+        throw new Error('loader 已经返回结果，不能再调用 async()');
+      }
+      isSync = false;
+      return callback;
+    };
+    loaderContext.callback = (...results) => {
+      isSync = false;
+      callback(...results);
+    };
+
+    try {
+      const result = fn.apply(loaderContext, args);
+
+      if (isSync) {
+        isDone = true;
+        if (result && typeof result.then === 'function') {
+          result.then(value => resolve([value]), reject);
+        } else {
+          resolve(result === undefined ? [] : [result]);
+        }
+      }
+    } catch (error) {
+      if (isDone) {
+        throw error;
+      }
+      isDone = true;
+      reject(error);
+    }
+  });
+}
+
+/**
+ * 按 loader 的 raw 标记转换内容：raw loader 接收 Buffer，其余接收字符串
+ */
+function convertContent(content, raw) {
+  if (raw && typeof content === 'string') {
+    return Buffer.from(content, 'utf-8');
+  }
+  if (!raw && Buffer.isBuffer(content)) {
+    return content.toString('utf-8');
+  }
+  return content;
+}
+
+/**
+ * 执行 loader 链
+ * 先从左到右执行 pitch，某个 pitch 返回内容时跳过读取资源和之后的 loader，
+ * 否则读取资源后从右到左执行 normal
+ *
+ * @param {Object} options
+ * @param {string} options.resource 资源文件路径
+ * @param {Object[]} options.loaders loader 对象：{ request, path, options, normal, pitch, raw, data }
+ * @param {Object} options.context loader 上下文的基础属性（emitFile、mode 等）
+ * @param {Function} options.readResource 读取资源文件，返回 Buffer
+ * @returns {Promise<{ result: Array, fileDependencies: string[], cacheable: boolean }>}
+ */
+async function runLoaders({ resource, loaders, context = {}, readResource }) {
+  const fileDependencies = new Set([resource]);
+  let cacheable = true;
+
+  const getRequest = (items) => items.map(loader => loader.request).concat(resource).join('!');
+
+  const loaderContext = {
+    version: 2,
+    resource,
+    resourcePath: resource,
+    resourceQuery: '',
+    context: path.dirname(resource),
+    loaders,
+    loaderIndex: 0,
+    ...context,
+    get request() {
+      return getRequest(loaders);
+    },
+    get remainingRequest() {
+      return getRequest(loaders.slice(this.loaderIndex + 1));
+    },
+    get currentRequest() {
+      return getRequest(loaders.slice(this.loaderIndex));
+    },
+    get previousRequest() {
+      return loaders.slice(0, this.loaderIndex).map(loader => loader.request).join('!');
+    },
+    get query() {
+      const options = loaders[this.loaderIndex].options;
+      return options && typeof options === 'object' ? options : `?${options || ''}`;
+    },
+    get data() {
+      return loaders[this.loaderIndex].data;
+    },
+    getOptions(schema) {
+      const loader = loaders[this.loaderIndex];
+      let options = loader.options;
+
+      if (typeof options === 'string') {
+        options = parseQuery(options);
+      }
+      options = options || {};
+
+      if (schema) {
+        validateOptions(schema, options, schema.title || loader.path);
+      }
+      return options;
+    },
+    addDependency(file) {
+      fileDependencies.add(file);
+    },
+    dependency(file) {
+      fileDependencies.add(file);
+    },
+    getDependencies() {
+      return Array.from(fileDependencies);
+    },
+    clearDependencies() {
+      fileDependencies.clear();
+      cacheable = true;
+    },
+    cacheable(flag = true) {
+      if (flag === false) {
+        cacheable = false;
+      }
+    }
+  };
+
+  const runPhase = async (loader, index, phase, args) => {
+    loaderContext.loaderIndex = index;
+
+    try {
+      return await runLoaderFunction(loader[phase], loaderContext, args);
+    } catch (error) {
+      throw new Error(`loader 执行失败 (${loader.path}): ${error && error.message ? error.message : error}`, { cause: error });
+    }
+  };
+
+  // pitch 阶段
+  let index = 0;
+  let result = null;
+  for (; index < loaders.length; index++) {
+    const loader = loaders[index];
+    if (!loader.pitch) {
+      continue;
+    }
+
+    const args = await runPhase(loader, index, 'pitch', [
+      loaderContext.remainingRequest,
+      loaderContext.previousRequest,
+      loader.data
+    ]);
+
+    if (args.some(arg => arg !== undefined)) {
+      result = args;
+      break;
+    }
+  }
+
+  // 没有 pitch 返回内容时读取资源，从最后一个 loader 开始执行 normal
+  if (!result) {
+    result = [await readResource(resource)];
+  }
+
+  for (let i = index - 1; i >= 0; i--) {
+    const loader = loaders[i];
+    if (!loader.normal) {
+      continue;
+    }
+
+    result[0] = convertContent(result[0], loader.raw);
+    result = await runPhase(loader, i, 'normal', result);
+  }
+
+  if (typeof result[0] !== 'string' && !Buffer.isBuffer(result[0])) {
+    throw new Error(`loader 链没有返回字符串或 Buffer: ${resource}`);
+  }
+
+  return {
+    result,
+    fileDependencies: Array.from(fileDependencies),
+    cacheable
+  };
+}
+
+/**
+ * 读取资源文件
+ */
+function readResource(resource) {
+  return fs.promises.readFile(resource);
+}
+
+module.exports = {
+  BUILTIN_LOADERS_DIR,
+  parseLoaderRequest,
+  parseResource,
+  parseQuery,
+  createLoaderResolver,
+  resolveLoader,
+  loadLoader,
+  createLoaderObject,
+  validateOptions,
+  runLoaders,
+  readResource
+};
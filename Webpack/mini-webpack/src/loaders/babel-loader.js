@@ -0,0 +1,37 @@
+const parser = require('@babel/parser');
+const { transformFromAst } = require('@babel/core');
+
+/**
+ * 内置 babel-loader：默认使用 @babel/preset-env 转换 JavaScript
+ * caller 声明支持 ES 模块和 import()，preset-env 保留模块语法，由打包器分析依赖、拆分代码块
+ */
+module.exports = function babelLoader(source, inputSourceMap) {
+  const options = this.getOptions();
+
+  try {
+    const result = transformFromAst(
+      parser.parse(source, {
+        sourceType: 'module',
+        plugins: ['jsx', 'typescript']
+      }),
+      source,
+      {
+        presets: options.presets || ['@babel/preset-env'],
+        plugins: options.plugins || [],
+        caller: {
+          name: 'mini-webpack',
+          supportsStaticESM: true,
+          supportsDynamicImport: true,
+          supportsTopLevelAwait: true
+        },
+        sourceMaps: !!this.sourceMap,
+        sourceFileName: this.resourcePath,
+        inputSourceMap: inputSourceMap || undefined
+      }
+    );
+
+    this.callback(null, result.code, result.map || undefined);
+  } catch (error) {
+    this.callback(new Error(`Babel 转换失败: ${error.message}`));
+  }
+};
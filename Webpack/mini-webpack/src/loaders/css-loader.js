@@ -0,0 +1,61 @@
+const { parseCss, replaceUrls } = require('../css');
+
+const schema = {
+  title: 'css-loader',
+  type: 'object',
+  properties: {
+    modules: { anyOf: [{ type: 'boolean' }, { enum: ['auto'] }] },
+    localIdentName: { type: 'string' },
+    import: { type: 'boolean' },
+    url: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * 内置 css-loader：把 @import 和 url() 转换为 require()，导出可转换为 CSS 字符串的对象
+ * 开启 modules 时类名局部化，映射放在导出对象的 locals 中
+ * 被 @import 的 CSS 只经过 css-loader 处理（以 !! 前缀的内联请求加载）
+ */
+module.exports = function cssLoader(source) {
+  const options = this.getOptions(schema);
+  const { css, imports, exports } = parseCss(source, {
+    modules: options.modules !== undefined ? options.modules : 'auto',
+    localIdentName: options.localIdentName,
+    import: options.import,
+    url: options.url,
+    resourcePath: this.resourcePath,
+    context: this.rootContext
+  });
+  const loaderRequest = this.loaders[this.loaderIndex].request;
+  const lines = [];
+  const parts = [];
+
+  imports.forEach(({ request, media }, index) => {
+    const name = `___CSS_LOADER_IMPORT_${index}___`;
+    lines.push(`var ${name} = require(${JSON.stringify(`!!${loaderRequest}!${request}`)});`);
+    parts.push(media ? `"@media " + ${JSON.stringify(media)} + " {\\n" + String(${name}) + "\\n}"` : `String(${name})`);
+  });
+
+  // url() 先替换为占位符，再在字符串中拼接为 require(资源)
+  const urls = [];
+  const content = options.url === false ? css : replaceUrls(css, (request, suffix) => {
+    if (!urls.includes(request)) {
+      urls.push(request);
+      lines.push(`var ___CSS_LOADER_URL_${urls.length - 1}___ = require(${JSON.stringify(request)});`);
+    }
+    return `___CSS_LOADER_URL_${urls.indexOf(request)}___${suffix}`;
+  });
+  parts.push(JSON.stringify(content).replace(/___CSS_LOADER_URL_(\d+)___/g, (match, index) => {
+    return `" + ___CSS_LOADER_URL_${index}___ + "`;
+  }));
+
+  lines.push(
+    `var css = ${parts.join(' + "\\n" + ')};`,
+    'module.exports = {',
+    '  toString: function() { return css; },',
+    `  locals: ${JSON.stringify(exports || {})}`,
+    '};'
+  );
+  return lines.join('\n');
+};
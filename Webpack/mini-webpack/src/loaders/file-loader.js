@@ -0,0 +1,36 @@
+const path = require('path');
+const { interpolateName } = require('../utils');
+
+const schema = {
+  title: 'file-loader',
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    outputPath: { type: 'string' },
+    publicPath: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * 内置 file-loader：把文件原样输出到构建目录，模块导出文件的访问路径
+ * name 支持 [name]、[ext]、[path]、[query]、[hash]、[contenthash] 以及 [hash:8] 形式的长度
+ */
+module.exports = function fileLoader(content) {
+  const options = this.getOptions(schema);
+  const name = interpolateName(options.name || '[contenthash].[ext]', {
+    resourcePath: this.resourcePath,
+    context: this.rootContext,
+    content,
+    ext: path.extname(this.resourcePath).slice(1),
+    query: this.resourceQuery
+  });
+  const filename = options.outputPath ? path.posix.join(options.outputPath, name) : name;
+
+  this.emitFile(filename, content);
+
+  const publicPath = options.publicPath !== undefined ? options.publicPath : this.publicPath;
+  return `module.exports = ${JSON.stringify(`${publicPath || ''}${filename}`)};`;
+};
+
+module.exports.raw = true;
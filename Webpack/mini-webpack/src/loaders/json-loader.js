@@ -0,0 +1,6 @@
+/**
+ * 内置 json-loader：把 JSON 导出为 CommonJS 模块
+ */
+module.exports = function jsonLoader(source) {
+  return `module.exports = ${source};`;
+};
@@ -0,0 +1,16 @@
+/**
+ * 内置 style-loader：在 pitch 阶段生成插入 <style> 的代码，
+ * 通过 !! 前缀的内联请求获取其余 loader 处理后的 CSS，避免再次应用配置中的 loader
+ * 模块导出 css-loader 生成的 CSS Modules 类名映射
+ */
+module.exports = function styleLoader() {};
+
+module.exports.pitch = function (remainingRequest) {
+  return `
+const content = require(${JSON.stringify(`!!${remainingRequest}`)});
+const style = document.createElement('style');
+style.textContent = typeof content === 'string' ? content : String(content.default || content);
+document.head.appendChild(style);
+module.exports = content.locals || {};
+`;
+};
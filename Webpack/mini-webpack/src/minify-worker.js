@@ -0,0 +1,16 @@
+const { parentPort } = require('worker_threads');
+const { minify } = require('./minify');
+
+/**
+ * 压缩线程入口
+ * 每个任务压缩一个资源，任务为 { code, options }，返回 minify() 的结果
+ */
+parentPort.on('message', (task) => {
+  try {
+    parentPort.postMessage(minify(task.code, task.options));
+  } catch (error) {
+    parentPort.postMessage({
+      error: { message: error.message, stack: error.stack }
+    });
+  }
+});
@@ -0,0 +1,474 @@
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const generate = require('@babel/generator').default;
+const t = require('@babel/types');
+const { composeSourceMaps } = require('./source-map');
+
+// 许可证注释：/*! ... */、@license、@preserve、@cc_on
+const LICENSE_COMMENT = /^\**!|@preserve|@license|@cc_on/i;
+
+// 标记为无副作用的调用：/*#__PURE__*/ 或 /*@__PURE__*/
+const PURE_ANNOTATION = /^\s*[#@]__PURE__\s*$/;
+
+/**
+ * 压缩 JavaScript 代码
+ * 依次执行常量折叠和死代码消除、移除未使用的局部变量和函数、缩短局部变量名，最后紧凑输出
+ * @param {string} code 代码
+ * @param {Object} options
+ * @param {string} options.filename 文件名，用于 Source Map 和错误信息
+ * @param {Object} options.map 输入代码的 Source Map，传入时返回映射到原始源码的 Source Map
+ * @param {boolean} options.compress 是否常量折叠、消除死代码，默认 true
+ * @param {boolean} options.mangle 是否缩短局部变量名，默认 true
+ * @returns {{ code: string, map: Object|null }}
+ */
+function minify(code, options = {}) {
+  const { filename = 'bundle.js', map = null, compress = true, mangle = true } = options;
+
+  let ast;
+  try {
+    ast = parser.parse(code, { sourceType: 'unambiguous', sourceFilename: filename });
+  } catch (error) {
+    throw new Error(`压缩 ${filename} 失败: ${error.message}`);
+  }
+
+  // 每一步结束后清空路径和作用域缓存，让下一步基于当前的 AST 重新分析作用域
+  if (compress) {
+    // 与压缩使用同一份作用域缓存，之后按作用域对象判断表达式是否受 eval 影响
+    traverse(ast, compressVisitor, undefined, { evalScopes: collectEvalScopes(ast) });
+    traverse.cache.clear();
+    removeUnusedBindings(ast);
+    traverse.cache.clear();
+    traverse(ast, literalVisitor);
+    traverse.cache.clear();
+  }
+
+  if (mangle) {
+    mangleNames(ast);
+    traverse.cache.clear();
+  }
+
+  const result = generate(ast, {
+    minified: true,
+    comments: true,
+    shouldPrintComment: comment => LICENSE_COMMENT.test(comment),
+    jsescOption: { minimal: true },
+    sourceMaps: !!map,
+    sourceFileName: filename
+  }, code);
+
+  return {
+    code: result.code,
+    map: map ? composeSourceMaps({ ...result.map, file: filename }, map) : null
+  };
+}
+
+/**
+ * 常量折叠和死代码消除
+ */
+const compressVisitor = {
+  // 1 + 2、'a' + 'b'、!0、typeof 'x' 等结果确定的表达式替换为字面量
+  'BinaryExpression|LogicalExpression|UnaryExpression|TemplateLiteral': {
+    exit(path, state) {
+      if (path.isUnaryExpression() && (path.node.operator === 'void' || t.isLiteral(path.node.argument))) {
+        return;
+      }
+      // 带标签的模板字符串的结果由标签函数决定，不能折叠
+      if (path.isTemplateLiteral() && path.parentPath.isTaggedTemplateExpression()) {
+        return;
+      }
+      if (isAffectedByEval(path, state.evalScopes)) {
+        return;
+      }
+
+      const result = path.evaluate();
+      if (result.confident && isFoldable(result.value)) {
+        path.replaceWith(valueToNode(result.value));
+        return;
+      }
+
+      // true && x -> x、false || x -> x，左侧确定时只保留需要求值的一侧
+      if (path.isLogicalExpression() && path.node.operator !== '??') {
+        const left = path.get('left').evaluateTruthy();
+        if (left === undefined || !isPure(path.get('left'))) {
+          return;
+        }
+
+        const keepRight = path.node.operator === '&&' ? left : !left;
+        path.replaceWith(keepRight ? path.node.right : path.node.left);
+      }
+    }
+  },
+
+  ConditionalExpression: {
+    exit(path, state) {
+      if (isAffectedByEval(path.get('test'), state.evalScopes)) {
+        return;
+      }
+
+      const test = path.get('test').evaluateTruthy();
+      if (test !== undefined && isPure(path.get('test'))) {
+        path.replaceWith(test ? path.node.consequent : path.node.alternate);
+      }
+    }
+  },
+
+  IfStatement: {
+    exit(path, state) {
+      if (isAffectedByEval(path.get('test'), state.evalScopes)) {
+        return;
+      }
+
+      const test = path.get('test').evaluateTruthy();
+      if (test === undefined || !isPure(path.get('test'))) {
+        return;
+      }
+
+      const kept = test ? path.node.consequent : path.node.alternate;
+      const removed = test ? path.get('alternate') : path.get('consequent');
+      const hoisted = removed.node ? getHoistedDeclaration(removed) : null;
+      const statements = [hoisted].concat(isBlockWithoutScope(kept) ? kept.body : kept).filter(Boolean);
+
+      if (statements.length === 0) {
+        path.remove();
+      } else if (Array.isArray(path.container)) {
+        path.replaceWithMultiple(statements);
+      } else {
+        path.replaceWith(statements.length === 1 ? statements[0] : t.blockStatement(statements));
+      }
+    }
+  },
+
+  WhileStatement(path, state) {
+    if (isAffectedByEval(path.get('test'), state.evalScopes)) {
+      return;
+    }
+
+    if (path.get('test').evaluateTruthy() === false && isPure(path.get('test'))) {
+      replaceWithHoisted(path);
+    }
+  },
+
+  // return、throw、break、continue 之后的语句不会执行
+  'ReturnStatement|ThrowStatement|BreakStatement|ContinueStatement'(path) {
+    if (!Array.isArray(path.container)) {
+      return;
+    }
+
+    path.getAllNextSiblings().forEach(sibling => {
+      if (!sibling.isFunctionDeclaration()) {
+        replaceWithHoisted(sibling);
+      }
+    });
+  }
+};
+
+/**
+ * 紧凑的字面量写法：true -> !0、false -> !1、undefined -> void 0
+ */
+const literalVisitor = {
+  BooleanLiteral(path) {
+    path.replaceWith(t.unaryExpression('!', t.numericLiteral(path.node.value ? 0 : 1)));
+  },
+
+  ReferencedIdentifier(path) {
+    if (path.node.name === 'undefined' && !path.scope.hasBinding('undefined', true)) {
+      path.replaceWith(t.unaryExpression('void', t.numericLiteral(0)));
+    }
+  }
+};
+
+/**
+ * 移除函数内未使用且初始化没有副作用的变量和函数声明
+ * 移除后被它们引用的变量可能也不再使用，反复执行直到没有可移除的声明
+ */
+function removeUnusedBindings(ast) {
+  const dynamicScopes = collectDynamicScopes(ast);
+  const scopes = collectScopes(ast).filter(scope => !scope.path.isProgram() && !dynamicScopes.has(scope));
+
+  let removed = true;
+  while (removed) {
+    removed = false;
+
+    scopes.forEach(scope => {
+      Object.values(scope.bindings).forEach(binding => {
+        if (binding.referenced || binding.constantViolations.length > 0 || binding.path.removed) {
+          return;
+        }
+
+        const declaration = binding.path;
+        const removable = binding.kind === 'hoisted'
+          || (['var', 'let', 'const'].includes(binding.kind)
+            && declaration.isVariableDeclarator()
+            && t.isIdentifier(declaration.node.id)
+            && (!declaration.node.init || isPure(declaration.get('init'))));
+        if (!removable) {
+          return;
+        }
+
+        dereference(declaration);
+        declaration.remove();
+        removed = true;
+      });
+    });
+  }
+}
+
+/**
+ * 缩短局部变量名（全局作用域的名称保持不变）
+ * 从外层作用域开始，每个变量使用不会与外层变量、全局变量以及引用处的内层变量冲突的最短名称
+ */
+function mangleNames(ast) {
+  const dynamicScopes = collectDynamicScopes(ast);
+  const scopes = collectScopes(ast);
+  const globals = new Set(Object.keys(scopes[0].globals));
+
+  scopes.slice(1).filter(scope => !dynamicScopes.has(scope)).forEach(scope => {
+    Object.keys(scope.bindings).forEach(name => {
+      const binding = scope.bindings[name];
+      const usages = binding.referencePaths.concat(binding.constantViolations);
+
+      for (let index = 0; ; index++) {
+        const candidate = getShortName(index);
+        if (candidate === name) {
+          break;
+        }
+
+        const conflicts = !t.isValidIdentifier(candidate)
+          || globals.has(candidate)
+          || scope.hasBinding(candidate)
+          || usages.some(usage => isShadowed(usage.scope, scope, candidate));
+        if (!conflicts) {
+          scope.rename(name, candidate);
+          break;
+        }
+      }
+    });
+  });
+}
+
+/**
+ * 按先外后内的顺序收集所有作用域
+ */
+function collectScopes(ast) {
+  const scopes = new Set();
+
+  traverse(ast, {
+    Program(path) {
+      scopes.add(path.scope);
+    },
+    Scopable(path) {
+      scopes.add(path.scope);
+    }
+  });
+
+  return Array.from(scopes);
+}
+
+/**
+ * from 到 to（不含）之间的作用域是否声明了 name
+ */
+function isShadowed(from, to, name) {
+  for (let scope = from; scope && scope !== to; scope = scope.parent) {
+    if (scope.hasOwnBinding(name)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 能访问到直接调用的 eval 或 with 语句的作用域（所在作用域及其外层作用域）
+ * 其中的变量可能被动态代码按名称访问，不能移除也不能改名；其他作用域不受影响
+ */
+function collectDynamicScopes(ast) {
+  const scopes = new Set();
+  const withScopes = [];
+  traverse(ast, {
+    WithStatement(path) {
+      withScopes.push(path.get('body').scope);
+    }
+  });
+
+  collectEvalScopes(ast).concat(withScopes).forEach(scope => {
+    for (let current = scope; current && !scopes.has(current); current = current.parent) {
+      scopes.add(current);
+    }
+  });
+  return scopes;
+}
+
+/**
+ * 直接调用 eval 的作用域
+ */
+function collectEvalScopes(ast) {
+  const scopes = [];
+  traverse(ast, {
+    CallExpression(path) {
+      if (path.get('callee').isIdentifier({ name: 'eval' }) && !path.scope.hasBinding('eval', true)) {
+        scopes.push(path.scope);
+      }
+    }
+  });
+  return scopes;
+}
+
+/**
+ * 表达式引用的变量是否可能被 eval 改变，此时不能折叠为常量：
+ * eval 可以在所在函数中声明同名变量遮蔽外层变量，也可以给它能访问到的变量重新赋值
+ */
+function isAffectedByEval(path, evalScopes) {
+  if (evalScopes.length === 0) {
+    return false;
+  }
+
+  const identifiers = path.isReferencedIdentifier() ? [path] : [];
+  path.traverse({
+    ReferencedIdentifier(identifier) {
+      identifiers.push(identifier);
+    }
+  });
+
+  return identifiers.some(identifier => {
+    const binding = identifier.scope.getBinding(identifier.node.name);
+    return evalScopes.some(evalScope => {
+      const functionScope = evalScope.getFunctionParent() || evalScope.getProgramParent();
+      return isWithinScope(identifier.scope, functionScope) || (binding && isWithinScope(evalScope, binding.scope));
+    });
+  });
+}
+
+/**
+ * scope 是否为 ancestor 或在其内部
+ */
+function isWithinScope(scope, ancestor) {
+  for (let current = scope; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 第 index 个短名称：a-z、A-Z、$、_，之后为两个及以上字符（后续字符可以是数字）
+ */
+const FIRST_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ$_';
+const CHARS = FIRST_CHARS + '0123456789';
+
+function getShortName(index) {
+  let name = FIRST_CHARS[index % FIRST_CHARS.length];
+  index = Math.floor(index / FIRST_CHARS.length);
+
+  while (index > 0) {
+    index--;
+    name += CHARS[index % CHARS.length];
+    index = Math.floor(index / CHARS.length);
+  }
+
+  return name;
+}
+
+/**
+ * 表达式是否没有副作用（可以删除或提前求值）
+ */
+function isPure(path) {
+  if (path.scope.isPure(path.node)) {
+    return true;
+  }
+
+  const { node } = path;
+  return (t.isCallExpression(node) || t.isNewExpression(node))
+    && (node.leadingComments || []).some(comment => PURE_ANNOTATION.test(comment.value))
+    && path.get('arguments').every(isPure);
+}
+
+/**
+ * 块语句中没有 let、const、class、函数声明时，展开后不影响变量的作用域
+ */
+function isBlockWithoutScope(node) {
+  return t.isBlockStatement(node) && node.body.every(statement => {
+    return !t.isFunctionDeclaration(statement) && !t.isClassDeclaration(statement)
+      && !(t.isVariableDeclaration(statement) && statement.kind !== 'var');
+  });
+}
+
+/**
+ * 可以替换为字面量的值：字符串、布尔值、null、undefined 和有限数字
+ */
+function isFoldable(value) {
+  return value === null
+    || value === undefined
+    || typeof value === 'string'
+    || typeof value === 'boolean'
+    || (typeof value === 'number' && Number.isFinite(value) && !Object.is(value, -0));
+}
+
+function valueToNode(value) {
+  return value === undefined ? t.unaryExpression('void', t.numericLiteral(0)) : t.valueToNode(value);
+}
+
+/**
+ * 删除语句，保留其中 var 声明的变量（变量提升后在语句外仍然可以访问）
+ */
+function replaceWithHoisted(path) {
+  const hoisted = getHoistedDeclaration(path);
+  if (hoisted) {
+    path.replaceWith(hoisted);
+  } else if (Array.isArray(path.container)) {
+    path.remove();
+  } else {
+    path.replaceWith(t.emptyStatement());
+  }
+}
+
+/**
+ * 语句中声明的 var 变量（不包括内层函数中的），没有时返回 null
+ */
+function getHoistedDeclaration(path) {
+  if (path.isVariableDeclaration({ kind: 'var' }) && path.node.declarations.every(declarator => !declarator.init)) {
+    return path.node;
+  }
+
+  const names = [];
+  const collect = (declaration) => {
+    if (declaration.node.kind === 'var') {
+      names.push(...Object.keys(t.getBindingIdentifiers(declaration.node)));
+    }
+  };
+
+  if (path.isVariableDeclaration()) {
+    collect(path);
+  }
+  path.traverse({
+    Function(inner) {
+      inner.skip();
+    },
+    VariableDeclaration: collect
+  });
+
+  if (names.length === 0) {
+    return null;
+  }
+
+  return t.variableDeclaration('var', names.map(name => t.variableDeclarator(t.identifier(name))));
+}
+
+/**
+ * 删除代码前减少其中引用的变量的引用计数
+ */
+function dereference(path) {
+  path.traverse({
+    ReferencedIdentifier(reference) {
+      const binding = reference.scope.getBinding(reference.node.name);
+      if (binding) {
+        binding.referencePaths = binding.referencePaths.filter(item => item !== reference);
+        binding.dereference();
+      }
+    }
+  });
+}
+
+module.exports = {
+  minify,
+  LICENSE_COMMENT
+};
@@ -0,0 +1,824 @@
+const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const generator = require('@babel/generator').default;
+const { types: t } = require('@babel/core');
+const { ConcatSource, RawSource, SourceMapSource } = require('./sources');
+const { composeSourceMaps } = require('./source-map');
+
+// 合并后的代码中不能使用的顶层变量名：模块包装函数的参数、运行时生成的变量等
+const RESERVED_NAMES = new Set([
+  'module',
+  'exports',
+  'require',
+  '__webpack_require__',
+  '__webpack_exports__',
+  '__WEBPACK_DEFAULT_EXPORT__',
+  '__WEBPACK_REEXPORT_OBJECT__',
+  '__WEBPACK_IMPORT_KEY__',
+  'arguments',
+  'eval',
+  'undefined',
+  'NaN',
+  'Infinity'
+]);
+
+const DEFAULT_EXPORT_NAME = '__WEBPACK_DEFAULT_EXPORT__';
+
+/**
+ * 模块合并（作用域提升）
+ * 把只通过 import 互相引用、位于相同代码块中的 ES 模块合并到根模块的作用域中，
+ * 冲突的顶层变量重命名；无法合并的模块保留独立的包装函数，原因记录在 module.optimizationBailout
+ */
+class ModuleConcatenation {
+  /**
+   * 按模块到入口的深度从浅到深选择根模块，尽可能合并更多的模块
+   */
+  apply(compilation) {
+    const modules = Array.from(compilation.modules);
+    modules.forEach(module => {
+      module.optimizationBailout = [];
+      module.concatenatedModules = null;
+      module.concatenationRoot = null;
+    });
+
+    // 模块热替换按模块更新，不能合并
+    if (compilation.compiler && compilation.compiler.hotModuleReplacement) {
+      modules.forEach(module => module.optimizationBailout.push('开启了模块热替换'));
+      return;
+    }
+
+    this.compilation = compilation;
+    this.entryModules = new Set(compilation.entries.values());
+    this.incoming = this.getIncomingReferences(modules);
+    this.candidates = new Set();
+    this.concatenated = new Set();
+
+    modules.forEach(module => {
+      const reason = this.getBailoutReason(module);
+      if (reason) {
+        module.optimizationBailout.push(reason);
+      } else {
+        this.candidates.add(module);
+      }
+    });
+
+    const depths = this.getDepths();
+    const roots = Array.from(this.candidates).sort((a, b) => {
+      return (depths.has(a) ? depths.get(a) : Infinity) - (depths.has(b) ? depths.get(b) : Infinity);
+    });
+
+    roots.forEach(root => {
+      if (this.concatenated.has(root)) {
+        return;
+      }
+
+      const group = this.createGroup(root);
+      if (group.size === 1) {
+        return;
+      }
+
+      const ordered = getConcatenationOrder(root, group)
+        .filter(entry => !entry.external)
+        .map(entry => entry.module);
+
+      root.concatenatedModules = ordered;
+      ordered.forEach(module => {
+        this.concatenated.add(module);
+        if (module !== root) {
+          module.concatenationRoot = root;
+          compilation.chunks.forEach(chunk => chunk.removeModule(module));
+        }
+      });
+    });
+
+    // 能够合并、但没有与其他模块合并的模块：被 require()、import() 引用，或没有可以合并的模块
+    modules.forEach(module => {
+      if (this.concatenated.has(module) || module.optimizationBailout.length > 0) {
+        return;
+      }
+
+      const reference = (this.incoming.get(module) || []).find(({ dependency }) => dependency.type !== 'import');
+      module.optimizationBailout.push(reference ? getReferenceReason(reference) : '没有可以合并的模块');
+    });
+  }
+
+  /**
+   * 从根模块开始，依次尝试合并组内模块 import 的模块
+   */
+  createGroup(root) {
+    const group = new Set([root]);
+    const queue = [root];
+
+    while (queue.length > 0) {
+      const module = queue.shift();
+
+      getImportedModules(module).forEach(target => {
+        if (group.has(target)) {
+          return;
+        }
+
+        const added = [];
+        const reason = this.tryToAdd(group, target, root, added);
+        if (reason) {
+          addReason(root, `无法合并 ${target.readableIdentifier()}: ${reason}`);
+          if (this.candidates.has(target) && !this.concatenated.has(target)) {
+            addReason(target, reason);
+          }
+          return;
+        }
+
+        queue.push(...added);
+      });
+    }
+
+    return group;
+  }
+
+  /**
+   * 尝试把模块加入组，引用它的模块也需要一起加入；失败时恢复组并返回原因
+   */
+  tryToAdd(group, module, root, added) {
+    if (group.has(module)) {
+      return null;
+    }
+
+    if (!this.candidates.has(module)) {
+      return module.optimizationBailout[0] || '不能合并';
+    }
+
+    if (this.concatenated.has(module)) {
+      return '已经合并到其他模块中';
+    }
+
+    if (this.entryModules.has(module)) {
+      return '是入口模块';
+    }
+
+    if (!this.isInSameChunks(module, root)) {
+      return `与 ${root.readableIdentifier()} 不在相同的代码块中`;
+    }
+
+    const snapshot = new Set(group);
+    const addedLength = added.length;
+    const restore = (reason) => {
+      group.clear();
+      snapshot.forEach(item => group.add(item));
+      added.length = addedLength;
+      return reason;
+    };
+
+    group.add(module);
+    added.push(module);
+
+    for (const { origin, dependency } of this.incoming.get(module) || []) {
+      if (dependency.type !== 'import') {
+        return restore(getReferenceReason({ origin, dependency }));
+      }
+
+      if (!group.has(origin) && this.tryToAdd(group, origin, root, added)) {
+        return restore(`被组外的模块 ${origin.readableIdentifier()} 引用`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 模块自身不能合并的原因，可以合并时返回 null
+   */
+  getBailoutReason(module) {
+    if (module.external) {
+      return '是外部模块';
+    }
+
+    if (module.contextOptions) {
+      return '是上下文模块';
+    }
+
+    if (module.type !== 'javascript' && module.type !== 'typescript') {
+      return `是 ${module.type} 类型的模块`;
+    }
+
+    if (!module.parsed || !module.esModule) {
+      return '不是 ES 模块';
+    }
+
+    const globals = getGlobals(module);
+    if (!globals) {
+      return '无法解析模块代码';
+    }
+
+    if (globals.has('eval')) {
+      return '使用了 eval()';
+    }
+
+    if (globals.has('module') || globals.has('exports')) {
+      return '使用了 CommonJS 的 module 或 exports';
+    }
+
+    return null;
+  }
+
+  /**
+   * 被依赖的模块 -> [{ origin, dependency }]
+   */
+  getIncomingReferences(modules) {
+    const incoming = new Map();
+
+    modules.forEach(origin => {
+      origin.dependencies.forEach(dependency => {
+        if (!dependency.module || dependency.importKind === 'type') {
+          return;
+        }
+
+        if (!incoming.has(dependency.module)) {
+          incoming.set(dependency.module, []);
+        }
+        incoming.get(dependency.module).push({ origin, dependency });
+      });
+    });
+
+    return incoming;
+  }
+
+  /**
+   * 从入口模块开始，每个模块到入口的最短依赖层数
+   */
+  getDepths() {
+    const depths = new Map();
+    const queue = Array.from(this.entryModules);
+    queue.forEach(module => depths.set(module, 0));
+
+    while (queue.length > 0) {
+      const module = queue.shift();
+      module.dependencies.forEach(dependency => {
+        if (dependency.module && !depths.has(dependency.module)) {
+          depths.set(dependency.module, depths.get(module) + 1);
+          queue.push(dependency.module);
+        }
+      });
+    }
+
+    return depths;
+  }
+
+  isInSameChunks(module, root) {
+    return this.compilation.chunks.every(chunk => chunk.hasModule(module) === chunk.hasModule(root));
+  }
+}
+
+/**
+ * 生成合并后的模块代码
+ * 各模块的顶层变量按需重命名后放在同一个作用域中，组内模块之间的导入直接引用变量，
+ * 组外的模块仍通过 __webpack_require__() 获取，只有根模块的导出定义到 __webpack_exports__
+ * @returns {{ source: string, map: Object|null }}
+ */
+function generateConcatenatedModule(root) {
+  const group = new Set(root.concatenatedModules);
+  const entries = getConcatenationOrder(root, group);
+  const infos = new Map();
+  const devtool = root.getDevtool();
+
+  root.concatenatedModules.forEach(module => infos.set(module, parseModule(module)));
+
+  // 所有模块中的全局变量和内层作用域的变量，合并后的顶层变量不能遮蔽它们
+  const globals = new Set();
+  const nestedNames = new Set();
+  const topLevelNames = new Set();
+  infos.forEach(info => {
+    info.globals.forEach(name => globals.add(name));
+    info.nestedNames.forEach(name => nestedNames.add(name));
+    info.topLevelNames.forEach(name => topLevelNames.add(name));
+  });
+
+  // 新生成的变量名还需要避开各模块原有的顶层变量名
+  const usedNames = new Set();
+  const isAvailable = (name) => !usedNames.has(name) && !RESERVED_NAMES.has(name) && !globals.has(name) &&
+    !nestedNames.has(name) && !topLevelNames.has(name);
+  const createName = (base) => {
+    let name = base;
+    for (let index = 1; !isAvailable(name); index++) {
+      name = `${base}_${index}`;
+    }
+    usedNames.add(name);
+    return name;
+  };
+
+  // 顶层变量不与其他模块冲突时保持原名，否则加上模块名后缀
+  infos.forEach(info => {
+    const otherNestedNames = new Set();
+    infos.forEach(other => {
+      if (other !== info) {
+        other.nestedNames.forEach(name => otherNestedNames.add(name));
+      }
+    });
+
+    info.topLevelNames.forEach(name => {
+      if (name !== DEFAULT_EXPORT_NAME && !usedNames.has(name) && !RESERVED_NAMES.has(name) &&
+          !globals.has(name) && !otherNestedNames.has(name)) {
+        usedNames.add(name);
+        return;
+      }
+
+      const newName = createName(name === DEFAULT_EXPORT_NAME ? `${info.suffix}_default` : `${name}_${info.suffix}`);
+      info.programPath.scope.rename(name, newName);
+    });
+  });
+
+  infos.forEach(info => collectExports(info));
+
+  const externals = new Map(); // 组外模块 -> { name, request, interop: Map<name, init> }
+  const namespaceObjects = new Map(); // 组内模块 -> 命名空间对象的变量名
+
+  const getExternal = (module) => externals.get(module);
+
+  const getInteropVar = (module, suffix, init) => {
+    const external = getExternal(module);
+    const name = `${external.name.slice(0, -2)}_${suffix}__`;
+    external.interop.set(name, init);
+    return name;
+  };
+
+  // 访问组外模块的导出
+  const getExternalAccess = (module, imported) => {
+    const { name } = getExternal(module);
+
+    if (imported === '*') {
+      return module.esModule ? name : getInteropVar(module, 'namespace', `__webpack_require__.t(${name}, 6)`);
+    }
+
+    if (imported === 'default' && !module.esModule) {
+      return `${getInteropVar(module, 'default', `__webpack_require__.n(${name})`)}()`;
+    }
+
+    return t.isValidIdentifier(imported) ? `${name}.${imported}` : `${name}[${JSON.stringify(imported)}]`;
+  };
+
+  const getNamespaceObject = (module) => {
+    if (!namespaceObjects.has(module)) {
+      namespaceObjects.set(module, createName(`${infos.get(module).suffix}_namespaceObject`));
+    }
+    return namespaceObjects.get(module);
+  };
+
+  // 模块的导出名，包括 export * 重新导出的（重新导出的不包括 default）
+  const getExportNames = (module, visited = new Set()) => {
+    if (visited.has(module)) {
+      return [];
+    }
+    visited.add(module);
+
+    if (!infos.has(module)) {
+      return module.esModule && module.providedExports ? module.providedExports.filter(name => name !== 'default') : [];
+    }
+
+    const info = infos.get(module);
+    const names = new Set(info.exports.keys());
+    info.stars.forEach(star => {
+      getExportNames(star, visited).forEach(name => {
+        if (name !== 'default') {
+          names.add(name);
+        }
+      });
+    });
+    return Array.from(names);
+  };
+
+  // 访问模块的某个导出：组内模块直接引用变量，组外模块访问其 exports
+  const getAccess = (module, imported, visited = new Set()) => {
+    if (!infos.has(module)) {
+      return getExternalAccess(module, imported);
+    }
+
+    if (imported === '*') {
+      return getNamespaceObject(module);
+    }
+
+    if (visited.has(module)) {
+      return 'undefined';
+    }
+    visited.add(module);
+
+    const info = infos.get(module);
+    const exported = info.exports.get(imported);
+    if (exported) {
+      return exported.local || getAccess(exported.module, exported.imported, visited);
+    }
+
+    if (imported !== 'default') {
+      for (const star of info.stars) {
+        if (infos.has(star) ? getExportNames(star).includes(imported) : !star.esModule || getExportNames(star).includes(imported)) {
+          return getAccess(star, imported, visited);
+        }
+      }
+    }
+
+    return 'undefined';
+  };
+
+  entries.forEach(entry => {
+    if (entry.external && !externals.has(entry.module)) {
+      const { request } = entry;
+      externals.set(entry.module, {
+        name: createName(`_${request.replace(/^[^\w$]+/, '').replace(/[^\w$]/g, '_')}__WEBPACK_IMPORTED_MODULE_${externals.size}__`),
+        request,
+        interop: new Map()
+      });
+    }
+  });
+
+  infos.forEach(info => transformModule(info, group, getAccess));
+
+  // 根模块的导出
+  const rootInfo = infos.get(root);
+  const getters = Array.from(rootInfo.exports.keys()).map(name => [name, getAccess(root, name)]);
+  const reexportAll = [];
+  rootInfo.stars.forEach(star => {
+    if (infos.has(star)) {
+      getExportNames(star).forEach(name => {
+        if (name !== 'default' && !getters.some(([exported]) => exported === name)) {
+          getters.push([name, getAccess(star, name)]);
+        }
+      });
+    } else {
+      reexportAll.push(getExternal(star).name);
+    }
+  });
+
+  // 命名空间对象的 getter 可能引用其他模块的命名空间对象，直到没有新的命名空间对象
+  const namespaceDefinitions = [];
+  for (let index = 0; index < namespaceObjects.size; index++) {
+    const [module, name] = Array.from(namespaceObjects)[index];
+    const moduleGetters = getExportNames(module).map(exported => [exported, getAccess(module, exported)]);
+
+    namespaceDefinitions.push(`// NAMESPACE OBJECT: ${module.readableIdentifier()}
+var ${name} = {};
+__webpack_require__.r(${name});
+${defineGetters(name, moduleGetters)}`);
+  }
+
+  const source = new ConcatSource();
+  if (getters.length > 0) {
+    source.add(`${defineGetters('__webpack_exports__', getters)}\n`);
+  }
+  reexportAll.forEach(name => {
+    source.add(`var __WEBPACK_REEXPORT_OBJECT__ = {};
+for (const __WEBPACK_IMPORT_KEY__ in ${name}) if (__WEBPACK_IMPORT_KEY__ !== "default") __WEBPACK_REEXPORT_OBJECT__[__WEBPACK_IMPORT_KEY__] = () => ${name}[__WEBPACK_IMPORT_KEY__];
+__webpack_require__.d(__webpack_exports__, __WEBPACK_REEXPORT_OBJECT__);\n`);
+  });
+  namespaceDefinitions.forEach(definition => source.add(`\n${definition}\n`));
+
+  const emitted = new Set();
+  entries.forEach(entry => {
+    if (entry.external) {
+      if (emitted.has(entry.module)) {
+        return;
+      }
+      emitted.add(entry.module);
+
+      const { name, request, interop } = getExternal(entry.module);
+      source.add(`\n// EXTERNAL MODULE: ${entry.module.readableIdentifier()}\n`);
+      source.add(`var ${name} = __webpack_require__(/* ${request.replace(/\*\//g, '*\\/')} */ ${JSON.stringify(entry.module.id)});\n`);
+      interop.forEach((init, interopName) => source.add(`var ${interopName} = /*#__PURE__*/${init};\n`));
+      return;
+    }
+
+    const info = infos.get(entry.module);
+    const result = generator(info.ast, entry.module.getGeneratorOptions(), info.code);
+    source.add(`\n;// CONCATENATED MODULE: ${entry.module.readableIdentifier()}\n`);
+    source.add(devtool && result.map
+      ? new SourceMapSource(result.code, entry.module.getSourceName(), composeSourceMaps(result.map, entry.module.sourceMap))
+      : new RawSource(result.code));
+    source.add('\n');
+  });
+
+  const { source: code, map } = source.sourceAndMap();
+  return { source: String(code), map: devtool ? map : null };
+}
+
+/**
+ * 解析组内模块：移除未使用的导出，为匿名的默认导出命名，收集顶层变量和导入的绑定
+ */
+function parseModule(module) {
+  const code = module.transformedSource || module.source;
+  const ast = parser.parse(code, {
+    sourceType: 'module',
+    plugins: ['jsx', 'typescript', 'dynamicImport']
+  });
+  ast.program.directives = [];
+
+  let programPath = null;
+  traverse(ast, {
+    Program(path) {
+      programPath = path;
+    }
+  });
+
+  module.removeUnusedExports(programPath, new Set(module.getUnusedExports()));
+
+  // 默认导出的表达式改为变量，匿名函数、类使用默认导出的变量名
+  programPath.get('body').forEach(statement => {
+    if (!statement.isExportDefaultDeclaration()) {
+      return;
+    }
+
+    const declaration = statement.node.declaration;
+    if (t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) {
+      if (!declaration.id) {
+        declaration.id = t.identifier(DEFAULT_EXPORT_NAME);
+      }
+    } else if (t.isExpression(declaration)) {
+      statement.replaceWithMultiple([
+        t.variableDeclaration('const', [t.variableDeclarator(t.identifier(DEFAULT_EXPORT_NAME), declaration)]),
+        t.exportNamedDeclaration(null, [t.exportSpecifier(t.identifier(DEFAULT_EXPORT_NAME), t.identifier('default'))])
+      ]);
+    }
+  });
+
+  programPath.scope.crawl();
+
+  const scope = programPath.scope;
+  const topLevelNames = Object.keys(scope.bindings).filter(name => scope.bindings[name].kind !== 'module');
+  const nestedNames = new Set();
+  programPath.traverse({
+    Scopable(path) {
+      if (path.scope !== scope) {
+        Object.keys(path.scope.bindings).forEach(name => nestedNames.add(name));
+      }
+    }
+  });
+
+  // 导入的本地绑定 -> { module, imported }
+  const importBindings = new Map();
+  programPath.get('body').forEach(statement => {
+    const target = statement.isImportDeclaration() && getTargetModule(module, statement.node);
+    if (!target) {
+      return;
+    }
+
+    statement.node.specifiers.forEach(spec => {
+      if (spec.importKind === 'type') {
+        return;
+      }
+
+      let imported = '*';
+      if (spec.type === 'ImportDefaultSpecifier') {
+        imported = 'default';
+      } else if (spec.type === 'ImportSpecifier') {
+        imported = module.getExportName(spec.imported);
+      }
+      importBindings.set(spec.local.name, { module: target, imported });
+    });
+  });
+
+  const basename = path.basename(module.path, path.extname(module.path)).replace(/[^\w$]/g, '_');
+
+  return {
+    module,
+    ast,
+    code,
+    programPath,
+    topLevelNames,
+    nestedNames,
+    importBindings,
+    globals: Object.keys(scope.globals),
+    suffix: /^\d/.test(basename) ? `_${basename}` : basename,
+    exports: new Map(), // 导出名 -> { local } 或 { module, imported }
+    stars: [] // export * 重新导出的模块
+  };
+}
+
+/**
+ * 收集重命名后的导出
+ */
+function collectExports(info) {
+  const { module, programPath, importBindings, exports, stars } = info;
+
+  programPath.get('body').forEach(statement => {
+    const { node } = statement;
+
+    if (statement.isExportNamedDeclaration() && node.exportKind !== 'type') {
+      if (node.declaration) {
+        Object.keys(t.getBindingIdentifiers(node.declaration, false, true)).forEach(name => {
+          exports.set(name, { local: name });
+        });
+        return;
+      }
+
+      const target = node.source && getTargetModule(module, node);
+      if (node.source && !target) {
+        return;
+      }
+
+      node.specifiers.forEach(spec => {
+        if (spec.exportKind === 'type') {
+          return;
+        }
+
+        const exported = module.getExportName(spec.exported);
+        if (target) {
+          const imported = spec.type === 'ExportNamespaceSpecifier' ? '*' : module.getExportName(spec.local);
+          exports.set(exported, { module: target, imported });
+        } else {
+          const local = spec.local.name;
+          exports.set(exported, importBindings.has(local) ? importBindings.get(local) : { local });
+        }
+      });
+      return;
+    }
+
+    if (statement.isExportAllDeclaration()) {
+      const target = getTargetModule(module, node);
+      if (target) {
+        stars.push(target);
+      }
+      return;
+    }
+
+    if (statement.isExportDefaultDeclaration() && node.declaration.id) {
+      exports.set('default', { local: node.declaration.id.name });
+    }
+  });
+}
+
+/**
+ * 把导入的绑定替换为被导入模块的变量或 exports 访问，移除 import、export 语句
+ */
+function transformModule(info, group, getAccess) {
+  const { module, programPath, importBindings } = info;
+  const scope = programPath.scope;
+
+  scope.crawl();
+
+  importBindings.forEach(({ module: target, imported }, local) => {
+    const binding = scope.getBinding(local);
+    if (!binding) {
+      return;
+    }
+
+    binding.referencePaths.slice().forEach(ref => {
+      if (ref.parentPath.isExportSpecifier()) {
+        return;
+      }
+
+      // 组内模块的命名空间对象：ns.name 直接访问对应的导出，其他用法使用命名空间对象
+      const member = ref.parentPath;
+      if (imported === '*' && group.has(target) && member.isMemberExpression({ object: ref.node }) && !isAssignmentTarget(member)) {
+        const property = member.node.computed
+          ? t.isStringLiteral(member.node.property) && member.node.property.value
+          : member.node.property.name;
+        if (property) {
+          replaceReference(member, getAccess(target, property));
+          return;
+        }
+      }
+
+      replaceReference(ref, getAccess(target, imported));
+    });
+  });
+
+  programPath.get('body').forEach(statement => {
+    if (statement.isImportDeclaration() || statement.isExportAllDeclaration()) {
+      statement.remove();
+    } else if (statement.isExportNamedDeclaration()) {
+      if (statement.node.declaration && statement.node.exportKind !== 'type') {
+        statement.replaceWith(statement.node.declaration);
+      } else {
+        statement.remove();
+      }
+    } else if (statement.isExportDefaultDeclaration()) {
+      if (statement.node.declaration.id) {
+        statement.replaceWith(statement.node.declaration);
+      } else {
+        statement.remove();
+      }
+    }
+  });
+
+  module.replaceDependencyRequests(programPath);
+  module.replaceNodeGlobals(programPath);
+}
+
+/**
+ * 替换引用，调用成员表达式时避免 this 指向被导入模块的 exports
+ */
+function replaceReference(ref, access) {
+  const replacement = parser.parseExpression(access);
+  const isCallee = ref.parentPath.isCallExpression({ callee: ref.node }) ||
+    ref.parentPath.isTaggedTemplateExpression({ tag: ref.node });
+
+  if (isCallee && t.isMemberExpression(replacement)) {
+    ref.replaceWith(t.sequenceExpression([t.numericLiteral(0), replacement]));
+    return;
+  }
+
+  if (ref.parentPath.isObjectProperty({ value: ref.node, shorthand: true })) {
+    ref.parent.shorthand = false;
+  }
+  ref.replaceWith(t.inherits(replacement, ref.node));
+}
+
+function isAssignmentTarget(path) {
+  return path.parentPath.isAssignmentExpression({ left: path.node }) ||
+    path.parentPath.isUpdateExpression() ||
+    (path.parentPath.isUnaryExpression({ operator: 'delete' }));
+}
+
+function defineGetters(target, getters) {
+  return `__webpack_require__.d(${target}, {
+${getters.map(([name, expression]) => `  ${JSON.stringify(name)}: () => (${expression})`).join(',\n')}
+});`;
+}
+
+/**
+ * import、export ... from 语句引用的、未被移除的模块
+ */
+function getTargetModule(module, node) {
+  if (node.importKind === 'type' || node.exportKind === 'type') {
+    return null;
+  }
+
+  const dependency = module.getDependency(node.source.value, 'import');
+  return dependency && dependency.module ? dependency.module : null;
+}
+
+/**
+ * 模块通过 import、export ... from 静态引用的模块
+ */
+function getImportedModules(module) {
+  return module.dependencies
+    .filter(dependency => dependency.type === 'import' && dependency.module && dependency.importKind !== 'type')
+    .map(dependency => dependency.module);
+}
+
+/**
+ * 合并后的执行顺序：按 import 的顺序先执行被导入的模块（组外的模块在此处 require）
+ * @returns {Array<{ module, external: boolean, request?: string }>}
+ */
+function getConcatenationOrder(root, group) {
+  const entries = [];
+  const visited = new Set();
+
+  const visit = (module) => {
+    visited.add(module);
+
+    module.dependencies.forEach(dependency => {
+      if (dependency.type !== 'import' || !dependency.module || dependency.importKind === 'type') {
+        return;
+      }
+
+      if (!group.has(dependency.module)) {
+        entries.push({ module: dependency.module, external: true, request: dependency.request });
+      } else if (!visited.has(dependency.module)) {
+        visit(dependency.module);
+      }
+    });
+
+    entries.push({ module, external: false });
+  };
+
+  visit(root);
+  return entries;
+}
+
+/**
+ * 模块代码中引用的全局变量，无法解析时返回 null
+ */
+function getGlobals(module) {
+  try {
+    const ast = parser.parse(module.transformedSource || module.source, {
+      sourceType: 'module',
+      plugins: ['jsx', 'typescript', 'dynamicImport']
+    });
+
+    let globals = null;
+    traverse(ast, {
+      Program(path) {
+        globals = new Set(Object.keys(path.scope.globals));
+        path.stop();
+      }
+    });
+    return globals;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 通过 require()、import() 等引用模块时不能合并的原因
+ */
+function getReferenceReason({ origin, dependency }) {
+  const syntax = dependency.type === 'dynamic-import' ? 'import()' : dependency.type === 'require' ? 'require()' : dependency.type;
+  return `被 ${origin.readableIdentifier()} 通过 ${syntax} 引用`;
+}
+
+function addReason(module, reason) {
+  if (!module.optimizationBailout.includes(reason)) {
+    module.optimizationBailout.push(reason);
+  }
+}
+
+ModuleConcatenation.generateConcatenatedModule = generateConcatenatedModule;
+
+module.exports = ModuleConcatenation;
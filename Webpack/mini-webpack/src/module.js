@@ -3,8 +3,31 @@ const path = require('path');
 const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const generator = require('@babel/generator').default;
-const { transformFromAst } = require('@babel/core');
-const Dependency = require('./dependency');
+const { types: t } = require('@babel/core');
+const {
+  Dependency,
+  ImportDependency,
+  DynamicImportDependency,
+  ContextDependency,
+  AssetDependency,
+  CssDependency,
+  DependencyFactory
+} = require('./dependency');
+const Template = require('./template');
+const { composeSourceMaps, createIdentitySourceMap } = require('./source-map');
+const { generateHash, interpolateName, getMimeType } = require('./utils');
+const { parseCss, replaceUrls, renderCssModules } = require('./css');
+const { generateConcatenatedModule } = require('./module-concatenation');
+const {
+  parseLoaderRequest,
+  parseResource,
+  createLoaderResolver,
+  resolveLoader,
+  loadLoader,
+  createLoaderObject,
+  runLoaders,
+  readResource
+} = require('./loader');
 
 /**
  * 模块类
@@ -15,12 +38,21 @@ class Module {
     this.request = options.request; // 原始请求路径
     this.name = options.name; // 模块名称
     this.path = options.path; // 解析后的绝对路径
+    this.identifier = options.identifier || this.path; // 模块标识（内联 loader + 路径）
+    this.inlineLoaderRequest = parseLoaderRequest(this.request || ''); // 请求中的内联 loader
+    this.resourceQuery = parseResource(this.inlineLoaderRequest.resource).query; // 资源请求中的 ?query
+    this.context = options.context || null; // 发起请求的目录，内联 loader 的相对路径基于此解析
+    this.ignored = options.ignored || false; // 被 alias、browser 字段设为 false 的模块，构建为空模块
+    this.external = options.external || null; // 外部模块 { type, request }，运行时从外部获取，不读取文件
+    this.contextOptions = options.contextOptions || null; // 上下文模块 { directory, recursive, regExp, mode, chunkName }，由目录下匹配的文件生成
     this.compilation = options.compilation;
     
     // 模块内容
     this.source = ''; // 原始源码
     this.transformedSource = ''; // 转换后的源码
     this.ast = null; // AST
+    this.parsed = false; // 源码是否成功解析为 JavaScript
+    this.sourceMap = null; // 转换后的源码到原始文件的 Source Map
     
     // 依赖关系
     this.dependencies = [];
@@ -32,6 +64,29 @@ class Module {
     this.type = this.getModuleType();
     this.built = false; // 是否已构建
     this.buildTimestamp = 0;
+    this.cacheable = true; // 构建结果能否写入文件系统缓存（loader 可调用 this.cacheable(false)）
+    this.fileDependencies = new Set(this.ignored || this.external || this.contextOptions ? [] : [this.path]); // 构建依赖的文件（监听模式使用）
+    
+    // 导出信息（tree shaking 使用）
+    this.esModule = false; // 是否为 ES 模块
+    this.providedExports = null; // 模块自身提供的导出名，非 ES 模块为 null
+    this.usedExports = true; // 被使用的导出名集合，true 表示全部使用
+    this.sideEffectFree = false; // 顶层代码是否没有副作用
+    
+    // asset/resource 模块输出的文件
+    this.assetFilename = null;
+    this.assetContent = null;
+    this.assetUrl = null; // 资源的 URL 或 data URI，CSS 提取时替换 url()
+    
+    // CSS 模块：transformedSource 为处理后的 CSS，cssExports 为 CSS Modules 的类名映射
+    this.cssExports = null;
+    this.generatedSource = null; // 按使用情况生成的代码
+    this.generatedSourceMap = null; // 生成的代码到原始文件的 Source Map
+    
+    // 模块合并：根模块的 concatenatedModules 为合并的所有模块（按执行顺序），被合并的模块指向根模块
+    this.concatenatedModules = null;
+    this.concatenationRoot = null;
+    this.optimizationBailout = []; // 不能合并的原因
     
     // 错误信息
     this.errors = [];
@@ -39,26 +94,50 @@ class Module {
   }
   
   /**
-   * 获取模块类型
+   * 获取模块类型，规则中的 type（如 asset/resource）优先
    */
   getModuleType() {
+    if (this.external || this.contextOptions) {
+      return 'javascript';
+    }
+    
+    const ruleType = this.getMatchedRules().reduce((type, rule) => rule.type || type, null);
+    if (ruleType) {
+      return ruleType;
+    }
+    
+    if (this.ignored) {
+      return 'javascript';
+    }
+    
     const ext = path.extname(this.path);
     switch (ext) {
       case '.js':
       case '.jsx':
+      case '.mjs':
+      case '.cjs':
         return 'javascript';
       case '.ts':
       case '.tsx':
         return 'typescript';
       case '.css':
-        return 'css';
+        // 由 loader 处理的 CSS 输出 JavaScript
+        return this.getLoaders().length > 0 ? 'javascript' : 'css';
       case '.json':
         return 'json';
       default:
-        return 'asset';
+        // 没有 loader 处理的图片、字体等文件作为资源模块
+        return this.getLoaders().length > 0 ? 'javascript' : 'asset';
     }
   }
   
+  /**
+   * 是否为资源模块（asset、asset/resource、asset/inline、asset/source）
+   */
+  isAssetModule() {
+    return this.type === 'asset' || this.type.startsWith('asset/');
+  }
+  
   /**
    * 构建模块
    */
@@ -71,29 +150,306 @@ class Module {
       // 读取源码
       await this.readSource();
       
-      // 应用 loaders
-      await this.applyLoaders();
+      // 文件系统缓存命中时跳过 loader、解析和转换
+      const cache = this.ignored || this.external || this.contextOptions ? null : this.compilation?.cache;
+      const etag = cache ? this.getCacheEtag() : null;
+      if (cache) {
+        const data = await cache.get(this.identifier, etag);
+        this.compilation.cacheStats[data ? 'hits' : 'misses']++;
+        
+        if (data) {
+          this.deserialize(data);
+          return;
+        }
+      }
+      
+      // 开启 parallelism 时在构建线程中执行，loader 输出的文件由主线程生成
+      const workerPool = this.ignored || this.external || this.contextOptions || this.compilation?.hooks?.beforeParse.isUsed()
+        ? null
+        : this.compilation?.workerPool;
+      if (workerPool) {
+        const { data, assets } = await workerPool.run({
+          request: this.request,
+          name: this.name,
+          path: this.path,
+          context: this.context,
+          source: this.source
+        });
+        assets.forEach(([name, content, assetInfo]) => this.compilation.emitAsset(name, content, assetInfo));
+        this.deserialize(data);
+      } else {
+        await this.doBuild();
+      }
+      
+      if (cache && this.cacheable) {
+        const fileDependencies = Array.from(this.fileDependencies).filter(file => file !== this.path);
+        cache.set(this.identifier, etag, this.serialize(), fileDependencies);
+      }
+      
+    } catch (error) {
+      this.errors.push(error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * 从上一次构建的模块恢复构建结果（监听模式下跳过未变化的模块）
+   */
+  restoreFrom(cachedModule) {
+    this.source = cachedModule.source;
+    this.transformedSource = cachedModule.transformedSource;
+    this.ast = cachedModule.ast;
+    this.parsed = cachedModule.parsed;
+    this.sourceMap = cachedModule.sourceMap;
+    
+    this.dependencies = [];
+    this.dependencyMap = new Map();
+    cachedModule.dependencies.forEach(dep => {
+      const dependency = dep.clone();
+      dependency.module = null;
+      this.addDependency(dependency);
+    });
+    
+    this.fileDependencies = new Set(cachedModule.fileDependencies);
+    this.esModule = cachedModule.esModule;
+    this.providedExports = cachedModule.providedExports;
+    this.sideEffectFree = cachedModule.sideEffectFree;
+    this.cacheable = cachedModule.cacheable;
+    this.assetFilename = cachedModule.assetFilename;
+    this.assetContent = cachedModule.assetContent;
+    this.assetUrl = cachedModule.assetUrl;
+    this.cssExports = cachedModule.cssExports;
+    this.warnings = [...cachedModule.warnings];
+    this.size = cachedModule.size;
+    this.buildTimestamp = cachedModule.buildTimestamp;
+    this.built = true;
+  }
+  
+  /**
+   * 对已读取的源码执行 loader、解析依赖并转换代码
+   */
+  async doBuild() {
+    // 应用 loaders
+    const content = await this.applyLoaders();
+    
+    if (this.external) {
+      // 外部模块的代码由运行时包装，其中的 require 不是模块依赖
+      this.transformedSource = this.source;
+    } else if (this.contextOptions) {
+      // 上下文模块的代码在分配模块ID后生成
+      this.buildContext();
+    } else if (this.isAssetModule()) {
+      // 资源模块不经过 JavaScript 解析
+      await this.buildAsset(content);
+    } else if (this.type === 'css') {
+      this.buildCss();
+    } else {
+      if (this.compilation && this.compilation.hooks) {
+        this.compilation.hooks.beforeParse.call(this);
+      }
       
       // 解析依赖
       this.parseDependencies();
       
       // 转换代码
       this.transform();
+    }
+    
+    this.built = true;
+    this.buildTimestamp = Date.now();
+    this.size = this.transformedSource.length;
+  }
+  
+  /**
+   * 构建上下文模块：目录（recursive 时包括子目录）中 ./ 开头的相对路径匹配 regExp 的文件都是依赖
+   * lazy 模式下每个文件是一个 import()，分别生成异步代码块
+   */
+  buildContext() {
+    const { directory, recursive, regExp, mode, chunkName } = this.contextOptions;
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+      throw new Error(`上下文目录不存在: ${directory}`);
+    }
+    
+    const visit = (dir, prefix) => {
+      // 目录中增删文件时需要重新构建
+      this.fileDependencies.add(dir);
       
-      this.built = true;
-      this.buildTimestamp = Date.now();
-      this.size = this.transformedSource.length;
+      const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name < b.name ? -1 : 1);
+      for (const entry of entries) {
+        const request = `${prefix}${entry.name}`;
+        if (entry.isDirectory()) {
+          if (recursive) {
+            visit(path.join(dir, entry.name), `${request}/`);
+          }
+        } else if (regExp.test(request)) {
+          this.addDependency(mode === 'lazy'
+            ? new DynamicImportDependency({
+              request,
+              chunkName: chunkName && chunkName.replace(/\[request\]/g, request.replace(/^\.\//, '').replace(/[^a-zA-Z0-9_-]+/g, '-'))
+            })
+            : new Dependency({ request, type: 'require' }));
+        }
+      }
+    };
+    
+    visit(directory, './');
+  }
+  
+  /**
+   * 缓存校验值：源码内容 + loader 链（含选项和 loader 文件内容）+ 插件通过 moduleCacheKey 钩子追加的内容
+   */
+  getCacheEtag() {
+    const loaders = this.getLoaders().map(item => {
+      const options = JSON.stringify(item.options);
+      if (typeof item.loader === 'function') {
+        return `${item.loader.toString()}?${options}`;
+      }
       
-    } catch (error) {
-      this.errors.push(error.message);
-      throw error;
+      const loaderPath = this.resolveLoader(item.loader);
+      return `${loaderPath}?${options}#${generateHash(fs.readFileSync(loaderPath), 'md5', 16)}`;
+    });
+    
+    const pluginKey = this.compilation && this.compilation.hooks ? this.compilation.hooks.moduleCacheKey.call('', this) : '';
+    
+    return generateHash(`${this.source}|${loaders.join('!')}|${pluginKey}`, 'md5', 16);
+  }
+  
+  /**
+   * 序列化构建结果，用于文件系统缓存和构建线程
+   */
+  serialize() {
+    return {
+      source: this.source,
+      sourceMap: this.sourceMap,
+      transformedSource: this.transformedSource,
+      parsed: this.parsed,
+      dependencies: this.dependencies.map(dep => {
+        const { moduleId, ...data } = dep.toJson();
+        return data;
+      }),
+      fileDependencies: Array.from(this.fileDependencies),
+      esModule: this.esModule,
+      providedExports: this.providedExports,
+      sideEffectFree: this.sideEffectFree,
+      cacheable: this.cacheable,
+      assetFilename: this.assetFilename,
+      assetContent: this.assetContent ? this.assetContent.toString('base64') : null,
+      assetUrl: this.assetUrl,
+      cssExports: this.cssExports,
+      warnings: this.warnings,
+      errors: this.errors,
+      size: this.size
+    };
+  }
+  
+  /**
+   * 从序列化的构建结果恢复模块
+   */
+  deserialize(data) {
+    this.source = data.source;
+    this.sourceMap = data.sourceMap;
+    this.transformedSource = data.transformedSource;
+    this.parsed = data.parsed;
+    
+    this.dependencies = [];
+    this.dependencyMap = new Map();
+    data.dependencies.forEach(dep => this.addDependency(DependencyFactory.create(dep.type, dep)));
+    
+    this.fileDependencies = new Set(data.fileDependencies);
+    this.esModule = data.esModule;
+    this.providedExports = data.providedExports;
+    this.sideEffectFree = data.sideEffectFree;
+    this.cacheable = data.cacheable;
+    this.assetFilename = data.assetFilename;
+    this.assetContent = data.assetContent ? Buffer.from(data.assetContent, 'base64') : null;
+    this.assetUrl = data.assetUrl;
+    this.cssExports = data.cssExports;
+    this.warnings = [...data.warnings];
+    this.errors = [...data.errors];
+    this.size = data.size;
+    this.buildTimestamp = Date.now();
+    this.built = true;
+  }
+  
+  /**
+   * 外部模块的代码：按类型生成获取外部值的代码
+   * import、script、promise 类型导出 Promise
+   */
+  getExternalSource() {
+    const { type, request } = this.external;
+    const [name, ...properties] = [].concat(request);
+    const access = (names) => names.map(property => `[${JSON.stringify(property)}]`).join('');
+    const globalObject = this.compilation?.options?.output?.globalObject || 'self';
+    
+    switch (type) {
+      case 'var':
+        return `module.exports = ${name}${access(properties)};`;
+      case 'global':
+        return `module.exports = ${globalObject}${access([name, ...properties])};`;
+      case 'window':
+        return `module.exports = window${access([name, ...properties])};`;
+      case 'commonjs':
+      case 'commonjs2':
+        return `module.exports = require(${JSON.stringify(name)})${access(properties)};`;
+      case 'module':
+        // 命名空间对象不可扩展，复制后标记 __esModule，使默认导入取到 default
+        return properties.length > 0
+          ? `module.exports = ${this.getExternalVariable()}${access(properties)};`
+          : `module.exports = Object.defineProperty(Object.assign({}, ${this.getExternalVariable()}), "__esModule", { value: true });`;
+      case 'import':
+        return `module.exports = import(${JSON.stringify(name)})${properties.length > 0 ? `.then((module) => (module${access(properties)}))` : ''};`;
+      case 'promise':
+        return `module.exports = Promise.resolve(${name}${access(properties)});`;
+      case 'script': {
+        // request 为 [url, 全局变量名, ...属性路径]
+        const [globalName, ...path] = properties;
+        if (!globalName) {
+          throw new Error(`script 类型的外部模块需要指定全局变量名: ${name}`);
+        }
+        return `
+var __webpack_error__ = new Error();
+module.exports = new Promise((resolve, reject) => {
+  if(typeof ${globalName} !== "undefined") return resolve();
+  __webpack_require__.l(${JSON.stringify(name)}, (event) => {
+    if(typeof ${globalName} !== "undefined") return resolve();
+    var errorType = event && (event.type === 'load' ? 'missing' : event.type);
+    var realSrc = event && event.target && event.target.src;
+    __webpack_error__.message = 'Loading script failed.\n(' + errorType + ': ' + realSrc + ')';
+    __webpack_error__.name = 'ScriptExternalLoadError';
+    __webpack_error__.type = errorType;
+    __webpack_error__.request = realSrc;
+    reject(__webpack_error__);
+  }, ${JSON.stringify(globalName)});
+}).then(() => (${globalName}${access(path)}));
+        `.trim();
+      }
+      default:
+        throw new Error(`不支持的外部模块类型: ${type}`);
     }
   }
   
+  /**
+   * module 类型外部模块在 bundle 顶部 import 的变量名
+   */
+  getExternalVariable() {
+    const name = [].concat(this.external.request)[0];
+    return `__WEBPACK_EXTERNAL_MODULE_${name.replace(/[^a-zA-Z0-9_$]/g, '_')}__`;
+  }
+  
   /**
    * 读取源码
    */
   async readSource() {
+    if (this.ignored || this.contextOptions) {
+      this.source = '';
+      return;
+    }
+    
+    if (this.external) {
+      this.source = this.getExternalSource();
+      return;
+    }
+    
     if (!fs.existsSync(this.path)) {
       throw new Error(`模块文件不存在: ${this.path}`);
     }
@@ -105,170 +461,349 @@ class Module {
    * 应用 loaders
    */
   async applyLoaders() {
-    const rules = this.compilation?.options?.module?.rules || [];
-    let source = this.source;
+    const loaders = this.ignored || this.external || this.contextOptions ? [] : this.getLoaders();
+    if (loaders.length === 0) {
+      this.sourceMap = null;
+      return null;
+    }
+    
+    const { result, fileDependencies, cacheable } = await runLoaders({
+      resource: this.path,
+      loaders: loaders.map(item => this.createLoaderObject(item)),
+      context: this.createLoaderContext(),
+      readResource
+    });
+    const [content, map] = result;
+    
+    this.source = Buffer.isBuffer(content) ? content.toString('utf-8') : content;
+    this.cacheable = cacheable;
+    fileDependencies.forEach(file => this.fileDependencies.add(file));
+    
+    // cheap-source-map 不追踪 loader 处理前的源码
+    const devtool = this.getDevtool();
+    this.sourceMap = devtool && devtool.module && map ? this.normalizeSourceMap(map) : null;
     
-    for (const rule of rules) {
-      if (this.matchRule(rule)) {
-        const loaders = Array.isArray(rule.use) ? rule.use : [rule.use];
+    return content;
+  }
+  
+  /**
+   * 构建资源模块
+   * asset/resource 输出文件并导出 URL，asset/inline 导出 data URI，asset/source 导出文本内容，
+   * asset 按 dataUrlCondition 在 inline 和 resource 之间选择
+   * @param {Buffer|string|null} content loader 的输出，没有 loader 时为 null
+   */
+  async buildAsset(content) {
+    const buffer = content === null ? await readResource(this.path) : Buffer.from(content);
+    const output = this.compilation?.options?.output || {};
+    const generator = this.getRuleOptions('generator');
+    
+    let type = this.type;
+    if (type === 'asset') {
+      type = this.shouldInlineAsset(buffer) ? 'asset/inline' : 'asset/resource';
+    }
+    
+    let value;
+    switch (type) {
+      case 'asset/source':
+        value = buffer.toString('utf-8');
+        break;
+      case 'asset/inline':
+        value = `data:${getMimeType(this.path)};base64,${buffer.toString('base64')}`;
+        this.assetUrl = value;
+        break;
+      default: {
+        this.assetFilename = interpolateName(this.getAssetFilenameTemplate(generator.filename || output.assetModuleFilename), {
+          resourcePath: this.path,
+          context: this.compilation?.options?.context,
+          content: buffer,
+          query: this.resourceQuery
+        });
+        this.assetContent = buffer;
         
-        // 从右到左执行 loaders
-        for (let i = loaders.length - 1; i >= 0; i--) {
-          const loader = loaders[i];
-          source = await this.applyLoader(loader, source);
-        }
+        const publicPath = generator.publicPath !== undefined ? generator.publicPath : output.publicPath;
+        value = `${publicPath || ''}${this.assetFilename}`;
+        this.assetUrl = value;
       }
     }
     
-    this.source = source;
+    this.transformedSource = `module.exports = ${JSON.stringify(value)};`;
+    this.sourceMap = null;
   }
   
   /**
-   * 匹配规则
+   * 获取资源文件名模板，函数形式的模板以 { filename, module } 调用（filename 为相对项目根目录的路径）
    */
-  matchRule(rule) {
-    if (rule.test) {
-      return rule.test.test(this.path);
+  getAssetFilenameTemplate(filename = '[name].[hash:8][ext]') {
+    if (typeof filename !== 'function') {
+      return filename;
     }
     
-    if (rule.include) {
-      const include = Array.isArray(rule.include) ? rule.include : [rule.include];
-      return include.some(pattern => {
-        if (typeof pattern === 'string') {
-          return this.path.includes(pattern);
-        }
-        if (pattern instanceof RegExp) {
-          return pattern.test(this.path);
-        }
-        return false;
-      });
-    }
+    const context = this.compilation?.options?.context || process.cwd();
+    return filename({
+      filename: path.relative(context, this.path).split(path.sep).join('/'),
+      module: this
+    });
+  }
+  
+  /**
+   * 构建 CSS 模块
+   * @import 作为 CSS 依赖、url() 作为资源依赖加入模块图，开启 CSS Modules 时局部化类名
+   */
+  buildCss() {
+    const parserOptions = this.getRuleOptions('parser');
+    const { css, imports, urls, exports } = parseCss(this.source, {
+      modules: parserOptions.modules !== undefined ? parserOptions.modules : 'auto',
+      localIdentName: parserOptions.localIdentName,
+      import: parserOptions.import,
+      url: parserOptions.url,
+      resourcePath: this.path,
+      context: this.compilation?.options?.context
+    });
     
-    if (rule.exclude) {
-      const exclude = Array.isArray(rule.exclude) ? rule.exclude : [rule.exclude];
-      return !exclude.some(pattern => {
-        if (typeof pattern === 'string') {
-          return this.path.includes(pattern);
-        }
-        if (pattern instanceof RegExp) {
-          return pattern.test(this.path);
-        }
-        return false;
-      });
-    }
+    imports.forEach(({ request, media }) => this.addDependency(new CssDependency({ request, media })));
+    urls.forEach(request => this.addDependency(new AssetDependency({ request, mimeType: getMimeType(request) })));
     
-    return false;
+    this.transformedSource = css;
+    this.cssExports = exports;
+    this.sourceMap = null;
+  }
+  
+  /**
+   * 输出 CSS 内容，url() 依赖的模块由 replaceUrl 转换为新的 URL（返回 null 时保留原样）
+   */
+  renderCss(replaceUrl) {
+    return replaceUrls(this.transformedSource, (request, suffix) => {
+      const dependency = this.getDependency(request, 'asset');
+      const url = dependency && dependency.module ? replaceUrl(dependency.module) : null;
+      return url === null || url === undefined ? null : `${url}${suffix}`;
+    });
   }
   
   /**
-   * 应用单个 loader
+   * 生成 CSS 模块的代码
+   * 提取 CSS 时只导出类名映射，否则先加载 @import 的模块，再插入 <style>；
+   * 带媒体查询的 @import 无法单独插入，内联到本模块的 <style> 中
    */
-  async applyLoader(loader, source) {
-    if (typeof loader === 'string') {
-      // 内置 loaders
-      return this.applyBuiltinLoader(loader, source);
+  generateCssCode() {
+    const exports = `module.exports = ${JSON.stringify(this.cssExports || {})};`;
+    if (this.compilation?.compiler?.cssExtract) {
+      return exports;
     }
     
-    if (typeof loader === 'function') {
-      return loader.call(this.createLoaderContext(), source);
-    }
+    const lines = [];
+    const mediaImports = [];
+    this.dependencies.forEach(dep => {
+      if (dep.type !== 'css' || !dep.module) {
+        return;
+      }
+      if (dep.media) {
+        mediaImports.push([dep.module, dep.media]);
+      } else {
+        lines.push(`require(${JSON.stringify(dep.module.id)});`);
+      }
+    });
+    
+    // url() 先替换为占位符，再在字符串中拼接为 require(资源模块)
+    const urlModules = [];
+    const placeholder = (module) => {
+      if (!urlModules.includes(module)) {
+        urlModules.push(module);
+      }
+      return `___CSS_URL_${urlModules.indexOf(module)}___`;
+    };
+    const css = [renderCssModules(mediaImports, placeholder), this.renderCss(placeholder).trim()]
+      .filter(Boolean)
+      .join('\n');
+    const cssExpression = JSON.stringify(css).replace(/___CSS_URL_(\d+)___/g, (match, index) => {
+      return `" + require(${JSON.stringify(urlModules[index].id)}) + "`;
+    });
+    
+    lines.push(
+      `var style = document.createElement("style");`,
+      `style.textContent = ${cssExpression};`,
+      `document.head.appendChild(style);`,
+      exports
+    );
+    return lines.join('\n');
+  }
+  
+  /**
+   * asset 类型是否内联为 data URI，默认不超过 8KB 时内联
+   */
+  shouldInlineAsset(buffer) {
+    const condition = this.getRuleOptions('parser').dataUrlCondition || {};
     
-    if (loader && typeof loader.loader === 'string') {
-      return this.applyBuiltinLoader(loader.loader, source, loader.options);
+    if (typeof condition === 'function') {
+      return !!condition(buffer, { filename: this.path, module: this });
     }
     
-    return source;
+    const maxSize = condition.maxSize !== undefined ? condition.maxSize : 8096;
+    return buffer.length <= maxSize;
+  }
+  
+  /**
+   * 合并 module.parser / module.generator 中该类型的选项和匹配规则的 parser / generator 选项
+   */
+  getRuleOptions(key) {
+    const moduleOptions = this.compilation?.options?.module?.[key] || {};
+    const typeOptions = this.isAssetModule()
+      ? { ...moduleOptions.asset, ...moduleOptions[this.type] }
+      : { ...moduleOptions[this.type] };
+    
+    return this.getMatchedRules().reduce((options, rule) => ({ ...options, ...rule[key] }), typeOptions);
   }
   
   /**
-   * 应用内置 loader
+   * 获取 loaders，按 webpack 的顺序排列：post、内联、normal、pre
+   * 内联请求的 ! 前缀禁用 normal，-! 同时禁用 pre，!! 禁用所有配置的 loader
    */
-  applyBuiltinLoader(loaderName, source, options = {}) {
-    switch (loaderName) {
-      case 'babel-loader':
-        return this.applyBabelLoader(source, options);
-      case 'css-loader':
-        return this.applyCssLoader(source, options);
-      case 'style-loader':
-        return this.applyStyleLoader(source, options);
-      case 'json-loader':
-        return this.applyJsonLoader(source, options);
+  getLoaders() {
+    const configured = { pre: [], normal: [], post: [] };
+    
+    for (const rule of this.getMatchedRules()) {
+      const use = rule.use || (rule.loader ? [{ loader: rule.loader, options: rule.options }] : []);
+      const items = (Array.isArray(use) ? use : [use]).map(item => {
+        return typeof item === 'object' ? item : { loader: item };
+      });
+      configured[rule.enforce === 'pre' || rule.enforce === 'post' ? rule.enforce : 'normal'].push(...items);
+    }
+    
+    const { prefix, loaders: inlineLoaders } = this.inlineLoaderRequest;
+    switch (prefix) {
+      case '!!':
+        return inlineLoaders;
+      case '-!':
+        return [...configured.post, ...inlineLoaders];
+      case '!':
+        return [...configured.post, ...inlineLoaders, ...configured.pre];
       default:
-        console.warn(`未知的 loader: ${loaderName}`);
-        return source;
+        return [...configured.post, ...inlineLoaders, ...configured.normal, ...configured.pre];
     }
   }
   
   /**
-   * Babel Loader
+   * 获取匹配当前模块的规则
    */
-  applyBabelLoader(source, options) {
-    try {
-      const result = transformFromAst(
-        parser.parse(source, {
-          sourceType: 'module',
-          plugins: ['jsx', 'typescript']
-        }),
-        source,
-        {
-          presets: options.presets || ['@babel/preset-env'],
-          plugins: options.plugins || []
-        }
-      );
-      
-      return result.code;
-    } catch (error) {
-      console.warn(`Babel 转换失败: ${error.message}`);
-      return source;
+  getMatchedRules() {
+    const rules = this.compilation?.options?.module?.rules || [];
+    return rules.filter(rule => this.matchRule(rule));
+  }
+  
+  /**
+   * 解析并加载 loader，函数形式的 loader 直接作为 normal 函数
+   */
+  createLoaderObject(item) {
+    if (typeof item.loader === 'function') {
+      return {
+        ...createLoaderObject(item.loader, item.loader.pitch, item.loader.raw),
+        path: item.loader.name || 'anonymous',
+        request: item.loader.name || 'anonymous',
+        options: item.options
+      };
     }
+    
+    const loaderPath = this.resolveLoader(item.loader);
+    const query = item.options === undefined
+      ? ''
+      : `?${typeof item.options === 'string' ? item.options.replace(/^\?/, '') : JSON.stringify(item.options)}`;
+    
+    return {
+      ...loadLoader(loaderPath),
+      path: loaderPath,
+      request: `${loaderPath}${query}`,
+      options: item.options
+    };
   }
   
   /**
-   * CSS Loader
+   * 解析 loader 路径（从 resolveLoader.modules、node_modules 和内置 loader 中查找）
    */
-  applyCssLoader(source, options) {
-    // 简单的 CSS 处理
-    return `module.exports = ${JSON.stringify(source)};`;
+  resolveLoader(request) {
+    const compilation = this.compilation || {};
+    if (!compilation.loaderResolver) {
+      compilation.loaderResolver = createLoaderResolver(compilation.options?.resolveLoader);
+    }
+    
+    const context = this.context || compilation.options?.context || process.cwd();
+    return resolveLoader(compilation.loaderResolver, request, context);
   }
   
   /**
-   * Style Loader
+   * 规范化 loader 返回的 Source Map，单一源文件时统一源文件名
    */
-  applyStyleLoader(source, options) {
-    return `
-      const style = document.createElement('style');
-      style.textContent = ${JSON.stringify(source)};
-      document.head.appendChild(style);
-      module.exports = {};
-    `;
+  normalizeSourceMap(map) {
+    const sourceMap = typeof map === 'string' ? JSON.parse(map) : { ...map };
+    
+    if (sourceMap.sources && sourceMap.sources.length === 1) {
+      sourceMap.sources = [this.getSourceName()];
+    }
+    
+    return sourceMap;
   }
   
   /**
-   * JSON Loader
+   * 匹配规则
    */
-  applyJsonLoader(source, options) {
-    return `module.exports = ${source};`;
+  matchRule(rule) {
+    if (rule.test) {
+      return rule.test.test(this.path);
+    }
+    
+    if (rule.include) {
+      const include = Array.isArray(rule.include) ? rule.include : [rule.include];
+      return include.some(pattern => {
+        if (typeof pattern === 'string') {
+          return this.path.includes(pattern);
+        }
+        if (pattern instanceof RegExp) {
+          return pattern.test(this.path);
+        }
+        return false;
+      });
+    }
+    
+    if (rule.exclude) {
+      const exclude = Array.isArray(rule.exclude) ? rule.exclude : [rule.exclude];
+      return !exclude.some(pattern => {
+        if (typeof pattern === 'string') {
+          return this.path.includes(pattern);
+        }
+        if (pattern instanceof RegExp) {
+          return pattern.test(this.path);
+        }
+        return false;
+      });
+    }
+    
+    return false;
   }
   
   /**
-   * 创建 loader 上下文
+   * 创建 loader 上下文的基础属性，其余属性由 loader 运行器提供
    */
   createLoaderContext() {
+    const options = this.compilation?.options || {};
+    const devtool = this.getDevtool();
+    
     return {
-      resource: this.path,
-      resourcePath: this.path,
-      request: this.request,
-      query: {},
-      callback: null,
-      async: () => {
-        return (err, result) => {
-          if (err) throw err;
-          return result;
-        };
+      resource: `${this.path}${this.resourceQuery}`,
+      resourceQuery: this.resourceQuery,
+      rootContext: options.context || process.cwd(),
+      mode: options.mode,
+      target: options.target,
+      publicPath: options.output?.publicPath,
+      sourceMap: !!(devtool && devtool.module),
+      emitFile: (name, content, sourceMap, assetInfo) => {
+        this.compilation.emitAsset(name, content, assetInfo);
       },
-      emitFile: (name, content) => {
-        this.compilation.emitAsset(name, content);
-      }
+      emitWarning: (warning) => {
+        this.warnings.push(warning instanceof Error ? warning.message : String(warning));
+      },
+      emitError: (error) => {
+        this.errors.push(error instanceof Error ? error.message : String(error));
+      },
+      _module: this,
+      _compilation: this.compilation
     };
   }
   
@@ -285,13 +820,54 @@ class Module {
         sourceType: 'module',
         plugins: ['jsx', 'typescript', 'dynamicImport']
       });
+      this.parsed = true;
       
       traverse(this.ast, {
+        Program: (path) => {
+          this.esModule = path.node.body.some(node => {
+            return node.type === 'ImportDeclaration' || /^Export/.test(node.type);
+          });
+          this.providedExports = this.esModule ? this.getProvidedExports(path) : null;
+          this.sideEffectFree = this.isSideEffectFree(path);
+        },
+        
         // ES6 import
         ImportDeclaration: (path) => {
-          const dependency = new Dependency({
+          const dependency = new ImportDependency({
+            request: path.node.source.value,
+            specifiers: this.getImportSpecifiers(path),
+            importKind: path.node.importKind || 'value',
+            loc: path.node.loc
+          });
+          this.addDependency(dependency);
+        },
+        
+        // 重新导出：export { a as b } from './x'、export * as ns from './x'
+        ExportNamedDeclaration: (path) => {
+          if (!path.node.source) {
+            return;
+          }
+          
+          const dependency = new ImportDependency({
+            request: path.node.source.value,
+            specifiers: path.node.specifiers.map(spec => ({
+              imported: spec.type === 'ExportNamespaceSpecifier' ? '*' : this.getExportName(spec.local),
+              exported: this.getExportName(spec.exported)
+            })),
+            importKind: path.node.exportKind || 'value',
+            reexport: true,
+            loc: path.node.loc
+          });
+          this.addDependency(dependency);
+        },
+        
+        // export * from './x'
+        ExportAllDeclaration: (path) => {
+          const dependency = new ImportDependency({
             request: path.node.source.value,
-            type: 'import',
+            specifiers: [{ imported: '*', exported: null }],
+            importKind: path.node.exportKind || 'value',
+            reexport: true,
             loc: path.node.loc
           });
           this.addDependency(dependency);
@@ -309,6 +885,19 @@ class Module {
               loc: path.node.loc
             });
             this.addDependency(dependency);
+            return;
+          }
+          
+          // require.context() 和参数为表达式的 require()、import()
+          const context = this.parseContextCall(path);
+          if (context && context.dependency) {
+            this.addDependency(context.dependency);
+            if (context.warning) {
+              this.warnings.push(context.warning);
+            }
+          } else if (context) {
+            const { line, column } = path.node.loc.start;
+            this.warnings.push(`Critical dependency: ${context.critical} (${line}:${column})`);
           }
         },
         
@@ -319,9 +908,9 @@ class Module {
               parent.arguments.length > 0 &&
               parent.arguments[0].type === 'StringLiteral') {
             
-            const dependency = new Dependency({
+            const dependency = new DynamicImportDependency({
               request: parent.arguments[0].value,
-              type: 'dynamic-import',
+              chunkName: this.getChunkNameFromComments(parent.arguments[0].leadingComments),
               loc: parent.loc
             });
             this.addDependency(dependency);
@@ -335,19 +924,272 @@ class Module {
   }
   
   /**
-   * 添加依赖
+   * 收集 import 语句导入的绑定，以及它们在模块中是否被引用
    */
-  addDependency(dependency) {
-    this.dependencies.push(dependency);
-    this.dependencyMap.set(dependency.request, dependency);
+  getImportSpecifiers(path) {
+    return path.node.specifiers.map(spec => {
+      const binding = path.scope.getBinding(spec.local.name);
+      const referencePaths = binding ? binding.referencePaths : [];
+      
+      if (spec.type === 'ImportNamespaceSpecifier') {
+        // 命名空间只以 ns.foo 形式访问时，只使用了这些导出
+        const members = referencePaths.every(ref => {
+          return ref.parentPath.isMemberExpression({ object: ref.node, computed: false });
+        })
+          ? referencePaths.map(ref => ref.parent.property.name)
+          : null;
+        
+        return {
+          imported: '*',
+          local: spec.local.name,
+          referenced: referencePaths.length > 0,
+          members
+        };
+      }
+      
+      return {
+        imported: spec.type === 'ImportDefaultSpecifier' ? 'default' : this.getExportName(spec.imported),
+        local: spec.local.name,
+        referenced: !binding || binding.referenced
+      };
+    });
+  }
+  
+  /**
+   * 收集模块自身提供的导出名（不含 export * 的部分）
+   */
+  getProvidedExports(programPath) {
+    const exports = [];
+    
+    programPath.node.body.forEach(node => {
+      if (node.type === 'ExportDefaultDeclaration') {
+        exports.push('default');
+      } else if (node.type === 'ExportNamedDeclaration') {
+        if (node.declaration) {
+          exports.push(...Object.keys(t.getBindingIdentifiers(node.declaration, false, true)));
+        }
+        node.specifiers.forEach(spec => exports.push(this.getExportName(spec.exported)));
+      }
+    });
+    
+    return exports;
+  }
+  
+  /**
+   * 检查顶层代码是否没有副作用：只包含导入导出和纯声明
+   */
+  isSideEffectFree(programPath) {
+    const scope = programPath.scope;
+    const isPureDeclaration = (node) => {
+      if (!node) {
+        return true;
+      }
+      if (/^TS|^Declare/.test(node.type)) {
+        return true;
+      }
+      if (node.type === 'VariableDeclaration') {
+        return node.declarations.every(declarator => !declarator.init || scope.isPure(declarator.init));
+      }
+      return scope.isPure(node);
+    };
+    
+    return programPath.node.body.every(node => {
+      switch (node.type) {
+        case 'ImportDeclaration':
+        case 'ExportAllDeclaration':
+          return true;
+        case 'ExportNamedDeclaration':
+        case 'ExportDefaultDeclaration':
+          return isPureDeclaration(node.declaration);
+        default:
+          return isPureDeclaration(node);
+      }
+    });
+  }
+  
+  /**
+   * 获取导入导出说明符中的名称（支持字符串形式的名称）
+   */
+  getExportName(node) {
+    return node.type === 'StringLiteral' ? node.value : node.name;
+  }
+  
+  /**
+   * 从魔法注释 webpackChunkName 中读取异步代码块名称
+   */
+  getChunkNameFromComments(comments = []) {
+    return this.getMagicComment(comments, 'webpackChunkName');
+  }
+  
+  /**
+   * 读取魔法注释的值，如 webpackMode: "eager"
+   */
+  getMagicComment(comments = [], name) {
+    for (const comment of comments || []) {
+      const match = new RegExp(`${name}\\s*:\\s*['"]([^'"]+)['"]`).exec(comment.value);
+      if (match) {
+        return match[1];
+      }
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * 解析 require.context() 和参数为表达式的 require()、import() 调用
+   * 返回 { dependency, prefixNode, prefix, warning }，prefixNode 为请求中静态前缀所在的节点，生成代码时改写为相对目录的 prefix；
+   * 无法静态分析时返回 { critical }，不是这类调用时返回 null
+   */
+  parseContextCall(path) {
+    const { callee, arguments: args } = path.node;
+    const isImport = t.isImport(callee);
+    if (!isImport && path.scope.hasBinding('require')) {
+      return null;
+    }
+    
+    // require.context(directory, recursive = true, regExp = /^\.\/.*$/, mode = 'sync')
+    if (path.get('callee').matchesPattern('require.context')) {
+      const [directory, recursive, regExp, mode] = args;
+      if (!t.isStringLiteral(directory) ||
+          (recursive && !t.isBooleanLiteral(recursive)) ||
+          (regExp && !t.isRegExpLiteral(regExp)) ||
+          (mode && !t.isStringLiteral(mode))) {
+        return { critical: 'require.context() 的参数必须是字面量' };
+      }
+      
+      return this.createContextDependency({
+        request: directory.value,
+        recursive: recursive ? recursive.value : true,
+        regExp: regExp ? new RegExp(regExp.pattern, regExp.flags) : /^\.\/.*$/,
+        mode: mode ? mode.value : 'sync',
+        loc: path.node.loc
+      }, 'sync');
+    }
+    
+    if ((!isImport && !t.isIdentifier(callee, { name: 'require' })) || args.length === 0 || t.isStringLiteral(args[0])) {
+      return null;
+    }
+    
+    const expression = this.parseContextExpression(args[0]);
+    if (!expression) {
+      return { critical: 'the request of a dependency is an expression' };
+    }
+    
+    const comments = args[0].leadingComments;
+    return {
+      ...this.createContextDependency({
+        request: expression.directory,
+        recursive: true,
+        regExp: expression.regExp,
+        mode: isImport ? this.getMagicComment(comments, 'webpackMode') || 'lazy' : 'sync',
+        chunkName: isImport ? this.getChunkNameFromComments(comments) : undefined,
+        loc: path.node.loc
+      }, isImport ? 'lazy' : 'sync'),
+      prefixNode: expression.prefixNode,
+      prefix: expression.prefix
+    };
+  }
+  
+  /**
+   * 创建上下文依赖，不支持的加载模式改为默认模式并给出警告
+   */
+  createContextDependency(options, defaultMode) {
+    if (ContextDependency.MODES.includes(options.mode)) {
+      return { dependency: new ContextDependency(options), warning: null };
+    }
+    
+    return {
+      dependency: new ContextDependency({ ...options, mode: defaultMode }),
+      warning: `不支持的上下文加载模式 "${options.mode}"，已改为 "${defaultMode}"`
+    };
+  }
+  
+  /**
+   * 解析部分动态的请求（模板字符串、字符串拼接）
+   * 静态前缀中最后一个 / 之前的部分为目录，整个请求转换为匹配目录下 ./ 开头的相对路径的正则，
+   * 如 `./locale/${lang}.js` -> 目录 ./locale，正则 /^\.\/.*\.js$/；
+   * 前缀不是 ./ 或 ../ 开头时返回 null
+   */
+  parseContextExpression(node) {
+    let prefixNode = null;
+    let quasis = [''];
+    
+    if (t.isTemplateLiteral(node)) {
+      prefixNode = node.quasis[0];
+      quasis = node.quasis.map(quasi => quasi.value.cooked);
+    } else if (t.isBinaryExpression(node, { operator: '+' })) {
+      const parts = [];
+      let current = node;
+      while (t.isBinaryExpression(current, { operator: '+' })) {
+        parts.unshift(current.right);
+        current = current.left;
+      }
+      parts.unshift(current);
+      
+      prefixNode = t.isStringLiteral(parts[0]) ? parts[0] : null;
+      parts.forEach(part => {
+        if (t.isStringLiteral(part)) {
+          quasis[quasis.length - 1] += part.value;
+        } else {
+          quasis.push('');
+        }
+      });
+    }
+    
+    const prefixValue = prefixNode ? (prefixNode.value.cooked ?? prefixNode.value) : '';
+    if (!/^\.\.?\//.test(prefixValue)) {
+      return null;
+    }
+    
+    const slash = prefixValue.lastIndexOf('/');
+    const template = new Template();
+    const source = [`.${quasis[0].slice(slash)}`, ...quasis.slice(1)]
+      .map(quasi => template.escapeRegex(quasi))
+      .join('.*');
+    
+    return {
+      directory: prefixValue.slice(0, slash) || '.',
+      regExp: new RegExp(`^${source}$`),
+      prefixNode,
+      prefix: `.${prefixValue.slice(slash)}`
+    };
+  }
+  
+  /**
+   * 添加依赖
+   */
+  addDependency(dependency) {
+    this.dependencies.push(dependency);
+    this.dependencyMap.set(dependency.getResourceIdentifier(), dependency);
+  }
+  
+  /**
+   * 按请求和依赖类型查找依赖，依次尝试 types 中的类型
+   */
+  getDependency(request, ...types) {
+    for (const type of types) {
+      const dependency = this.dependencyMap.get(Dependency.getResourceIdentifier(request, type));
+      if (dependency) {
+        return dependency;
+      }
+    }
+    return undefined;
   }
   
   /**
    * 转换代码
    */
   transform() {
+    // JSON 模块导出解析后的对象
+    if (this.type === 'json') {
+      this.transformedSource = `module.exports = ${this.source.trim()};`;
+      this.createSourceMap();
+      return;
+    }
+    
     if (!this.ast) {
       this.transformedSource = this.source;
+      this.createSourceMap();
       return;
     }
     
@@ -355,7 +1197,7 @@ class Module {
     traverse(this.ast, {
       ImportDeclaration: (path) => {
         const request = path.node.source.value;
-        const dependency = this.dependencyMap.get(request);
+        const dependency = this.getDependency(request, 'import');
         if (dependency && dependency.module) {
           path.node.source.value = dependency.module.id || request;
         }
@@ -367,7 +1209,7 @@ class Module {
             path.node.arguments[0].type === 'StringLiteral') {
           
           const request = path.node.arguments[0].value;
-          const dependency = this.dependencyMap.get(request);
+          const dependency = this.getDependency(request, 'require');
           if (dependency && dependency.module) {
             path.node.arguments[0].value = dependency.module.id || request;
           }
@@ -376,15 +1218,630 @@ class Module {
     });
     
     // 生成转换后的代码
-    const result = generator(this.ast);
+    const result = generator(this.ast, this.getGeneratorOptions(), this.source);
     this.transformedSource = result.code;
+    this.createSourceMap(result.map);
+  }
+  
+  /**
+   * 合并转换后的代码到原始文件的 Source Map（未开启 devtool 时不生成）
+   * 没有转换映射时按行对应到 loader 输出
+   */
+  createSourceMap(transformMap = null) {
+    if (!this.getDevtool()) {
+      this.sourceMap = null;
+      return;
+    }
+    
+    this.sourceMap = transformMap
+      ? composeSourceMaps(transformMap, this.sourceMap)
+      : this.sourceMap || createIdentitySourceMap(this.transformedSource, this.getSourceName(), this.source);
+  }
+  
+  /**
+   * Babel generator 选项，开启 devtool 时同时生成 Source Map
+   */
+  getGeneratorOptions() {
+    return this.getDevtool()
+      ? { sourceMaps: true, sourceFileName: this.getSourceName() }
+      : {};
+  }
+  
+  /**
+   * 获取解析后的 devtool 选项
+   */
+  getDevtool() {
+    return (this.compilation && this.compilation.devtool) || null;
+  }
+  
+  /**
+   * Source Map 中的源文件名：webpack:///./相对路径
+   */
+  getSourceName() {
+    const context = this.compilation?.options?.context || process.cwd();
+    const relativePath = path.relative(context, this.path).split(path.sep).join('/');
+    
+    return `webpack:///${relativePath.startsWith('.') ? relativePath : `./${relativePath}`}`;
+  }
+  
+  /**
+   * 可读的模块名：相对 context 的路径，外部模块、上下文模块等使用模块标识
+   */
+  readableIdentifier() {
+    if (this.external || this.contextOptions || this.ignored) {
+      return this.identifier;
+    }
+    
+    return this.getSourceName().replace(/^webpack:\/\/\//, '');
+  }
+  
+  /**
+   * 获取未使用的导出名
+   */
+  getUnusedExports() {
+    if (!this.providedExports || this.usedExports === true) {
+      return [];
+    }
+    
+    return this.providedExports.filter(name => !this.usedExports.has(name));
+  }
+  
+  /**
+   * 按本次编译的导出使用情况生成代码
+   * 移除未使用的导出和指向已被移除模块的导入，再把 ES 模块语法转换为运行时调用
+   */
+  codeGeneration() {
+    this.generatedSource = null;
+    this.generatedSourceMap = null;
+    
+    if (this.type === 'css') {
+      this.generatedSource = this.generateCssCode();
+      return this.generatedSource;
+    }
+    
+    if (this.contextOptions) {
+      this.generatedSource = this.generateContextCode();
+      return this.generatedSource;
+    }
+    
+    if (!this.parsed) {
+      return this.getSource();
+    }
+    
+    // 合并了其他模块的根模块
+    if (this.concatenatedModules) {
+      const { source, map } = generateConcatenatedModule(this);
+      this.generatedSource = source;
+      this.generatedSourceMap = map;
+      return this.generatedSource;
+    }
+    
+    const transformedSource = this.transformedSource || this.source;
+    const unusedExports = new Set(this.getUnusedExports());
+    const ast = parser.parse(transformedSource, {
+      sourceType: 'module',
+      plugins: ['jsx', 'typescript', 'dynamicImport']
+    });
+    
+    traverse(ast, {
+      Program: (programPath) => {
+        if (this.esModule) {
+          this.removeUnusedExports(programPath, unusedExports);
+          this.transformESModule(programPath);
+        }
+        this.replaceDependencyRequests(programPath);
+        this.replaceNodeGlobals(programPath);
+      }
+    });
+    
+    const result = generator(ast, this.getGeneratorOptions(), transformedSource);
+    this.generatedSource = result.code;
+    
+    if (result.map) {
+      this.generatedSourceMap = composeSourceMaps(result.map, this.sourceMap);
+    }
+    
+    return this.generatedSource;
+  }
+  
+  /**
+   * 生成上下文模块代码：相对路径到模块ID（lazy 模式为 [模块ID, ...代码块ID]）的映射和按路径加载模块的函数
+   */
+  generateContextCode() {
+    const map = {};
+    this.dependencies.forEach(dep => {
+      if (!dep.module || dep.module.id === null) {
+        return;
+      }
+      
+      map[dep.request] = dep.type === 'dynamic-import'
+        ? [dep.module.id, ...(dep.chunk ? dep.chunk.getRequiredChunkIds().concat(dep.chunk.id) : [])]
+        : dep.module.id;
+    });
+    
+    return new Template().generateContextModule(map, this.contextOptions.mode, this.id);
+  }
+  
+  /**
+   * 按 node 选项替换 __dirname、__filename：
+   * true 替换为相对 context 的路径，mock 替换为 "/" 和 "/index.js"，warn-mock 同时给出警告，
+   * eval-only 和 false 保留运行时的值
+   */
+  replaceNodeGlobals(programPath) {
+    const node = this.compilation?.options?.node;
+    if (!node) {
+      return;
+    }
+    
+    const context = this.compilation.options.context || process.cwd();
+    const filename = path.relative(context, this.path).split(path.sep).join('/');
+    const dirname = path.posix.dirname(filename);
+    const values = {
+      __filename: { real: filename, mock: '/index.js' },
+      __dirname: { real: dirname === '.' ? '' : dirname, mock: '/' }
+    };
+    
+    programPath.traverse({
+      Identifier: (identifierPath) => {
+        const { name } = identifierPath.node;
+        const option = node[name];
+        if (!values[name] || ![true, 'mock', 'warn-mock'].includes(option) ||
+            !identifierPath.isReferencedIdentifier() || identifierPath.scope.hasBinding(name)) {
+          return;
+        }
+        
+        if (option === 'warn-mock') {
+          this.compilation.warnings.push(`${this.path} 中使用了 ${name}，已替换为模拟值 "${values[name].mock}"`);
+        }
+        identifierPath.replaceWith(t.inherits(t.stringLiteral(values[name][option === true ? 'real' : 'mock']), identifierPath.node));
+      }
+    });
+  }
+  
+  /**
+   * 把 require()、import()、module.hot.accept/decline() 中的依赖请求替换为模块ID
+   * 在 AST 上替换，保证生成的 Source Map 与最终代码一致
+   */
+  replaceDependencyRequests(programPath) {
+    // ES 模块的 require 参数名为 __webpack_require__
+    const requireName = this.esModule ? '__webpack_require__' : 'require';
+    // 请求对应的、已分配模块ID的依赖（依次尝试 types 中的依赖类型）
+    const getDependency = (node, ...types) => {
+      const dependency = t.isStringLiteral(node) && this.getDependency(node.value, ...types);
+      return dependency && dependency.module && dependency.module.id !== null ? dependency : null;
+    };
+    const replaceRequest = (node, dependency) => t.inherits(t.valueToNode(dependency.module.id), node);
+    
+    programPath.traverse({
+      CallExpression: (path) => {
+        const { callee, arguments: args } = path.node;
+        
+        // 上下文依赖：require.context() 替换为上下文模块，表达式请求改为调用上下文模块
+        const context = this.parseContextCall(path);
+        const contextDependency = context && context.dependency && this.dependencyMap.get(context.dependency.getResourceIdentifier());
+        if (contextDependency && contextDependency.module && contextDependency.module.id !== null) {
+          const contextModule = t.callExpression(t.identifier(requireName), [t.valueToNode(contextDependency.module.id)]);
+          
+          if (context.prefixNode) {
+            // 请求的前缀改为相对上下文目录：`./locale/${lang}.js` -> `./${lang}.js`
+            context.prefixNode.value = t.isTemplateElement(context.prefixNode)
+              ? { raw: context.prefix.replace(/\\|`|\$\{/g, '\\$&'), cooked: context.prefix }
+              : context.prefix;
+            path.replaceWith(t.inherits(t.callExpression(contextModule, [args[0]]), path.node));
+          } else {
+            path.replaceWith(t.inherits(contextModule, path.node));
+          }
+          path.skip();
+          return;
+        }
+        
+        // 参数为表达式的 require()、import() 无法打包，运行时抛出 MODULE_NOT_FOUND 错误（import() 返回被拒绝的 Promise）
+        if (context && context.critical && (t.isImport(callee) || t.isIdentifier(callee, { name: 'require' }))) {
+          const missingModule = parser.parseExpression(new Template().generateMissingModule());
+          const replacement = t.isImport(callee)
+            ? t.callExpression(t.memberExpression(
+              t.callExpression(t.memberExpression(t.identifier('Promise'), t.identifier('resolve')), [args[0]]),
+              t.identifier('then')
+            ), [missingModule])
+            : t.callExpression(missingModule, [args[0]]);
+          path.replaceWith(t.inherits(replacement, path.node));
+          path.skip();
+          return;
+        }
+        
+        const dependency = args.length > 0 ? getDependency(args[0], t.isImport(callee) ? 'dynamic-import' : 'require') : null;
+        
+        // 动态 import：先加载代码块，再 require 模块
+        if (t.isImport(callee) && dependency && dependency.type === 'dynamic-import') {
+          const chunkIds = dependency.chunk ? dependency.chunk.getRequiredChunkIds().concat(dependency.chunk.id) : [];
+          const moduleId = JSON.stringify(dependency.module.id);
+          const replacement = parser.parseExpression(
+            `${new Template().generateChunkLoading(chunkIds, requireName)}.then(${requireName}.bind(${requireName}, ${moduleId}))`
+          );
+          path.replaceWith(t.inherits(replacement, path.node));
+          path.skip();
+          return;
+        }
+        
+        if (t.isIdentifier(callee, { name: 'require' }) && dependency) {
+          callee.name = requireName;
+          args[0] = replaceRequest(args[0], dependency);
+          return;
+        }
+        
+        // module.hot.accept/decline 中的依赖路径（支持数组形式）
+        const isHotApi = path.get('callee').matchesPattern('module.hot.accept') ||
+          path.get('callee').matchesPattern('module.hot.decline');
+        if (isHotApi && args.length > 0) {
+          const replaceHotRequest = (node) => {
+            const hotDependency = getDependency(node, 'import', 'require');
+            return hotDependency ? replaceRequest(node, hotDependency) : node;
+          };
+          if (t.isArrayExpression(args[0])) {
+            args[0].elements = args[0].elements.map(replaceHotRequest);
+          } else {
+            args[0] = replaceHotRequest(args[0]);
+          }
+        }
+      }
+    });
+  }
+  
+  /**
+   * 移除未使用的导出：去掉 export 关键字，本地不再引用的纯声明直接删除
+   */
+  removeUnusedExports(programPath, unusedExports) {
+    const scope = programPath.scope;
+    const candidates = new Set(); // 去掉导出后可能不再被引用的本地声明
+    const isRemovedImport = (node) => {
+      const dependency = node.source && this.getDependency(node.source.value, 'import');
+      return !!dependency && !dependency.module;
+    };
+    
+    programPath.get('body').forEach(statement => {
+      if ((statement.isImportDeclaration() || statement.isExportAllDeclaration()) && isRemovedImport(statement.node)) {
+        statement.remove();
+        return;
+      }
+      
+      if (statement.isExportNamedDeclaration()) {
+        const { declaration, specifiers } = statement.node;
+        
+        if (declaration) {
+          const names = Object.keys(t.getBindingIdentifiers(declaration, false, true));
+          // 部分使用的多变量声明保持原样
+          if (names.length > 0 && names.every(name => unusedExports.has(name))) {
+            names.forEach(name => candidates.add(name));
+            statement.replaceWith(declaration);
+          }
+          return;
+        }
+        
+        statement.node.specifiers = specifiers.filter(spec => {
+          if (!unusedExports.has(this.getExportName(spec.exported))) {
+            return true;
+          }
+          if (spec.local && spec.local.type === 'Identifier') {
+            candidates.add(spec.local.name);
+          }
+          return false;
+        });
+        
+        // 指向已移除模块的重新导出、全部被移除的本地导出
+        if (isRemovedImport(statement.node) || (!statement.node.source && statement.node.specifiers.length === 0)) {
+          statement.remove();
+        }
+        return;
+      }
+      
+      if (statement.isExportDefaultDeclaration() && unusedExports.has('default')) {
+        const declaration = statement.node.declaration;
+        
+        if (declaration.id && (t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration))) {
+          candidates.add(declaration.id.name);
+          statement.replaceWith(declaration);
+        } else if (scope.isPure(declaration)) {
+          statement.remove();
+        } else {
+          statement.replaceWith(t.expressionStatement(declaration));
+        }
+      }
+    });
+    
+    scope.crawl();
+    
+    candidates.forEach(name => {
+      const binding = scope.getBinding(name);
+      if (!binding || binding.referenced || binding.kind === 'module') {
+        return;
+      }
+      
+      const declarationPath = binding.path;
+      const pure = declarationPath.isVariableDeclarator()
+        ? !declarationPath.node.init || scope.isPure(declarationPath.node.init)
+        : scope.isPure(declarationPath.node);
+      
+      if (pure) {
+        declarationPath.remove();
+      }
+    });
+  }
+  
+  /**
+   * 把 ES 模块语法转换为运行时调用
+   * import 转为 __webpack_require__()，export 转为 __webpack_require__.d() 定义的 getter，
+   * 导入的绑定改为访问被导入模块的 exports，从而保持实时绑定
+   */
+  transformESModule(programPath) {
+    const scope = programPath.scope;
+    const header = []; // 提升到模块顶部的导入代码
+    const getters = []; // [导出名, getter 返回的表达式]
+    const imports = new Map(); // 请求 -> { name, id, interop }
+    const importBindings = new Map(); // 导入的本地绑定 -> { access, referencePaths }
+    
+    const parseStatements = (code) => parser.parse(code, { sourceType: 'module' }).program.body;
+    
+    // 每个被导入的模块只 require 一次
+    const getImport = (request) => {
+      if (imports.has(request)) {
+        return imports.get(request);
+      }
+      
+      const id = JSON.stringify(this.getDependency(request, 'import').module.id);
+      const name = `_${request.replace(/^[^\w$]+/, '').replace(/[^\w$]/g, '_')}__WEBPACK_IMPORTED_MODULE_${imports.size}__`;
+      const info = { name, id, interop: [] };
+      
+      imports.set(request, info);
+      header.push(...parseStatements(`var ${name} = __webpack_require__(/* ${request.replace(/\*\//g, '*\\/')} */ ${id});`));
+      return info;
+    };
+    
+    // 导入模块的互操作变量（CommonJS 模块的默认导出、命名空间对象）
+    const getInteropVar = (request, suffix, init) => {
+      const info = getImport(request);
+      const name = `${info.name.slice(0, -2)}_${suffix}__`;
+      
+      if (!info.interop.some(([interopName]) => interopName === name)) {
+        info.interop.push([name, init]);
+        header.push(...parseStatements(`var ${name} = /*#__PURE__*/${init};`));
+      }
+      return name;
+    };
+    
+    // 访问被导入模块的某个导出
+    const getImportAccess = (request, imported) => {
+      const target = this.getDependency(request, 'import').module;
+      const { name } = getImport(request);
+      
+      if (imported === '*') {
+        return target.esModule ? name : getInteropVar(request, 'namespace', `__webpack_require__.t(${name}, 6)`);
+      }
+      
+      if (imported === 'default' && !target.esModule) {
+        return `${getInteropVar(request, 'default', `__webpack_require__.n(${name})`)}()`;
+      }
+      
+      return t.isValidIdentifier(imported) ? `${name}.${imported}` : `${name}[${JSON.stringify(imported)}]`;
+    };
+    
+    const isActiveRequest = (node) => {
+      const dependency = this.getDependency(node.source.value, 'import');
+      return node.exportKind !== 'type' && node.importKind !== 'type' && !!dependency && !!dependency.module;
+    };
+    
+    scope.crawl();
+    
+    // 导入语句
+    programPath.get('body').forEach(statement => {
+      if (!statement.isImportDeclaration()) {
+        return;
+      }
+      
+      const request = statement.node.source.value;
+      if (isActiveRequest(statement.node)) {
+        getImport(request);
+        
+        statement.node.specifiers.forEach(spec => {
+          if (spec.importKind === 'type') {
+            return;
+          }
+          
+          let imported = '*';
+          if (spec.type === 'ImportDefaultSpecifier') {
+            imported = 'default';
+          } else if (spec.type === 'ImportSpecifier') {
+            imported = this.getExportName(spec.imported);
+          }
+          
+          const binding = scope.getBinding(spec.local.name);
+          importBindings.set(spec.local.name, {
+            access: getImportAccess(request, imported),
+            referencePaths: binding ? binding.referencePaths.slice() : []
+          });
+        });
+      }
+      
+      statement.remove();
+    });
+    
+    // 导出语句
+    programPath.get('body').forEach(statement => {
+      if (statement.isExportNamedDeclaration()) {
+        const { declaration, specifiers, source } = statement.node;
+        
+        if (statement.node.exportKind === 'type') {
+          statement.remove();
+          return;
+        }
+        
+        if (declaration) {
+          Object.keys(t.getBindingIdentifiers(declaration, false, true)).forEach(name => {
+            getters.push([name, name]);
+          });
+          statement.replaceWith(declaration);
+          return;
+        }
+        
+        if (source && !isActiveRequest(statement.node)) {
+          statement.remove();
+          return;
+        }
+        
+        if (source) {
+          getImport(source.value);
+        }
+        
+        specifiers.forEach(spec => {
+          const exported = this.getExportName(spec.exported);
+          
+          if (source) {
+            const imported = spec.type === 'ExportNamespaceSpecifier' ? '*' : this.getExportName(spec.local);
+            getters.push([exported, getImportAccess(source.value, imported)]);
+          } else {
+            const local = spec.local.name;
+            getters.push([exported, importBindings.has(local) ? importBindings.get(local).access : local]);
+          }
+        });
+        
+        statement.remove();
+        return;
+      }
+      
+      if (statement.isExportAllDeclaration()) {
+        if (isActiveRequest(statement.node)) {
+          const { name } = getImport(statement.node.source.value);
+          
+          // 已定义的导出不会被 __webpack_require__.d 覆盖
+          header.push(...parseStatements(`
+var __WEBPACK_REEXPORT_OBJECT__ = {};
+for (const __WEBPACK_IMPORT_KEY__ in ${name}) if (__WEBPACK_IMPORT_KEY__ !== "default") __WEBPACK_REEXPORT_OBJECT__[__WEBPACK_IMPORT_KEY__] = () => ${name}[__WEBPACK_IMPORT_KEY__];
+__webpack_require__.d(__webpack_exports__, __WEBPACK_REEXPORT_OBJECT__);
+          `));
+        }
+        
+        statement.remove();
+        return;
+      }
+      
+      if (statement.isExportDefaultDeclaration()) {
+        const declaration = statement.node.declaration;
+        
+        if (t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) {
+          if (!declaration.id) {
+            declaration.id = t.identifier('__WEBPACK_DEFAULT_EXPORT__');
+          }
+          getters.push(['default', declaration.id.name]);
+          statement.replaceWith(declaration);
+        } else if (t.isExpression(declaration)) {
+          getters.push(['default', '__WEBPACK_DEFAULT_EXPORT__']);
+          statement.replaceWith(t.variableDeclaration('const', [
+            t.variableDeclarator(t.identifier('__WEBPACK_DEFAULT_EXPORT__'), declaration)
+          ]));
+        } else {
+          statement.remove();
+        }
+      }
+    });
+    
+    // 导入绑定的引用改为访问被导入模块的 exports
+    importBindings.forEach(({ access, referencePaths }) => {
+      referencePaths.forEach(ref => {
+        if (ref.parentPath.isExportSpecifier()) {
+          return;
+        }
+        
+        const replacement = parser.parseExpression(access);
+        const isCallee = ref.parentPath.isCallExpression({ callee: ref.node }) ||
+          ref.parentPath.isTaggedTemplateExpression({ tag: ref.node });
+        
+        if (isCallee && t.isMemberExpression(replacement)) {
+          // 避免调用时 this 指向被导入模块的 exports
+          ref.replaceWith(t.sequenceExpression([t.numericLiteral(0), replacement]));
+          return;
+        }
+        
+        if (ref.parentPath.isObjectProperty({ value: ref.node, shorthand: true })) {
+          ref.parent.shorthand = false;
+        }
+        ref.replaceWith(replacement);
+      });
+    });
+    
+    this.transformHotAccept(programPath, imports);
+    
+    const exportDefinitions = getters.length > 0
+      ? parseStatements(`__webpack_require__.d(__webpack_exports__, {
+${getters.map(([name, expression]) => `  ${JSON.stringify(name)}: () => (${expression})`).join(',\n')}
+});`)
+      : [];
+    
+    programPath.unshiftContainer('body', [...exportDefinitions, ...header]);
+  }
+  
+  /**
+   * module.hot.accept 接受导入模块的更新时，先重新 require 该模块，使导入的绑定指向新模块
+   */
+  transformHotAccept(programPath, imports) {
+    programPath.traverse({
+      CallExpression: (path) => {
+        const callee = path.get('callee');
+        if (!callee.matchesPattern('module.hot.accept') || path.node.arguments.length === 0) {
+          return;
+        }
+        
+        const [dep, callback] = path.node.arguments;
+        const requests = (t.isArrayExpression(dep) ? dep.elements : [dep])
+          .filter(node => t.isStringLiteral(node) && imports.has(node.value))
+          .map(node => node.value);
+        
+        if (requests.length === 0) {
+          return;
+        }
+        
+        const reassign = requests.map(request => {
+          const { name, id, interop } = imports.get(request);
+          return [`${name} = __webpack_require__(${id});`]
+            .concat(interop.map(([interopName, init]) => `${interopName} = ${init};`))
+            .join('\n');
+        }).join('\n');
+        
+        const handler = parser.parseExpression(`function (__WEBPACK_OUTDATED_DEPENDENCIES__) {
+${reassign}
+}`);
+        
+        if (callback) {
+          handler.body.body.push(t.returnStatement(t.callExpression(
+            t.memberExpression(callback, t.identifier('call')),
+            [t.thisExpression(), t.identifier('__WEBPACK_OUTDATED_DEPENDENCIES__')]
+          )));
+        }
+        
+        path.node.arguments = [dep, handler];
+      }
+    });
   }
   
   /**
    * 获取模块源码
    */
   getSource() {
-    return this.transformedSource || this.source;
+    return this.generatedSource || this.transformedSource || this.source;
+  }
+  
+  /**
+   * 获取模块代码（getSource() 的结果）到原始文件的 Source Map
+   */
+  getSourceMap() {
+    if (this.generatedSourceMap) {
+      return this.generatedSourceMap;
+    }
+    
+    // 没有重新生成代码时 sourceMap 对应 transformedSource
+    if (this.generatedSource === null && this.sourceMap) {
+      return this.sourceMap;
+    }
+    
+    return createIdentitySourceMap(this.getSource(), this.getSourceName());
   }
   
   /**
@@ -404,9 +1861,16 @@ class Module {
       path: this.path,
       request: this.request,
       type: this.type,
+      external: this.external,
       size: this.size,
       built: this.built,
       dependencies: this.dependencies.map(dep => dep.toJson()),
+      providedExports: this.providedExports,
+      usedExports: this.usedExports === true ? true : Array.from(this.usedExports),
+      prunedExports: this.getUnusedExports(),
+      concatenatedModules: this.concatenatedModules ? this.concatenatedModules.map(module => module.readableIdentifier()) : null,
+      concatenationRoot: this.concatenationRoot ? this.concatenationRoot.readableIdentifier() : null,
+      optimizationBailout: this.optimizationBailout,
       errors: this.errors,
       warnings: this.warnings
     };
@@ -0,0 +1,225 @@
+const { SyncHook, AsyncSeriesHook } = require('./hooks');
+const MultiStats = require('./multi-stats');
+const MultiWatching = require('./multi-watching');
+
+/**
+ * 多编译器
+ * 配置为数组时每个配置一个 Compiler，作为一次构建运行：
+ * - 配置的 dependencies 引用其他配置的 name，被依赖的编译器完成后才开始
+ * - 没有依赖关系的编译器并行运行，同时运行的数量不超过 parallelism
+ * - 所有编译器完成后合并为一个 MultiStats
+ */
+class MultiCompiler {
+  constructor(compilers, options = {}) {
+    this.compilers = compilers;
+    this.options = {
+      parallelism: Infinity,
+      ...options
+    };
+    this.hooks = {
+      // 所有编译器完成
+      done: new SyncHook(['stats']),
+      // 任一编译器监听的文件发生变化
+      invalid: new SyncHook(['filename', 'changeTime']),
+      // 任一编译器编译失败
+      failed: new SyncHook(['error']),
+      // 每个编译器的 beforeRun、run、watchRun，参数为对应的编译器
+      beforeRun: new AsyncSeriesHook(['compiler']),
+      run: new AsyncSeriesHook(['compiler']),
+      watchRun: new AsyncSeriesHook(['compiler'])
+    };
+
+    this.watching = null;
+    this.running = false;
+
+    this.validateDependencies();
+
+    // 把各编译器的钩子转发到多编译器上
+    compilers.forEach(compiler => {
+      ['beforeRun', 'run', 'watchRun'].forEach(name => {
+        compiler.hooks[name].tapPromise('MultiCompiler', () => this.hooks[name].promise(compiler));
+      });
+      compiler.hooks.invalid.tap('MultiCompiler', (filename, changeTime) => this.hooks.invalid.call(filename, changeTime));
+      compiler.hooks.failed.tap('MultiCompiler', (error) => this.hooks.failed.call(error));
+    });
+  }
+
+  /**
+   * 校验 dependencies：名称不能重复，引用的配置必须存在，且不能循环依赖
+   */
+  validateDependencies() {
+    const errors = [];
+    const names = new Set();
+
+    this.compilers.forEach(compiler => {
+      if (compiler.name && names.has(compiler.name)) {
+        errors.push(`配置名称 "${compiler.name}" 重复`);
+      }
+      names.add(compiler.name);
+
+      (compiler.options.dependencies || []).forEach(name => {
+        if (!this.compilers.some(item => item.name === name)) {
+          errors.push(`配置 "${compiler.name}" 依赖的 "${name}" 不存在`);
+        }
+      });
+    });
+
+    // 逐轮移除依赖都已移除的编译器，剩下的存在循环依赖
+    const remaining = new Set(this.compilers);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const compiler of remaining) {
+        if (this.getDependencies(compiler).every(dependency => !remaining.has(dependency))) {
+          remaining.delete(compiler);
+          changed = true;
+        }
+      }
+    }
+    if (remaining.size > 0) {
+      errors.push(`配置之间存在循环依赖: ${Array.from(remaining, compiler => compiler.name).join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error('多编译器配置错误:\n' + errors.join('\n'));
+    }
+  }
+
+  /**
+   * 编译器依赖的编译器
+   */
+  getDependencies(compiler) {
+    const dependencies = compiler.options.dependencies || [];
+    return this.compilers.filter(item => item.name && dependencies.includes(item.name));
+  }
+
+  /**
+   * 依赖该编译器的编译器
+   */
+  getDependents(compiler) {
+    return this.compilers.filter(item => this.getDependencies(item).includes(compiler));
+  }
+
+  /**
+   * 按依赖顺序对每个编译器执行 fn，同时执行的数量不超过 parallelism
+   * 失败的编译器的依赖方不再执行，全部结束后返回失败的错误
+   */
+  runWithDependencies(fn) {
+    const pending = this.compilers.slice();
+    const running = new Set();
+    const finished = new Set();
+    const failed = new Set();
+    const errors = [];
+
+    return new Promise(resolve => {
+      const next = () => {
+        let changed = true;
+        while (changed) {
+          changed = false;
+          for (const compiler of pending.slice()) {
+            const dependencies = this.getDependencies(compiler);
+
+            // 依赖的编译器失败时跳过
+            if (dependencies.some(dependency => failed.has(dependency))) {
+              pending.splice(pending.indexOf(compiler), 1);
+              failed.add(compiler);
+              changed = true;
+              continue;
+            }
+
+            if (running.size >= this.options.parallelism || !dependencies.every(dependency => finished.has(dependency))) {
+              continue;
+            }
+
+            pending.splice(pending.indexOf(compiler), 1);
+            running.add(compiler);
+            Promise.resolve()
+              .then(() => fn(compiler))
+              .then(() => finished.add(compiler), error => {
+                failed.add(compiler);
+                errors.push(error);
+              })
+              .then(() => {
+                running.delete(compiler);
+                next();
+              });
+          }
+        }
+
+        if (running.size === 0) {
+          resolve(errors);
+        }
+      };
+
+      next();
+    });
+  }
+
+  /**
+   * 运行所有编译器
+   */
+  async run(callback) {
+    if (this.running) {
+      throw new Error('MultiCompiler 正在运行');
+    }
+    this.running = true;
+
+    try {
+      const statsList = new Map();
+      const errors = await this.runWithDependencies(async compiler => {
+        statsList.set(compiler, await compiler.run());
+      });
+
+      if (errors.length > 0) {
+        throw errors[0];
+      }
+
+      const stats = new MultiStats(this.compilers.map(compiler => statsList.get(compiler)));
+      this.hooks.done.call(stats);
+
+      if (callback) {
+        callback(null, stats);
+      }
+
+      return stats;
+    } catch (error) {
+      if (callback) {
+        callback(error);
+      }
+
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 关闭所有编译器
+   */
+  async close(callback) {
+    if (this.watching) {
+      await new Promise(resolve => this.watching.close(resolve));
+    }
+
+    await Promise.all(this.compilers.map(compiler => compiler.close()));
+
+    if (callback) {
+      callback();
+    }
+  }
+
+  /**
+   * 监听模式构建，所有编译器共用一个监听会话
+   * @param {Object|Object[]} watchOptions 数组时按顺序对应各编译器
+   */
+  watch(watchOptions = {}, handler = () => {}) {
+    if (this.watching) {
+      throw new Error('MultiCompiler 已处于监听模式');
+    }
+
+    this.watching = new MultiWatching(this, watchOptions, handler);
+    return this.watching;
+  }
+}
+
+module.exports = MultiCompiler;
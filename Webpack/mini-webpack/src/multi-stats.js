@@ -0,0 +1,96 @@
+/**
+ * 多编译器的统计信息
+ * 按配置顺序包含每个编译器的统计信息，错误和警告带上配置名称
+ */
+class MultiStats {
+  constructor(stats) {
+    this.stats = stats;
+  }
+
+  get hash() {
+    return this.stats.map(stats => stats.hash).join('');
+  }
+
+  get startTime() {
+    return Math.min(...this.stats.map(stats => stats.startTime));
+  }
+
+  get endTime() {
+    return Math.max(...this.stats.map(stats => stats.endTime));
+  }
+
+  get duration() {
+    return this.endTime - this.startTime;
+  }
+
+  get errors() {
+    return this.collect('errors');
+  }
+
+  get warnings() {
+    return this.collect('warnings');
+  }
+
+  get modules() {
+    return this.stats.flatMap(stats => Array.from(stats.modules));
+  }
+
+  get chunks() {
+    return this.stats.flatMap(stats => stats.chunks);
+  }
+
+  get assets() {
+    return new Map(this.stats.flatMap(stats => Array.from(stats.assets)));
+  }
+
+  /**
+   * 合并各编译器的错误或警告，有名称的配置加上前缀
+   */
+  collect(key) {
+    return this.stats.flatMap(stats => {
+      const name = getName(stats);
+      return stats[key].map(item => name ? `${name}: ${item}` : item);
+    });
+  }
+
+  hasErrors() {
+    return this.stats.some(stats => stats.errors.length > 0);
+  }
+
+  hasWarnings() {
+    return this.stats.some(stats => stats.warnings.length > 0);
+  }
+
+  /**
+   * 转换为 JSON，每个编译器的统计信息放在 children 中
+   */
+  toJson() {
+    return {
+      hash: this.hash,
+      duration: this.duration,
+      children: this.stats.map(stats => ({ name: getName(stats), ...stats.toJson() })),
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * 输出统计信息
+   */
+  toString(options = {}) {
+    return this.stats.map((stats, index) => {
+      const name = getName(stats) || index;
+      const output = stats.toString(options).split('\n').map(line => line ? `  ${line}` : line);
+      return [`Child ${name}:`, ...output].join('\n');
+    }).join('\n');
+  }
+}
+
+/**
+ * 统计信息对应的配置名称
+ */
+function getName(stats) {
+  return stats.compilation.compiler.name;
+}
+
+module.exports = MultiStats;
@@ -0,0 +1,123 @@
+const MultiStats = require('./multi-stats');
+
+/**
+ * 多编译器的监听模式句柄
+ * 每个编译器一个 Watching，按 dependencies 的顺序启动；
+ * 被依赖的编译器重新构建后，依赖它的编译器也重新构建，全部完成后统一通知
+ */
+class MultiWatching {
+  constructor(multiCompiler, watchOptions = {}, handler = () => {}) {
+    this.multiCompiler = multiCompiler;
+    this.handler = handler;
+    this.watchings = new Map(); // 编译器 -> Watching
+    this.stats = new Map(); // 编译器 -> 最近一次成功构建的统计信息
+    this.built = new Set(); // 已完成过构建（包括失败）的编译器
+    this.callbacks = []; // invalidate() 的回调，在所有编译器构建结束后调用
+    this.closed = false;
+
+    // 被依赖的编译器首次构建完成后再启动依赖它的编译器
+    const compilers = multiCompiler.compilers;
+    multiCompiler.runWithDependencies(compiler => new Promise(resolve => {
+      if (this.closed) {
+        resolve();
+        return;
+      }
+
+      const options = Array.isArray(watchOptions) ? watchOptions[compilers.indexOf(compiler)] : watchOptions;
+      const watching = compiler.watch(options, (error, stats) => {
+        this.onDone(compiler, error, stats);
+        resolve();
+      });
+      this.watchings.set(compiler, watching);
+    }));
+  }
+
+  /**
+   * 单个编译器构建结束
+   */
+  onDone(compiler, error, stats) {
+    const rebuild = this.built.has(compiler);
+    this.built.add(compiler);
+
+    if (error) {
+      this.handler(error);
+    } else {
+      this.stats.set(compiler, stats);
+    }
+
+    // 重新构建成功时，依赖它的编译器也需要重新构建
+    if (!error && rebuild) {
+      this.multiCompiler.getDependents(compiler).forEach(dependent => {
+        const watching = this.watchings.get(dependent);
+        if (watching) {
+          watching.invalidate();
+        }
+      });
+    }
+
+    // 没有正在进行的构建时统一通知
+    const compilers = this.multiCompiler.compilers;
+    if (Array.from(this.watchings.values()).some(watching => watching.running)) {
+      return;
+    }
+
+    if (!error && compilers.every(item => this.stats.has(item))) {
+      const multiStats = new MultiStats(compilers.map(item => this.stats.get(item)));
+      this.multiCompiler.hooks.done.call(multiStats);
+      this.handler(null, multiStats);
+    }
+
+    const callbacks = this.callbacks;
+    this.callbacks = [];
+    callbacks.forEach(callback => callback());
+  }
+
+  /**
+   * 手动标记所有编译器失效并重新构建
+   * 只需让没有依赖的编译器重新构建，依赖它们的编译器在其完成后跟着重新构建
+   */
+  invalidate(callback) {
+    if (callback) {
+      this.callbacks.push(callback);
+    }
+
+    this.multiCompiler.compilers
+      .filter(compiler => this.multiCompiler.getDependencies(compiler).length === 0)
+      .forEach(compiler => {
+        const watching = this.watchings.get(compiler);
+        if (watching) {
+          watching.invalidate();
+        }
+      });
+  }
+
+  /**
+   * 停止所有编译器的监听
+   */
+  close(callback) {
+    this.closed = true;
+
+    const watchings = Array.from(this.watchings.values());
+    let remaining = watchings.length;
+    const finish = () => {
+      this.multiCompiler.watching = null;
+      if (callback) {
+        callback();
+      }
+    };
+
+    if (remaining === 0) {
+      finish();
+      return;
+    }
+
+    watchings.forEach(watching => watching.close(() => {
+      remaining--;
+      if (remaining === 0) {
+        finish();
+      }
+    }));
+  }
+}
+
+module.exports = MultiWatching;
@@ -0,0 +1,106 @@
+const Compilation = require('../compilation');
+const Template = require('../template');
+const { RawSource } = require('../sources');
+const { generateHash } = require('../utils');
+
+/**
+ * 模块热替换插件
+ * 对比相邻两次构建的模块内容，输出热更新清单和只包含变化模块的热更新代码块
+ */
+class HotModuleReplacementPlugin {
+  constructor(options = {}) {
+    this.options = options;
+
+    // 上一次构建的记录
+    this.lastHash = null;
+    this.lastModuleHashes = new Map(); // 模块ID -> 内容 hash
+    this.lastChunkModules = new Map(); // 代码块ID -> 模块ID 集合
+  }
+
+  apply(compiler) {
+    // 让代码块生成 HMR 运行时
+    compiler.hotModuleReplacement = true;
+
+    compiler.hooks.thisCompilation.tap('HotModuleReplacementPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap({ name: 'HotModuleReplacementPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL }, () => {
+        this.emitHotUpdate(compilation);
+      });
+    });
+  }
+
+  /**
+   * 生成热更新资源
+   */
+  emitHotUpdate(compilation) {
+    const output = compilation.options.output || {};
+    const template = new Template();
+    const moduleHashes = new Map();
+    const chunkModules = new Map();
+
+    // 记录本次构建每个模块的内容 hash
+    compilation.chunks.forEach(chunk => {
+      const moduleIds = new Set();
+      chunk.getModules().forEach(module => {
+        moduleIds.add(module.id);
+        moduleHashes.set(`${chunk.id}:${module.id}`, generateHash(chunk.wrapModule(module)));
+      });
+      chunkModules.set(chunk.id, moduleIds);
+    });
+
+    if (this.lastHash && this.lastHash !== compilation.hash) {
+      const manifest = {
+        h: compilation.hash,
+        c: [], // 有更新的代码块
+        r: [], // 被移除的代码块
+        m: [] // 被移除的模块
+      };
+
+      compilation.chunks.forEach(chunk => {
+        const changedModules = chunk.getModules().filter(module => {
+          const key = `${chunk.id}:${module.id}`;
+          return this.lastModuleHashes.get(key) !== moduleHashes.get(key);
+        });
+
+        const lastModuleIds = this.lastChunkModules.get(chunk.id) || new Set();
+        const currentModuleIds = chunkModules.get(chunk.id);
+        lastModuleIds.forEach(moduleId => {
+          if (!currentModuleIds.has(moduleId) && !manifest.m.includes(moduleId)) {
+            manifest.m.push(moduleId);
+          }
+        });
+
+        if (changedModules.length > 0) {
+          const filename = this.getFilename(output.hotUpdateChunkFilename || '[id].[hash].hot-update.js', chunk.id);
+          const source = template.generateHotUpdateChunk(chunk.id, chunk.generateModuleMap(changedModules));
+
+          compilation.emitAsset(filename, new RawSource(source), { hotModuleReplacement: true });
+          manifest.c.push(chunk.id);
+        }
+      });
+
+      this.lastChunkModules.forEach((moduleIds, chunkId) => {
+        if (!chunkModules.has(chunkId)) {
+          manifest.r.push(chunkId);
+        }
+      });
+
+      const manifestFilename = this.getFilename(output.hotUpdateMainFilename || '[hash].hot-update.json');
+      compilation.emitAsset(manifestFilename, new RawSource(JSON.stringify(manifest)), { hotModuleReplacement: true });
+    }
+
+    this.lastHash = compilation.hash;
+    this.lastModuleHashes = moduleHashes;
+    this.lastChunkModules = chunkModules;
+  }
+
+  /**
+   * 热更新文件名使用上一次构建的 hash，客户端据此找到从当前版本出发的更新
+   */
+  getFilename(filenameTemplate, chunkId) {
+    return filenameTemplate
+      .replace(/\[id\]/g, chunkId)
+      .replace(/\[hash\]/g, this.lastHash);
+  }
+}
+
+module.exports = HotModuleReplacementPlugin;
@@ -2,6 +2,10 @@
  * 基础插件集合
  */
 
+const HotModuleReplacementPlugin = require('./hot-module-replacement');
+const MiniCssExtractPlugin = require('./mini-css-extract');
+const JsMinimizerPlugin = require('./js-minimizer');
+
 /**
  * HTML 插件 - 生成 HTML 文件
  */
@@ -18,30 +22,39 @@ class HtmlPlugin {
   }
 
   apply(compiler) {
-    compiler.hooks.emit.tapAsync('HtmlPlugin', (compilation, callback) => {
-      try {
-        const htmlContent = this.generateHtml(compilation);
-        
-        // 添加到资源列表
-        compilation.assets[this.options.filename] = {
-          source: () => htmlContent,
-          size: () => htmlContent.length
-        };
-        
-        callback();
-      } catch (error) {
-        callback(error);
-      }
+    const Compilation = require('../compilation');
+    const { RawSource } = require('../sources');
+
+    compiler.hooks.thisCompilation.tap('HtmlPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap({ name: 'HtmlPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL }, () => {
+        compilation.emitAsset(this.options.filename, new RawSource(this.generateHtml(compilation)));
+      });
     });
   }
 
   generateHtml(compilation) {
+    const { compareIds } = require('../utils');
     const { chunks } = compilation;
     const scripts = [];
     const styles = [];
 
-    // 收集 JS 和 CSS 文件
-    chunks.forEach(chunk => {
+    // 收集入口代码块及其拆分代码块的 JS 和 CSS 文件（异步代码块由运行时按需加载）
+    // 拆分出的代码块排在入口代码块之前，保证入口启动时已经加载
+    const initialChunks = [];
+    chunks.filter(chunk => chunk.isEntry()).forEach(chunk => {
+      Array.from(chunk.requiredChunks)
+        .sort((a, b) => compareIds(a.id, b.id))
+        .forEach(requiredChunk => {
+          if (!initialChunks.includes(requiredChunk)) {
+            initialChunks.push(requiredChunk);
+          }
+        });
+      if (!initialChunks.includes(chunk)) {
+        initialChunks.push(chunk);
+      }
+    });
+
+    initialChunks.forEach(chunk => {
       chunk.files.forEach(file => {
         if (file.endsWith('.js')) {
           scripts.push(file);
@@ -132,47 +145,49 @@ class CopyPlugin {
   apply(compiler) {
     const fs = require('fs');
     const path = require('path');
-    const { copyFile, ensureDir, colors } = require('../utils');
+    const Compilation = require('../compilation');
+    const { colors } = require('../utils');
 
-    compiler.hooks.emit.tapAsync('CopyPlugin', (compilation, callback) => {
-      try {
-        const outputPath = compiler.options.output.path;
-        
+    // 复制的文件作为资源输出，to 为相对于输出目录的路径
+    compiler.hooks.thisCompilation.tap('CopyPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap({ name: 'CopyPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL }, () => {
         this.patterns.forEach(pattern => {
           const fromPath = path.resolve(process.cwd(), pattern.from);
-          const toPath = path.resolve(outputPath, pattern.to);
           
           if (fs.existsSync(fromPath)) {
             const stats = fs.statSync(fromPath);
             
             if (stats.isFile()) {
               // 复制文件
-              const fileName = path.basename(fromPath);
-              const destFile = path.join(toPath, fileName);
-              copyFile(fromPath, destFile);
-              
+              this.copyFile(compilation, fromPath, path.join(pattern.to, path.basename(fromPath)));
               console.log(colors.green(`复制文件: ${pattern.from} -> ${pattern.to}`));
             } else if (stats.isDirectory()) {
               // 复制目录
-              this.copyDirectory(fromPath, toPath);
+              this.copyDirectory(compilation, fromPath, pattern.to);
               console.log(colors.green(`复制目录: ${pattern.from} -> ${pattern.to}`));
             }
           }
         });
-        
-        callback();
-      } catch (error) {
-        callback(error);
-      }
+      });
     });
   }
 
-  copyDirectory(src, dest) {
+  copyFile(compilation, src, dest) {
     const fs = require('fs');
     const path = require('path');
-    const { ensureDir } = require('../utils');
+    const { RawSource } = require('../sources');
     
-    ensureDir(dest);
+    // 监听模式下复制的文件变化时重新构建
+    compilation.fileDependencies.add(src);
+    compilation.emitAsset(dest.split(path.sep).join('/'), new RawSource(fs.readFileSync(src)), {
+      copied: true,
+      sourceFilename: path.relative(process.cwd(), src).split(path.sep).join('/')
+    });
+  }
+
+  copyDirectory(compilation, src, dest) {
+    const fs = require('fs');
+    const path = require('path');
     
     const files = fs.readdirSync(src);
     
@@ -182,9 +197,9 @@ class CopyPlugin {
       const stats = fs.statSync(srcFile);
       
       if (stats.isDirectory()) {
-        this.copyDirectory(srcFile, destFile);
+        this.copyDirectory(compilation, srcFile, destFile);
       } else {
-        fs.copyFileSync(srcFile, destFile);
+        this.copyFile(compilation, srcFile, destFile);
       }
     });
   }
@@ -207,10 +222,13 @@ class ProgressPlugin {
     const { colors, createProgressBar } = require('../utils');
     let progressBar = null;
 
-    compiler.hooks.beforeRun.tap('ProgressPlugin', () => {
+    const onStart = () => {
       this.startTime = Date.now();
       console.log(colors.cyan('开始构建...'));
-    });
+    };
+
+    compiler.hooks.beforeRun.tap('ProgressPlugin', onStart);
+    compiler.hooks.watchRun.tap('ProgressPlugin', onStart);
 
     compiler.hooks.compilation.tap('ProgressPlugin', (compilation) => {
       // 模块构建进度
@@ -229,13 +247,13 @@ class ProgressPlugin {
           progressBar.update(95);
         }
       });
+    });
 
-      // 生成资源
-      compilation.hooks.emit.tap('ProgressPlugin', () => {
-        if (progressBar) {
-          progressBar.update(100);
-        }
-      });
+    // 生成资源
+    compiler.hooks.emit.tap('ProgressPlugin', () => {
+      if (progressBar) {
+        progressBar.update(100);
+      }
     });
 
     compiler.hooks.done.tap('ProgressPlugin', (stats) => {
@@ -252,6 +270,7 @@ class ProgressPlugin {
 
 /**
  * 定义插件 - 定义全局变量
+ * 在 loader 执行之后、解析依赖之前替换模块代码中的变量
  */
 class DefinePlugin {
   constructor(definitions = {}) {
@@ -260,22 +279,28 @@ class DefinePlugin {
 
   apply(compiler) {
     compiler.hooks.compilation.tap('DefinePlugin', (compilation) => {
-      compilation.hooks.buildModule.tap('DefinePlugin', (module) => {
-        // 在模块构建时替换定义的变量
-        if (module.source) {
-          let source = module.source;
-          
-          Object.keys(this.definitions).forEach(key => {
-            const value = this.definitions[key];
-            const replacement = typeof value === 'string' ? value : JSON.stringify(value);
-            
-            // 简单的字符串替换
-            const regex = new RegExp(`\\b${key}\\b`, 'g');
-            source = source.replace(regex, replacement);
-          });
-          
-          module.source = source;
+      // 替换结果写入缓存的模块代码，定义变化时缓存需要失效
+      compilation.hooks.moduleCacheKey.tap('DefinePlugin', (key) => {
+        return `${key}|DefinePlugin:${JSON.stringify(this.definitions)}`;
+      });
+      
+      compilation.hooks.beforeParse.tap('DefinePlugin', (module) => {
+        if (typeof module.source !== 'string' || module.type === 'json') {
+          return;
         }
+        
+        let source = module.source;
+        
+        Object.keys(this.definitions).forEach(key => {
+          const value = this.definitions[key];
+          const replacement = typeof value === 'string' ? value : JSON.stringify(value);
+          
+          // 简单的字符串替换（process.env.NODE_ENV 中的 . 按字面匹配）
+          const regex = new RegExp(`(?<![\\w$.])${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w$])`, 'g');
+          source = source.replace(regex, replacement);
+        });
+        
+        module.source = source;
       });
     });
   }
@@ -310,43 +335,34 @@ class EnvironmentPlugin {
  */
 class BannerPlugin {
   constructor(options) {
-    if (typeof options === 'string') {
-      this.options = { banner: options };
-    } else {
-      this.options = {
-        banner: '',
-        raw: false,
-        entryOnly: false,
-        test: /\.(js|css)$/,
-        ...options
-      };
-    }
+    this.options = {
+      banner: '',
+      raw: false,
+      entryOnly: false,
+      test: /\.(js|css)$/,
+      ...(typeof options === 'string' ? { banner: options } : options)
+    };
   }
 
   apply(compiler) {
-    compiler.hooks.emit.tapAsync('BannerPlugin', (compilation, callback) => {
-      try {
+    const Compilation = require('../compilation');
+    const { ConcatSource } = require('../sources');
+
+    // 在代码块的文件前添加横幅，Source Map 随之偏移
+    compiler.hooks.thisCompilation.tap('BannerPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap({ name: 'BannerPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONS }, () => {
         const banner = this.options.raw 
           ? this.options.banner 
           : `/*! ${this.options.banner} */`;
         
-        Object.keys(compilation.assets).forEach(filename => {
-          if (this.options.test.test(filename)) {
-            const asset = compilation.assets[filename];
-            const source = asset.source();
-            const newSource = banner + '\n' + source;
-            
-            compilation.assets[filename] = {
-              source: () => newSource,
-              size: () => newSource.length
-            };
-          }
-        });
-        
-        callback();
-      } catch (error) {
-        callback(error);
-      }
+        compilation.chunks
+          .filter(chunk => !this.options.entryOnly || chunk.isEntry())
+          .forEach(chunk => {
+            chunk.files
+              .filter(file => this.options.test.test(file))
+              .forEach(file => compilation.updateAsset(file, old => new ConcatSource(banner, '\n', old)));
+          });
+      });
     });
   }
 }
@@ -365,40 +381,45 @@ class AnalyzePlugin {
   }
 
   apply(compiler) {
-    const { formatSize } = require('../utils');
+    const Compilation = require('../compilation');
+    const { RawSource } = require('../sources');
     
-    compiler.hooks.done.tap('AnalyzePlugin', (stats) => {
-      const analysis = this.analyzeStats(stats);
-      
-      if (this.options.analyzerMode === 'static') {
-        this.generateReport(analysis, compiler.options.output.path);
-      } else {
-        this.printAnalysis(analysis);
-      }
+    // 在所有资源处理完成后分析，static 模式下报告作为资源输出
+    compiler.hooks.thisCompilation.tap('AnalyzePlugin', (compilation) => {
+      compilation.hooks.processAssets.tap({ name: 'AnalyzePlugin', stage: Compilation.PROCESS_ASSETS_STAGE_REPORT }, () => {
+        const analysis = this.analyzeCompilation(compilation);
+        
+        if (this.options.analyzerMode === 'static') {
+          compilation.emitAsset(this.options.reportFilename, new RawSource(this.generateReport(analysis)));
+        } else {
+          this.printAnalysis(analysis);
+        }
+      });
     });
   }
 
-  analyzeStats(stats) {
-    const { modules, chunks, assets } = stats;
+  analyzeCompilation(compilation) {
+    const modules = Array.from(compilation.modules);
+    const assets = compilation.getAssets();
     
     return {
-      totalSize: assets.reduce((sum, asset) => sum + asset.size, 0),
+      totalSize: assets.reduce((sum, asset) => sum + asset.source.size(), 0),
       moduleCount: modules.length,
-      chunkCount: chunks.length,
+      chunkCount: compilation.chunks.length,
       assetCount: assets.length,
       modules: modules.map(module => ({
         name: module.name,
         size: module.size,
         dependencies: module.dependencies.length
       })),
-      chunks: chunks.map(chunk => ({
+      chunks: compilation.chunks.map(chunk => ({
         name: chunk.name,
         size: chunk.size,
-        modules: chunk.modules.length
+        modules: chunk.getModules().length
       })),
       assets: assets.map(asset => ({
         name: asset.name,
-        size: asset.size
+        size: asset.source.size()
       }))
     };
   }
@@ -418,14 +439,10 @@ class AnalyzePlugin {
     });
   }
 
-  generateReport(analysis, outputPath) {
-    const fs = require('fs');
-    const path = require('path');
+  generateReport(analysis) {
     const { formatSize } = require('../utils');
     
-    const reportPath = path.join(outputPath, this.options.reportFilename);
-    
-    const html = `
+    return `
       <!DOCTYPE html>
       <html>
       <head>
@@ -472,9 +489,58 @@ class AnalyzePlugin {
       </body>
       </html>
     `;
+  }
+}
+
+/**
+ * 性能分析插件 - 通过拦截器记录每个插件在编译器和编译实例各钩子上的耗时
+ */
+class ProfilingPlugin {
+  constructor(options = {}) {
+    this.options = {
+      outputPath: null, // 写入 JSON 文件的路径，不设置时打印到控制台
+      ...options
+    };
+    this.timings = new Map(); // "钩子名/插件名" -> { hook, name, type, calls, duration }
+  }
+
+  apply(compiler) {
+    const { createTimingInterceptor } = require('../hooks');
     
-    fs.writeFileSync(reportPath, html);
-    console.log(`分析报告已生成: ${reportPath}`);
+    // 已注册和之后注册的监听器都会被包装
+    Object.entries(compiler.hooks).forEach(([name, hook]) => {
+      hook.intercept(createTimingInterceptor(name, this.timings));
+    });
+    compiler.hooks.compilation.tap('ProfilingPlugin', (compilation) => {
+      Object.entries(compilation.hooks).forEach(([name, hook]) => {
+        hook.intercept(createTimingInterceptor(`compilation.${name}`, this.timings));
+      });
+    });
+
+    compiler.hooks.done.tap('ProfilingPlugin', () => {
+      const timings = Array.from(this.timings.values())
+        .filter(timing => timing.name !== 'ProfilingPlugin')
+        .sort((a, b) => b.duration - a.duration);
+      this.timings.clear();
+      
+      if (this.options.outputPath) {
+        const fs = require('fs');
+        const path = require('path');
+        fs.mkdirSync(path.dirname(this.options.outputPath), { recursive: true });
+        fs.writeFileSync(this.options.outputPath, JSON.stringify(timings, null, 2));
+      } else {
+        this.printTimings(timings);
+      }
+    });
+  }
+
+  printTimings(timings) {
+    const { colors } = require('../utils');
+    
+    console.log('\n' + colors.cyan('=== 插件耗时 ==='));
+    timings.forEach(timing => {
+      console.log(`  ${timing.hook}/${timing.name}: ${colors.yellow(`${timing.duration.toFixed(2)}ms`)} (${timing.calls} 次)`);
+    });
   }
 }
 
@@ -486,5 +552,9 @@ module.exports = {
   DefinePlugin,
   EnvironmentPlugin,
   BannerPlugin,
-  AnalyzePlugin
+  AnalyzePlugin,
+  ProfilingPlugin,
+  HotModuleReplacementPlugin,
+  MiniCssExtractPlugin,
+  JsMinimizerPlugin
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const os = require('os');
+const path = require('path');
+const Compilation = require('../compilation');
+const WorkerPool = require('../worker-pool');
+const { RawSource, SourceMapSource } = require('../sources');
+const { minify } = require('../minify');
+
+/**
+ * JavaScript 压缩插件
+ * 在 processAssets 的 OPTIMIZE_SIZE 阶段压缩 JS 资源（常量折叠、死代码消除、缩短局部变量名），
+ * 保留许可证注释；资源带有 Source Map 时压缩后的 Source Map 仍映射到源码。
+ * 开启 parallel 时多个资源在压缩线程中并行处理
+ */
+class JsMinimizerPlugin {
+  constructor(options = {}) {
+    this.options = {
+      test: /\.[cm]?js(\?.*)?$/i,
+      include: undefined,
+      exclude: undefined,
+      parallel: true, // true 表示使用除主线程外的所有 CPU，也可以指定线程数，false 表示在主线程压缩
+      compress: true,
+      mangle: true,
+      ...options
+    };
+  }
+
+  apply(compiler) {
+    compiler.hooks.compilation.tap('JsMinimizerPlugin', (compilation) => {
+      compilation.hooks.processAssets.tapPromise({ name: 'JsMinimizerPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE }, () => {
+        return this.optimize(compilation);
+      });
+    });
+  }
+
+  /**
+   * 压缩符合条件且未压缩过的资源
+   */
+  async optimize(compilation) {
+    const assets = compilation.getAssets().filter(({ name, info }) => {
+      return !info.minimized && !info.development && matchObject(this.options, name);
+    });
+    if (assets.length === 0) {
+      return;
+    }
+
+    const workerPool = this.createWorkerPool(assets.length);
+    const { compress, mangle } = this.options;
+
+    try {
+      await Promise.all(assets.map(async ({ name, source }) => {
+        const { source: code, map } = source.sourceAndMap();
+        const task = { code: String(code), options: { filename: name, map, compress, mangle } };
+
+        try {
+          const result = workerPool ? await workerPool.run(task) : minify(task.code, task.options);
+          compilation.updateAsset(
+            name,
+            result.map ? new SourceMapSource(result.code, name, result.map) : new RawSource(result.code),
+            { minimized: true }
+          );
+        } catch (error) {
+          compilation.errors.push(`压缩 ${name} 失败: ${error.message}`);
+        }
+      }));
+    } finally {
+      if (workerPool) {
+        await workerPool.close();
+      }
+    }
+  }
+
+  /**
+   * 有多个资源且开启 parallel 时创建压缩线程池，否则返回 null
+   */
+  createWorkerPool(assetCount) {
+    const { parallel } = this.options;
+    const size = parallel === true ? Math.max(os.cpus().length - 1, 1) : parallel || 0;
+    if (size < 1 || assetCount < 2) {
+      return null;
+    }
+
+    return new WorkerPool(Math.min(size, assetCount), null, path.join(__dirname, '../minify-worker.js'));
+  }
+}
+
+/**
+ * 资源名是否匹配 test、include，且不匹配 exclude
+ * 条件可以是正则、字符串（资源名前缀）或它们的数组
+ */
+function matchObject({ test, include, exclude }, name) {
+  const match = (condition) => [].concat(condition).some(item => {
+    return typeof item === 'string' ? name.startsWith(item) : item.test(name);
+  });
+
+  return (!test || match(test)) && (!include || match(include)) && !(exclude && match(exclude));
+}
+
+module.exports = JsMinimizerPlugin;
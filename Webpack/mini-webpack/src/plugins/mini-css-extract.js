@@ -0,0 +1,24 @@
+/**
+ * CSS 提取插件
+ * 把 CSS 模块从 JavaScript 中提取出来，每个代码块输出一个 .css 文件并记录在 chunk.files 中，
+ * 异步代码块的 CSS 由运行时的 __webpack_require__.miniCssF 和 <link> 加载
+ */
+class MiniCssExtractPlugin {
+  constructor(options = {}) {
+    this.options = {
+      filename: '[name].css',
+      chunkFilename: '[id].css',
+      ...options
+    };
+  }
+
+  apply(compiler) {
+    // 让 CSS 模块只导出类名映射，并由编译过程输出 .css 文件
+    compiler.cssExtract = {
+      filename: this.options.filename,
+      chunkFilename: this.options.chunkFilename
+    };
+  }
+}
+
+module.exports = MiniCssExtractPlugin;
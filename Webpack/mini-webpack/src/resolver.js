@@ -0,0 +1,480 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 模块路径解析器
+ * 支持 alias、modules、extensions、package.json 的 exports 和 mainFields、
+ * browser 字段的文件替换、目录 index 文件、symlinks 以及 fallback
+ */
+class Resolver {
+  constructor(options = {}) {
+    this.options = {
+      extensions: ['.js', '.json'],
+      alias: {},
+      fallback: {},
+      modules: ['node_modules'],
+      mainFields: ['browser', 'module', 'main'],
+      mainFiles: ['index'],
+      aliasFields: ['browser'],
+      conditionNames: ['webpack', 'browser', 'module'],
+      symlinks: true,
+      ...options
+    };
+
+    this.packageCache = new Map(); // 目录 -> package.json 内容（不存在时为 null）
+  }
+
+  /**
+   * 解析请求
+   * @param {string} request 请求路径
+   * @param {string} context 发起请求的目录
+   * @param {string} dependencyType 依赖类型，require 使用 exports 的 require 条件，其余使用 import 条件
+   * @returns {string|false} 模块的绝对路径，被 alias、browser 字段设为 false 的模块返回 false
+   */
+  resolve(request, context, dependencyType = 'import') {
+    const state = {
+      tried: [], // 尝试过的路径
+      missing: [], // 尝试过但不存在的文件（监听模式等待其出现）
+      appliedAliases: new Set(),
+      conditions: this.options.conditionNames.concat(dependencyType === 'require' ? 'require' : 'import', 'default')
+    };
+
+    let result = this.resolveRequest(request, context, state);
+
+    if (result === undefined) {
+      result = this.resolveAlias(request, context, this.options.fallback, state);
+    }
+
+    if (result === undefined) {
+      const error = new Error(
+        `无法解析模块: ${request} (来自 ${context})\n尝试过的路径:\n${state.tried.map(file => `  ${file}`).join('\n')}`
+      );
+      error.tried = state.tried;
+      error.missing = state.missing;
+      throw error;
+    }
+
+    if (result === false || !this.options.symlinks) {
+      return result;
+    }
+
+    return fs.realpathSync(result);
+  }
+
+  /**
+   * 解析单个请求，找不到时返回 undefined
+   */
+  resolveRequest(request, context, state) {
+    const aliased = this.resolveAlias(request, context, this.options.alias, state);
+    if (aliased !== undefined) {
+      return aliased;
+    }
+
+    if (this.isRelative(request) || path.isAbsolute(request)) {
+      return this.resolvePath(path.resolve(context, request), state);
+    }
+
+    // 所在包的 browser 字段可以替换第三方模块
+    const replacement = this.getAliasFieldReplacement(context, request);
+    if (replacement !== undefined) {
+      return replacement === false ? false : this.resolvePath(replacement, state);
+    }
+
+    return this.resolveAsModule(request, context, state);
+  }
+
+  /**
+   * 按 alias（或 fallback）配置替换请求，未命中时返回 undefined
+   * key 以 $ 结尾时只精确匹配，值为数组时依次尝试，为 false 时忽略该模块
+   */
+  resolveAlias(request, context, aliases, state) {
+    for (const [key, value] of Object.entries(aliases || {})) {
+      const exact = key.endsWith('$');
+      const name = exact ? key.slice(0, -1) : key;
+
+      if (request !== name && (exact || !request.startsWith(`${name}/`))) {
+        continue;
+      }
+
+      // 避免 alias 指向自身的子路径时无限替换
+      if (state.appliedAliases.has(key)) {
+        continue;
+      }
+
+      if (value === false) {
+        return false;
+      }
+
+      const targets = Array.isArray(value) ? value : [value];
+      for (const target of targets) {
+        state.appliedAliases.add(key);
+        const result = this.resolveRequest(target + request.slice(name.length), context, state);
+        state.appliedAliases.delete(key);
+
+        if (result !== undefined) {
+          return result;
+        }
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 按文件或目录解析绝对路径，并应用 browser 字段的文件替换
+   */
+  resolvePath(absolutePath, state) {
+    const result = this.resolveFile(absolutePath, state);
+    const file = result !== undefined ? result : this.resolveDirectory(absolutePath, state);
+
+    if (file === undefined) {
+      return undefined;
+    }
+
+    const replacement = this.getAliasFieldReplacement(path.dirname(file), file);
+    if (replacement === undefined || replacement === file) {
+      return file;
+    }
+
+    return replacement === false ? false : this.resolveFile(replacement, state);
+  }
+
+  /**
+   * 解析文件：先尝试原路径，再依次添加扩展名
+   */
+  resolveFile(file, state) {
+    const candidates = [file, ...this.options.extensions.map(ext => file + ext)];
+
+    for (const candidate of candidates) {
+      state.tried.push(candidate);
+      if (this.isFile(candidate)) {
+        return candidate;
+      }
+      if (!this.isDirectory(candidate)) {
+        state.missing.push(candidate);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 解析目录：依次尝试 package.json 的 mainFields 和 mainFiles（index）文件
+   */
+  resolveDirectory(dir, state) {
+    if (!this.isDirectory(dir)) {
+      return undefined;
+    }
+
+    const pkg = this.readPackage(dir);
+    if (pkg) {
+      for (const field of this.options.mainFields) {
+        const main = pkg[field];
+        if (typeof main !== 'string' || !main) {
+          continue;
+        }
+
+        const mainPath = path.resolve(dir, main);
+        const result = this.resolveFile(mainPath, state);
+        if (result !== undefined) {
+          return result;
+        }
+
+        // main 指向目录（如 "./lib"）
+        if (mainPath !== dir) {
+          const indexFile = this.resolveIndex(mainPath, state);
+          if (indexFile !== undefined) {
+            return indexFile;
+          }
+        }
+      }
+    }
+
+    return this.resolveIndex(dir, state);
+  }
+
+  /**
+   * 解析目录下的 mainFiles（默认 index）
+   */
+  resolveIndex(dir, state) {
+    for (const mainFile of this.options.mainFiles) {
+      const result = this.resolveFile(path.join(dir, mainFile), state);
+      if (result !== undefined) {
+        return result;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 在 modules 目录中解析第三方模块
+   * 包含 exports 字段的包只能访问 exports 中声明的路径
+   */
+  resolveAsModule(request, context, state) {
+    const { packageName, subpath } = this.parseModuleRequest(request);
+
+    for (const modulesDir of this.getModulesDirectories(context)) {
+      const packageDir = path.join(modulesDir, packageName);
+      const pkg = this.isDirectory(packageDir) ? this.readPackage(packageDir) : null;
+
+      if (pkg && pkg.exports !== undefined) {
+        const target = this.resolveExports(pkg.exports, subpath, state.conditions);
+        state.tried.push(`${packageDir} (exports: ${subpath})`);
+
+        if (!target) {
+          return undefined;
+        }
+
+        // exports 中的路径是精确的，不补全扩展名
+        const file = path.resolve(packageDir, target);
+        state.tried.push(file);
+        if (!this.isFile(file)) {
+          state.missing.push(file);
+          return undefined;
+        }
+        return file;
+      }
+
+      const result = this.resolvePath(path.join(modulesDir, request), state);
+      if (result !== undefined) {
+        return result;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 拆分包名和子路径：@scope/pkg/lib/a -> @scope/pkg + ./lib/a
+   */
+  parseModuleRequest(request) {
+    const parts = request.split('/');
+    const nameLength = request.startsWith('@') ? 2 : 1;
+    const rest = parts.slice(nameLength).join('/');
+
+    return {
+      packageName: parts.slice(0, nameLength).join('/'),
+      subpath: rest ? `./${rest}` : '.'
+    };
+  }
+
+  /**
+   * 获取查找第三方模块的目录：
+   * 绝对路径直接使用，名称（如 node_modules）从 context 逐级向上查找
+   */
+  getModulesDirectories(context) {
+    const directories = [];
+
+    this.options.modules.forEach(modules => {
+      if (path.isAbsolute(modules)) {
+        directories.push(modules);
+        return;
+      }
+
+      let dir = context;
+      while (true) {
+        if (path.basename(dir) !== modules) {
+          directories.push(path.join(dir, modules));
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+          break;
+        }
+        dir = parent;
+      }
+    });
+
+    return directories.filter(dir => this.isDirectory(dir));
+  }
+
+  /**
+   * 按 exports 字段解析子路径，返回相对包目录的路径，未导出时返回 null
+   */
+  resolveExports(exportsField, subpath, conditions) {
+    // "exports": "./index.js" 或只有条件的对象等价于 { ".": ... }
+    const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+      Object.keys(exportsField).some(key => key.startsWith('.'));
+    const exportsMap = isSubpathMap ? exportsField : { '.': exportsField };
+
+    if (Object.prototype.hasOwnProperty.call(exportsMap, subpath) && !subpath.includes('*')) {
+      return this.resolveExportsTarget(exportsMap[subpath], '', conditions);
+    }
+
+    // 子路径模式（"./features/*"）和目录映射（"./lib/"），取最长的匹配
+    let bestKey = null;
+    let bestMatch = '';
+    Object.keys(exportsMap).forEach(key => {
+      const starIndex = key.indexOf('*');
+      let match = null;
+
+      if (starIndex !== -1) {
+        const prefix = key.slice(0, starIndex);
+        const suffix = key.slice(starIndex + 1);
+        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length) {
+          match = subpath.slice(prefix.length, subpath.length - suffix.length);
+        }
+      } else if (key.endsWith('/') && subpath.startsWith(key)) {
+        match = subpath.slice(key.length);
+      }
+
+      if (match !== null && (bestKey === null || key.length > bestKey.length)) {
+        bestKey = key;
+        bestMatch = match;
+      }
+    });
+
+    return bestKey === null ? null : this.resolveExportsTarget(exportsMap[bestKey], bestMatch, conditions, bestKey.endsWith('/'));
+  }
+
+  /**
+   * 解析 exports 的目标：字符串、备选数组或按条件名选择的对象
+   */
+  resolveExportsTarget(target, match, conditions, directoryMapping = false) {
+    if (typeof target === 'string') {
+      if (!target.startsWith('./')) {
+        return null;
+      }
+      return directoryMapping ? target + match : target.replace(/\*/g, match);
+    }
+
+    if (Array.isArray(target)) {
+      for (const item of target) {
+        const result = this.resolveExportsTarget(item, match, conditions, directoryMapping);
+        if (result) {
+          return result;
+        }
+      }
+      return null;
+    }
+
+    if (target && typeof target === 'object') {
+      for (const [condition, value] of Object.entries(target)) {
+        if (!conditions.includes(condition)) {
+          continue;
+        }
+
+        const result = this.resolveExportsTarget(value, match, conditions, directoryMapping);
+        if (result !== undefined) {
+          return result;
+        }
+      }
+      return undefined;
+    }
+
+    return null;
+  }
+
+  /**
+   * 查找 aliasFields（browser 字段）对请求或文件的替换
+   * @returns {string|false|undefined} 替换后的绝对路径，false 表示忽略，undefined 表示不替换
+   */
+  getAliasFieldReplacement(dir, requestOrFile) {
+    const pkgInfo = this.findPackage(dir);
+    if (!pkgInfo) {
+      return undefined;
+    }
+
+    for (const field of this.options.aliasFields) {
+      const mapping = pkgInfo.pkg[field];
+      if (!mapping || typeof mapping !== 'object') {
+        continue;
+      }
+
+      let keys = [requestOrFile];
+      if (path.isAbsolute(requestOrFile)) {
+        const relativePath = `./${path.relative(pkgInfo.dir, requestOrFile).split(path.sep).join('/')}`;
+        keys = [relativePath, relativePath.replace(/\.[^./]+$/, '')];
+      }
+
+      const key = keys.find(name => Object.prototype.hasOwnProperty.call(mapping, name));
+      if (key === undefined) {
+        continue;
+      }
+
+      const value = mapping[key];
+      if (value === false) {
+        return false;
+      }
+
+      return typeof value === 'string' ? path.resolve(pkgInfo.dir, value) : undefined;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 向上查找最近的 package.json
+   */
+  findPackage(dir) {
+    let current = dir;
+
+    while (true) {
+      const pkg = this.readPackage(current);
+      if (pkg) {
+        return { dir: current, pkg };
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return null;
+      }
+      current = parent;
+    }
+  }
+
+  /**
+   * 读取目录下的 package.json
+   */
+  readPackage(dir) {
+    if (this.packageCache.has(dir)) {
+      return this.packageCache.get(dir);
+    }
+
+    let pkg = null;
+    const pkgPath = path.join(dir, 'package.json');
+
+    if (this.isFile(pkgPath)) {
+      try {
+        pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+      } catch (error) {
+        throw new Error(`解析 ${pkgPath} 失败: ${error.message}`);
+      }
+    }
+
+    this.packageCache.set(dir, pkg);
+    return pkg;
+  }
+
+  /**
+   * 是否为相对路径请求
+   */
+  isRelative(request) {
+    return request === '.' || request === '..' || request.startsWith('./') || request.startsWith('../');
+  }
+
+  /**
+   * 检查是否为文件
+   */
+  isFile(file) {
+    try {
+      return fs.statSync(file).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 检查是否为目录
+   */
+  isDirectory(dir) {
+    try {
+      return fs.statSync(dir).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = Resolver;
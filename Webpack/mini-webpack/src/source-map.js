@@ -0,0 +1,272 @@
+/**
+ * Source Map 工具
+ * 负责 VLQ 编解码、映射的合并（loader -> Babel -> 代码生成）以及 devtool 选项解析
+ *
+ * 内部使用解码后的映射：lines[生成代码行] = [[生成列, 源文件索引, 源码行, 源码列, 名称索引?], ...]
+ * 行、列都从 0 开始
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_INDEX = new Map(BASE64_CHARS.split('').map((char, index) => [char, index]));
+
+/**
+ * 解析 devtool 选项，不生成 Source Map 时返回 null
+ * 支持 [inline-|hidden-|eval-][nosources-][cheap-[module-]]source-map
+ */
+function parseDevtool(devtool) {
+  if (!devtool || typeof devtool !== 'string') {
+    return null;
+  }
+
+  const match = /^(inline-|hidden-|eval-)?(nosources-)?(cheap-(module-)?)?source-map$/.exec(devtool);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    devtool,
+    eval: match[1] === 'eval-',
+    inline: match[1] === 'inline-',
+    hidden: match[1] === 'hidden-',
+    noSources: !!match[2],
+    cheap: !!match[3],
+    // cheap-source-map 不追踪 loader 之前的源码
+    module: !match[3] || !!match[4]
+  };
+}
+
+/**
+ * 编码单个 VLQ 值
+ */
+function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    encoded += BASE64_CHARS[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+/**
+ * 解码 mappings 字符串
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  const state = [0, 0, 0, 0, 0]; // 生成列、源文件、源码行、源码列、名称，除生成列外跨行累加
+
+  mappings.split(';').forEach(lineMappings => {
+    const segments = [];
+    state[0] = 0;
+
+    lineMappings.split(',').forEach(segmentMappings => {
+      if (!segmentMappings) {
+        return;
+      }
+
+      const values = [];
+      let value = 0;
+      let shift = 0;
+
+      for (const char of segmentMappings) {
+        const digit = BASE64_INDEX.get(char);
+        value += (digit & 31) << shift;
+
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+
+      const segment = [];
+      values.forEach((delta, index) => {
+        state[index] += delta;
+        segment.push(state[index]);
+      });
+      segments.push(segment);
+    });
+
+    lines.push(segments.sort((a, b) => a[0] - b[0]));
+  });
+
+  return lines;
+}
+
+/**
+ * 编码 mappings 字符串
+ */
+function encodeMappings(lines) {
+  const state = [0, 0, 0, 0, 0];
+
+  return lines.map(segments => {
+    state[0] = 0;
+
+    return segments.map(segment => {
+      let encoded = '';
+      segment.forEach((value, index) => {
+        encoded += encodeVLQ(value - state[index]);
+        state[index] = value;
+      });
+      return encoded;
+    }).join(',');
+  }).join(';');
+}
+
+/**
+ * 由解码后的映射创建 Source Map 对象
+ */
+function createSourceMap({ file, sources, sourcesContent, names = [], lines }) {
+  const map = {
+    version: 3,
+    sources,
+    names,
+    mappings: encodeMappings(lines)
+  };
+
+  if (file) {
+    map.file = file;
+  }
+  if (sourcesContent) {
+    map.sourcesContent = sourcesContent;
+  }
+
+  return map;
+}
+
+/**
+ * 创建逐行对应的 Source Map（生成代码与源码行号相同）
+ */
+function createIdentitySourceMap(code, sourceName, sourceContent = code) {
+  return createSourceMap({
+    sources: [sourceName],
+    sourcesContent: [sourceContent],
+    lines: code.split('\n').map((line, index) => line ? [[0, 0, index, 0]] : [])
+  });
+}
+
+/**
+ * 查找源码位置所在的映射段（同一行中生成列不大于 column 的最后一段）
+ */
+function findSegment(segments, column) {
+  let low = 0;
+  let high = segments.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid][0] <= column) {
+      found = segments[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * 合并两个 Source Map：outer 把生成代码映射到中间代码，inner 把中间代码映射到源码
+ * inner 为空时（中间代码就是源码）直接返回 outer
+ */
+function composeSourceMaps(outer, inner) {
+  if (!inner) {
+    return outer;
+  }
+  if (!outer) {
+    return inner;
+  }
+
+  const innerLines = decodeMappings(inner.mappings);
+  const names = [];
+  const nameIndexes = new Map();
+  const getNameIndex = (name) => {
+    if (!nameIndexes.has(name)) {
+      nameIndexes.set(name, names.length);
+      names.push(name);
+    }
+    return nameIndexes.get(name);
+  };
+
+  const lines = decodeMappings(outer.mappings).map(segments => {
+    const result = [];
+
+    segments.forEach(segment => {
+      if (segment.length < 4) {
+        return;
+      }
+
+      const innerSegment = findSegment(innerLines[segment[2]] || [], segment[3]);
+      if (!innerSegment || innerSegment.length < 4) {
+        return;
+      }
+
+      const mapped = [segment[0], innerSegment[1], innerSegment[2], innerSegment[3]];
+      if (innerSegment.length === 5) {
+        mapped.push(getNameIndex(inner.names[innerSegment[4]]));
+      } else if (segment.length === 5) {
+        mapped.push(getNameIndex(outer.names[segment[4]]));
+      }
+      result.push(mapped);
+    });
+
+    return result;
+  });
+
+  return createSourceMap({
+    file: outer.file,
+    sources: inner.sources,
+    sourcesContent: inner.sourcesContent,
+    names,
+    lines
+  });
+}
+
+/**
+ * 只保留行映射（cheap 模式）：每行只保留第一段，列号归零
+ */
+function toCheapSourceMap(map) {
+  const lines = decodeMappings(map.mappings).map(segments => {
+    const first = segments.find(segment => segment.length >= 4);
+    return first ? [[0, first[1], first[2], 0]] : [];
+  });
+
+  return createSourceMap({
+    file: map.file,
+    sources: map.sources,
+    sourcesContent: map.sourcesContent,
+    lines
+  });
+}
+
+/**
+ * 生成 sourceMappingURL 注释，url 为空时把 Source Map 内联为 data URL
+ */
+function getSourceMappingComment(map, url) {
+  if (!url) {
+    url = `data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+  }
+
+  return `//# sourceMappingURL=${url}`;
+}
+
+module.exports = {
+  parseDevtool,
+  encodeVLQ,
+  decodeMappings,
+  encodeMappings,
+  createSourceMap,
+  createIdentitySourceMap,
+  composeSourceMaps,
+  toCheapSourceMap,
+  getSourceMappingComment
+};
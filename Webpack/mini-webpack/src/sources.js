@@ -0,0 +1,401 @@
+const { decodeMappings, createSourceMap, composeSourceMaps } = require('./source-map');
+
+/**
+ * 资源内容（与 webpack-sources 的接口相同）
+ * 插件通过组合 Source 修改资源，修改后的 Source Map 由各类自动计算
+ */
+class Source {
+  /**
+   * 内容，字符串或 Buffer
+   */
+  source() {
+    throw new Error(`${this.constructor.name} 必须实现 source()`);
+  }
+
+  buffer() {
+    const source = this.source();
+    return Buffer.isBuffer(source) ? source : Buffer.from(source, 'utf-8');
+  }
+
+  /**
+   * 字节数
+   */
+  size() {
+    return this.buffer().length;
+  }
+
+  /**
+   * Source Map 对象，没有时返回 null
+   */
+  map() {
+    return null;
+  }
+
+  sourceAndMap() {
+    return { source: this.source(), map: this.map() };
+  }
+
+  updateHash(hash) {
+    hash.update(this.buffer());
+  }
+}
+
+/**
+ * 原始内容，没有 Source Map
+ */
+class RawSource extends Source {
+  constructor(value) {
+    super();
+    // 从构建线程传回的 Buffer 会变成 Uint8Array
+    this.value = value instanceof Uint8Array && !Buffer.isBuffer(value) ? Buffer.from(value) : value;
+  }
+
+  source() {
+    return this.value;
+  }
+
+  size() {
+    return Buffer.isBuffer(this.value) ? this.value.length : Buffer.byteLength(this.value);
+  }
+}
+
+/**
+ * 带 Source Map 的内容
+ * 传入 innerSourceMap 时与 sourceMap 合并（sourceMap 映射到中间代码，innerSourceMap 映射到源码）
+ */
+class SourceMapSource extends Source {
+  constructor(value, name, sourceMap, originalSource, innerSourceMap) {
+    super();
+    this.value = value;
+    this.name = name;
+    this.sourceMap = parseMap(sourceMap);
+    this.originalSource = originalSource;
+    this.innerSourceMap = parseMap(innerSourceMap);
+  }
+
+  source() {
+    return this.value;
+  }
+
+  map() {
+    return composeSourceMaps(this.sourceMap, this.innerSourceMap);
+  }
+}
+
+/**
+ * 拼接多个内容（Source 或字符串）
+ */
+class ConcatSource extends Source {
+  constructor(...items) {
+    super();
+    this.children = [];
+    items.forEach(item => this.add(item));
+  }
+
+  add(item) {
+    this.children.push(item);
+  }
+
+  source() {
+    return this.children.map(child => typeof child === 'string' ? child : String(child.source())).join('');
+  }
+
+  map() {
+    const builder = new MapBuilder();
+    let line = 0;
+    let column = 0;
+
+    this.children.forEach(child => {
+      const { source, map } = typeof child === 'string' ? { source: child, map: null } : child.sourceAndMap();
+      const code = String(source);
+
+      if (map) {
+        decodeMappings(map.mappings).forEach((segments, index) => {
+          segments.forEach(segment => builder.add(map, segment, line + index, segment[0] + (index === 0 ? column : 0)));
+        });
+      }
+
+      const lines = code.split('\n');
+      line += lines.length - 1;
+      column = (lines.length === 1 ? column : 0) + lines[lines.length - 1].length;
+    });
+
+    return builder.build();
+  }
+}
+
+/**
+ * 在每一行前添加前缀（末尾换行之后的空行除外）
+ */
+class PrefixSource extends Source {
+  constructor(prefix, source) {
+    super();
+    this.prefix = prefix;
+    this.original = typeof source === 'string' ? new RawSource(source) : source;
+  }
+
+  source() {
+    const code = String(this.original.source());
+    return this.prefix + code.replace(/\n(?=.|\s)/g, `\n${this.prefix}`);
+  }
+
+  map() {
+    const map = this.original.map();
+    if (!map) {
+      return null;
+    }
+
+    const builder = new MapBuilder();
+    decodeMappings(map.mappings).forEach((segments, line) => {
+      segments.forEach(segment => builder.add(map, segment, line, segment[0] + this.prefix.length));
+    });
+    return builder.build();
+  }
+}
+
+/**
+ * 按原始内容中的位置替换或插入内容
+ * 位置都是原始内容中的字符偏移，replace 的 end 包含在替换范围内（与 webpack-sources 相同）
+ */
+class ReplaceSource extends Source {
+  constructor(source, name) {
+    super();
+    this.original = typeof source === 'string' ? new RawSource(source) : source;
+    this.name = name;
+    this.replacements = [];
+  }
+
+  /**
+   * 把 [start, end] 替换为 newValue
+   */
+  replace(start, end, newValue) {
+    this.replacements.push({ start, end: end + 1, content: newValue, index: this.replacements.length });
+  }
+
+  /**
+   * 在 pos 之前插入 newValue
+   */
+  insert(pos, newValue) {
+    this.replacements.push({ start: pos, end: pos, content: newValue, index: this.replacements.length });
+  }
+
+  getReplacements() {
+    return this.replacements.slice().sort((a, b) => a.start - b.start || a.end - b.end || a.index - b.index);
+  }
+
+  source() {
+    return this.sourceAndMap({ map: false }).source;
+  }
+
+  map() {
+    return this.sourceAndMap().map;
+  }
+
+  /**
+   * 应用替换，同时把原始 Source Map 中的位置换算到新内容中：
+   * 被替换范围内的映射删除，范围起点的映射保留给替换后的内容
+   */
+  sourceAndMap(options = {}) {
+    const original = options.map === false
+      ? { source: this.original.source(), map: null }
+      : this.original.sourceAndMap();
+    const code = String(original.source);
+
+    // 原始偏移 -> 新偏移，被删除时返回 -1
+    const pieces = []; // { start, end, offset }：原始内容 [start, end) 在新内容中从 offset 开始
+    let result = '';
+    let cursor = 0;
+    this.getReplacements().forEach(replacement => {
+      const start = Math.max(replacement.start, cursor);
+      pieces.push({ start: cursor, end: start, offset: result.length });
+      result += code.slice(cursor, start);
+      pieces.push({ start, end: start, offset: result.length });
+      result += replacement.content;
+      cursor = Math.max(replacement.end, cursor);
+    });
+    pieces.push({ start: cursor, end: code.length, offset: result.length });
+    result += code.slice(cursor);
+
+    if (!original.map) {
+      return { source: result, map: null };
+    }
+
+    const translate = (position) => {
+      // 同一位置有插入和保留的内容时，映射给最后一段（原始内容）
+      let found = -1;
+      for (const piece of pieces) {
+        if (piece.start > position) {
+          break;
+        }
+        if (position < piece.end || (position === piece.start)) {
+          found = piece.offset + position - piece.start;
+        }
+      }
+      return found;
+    };
+
+    const originalLines = getLineStarts(code);
+    const resultLines = getLineStarts(result);
+    const builder = new MapBuilder();
+    decodeMappings(original.map.mappings).forEach((segments, line) => {
+      segments.forEach(segment => {
+        const offset = translate(originalLines[line] + segment[0]);
+        if (offset === -1) {
+          return;
+        }
+
+        const newLine = findLine(resultLines, offset);
+        builder.add(original.map, segment, newLine, offset - resultLines[newLine]);
+      });
+    });
+
+    return { source: result, map: builder.build() };
+  }
+}
+
+/**
+ * 缓存内容和 Source Map，避免重复计算
+ */
+class CachedSource extends Source {
+  constructor(source) {
+    super();
+    this.original = source;
+    this.cache = {};
+  }
+
+  source() {
+    if (!('source' in this.cache)) {
+      this.cache.source = this.original.source();
+    }
+    return this.cache.source;
+  }
+
+  buffer() {
+    if (!this.cache.buffer) {
+      this.cache.buffer = typeof this.original.buffer === 'function' ? this.original.buffer() : super.buffer();
+    }
+    return this.cache.buffer;
+  }
+
+  size() {
+    if (this.cache.size === undefined) {
+      this.cache.size = this.buffer().length;
+    }
+    return this.cache.size;
+  }
+
+  map() {
+    if (!('map' in this.cache)) {
+      this.cache.map = typeof this.original.map === 'function' ? this.original.map() : null;
+    }
+    return this.cache.map;
+  }
+}
+
+/**
+ * 合并多个 Source Map 的映射段，重新编号 sources 和 names
+ */
+class MapBuilder {
+  constructor() {
+    this.sources = [];
+    this.sourcesContent = [];
+    this.names = [];
+    this.sourceIndexes = new Map();
+    this.nameIndexes = new Map();
+    this.lines = [];
+  }
+
+  /**
+   * 添加 map 中的一个映射段，放到新内容的 line 行 column 列
+   */
+  add(map, segment, line, column) {
+    if (segment.length < 4) {
+      return;
+    }
+
+    const sourceName = map.sources[segment[1]];
+    if (!this.sourceIndexes.has(sourceName)) {
+      this.sourceIndexes.set(sourceName, this.sources.length);
+      this.sources.push(sourceName);
+      this.sourcesContent.push(map.sourcesContent ? map.sourcesContent[segment[1]] : null);
+    }
+
+    const mapped = [column, this.sourceIndexes.get(sourceName), segment[2], segment[3]];
+    if (segment.length === 5) {
+      const name = map.names[segment[4]];
+      if (!this.nameIndexes.has(name)) {
+        this.nameIndexes.set(name, this.names.length);
+        this.names.push(name);
+      }
+      mapped.push(this.nameIndexes.get(name));
+    }
+
+    while (this.lines.length <= line) {
+      this.lines.push([]);
+    }
+    this.lines[line].push(mapped);
+  }
+
+  build() {
+    if (this.sources.length === 0) {
+      return null;
+    }
+
+    return createSourceMap({
+      sources: this.sources,
+      sourcesContent: this.sourcesContent.some(content => content !== null) ? this.sourcesContent : undefined,
+      names: this.names,
+      lines: this.lines.map(segments => segments.sort((a, b) => a[0] - b[0]))
+    });
+  }
+}
+
+/**
+ * 解析字符串或 Buffer 形式的 Source Map
+ */
+function parseMap(map) {
+  if (!map) {
+    return null;
+  }
+  return typeof map === 'string' || Buffer.isBuffer(map) ? JSON.parse(String(map)) : map;
+}
+
+/**
+ * 每一行第一个字符的偏移
+ */
+function getLineStarts(code) {
+  const starts = [0];
+  for (let index = code.indexOf('\n'); index !== -1; index = code.indexOf('\n', index + 1)) {
+    starts.push(index + 1);
+  }
+  return starts;
+}
+
+/**
+ * 偏移所在的行
+ */
+function findLine(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return low;
+}
+
+module.exports = {
+  Source,
+  RawSource,
+  SourceMapSource,
+  ConcatSource,
+  PrefixSource,
+  ReplaceSource,
+  CachedSource
+};
@@ -0,0 +1,320 @@
+const Chunk = require('./chunk');
+
+/**
+ * 代码分割优化
+ * 按 optimization.splitChunks.cacheGroups 把第三方模块、公共模块拆分到独立的代码块
+ */
+class SplitChunks {
+  constructor(options = {}) {
+    this.options = {
+      chunks: 'async',
+      minSize: 20000,
+      minChunks: 1,
+      name: undefined,
+      cacheGroups: {},
+      ...options
+    };
+  }
+
+  /**
+   * 对 compilation 的代码块执行拆分
+   */
+  apply(compilation) {
+    const cacheGroups = this.normalizeCacheGroups();
+    if (cacheGroups.length === 0) {
+      return;
+    }
+
+    const chunksByModule = this.getChunksByModule(compilation);
+    const entries = this.collectEntries(cacheGroups, chunksByModule);
+
+    this.createSplitChunks(compilation, entries);
+    this.removeEmptyChunks(compilation);
+  }
+
+  /**
+   * 规范化缓存组，未设置的选项继承 splitChunks 顶层配置，按 priority 从高到低排序
+   */
+  normalizeCacheGroups() {
+    return Object.entries(this.options.cacheGroups || {})
+      .filter(([, group]) => group !== false && group !== null && group !== undefined)
+      .map(([key, group]) => {
+        // 简写形式：cacheGroups: { vendors: /node_modules/ }
+        if (group instanceof RegExp || typeof group === 'string' || typeof group === 'function') {
+          group = { test: group };
+        }
+
+        const enforce = group.enforce || false;
+        // 缓存组未设置时继承顶层配置，enforce 时忽略顶层的 minSize、minChunks
+        const pick = (name, enforcedValue) => {
+          if (group[name] !== undefined) {
+            return group[name];
+          }
+          return enforce && enforcedValue !== undefined ? enforcedValue : this.options[name];
+        };
+
+        return {
+          key,
+          test: group.test,
+          name: pick('name'),
+          chunks: pick('chunks'),
+          minSize: pick('minSize', 0),
+          minChunks: pick('minChunks', 1),
+          priority: group.priority || 0,
+          reuseExistingChunk: group.reuseExistingChunk || false
+        };
+      })
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * 统计每个模块所在的代码块
+   */
+  getChunksByModule(compilation) {
+    const chunksByModule = new Map();
+
+    compilation.chunks.forEach(chunk => {
+      chunk.getModules().forEach(module => {
+        // 入口模块必须留在入口代码块中
+        if (chunk.entryModule === module) {
+          return;
+        }
+
+        if (!chunksByModule.has(module)) {
+          chunksByModule.set(module, new Set());
+        }
+        chunksByModule.get(module).add(chunk);
+      });
+    });
+
+    return chunksByModule;
+  }
+
+  /**
+   * 按缓存组收集候选分组：
+   * 指定 name 的按名称合并，否则按"缓存组 + 所在代码块组合"分组
+   */
+  collectEntries(cacheGroups, chunksByModule) {
+    const entries = new Map();
+
+    for (const [module, chunks] of chunksByModule) {
+      for (const cacheGroup of cacheGroups) {
+        if (!this.matchTest(cacheGroup.test, module)) {
+          continue;
+        }
+
+        const selectedChunks = Array.from(chunks)
+          .filter(chunk => this.matchChunks(cacheGroup.chunks, chunk))
+          .sort((a, b) => a.id - b.id);
+
+        if (selectedChunks.length === 0 || selectedChunks.length < cacheGroup.minChunks) {
+          continue;
+        }
+
+        const name = typeof cacheGroup.name === 'function'
+          ? cacheGroup.name(module, selectedChunks, cacheGroup.key)
+          : cacheGroup.name;
+
+        const key = name
+          ? `name:${name}`
+          : `${cacheGroup.key}:${selectedChunks.map(chunk => chunk.id).join(',')}`;
+
+        let entry = entries.get(key);
+        if (!entry) {
+          entry = {
+            key,
+            name: name || null,
+            cacheGroup,
+            modules: new Set(),
+            chunks: new Set()
+          };
+          entries.set(key, entry);
+        }
+
+        entry.modules.add(module);
+        selectedChunks.forEach(chunk => entry.chunks.add(chunk));
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * 依次取出最优的分组创建代码块，已分配的模块从其余分组中移除
+   */
+  createSplitChunks(compilation, entries) {
+    while (entries.size > 0) {
+      let best = null;
+      for (const entry of entries.values()) {
+        if (!best || this.compareEntries(entry, best) > 0) {
+          best = entry;
+        }
+      }
+
+      entries.delete(best.key);
+
+      if (!this.isValidEntry(best)) {
+        continue;
+      }
+
+      this.splitEntry(compilation, best);
+
+      for (const [key, entry] of entries) {
+        best.modules.forEach(module => entry.modules.delete(module));
+        if (entry.modules.size === 0) {
+          entries.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * 比较两个分组：优先级高的优先，其次体积大的优先
+   */
+  compareEntries(a, b) {
+    if (a.cacheGroup.priority !== b.cacheGroup.priority) {
+      return a.cacheGroup.priority - b.cacheGroup.priority;
+    }
+
+    const sizeDiff = this.getEntrySize(a) - this.getEntrySize(b);
+    if (sizeDiff !== 0) {
+      return sizeDiff;
+    }
+
+    return a.key < b.key ? 1 : -1;
+  }
+
+  /**
+   * 检查分组是否满足 minSize
+   */
+  isValidEntry(entry) {
+    if (entry.modules.size === 0) {
+      return false;
+    }
+
+    return this.getEntrySize(entry) >= entry.cacheGroup.minSize;
+  }
+
+  /**
+   * 计算分组内模块的总大小
+   */
+  getEntrySize(entry) {
+    let size = 0;
+    entry.modules.forEach(module => {
+      size += module.size || 0;
+    });
+    return size;
+  }
+
+  /**
+   * 把分组拆分到独立代码块（或复用已有代码块），并让原代码块依赖它
+   */
+  splitEntry(compilation, entry) {
+    const sourceChunks = Array.from(entry.chunks);
+    let newChunk = null;
+
+    // 复用恰好只包含这些模块的已有代码块
+    if (entry.cacheGroup.reuseExistingChunk) {
+      newChunk = sourceChunks.find(chunk => {
+        return !chunk.isEntry() &&
+          chunk.modules.size === entry.modules.size &&
+          Array.from(entry.modules).every(module => chunk.hasModule(module));
+      }) || null;
+    }
+
+    // 同名代码块合并
+    if (!newChunk && entry.name) {
+      newChunk = compilation.chunks.find(chunk => chunk.name === entry.name && !chunk.isEntry()) || null;
+    }
+
+    if (!newChunk) {
+      const async = sourceChunks.every(chunk => !chunk.isInitial());
+      newChunk = new Chunk(entry.name, compilation, { async, split: true });
+      newChunk.setId(compilation.nextChunkId++);
+      compilation.chunks.push(newChunk);
+    }
+
+    entry.modules.forEach(module => newChunk.addModule(module));
+
+    sourceChunks.forEach(chunk => {
+      if (chunk === newChunk) {
+        return;
+      }
+
+      entry.modules.forEach(module => chunk.removeModule(module));
+      chunk.addRequiredChunk(newChunk);
+
+      // 从异步代码块拆出的代码块和它们拥有相同的父代码块
+      if (newChunk.async) {
+        chunk.parents.forEach(parent => newChunk.addParent(parent));
+      }
+    });
+
+    return newChunk;
+  }
+
+  /**
+   * 移除模块全部被拆分出去的代码块
+   * 指向它的 import() 改为直接加载唯一的拆分代码块
+   */
+  removeEmptyChunks(compilation) {
+    const emptyChunks = compilation.chunks.filter(chunk => {
+      return !chunk.isEntry() && chunk.modules.size === 0 && chunk.requiredChunks.size === 1;
+    });
+
+    emptyChunks.forEach(chunk => {
+      const [requiredChunk] = chunk.requiredChunks;
+
+      compilation.modules.forEach(module => {
+        module.dependencies.forEach(dep => {
+          if (dep.chunk === chunk) {
+            dep.chunk = requiredChunk;
+          }
+        });
+      });
+
+      compilation.removeChunk(chunk);
+    });
+  }
+
+  /**
+   * 匹配缓存组的 test
+   */
+  matchTest(test, module) {
+    if (test === undefined) {
+      return true;
+    }
+
+    if (test instanceof RegExp) {
+      return test.test(module.path);
+    }
+
+    if (typeof test === 'string') {
+      return module.path.startsWith(test);
+    }
+
+    if (typeof test === 'function') {
+      return !!test(module);
+    }
+
+    return false;
+  }
+
+  /**
+   * 匹配缓存组的 chunks 选项
+   */
+  matchChunks(chunks, chunk) {
+    switch (chunks) {
+      case 'initial':
+        return chunk.isInitial();
+      case 'async':
+        return !chunk.isInitial();
+      case 'all':
+        return true;
+      default:
+        return typeof chunks === 'function' ? !!chunks(chunk) : false;
+    }
+  }
+}
+
+module.exports = SplitChunks;
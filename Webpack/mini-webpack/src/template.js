@@ -15,31 +15,54 @@ class Template {
       moduleMap,
       runtime,
       entryModuleId,
+      startupChunkIds,
       chunkName,
-      runtimeRequirements
+      runtimeRequirements,
+      library,
+      exportNames,
+      globalObject,
+      externalModules
     } = options;
     
     return this.generateBundle({
       moduleMap,
       runtime,
       entryModuleId,
+      startupChunkIds,
       chunkName,
-      runtimeRequirements
+      runtimeRequirements,
+      library,
+      exportNames,
+      globalObject,
+      externalModules
     });
   }
   
   /**
    * 生成完整的 bundle 代码
+   * 配置了 output.library 时启动函数返回入口模块的导出，再按 library.type 暴露出去
    */
   generateBundle(options) {
     const {
       moduleMap,
       runtime,
       entryModuleId,
-      chunkName
+      startupChunkIds = [],
+      chunkName,
+      library = null,
+      externalModules = []
     } = options;
     
-    return `
+    // 入口依赖拆分出的代码块时，等它们加载完成后再执行入口模块
+    const startup = startupChunkIds.length > 0
+      ? `__webpack_require__.X(undefined, ${JSON.stringify(startupChunkIds)}, () => (__webpack_require__(${JSON.stringify(entryModuleId || 0)})))`
+      : `__webpack_require__(${JSON.stringify(entryModuleId || 0)})`;
+    
+    const returnExports = library
+      ? `/******/ ${this.indent}return ${this.generateExportSelection('__webpack_exports__', library.export)};\n`
+      : '';
+    
+    const bootstrap = `
 /******/ (() => { // webpackBootstrap
 /******/ ${this.indent}"use strict";
 /******/ ${this.indent}var __webpack_modules__ = (${this.generateModuleMap(moduleMap)});
@@ -49,10 +72,155 @@ ${this.addIndent(runtime, '/******/ ')}
 /******/ ${this.indent}// startup
 /******/ ${this.indent}// Load entry module and return exports
 /******/ ${this.indent}// This entry module is referenced by other modules so it can't be inlined
-/******/ ${this.indent}var __webpack_exports__ = __webpack_require__(${entryModuleId || 0});
-/******/ 
-/******/ })();
+/******/ ${this.indent}var __webpack_exports__ = ${startup};
+${returnExports}/******/ 
+/******/ })()
     `.trim();
+    
+    const bundle = library ? this.generateLibrary(bootstrap, options) : `${bootstrap};`;
+    
+    // module 类型的外部模块在文件顶部静态导入，输出的文件为 ES 模块
+    const imports = externalModules
+      .map(({ variable, request }) => `import * as ${variable} from ${JSON.stringify(request)};\n`)
+      .join('');
+    
+    return imports + bundle;
+  }
+  
+  /**
+   * 按 library.export 选择要暴露的导出，如 "default" 或 ["a", "b"]
+   */
+  generateExportSelection(expression, exportName) {
+    const names = exportName === undefined || exportName === null ? [] : [].concat(exportName);
+    return expression + names.map(name => `[${JSON.stringify(name)}]`).join('');
+  }
+  
+  /**
+   * 按 library.type 包装 bundle，bootstrap 为返回入口导出的立即执行函数
+   */
+  generateLibrary(bootstrap, options) {
+    const { library, exportNames = null, globalObject = 'self' } = options;
+    const names = library.name === undefined || library.name === null ? [] : [].concat(library.name);
+    
+    switch (library.type) {
+      case 'var':
+      case 'assign': {
+        const [root, ...rest] = names;
+        const declaration = library.type === 'var' ? 'var ' : '';
+        if (rest.length === 0) {
+          return `${declaration}${root} = ${bootstrap};`;
+        }
+        return `${declaration}${root} = typeof ${root} === "undefined" ? {} : ${root};\n${this.generateAssignment(root, rest, bootstrap)}`;
+      }
+      case 'this':
+      case 'window':
+      case 'global': {
+        const target = library.type === 'global' ? globalObject : library.type;
+        return names.length > 0
+          ? this.generateAssignment(target, names, bootstrap)
+          : this.generateCopyExports(target, bootstrap);
+      }
+      case 'commonjs':
+        return names.length > 0
+          ? this.generateAssignment('exports', names, bootstrap)
+          : this.generateCopyExports('exports', bootstrap);
+      case 'commonjs2':
+        return `module.exports = ${bootstrap};`;
+      case 'amd':
+        return `define(${names.length > 0 ? `${JSON.stringify(names.join('.'))}, ` : ''}[], () => (${bootstrap}));`;
+      case 'umd':
+        return this.generateUmd(bootstrap, library, globalObject);
+      case 'module':
+        return this.generateModuleExports(bootstrap, library.export === undefined ? exportNames : null);
+      default:
+        throw new Error(`不支持的 library.type: ${library.type}`);
+    }
+  }
+  
+  /**
+   * 生成 base["a"]["b"] = value，中间的对象不存在时创建
+   */
+  generateAssignment(base, names, value) {
+    let target = base;
+    names.slice(0, -1).forEach(name => {
+      const property = `${target}[${JSON.stringify(name)}]`;
+      target = `(${property} = ${property} || {})`;
+    });
+    
+    return `${target}[${JSON.stringify(names[names.length - 1])}] = ${value};`;
+  }
+  
+  /**
+   * 没有 library.name 时把导出逐个复制到目标对象上
+   */
+  generateCopyExports(target, value) {
+    return `
+var __webpack_export_target__ = ${target};
+var __webpack_exports__ = ${value};
+for(var __webpack_i__ in __webpack_exports__) __webpack_export_target__[__webpack_i__] = __webpack_exports__[__webpack_i__];
+if(__webpack_exports__.__esModule) Object.defineProperty(__webpack_export_target__, "__esModule", { value: true });
+    `.trim();
+  }
+  
+  /**
+   * UMD：依次兼容 CommonJS2、AMD、CommonJS 和全局变量
+   * library.name 可以是 { root, amd, commonjs } 分别指定
+   */
+  generateUmd(bootstrap, library, globalObject) {
+    const getNames = (type) => {
+      const name = library.name && !Array.isArray(library.name) && typeof library.name === 'object'
+        ? library.name[type]
+        : library.name;
+      return name === undefined || name === null ? [] : [].concat(name);
+    };
+    const amdNames = getNames('amd');
+    const commonjsNames = getNames('commonjs');
+    const rootNames = getNames('root');
+    const amdName = library.umdNamedDefine && amdNames.length > 0 ? `${JSON.stringify(amdNames.join('.'))}, ` : '';
+    
+    const fallback = commonjsNames.length > 0 && rootNames.length > 0
+      ? `
+${this.indent}else if(typeof exports === 'object')
+${this.indent}${this.indent}${this.generateAssignment('exports', commonjsNames, 'factory()')}
+${this.indent}else
+${this.indent}${this.indent}${this.generateAssignment('root', rootNames, 'factory()')}`
+      : `
+${this.indent}else {
+${this.indent}${this.indent}var a = factory();
+${this.indent}${this.indent}for(var i in a) (typeof exports === 'object' ? exports : root)[i] = a[i];
+${this.indent}}`;
+    
+    return `
+(function webpackUniversalModuleDefinition(root, factory) {
+${this.indent}if(typeof exports === 'object' && typeof module === 'object')
+${this.indent}${this.indent}module.exports = factory();
+${this.indent}else if(typeof define === 'function' && define.amd)
+${this.indent}${this.indent}define(${amdName}[], factory);${fallback}
+})(${globalObject}, () => (${bootstrap}));
+    `.trim();
+  }
+  
+  /**
+   * ES 模块输出：把入口模块的导出转换为 export 语句
+   * exportNames 为 null（CommonJS 入口或指定了 library.export）时作为默认导出
+   */
+  generateModuleExports(bootstrap, exportNames) {
+    const lines = [`var __webpack_exports__ = ${bootstrap};`];
+    
+    if (!exportNames) {
+      lines.push('export default __webpack_exports__;');
+      return lines.join('\n');
+    }
+    
+    const specifiers = exportNames.map((name, index) => {
+      const local = /^[A-Za-z_$][\w$]*$/.test(name) ? `__webpack_exports__${name}` : `__webpack_exports__${index}`;
+      const exported = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+      lines.push(`var ${local} = __webpack_exports__[${JSON.stringify(name)}];`);
+      return `${local} as ${exported}`;
+    });
+    lines.push(`export { ${specifiers.join(', ')} };`);
+    
+    return lines.join('\n');
   }
   
   /**
@@ -61,38 +229,138 @@ ${this.addIndent(runtime, '/******/ ')}
   generateModuleMap(moduleMap) {
     const modules = Object.keys(moduleMap).map(moduleId => {
       const module = moduleMap[moduleId];
-      return `\n/***/ ${moduleId}:\n/***/ (${module.code})\n`;
+      return `\n/***/ ${this.renderModuleKey(moduleId)}:\n/***/ (${module.code})\n`;
     });
     
     return `{${modules.join(',')}/***/ }`;
   }
   
+  /**
+   * 模块映射中的键：数字ID直接输出，named 等字符串ID加引号
+   */
+  renderModuleKey(moduleId) {
+    return /^\d+$/.test(String(moduleId)) ? String(moduleId) : JSON.stringify(String(moduleId));
+  }
+  
   /**
    * 生成模块函数包装器
    */
-  generateModuleWrapper(moduleSource, dependencies = {}) {
+  generateModuleWrapper(moduleSource, dependencies = {}, asyncDependencies = {}, esModule = false) {
     // 处理依赖映射
     let processedSource = moduleSource;
     
+    // ES 模块的 require 参数名为 __webpack_require__
+    const requireName = esModule ? '__webpack_require__' : 'require';
+    
+    // 替换动态 import()：先加载代码块，再 require 模块
+    Object.keys(asyncDependencies).forEach(request => {
+      const { moduleId, chunkIds } = asyncDependencies[request];
+      const importRegex = new RegExp(`import\\(\\s*(?:/\\*[\\s\\S]*?\\*/\\s*)?['"]${this.escapeRegex(request)}['"]\\s*\\)`, 'g');
+      processedSource = processedSource.replace(
+        importRegex,
+        `${this.generateChunkLoading(chunkIds, requireName)}.then(${requireName}.bind(${requireName}, ${JSON.stringify(moduleId)}))`
+      );
+    });
+    
     // 替换 require 调用
     Object.keys(dependencies).forEach(request => {
       const moduleId = dependencies[request];
       const requireRegex = new RegExp(`require\\(['"]${this.escapeRegex(request)}['"]\\)`, 'g');
-      processedSource = processedSource.replace(requireRegex, `require(${moduleId})`);
+      processedSource = processedSource.replace(requireRegex, `${requireName}(${JSON.stringify(moduleId)})`);
     });
     
-    // 替换 import 语句
+    // 替换 module.hot.accept/decline 中的依赖路径（支持数组形式）
     Object.keys(dependencies).forEach(request => {
       const moduleId = dependencies[request];
-      const importRegex = new RegExp(`from\\s+['"]${this.escapeRegex(request)}['"]`, 'g');
-      processedSource = processedSource.replace(importRegex, `from ${moduleId}`);
+      const hotRegex = new RegExp(`(module\\.hot\\.(?:accept|decline)\\(\\s*(?:\\[[^\\]]*?)?)['"]${this.escapeRegex(request)}['"]`, 'g');
+      processedSource = processedSource.replace(hotRegex, `$1${JSON.stringify(moduleId)}`);
     });
     
+    if (esModule) {
+      return this.generateESModuleWrapper(processedSource);
+    }
+    
     return `function(module, exports, require) {
 ${this.addIndent(processedSource)}
 }`;
   }
   
+  /**
+   * 生成外部模块包装器
+   * 不使用 require 参数，外部模块中的 require 是运行环境的 require
+   */
+  generateExternalModuleWrapper(moduleSource) {
+    return `function(module, exports, __webpack_require__) {
+${this.addIndent(moduleSource)}
+}`;
+  }
+  
+  /**
+   * 生成上下文模块代码
+   * sync 模式同步返回模块导出，eager、lazy 模式返回 Promise（lazy 先加载文件对应的代码块）
+   * @param {Object} map 相对路径 -> 模块ID，lazy 模式为 [模块ID, ...代码块ID]
+   */
+  generateContextModule(map, mode, id) {
+    const notFound = `var e = new Error("Cannot find module '" + req + "'");
+e.code = 'MODULE_NOT_FOUND';
+throw e;`;
+    const mapSource = `var map = ${JSON.stringify(map, null, this.indent)};`;
+    
+    if (mode === 'sync') {
+      return `
+${mapSource}
+
+function webpackContext(req) {
+${this.indent}var id = webpackContextResolve(req);
+${this.indent}return require(id);
+}
+function webpackContextResolve(req) {
+${this.indent}if(!Object.prototype.hasOwnProperty.call(map, req)) {
+${this.addIndent(notFound, this.indent)}
+${this.indent}}
+${this.indent}return map[req];
+}
+webpackContext.keys = () => (Object.keys(map));
+webpackContext.resolve = webpackContextResolve;
+webpackContext.id = ${JSON.stringify(id)};
+module.exports = webpackContext;
+      `.trim();
+    }
+    
+    const load = mode === 'lazy'
+      ? `var ids = map[req], id = ids[0];
+${this.indent}return Promise.all(ids.slice(1).map((chunkId) => (require.e(chunkId)))).then(() => (require(id)));`
+      : `var id = map[req];
+${this.indent}return Promise.resolve().then(() => (require(id)));`;
+    
+    return `
+${mapSource}
+
+function webpackAsyncContext(req) {
+${this.indent}if(!Object.prototype.hasOwnProperty.call(map, req)) {
+${this.indent}${this.indent}return Promise.resolve().then(() => {
+${this.addIndent(notFound, this.indent + this.indent)}
+${this.indent}${this.indent}});
+${this.indent}}
+${this.indent}${load}
+}
+webpackAsyncContext.keys = () => (Object.keys(map));
+webpackAsyncContext.id = ${JSON.stringify(id)};
+module.exports = webpackAsyncContext;
+    `.trim();
+  }
+  
+  /**
+   * 生成无法静态分析的请求（如 require(name)）的替代函数，运行时抛出 MODULE_NOT_FOUND 错误
+   */
+  generateMissingModule() {
+    return `function webpackMissingModule(req) {
+${this.indent}var e = new Error("Cannot find module '" + req + "'");
+${this.indent}e.code = 'MODULE_NOT_FOUND';
+${this.indent}throw e;
+}`;
+  }
+  
   /**
    * 生成 CommonJS 模块包装器
    */
@@ -113,6 +381,23 @@ ${this.addIndent(moduleSource)}
 }`;
   }
   
+  /**
+   * 模块源码在包装器中的偏移（包装器之前的行数、每行的缩进），生成 Source Map 时使用
+   */
+  getModuleWrapperOffset(esModule = false) {
+    return {
+      line: esModule ? 3 : 1,
+      column: this.indent.length
+    };
+  }
+  
+  /**
+   * 生成 eval 形式的模块代码，Source Map 以 data URL 内联在 eval 的代码中
+   */
+  generateEvalSource(moduleSource, sourceMappingComment, sourceURL) {
+    return `eval(${JSON.stringify(`${moduleSource}\n${sourceMappingComment}\n//# sourceURL=${sourceURL}`)});`;
+  }
+  
   /**
    * 生成运行时代码
    */
@@ -204,33 +489,89 @@ ${this.indent}if(mode & 2 && typeof value != 'string') for(var key in value) __w
 ${this.indent}return ns;
 };
 
+// getDefaultExport function for compatibility with non-harmony modules
+__webpack_require__.n = (module) => {
+${this.indent}var getter = module && module.__esModule ?
+${this.indent}${this.indent}() => (module['default']) :
+${this.indent}${this.indent}() => (module);
+${this.indent}__webpack_require__.d(getter, { a: getter });
+${this.indent}return getter;
+};
+
 // Object.prototype.hasOwnProperty.call
 __webpack_require__.o = (obj, prop) => (Object.prototype.hasOwnProperty.call(obj, prop));
     `.trim();
   }
   
+  /**
+   * 生成加载代码块的表达式
+   */
+  generateChunkLoading(chunkIds, requireName = 'require') {
+    if (chunkIds.length === 0) {
+      return 'Promise.resolve()';
+    }
+    
+    if (chunkIds.length === 1) {
+      return `${requireName}.e(${JSON.stringify(chunkIds[0])})`;
+    }
+    
+    return `Promise.all([${chunkIds.map(id => `${requireName}.e(${JSON.stringify(id)})`).join(', ')}])`;
+  }
+  
   /**
    * 生成动态导入运行时
+   * 异步代码块的加载方式由 chunkLoading 决定：
+   * jsonp（script 标签）、import-scripts（Web Worker）、require（Node.js 同步加载）、async-node（fs + vm 异步加载）
    */
-  generateDynamicImportRuntime() {
+  generateDynamicImportRuntime(options = {}) {
+    const {
+      chunkFilenames = {},
+      installedChunkIds = [],
+      chunkLoadingGlobal = 'webpackChunk',
+      chunkLoading = 'jsonp',
+      globalObject = 'self',
+      undoPath = ''
+    } = options;
+    
+    const installedChunks = installedChunkIds
+      .map(chunkId => `${this.indent}${JSON.stringify(chunkId)}: 0`)
+      .join(',\n');
+    
+    let handler;
+    switch (chunkLoading) {
+      case 'jsonp':
+        handler = `${this.generateJsonpChunkLoading()}\n\n${this.generateArrayPushCallback(chunkLoadingGlobal, globalObject)}`;
+        break;
+      case 'import-scripts':
+        handler = `${this.generateImportScriptsChunkLoading()}\n\n${this.generateArrayPushCallback(chunkLoadingGlobal, globalObject)}`;
+        break;
+      case 'require':
+        handler = `${this.generateInstallChunk()}\n\n${this.generateRequireChunkLoading(undoPath)}`;
+        break;
+      case 'async-node':
+        handler = `${this.generateInstallChunk()}\n\n${this.generateReadFileVmChunkLoading(undoPath)}`;
+        break;
+      default:
+        throw new Error(`不支持的 chunkLoading: ${chunkLoading}`);
+    }
+    
     return `
 // This function allow to reference async chunks
 __webpack_require__.u = (chunkId) => {
 ${this.indent}// return url for filenames based on template
-${this.indent}return "" + chunkId + ".js";
-};
-
-// This function allow to reference all chunks
-__webpack_require__.miniCssF = (chunkId) => {
-${this.indent}// return url for filenames based on template
-${this.indent}return "" + chunkId + ".css";
+${this.indent}return ${JSON.stringify(chunkFilenames)}[chunkId];
 };
 
 // object to store loaded and loading chunks
+// undefined = chunk not loaded, null = chunk preloaded/prefetched
+// [resolve, reject, Promise] = chunk loading, 0 = chunk loaded
 var installedChunks = {
-${this.indent}0: 0
+${installedChunks}
 };
 
+// __webpack_require__.f = chunk loading handlers
+__webpack_require__.f = {};
+
 // __webpack_require__.e = chunk loading function for javascript
 __webpack_require__.e = (chunkId) => {
 ${this.indent}return Promise.all(Object.keys(__webpack_require__.f).reduce((promises, key) => {
@@ -238,19 +579,331 @@ ${this.indent}${this.indent}__webpack_require__.f[key](chunkId, promises);
 ${this.indent}${this.indent}return promises;
 ${this.indent}}, []));
 };
+
+// callbacks waiting for chunks: [chunkIds, fn]
+var deferred = [];
+__webpack_require__.O = (result, chunkIds, fn) => {
+${this.indent}if(chunkIds) {
+${this.indent}${this.indent}deferred.push([chunkIds, fn]);
+${this.indent}}
+${this.indent}for(var i = 0; i < deferred.length; i++) {
+${this.indent}${this.indent}var [ids, callback] = deferred[i];
+${this.indent}${this.indent}if(ids.every((id) => (installedChunks[id] === 0))) {
+${this.indent}${this.indent}${this.indent}deferred.splice(i--, 1);
+${this.indent}${this.indent}${this.indent}var r = callback();
+${this.indent}${this.indent}${this.indent}if(result === undefined) result = r;
+${this.indent}${this.indent}}
+${this.indent}}
+${this.indent}return result;
+};
+
+// startup entrypoint after the split chunks it depends on are loaded
+__webpack_require__.X = (result, chunkIds, fn) => {
+${this.indent}chunkIds.forEach((chunkId) => { __webpack_require__.e(chunkId); });
+${this.indent}return __webpack_require__.O(result, chunkIds, fn);
+};
+
+${handler}
     `.trim();
   }
   
+  /**
+   * 生成 JSONP 代码块加载：插入 script 标签，代码块加载后推入全局数组
+   */
+  generateJsonpChunkLoading() {
+    return `
+// JSONP chunk loading for javascript
+__webpack_require__.f.j = (chunkId, promises) => {
+${this.indent}var installedChunkData = Object.prototype.hasOwnProperty.call(installedChunks, chunkId) ? installedChunks[chunkId] : undefined;
+${this.indent}if(installedChunkData === 0) return;
+${this.indent}// a Promise means "currently loading"
+${this.indent}if(installedChunkData) {
+${this.indent}${this.indent}promises.push(installedChunkData[2]);
+${this.indent}${this.indent}return;
+${this.indent}}
+${this.indent}// setup Promise in chunk cache
+${this.indent}var promise = new Promise((resolve, reject) => (installedChunkData = installedChunks[chunkId] = [resolve, reject]));
+${this.indent}promises.push(installedChunkData[2] = promise);
+${this.indent}var url = __webpack_require__.p + __webpack_require__.u(chunkId);
+${this.indent}var error = new Error();
+${this.indent}var loadingEnded = (event) => {
+${this.indent}${this.indent}installedChunkData = installedChunks[chunkId];
+${this.indent}${this.indent}if(installedChunkData === 0) return;
+${this.indent}${this.indent}installedChunks[chunkId] = undefined;
+${this.indent}${this.indent}if(installedChunkData) {
+${this.indent}${this.indent}${this.indent}var errorType = event && (event.type === 'load' ? 'missing' : event.type);
+${this.indent}${this.indent}${this.indent}error.message = 'Loading chunk ' + chunkId + ' failed.\\n(' + errorType + ': ' + url + ')';
+${this.indent}${this.indent}${this.indent}error.name = 'ChunkLoadError';
+${this.indent}${this.indent}${this.indent}installedChunkData[1](error);
+${this.indent}${this.indent}}
+${this.indent}};
+${this.indent}__webpack_require__.l(url, loadingEnded, 'chunk-' + chunkId);
+};
+    `.trim();
+  }
+  
+  /**
+   * 生成通过 script 标签加载脚本的运行时（__webpack_require__.l）
+   * JSONP 代码块加载和 script 类型的外部模块使用
+   */
+  generateLoadScriptRuntime() {
+    return `
+// load script via script tag
+var inProgress = {};
+__webpack_require__.l = (url, done, key) => {
+${this.indent}if(inProgress[url]) { inProgress[url].push(done); return; }
+${this.indent}var script = document.createElement('script');
+${this.indent}script.charset = 'utf-8';
+${this.indent}script.setAttribute('data-webpack', key);
+${this.indent}script.src = url;
+${this.indent}inProgress[url] = [done];
+${this.indent}var onScriptComplete = (event) => {
+${this.indent}${this.indent}script.onerror = script.onload = null;
+${this.indent}${this.indent}clearTimeout(timeout);
+${this.indent}${this.indent}var doneFns = inProgress[url];
+${this.indent}${this.indent}delete inProgress[url];
+${this.indent}${this.indent}script.parentNode && script.parentNode.removeChild(script);
+${this.indent}${this.indent}doneFns && doneFns.forEach((fn) => (fn(event)));
+${this.indent}};
+${this.indent}var timeout = setTimeout(() => onScriptComplete({ type: 'timeout', target: script }), 120000);
+${this.indent}script.onerror = onScriptComplete;
+${this.indent}script.onload = onScriptComplete;
+${this.indent}document.head.appendChild(script);
+};
+    `.trim();
+  }
+  
+  /**
+   * 生成 importScripts 代码块加载（Web Worker），同步加载后推入全局数组
+   */
+  generateImportScriptsChunkLoading() {
+    return `
+// importScripts chunk loading for javascript
+__webpack_require__.f.i = (chunkId, promises) => {
+${this.indent}if(installedChunks[chunkId] !== 0) {
+${this.indent}${this.indent}importScripts(__webpack_require__.p + __webpack_require__.u(chunkId));
+${this.indent}}
+};
+    `.trim();
+  }
+  
+  /**
+   * 生成 array-push 格式代码块的回调：代码块通过全局数组的 push 注册模块
+   */
+  generateArrayPushCallback(chunkLoadingGlobal, globalObject = 'self') {
+    const globalName = `${globalObject}[${JSON.stringify(chunkLoadingGlobal)}]`;
+    
+    return `
+// install a JSONP callback for chunk loading
+var webpackJsonpCallback = (parentChunkLoadingFunction, data) => {
+${this.indent}var chunkIds = data[0];
+${this.indent}var moreModules = data[1];
+${this.indent}for(var moduleId in moreModules) {
+${this.indent}${this.indent}if(Object.prototype.hasOwnProperty.call(moreModules, moduleId)) {
+${this.indent}${this.indent}${this.indent}__webpack_modules__[moduleId] = moreModules[moduleId];
+${this.indent}${this.indent}}
+${this.indent}}
+${this.indent}if(parentChunkLoadingFunction) parentChunkLoadingFunction(data);
+${this.indent}for(var i = 0; i < chunkIds.length; i++) {
+${this.indent}${this.indent}var chunkId = chunkIds[i];
+${this.indent}${this.indent}if(installedChunks[chunkId]) {
+${this.indent}${this.indent}${this.indent}installedChunks[chunkId][0]();
+${this.indent}${this.indent}}
+${this.indent}${this.indent}installedChunks[chunkId] = 0;
+${this.indent}${this.indent}if(__webpack_require__.hmrC) __webpack_require__.hmrC(chunkId);
+${this.indent}}
+${this.indent}return __webpack_require__.O();
+};
+
+var chunkLoadingGlobal = ${globalName} = ${globalName} || [];
+chunkLoadingGlobal.forEach(webpackJsonpCallback.bind(null, 0));
+chunkLoadingGlobal.push = webpackJsonpCallback.bind(null, chunkLoadingGlobal.push.bind(chunkLoadingGlobal));
+    `.trim();
+  }
+  
+  /**
+   * 生成 commonjs 格式代码块的安装函数：代码块导出 { ids, modules }
+   */
+  generateInstallChunk() {
+    return `
+// install a chunk exported as { ids, modules }
+var installChunk = (chunk) => {
+${this.indent}var moreModules = chunk.modules, chunkIds = chunk.ids;
+${this.indent}for(var moduleId in moreModules) {
+${this.indent}${this.indent}if(Object.prototype.hasOwnProperty.call(moreModules, moduleId)) {
+${this.indent}${this.indent}${this.indent}__webpack_modules__[moduleId] = moreModules[moduleId];
+${this.indent}${this.indent}}
+${this.indent}}
+${this.indent}for(var i = 0; i < chunkIds.length; i++) {
+${this.indent}${this.indent}if(installedChunks[chunkIds[i]]) {
+${this.indent}${this.indent}${this.indent}installedChunks[chunkIds[i]][0]();
+${this.indent}${this.indent}}
+${this.indent}${this.indent}installedChunks[chunkIds[i]] = 0;
+${this.indent}}
+${this.indent}return __webpack_require__.O();
+};
+    `.trim();
+  }
+  
+  /**
+   * 生成 require() 代码块加载（Node.js），代码块文件相对于当前 bundle 加载
+   */
+  generateRequireChunkLoading(undoPath = '') {
+    return `
+// require() chunk loading for javascript
+__webpack_require__.f.require = (chunkId, promises) => {
+${this.indent}if(installedChunks[chunkId] !== 0) {
+${this.indent}${this.indent}installChunk(require(${JSON.stringify(`./${undoPath}`)} + __webpack_require__.u(chunkId)));
+${this.indent}}
+};
+    `.trim();
+  }
+  
+  /**
+   * 生成 fs + vm 代码块加载（异步 Node.js），读取文件后在当前上下文中执行
+   */
+  generateReadFileVmChunkLoading(undoPath = '') {
+    return `
+// ReadFile + VM.run chunk loading for javascript
+__webpack_require__.f.readFileVm = (chunkId, promises) => {
+${this.indent}var installedChunkData = Object.prototype.hasOwnProperty.call(installedChunks, chunkId) ? installedChunks[chunkId] : undefined;
+${this.indent}if(installedChunkData === 0) return;
+${this.indent}// a Promise means "currently loading"
+${this.indent}if(installedChunkData) {
+${this.indent}${this.indent}promises.push(installedChunkData[2]);
+${this.indent}${this.indent}return;
+${this.indent}}
+${this.indent}var promise = new Promise((resolve, reject) => {
+${this.indent}${this.indent}installedChunkData = installedChunks[chunkId] = [resolve, reject];
+${this.indent}${this.indent}var filename = require('path').join(__dirname, ${JSON.stringify(undoPath)} + __webpack_require__.u(chunkId));
+${this.indent}${this.indent}require('fs').readFile(filename, 'utf-8', (err, content) => {
+${this.indent}${this.indent}${this.indent}if(err) return reject(err);
+${this.indent}${this.indent}${this.indent}var chunk = {};
+${this.indent}${this.indent}${this.indent}require('vm').runInThisContext('(function(exports, require, __dirname, __filename) {' + content + '\\n})', filename)(chunk, require, require('path').dirname(filename), filename);
+${this.indent}${this.indent}${this.indent}installChunk(chunk);
+${this.indent}${this.indent}});
+${this.indent}});
+${this.indent}promises.push(installedChunkData[2] = promise);
+};
+    `.trim();
+  }
+  
+  /**
+   * 生成 CSS 加载运行时
+   * 异步代码块提取出的 .css 文件在加载代码块时通过 <link> 插入
+   */
+  generateCssLoadingRuntime(options = {}) {
+    const {
+      cssFilenames = {},
+      installedChunkIds = []
+    } = options;
+    
+    const installedCssChunks = installedChunkIds
+      .map(chunkId => `${this.indent}${JSON.stringify(chunkId)}: 0`)
+      .join(',\n');
+    
+    return `
+// This function allow to reference async chunk css files
+__webpack_require__.miniCssF = (chunkId) => {
+${this.indent}return ${JSON.stringify(cssFilenames)}[chunkId];
+};
+
+// object to store loaded css chunks
+// undefined = chunk not loaded, Promise = chunk loading, 0 = chunk loaded
+var installedCssChunks = {
+${installedCssChunks}
+};
+
+var createStylesheet = (chunkId, href, resolve, reject) => {
+${this.indent}var linkTag = document.createElement('link');
+${this.indent}linkTag.rel = 'stylesheet';
+${this.indent}linkTag.type = 'text/css';
+${this.indent}linkTag.onerror = linkTag.onload = (event) => {
+${this.indent}${this.indent}linkTag.onerror = linkTag.onload = null;
+${this.indent}${this.indent}if (event.type === 'load') {
+${this.indent}${this.indent}${this.indent}resolve();
+${this.indent}${this.indent}} else {
+${this.indent}${this.indent}${this.indent}var error = new Error('Loading CSS chunk ' + chunkId + ' failed.\\n(' + href + ')');
+${this.indent}${this.indent}${this.indent}error.code = 'CSS_CHUNK_LOAD_FAILED';
+${this.indent}${this.indent}${this.indent}error.request = href;
+${this.indent}${this.indent}${this.indent}linkTag.parentNode && linkTag.parentNode.removeChild(linkTag);
+${this.indent}${this.indent}${this.indent}reject(error);
+${this.indent}${this.indent}}
+${this.indent}};
+${this.indent}linkTag.href = href;
+${this.indent}document.head.appendChild(linkTag);
+${this.indent}return linkTag;
+};
+
+// 页面中已存在同一文件的 <link> 时不再重复加载
+var findStylesheet = (href) => {
+${this.indent}var links = document.getElementsByTagName('link');
+${this.indent}for (var i = 0; i < links.length; i++) {
+${this.indent}${this.indent}if (links[i].rel === 'stylesheet' && links[i].getAttribute('href') === href) return links[i];
+${this.indent}}
+};
+
+// css chunk loading handler
+__webpack_require__.f.miniCss = (chunkId, promises) => {
+${this.indent}if (installedCssChunks[chunkId]) {
+${this.indent}${this.indent}promises.push(installedCssChunks[chunkId]);
+${this.indent}} else if (installedCssChunks[chunkId] !== 0 && __webpack_require__.miniCssF(chunkId)) {
+${this.indent}${this.indent}promises.push(installedCssChunks[chunkId] = new Promise((resolve, reject) => {
+${this.indent}${this.indent}${this.indent}var href = __webpack_require__.p + __webpack_require__.miniCssF(chunkId);
+${this.indent}${this.indent}${this.indent}if (findStylesheet(href)) return resolve();
+${this.indent}${this.indent}${this.indent}createStylesheet(chunkId, href, resolve, reject);
+${this.indent}${this.indent}}).then(() => {
+${this.indent}${this.indent}${this.indent}installedCssChunks[chunkId] = 0;
+${this.indent}${this.indent}}, (error) => {
+${this.indent}${this.indent}${this.indent}delete installedCssChunks[chunkId];
+${this.indent}${this.indent}${this.indent}throw error;
+${this.indent}${this.indent}}));
+${this.indent}}
+};
+    `.trim();
+  }
+  
+  /**
+   * 生成异步代码块
+   * array-push 格式加载后把模块注册到入口代码块运行时的全局数组中，commonjs 格式导出 ids 和 modules
+   */
+  generateAsyncChunk(options) {
+    const {
+      chunkIds,
+      moduleMap,
+      chunkLoadingGlobal = 'webpackChunk',
+      chunkFormat = 'array-push',
+      globalObject = 'self'
+    } = options;
+    
+    // commonjs 格式由 require() 或 fs + vm 加载
+    if (chunkFormat === 'commonjs') {
+      return `exports.ids = ${JSON.stringify(chunkIds)};\nexports.modules = ${this.generateModuleMap(moduleMap)};`;
+    }
+    
+    const globalName = `${globalObject}[${JSON.stringify(chunkLoadingGlobal)}]`;
+    
+    return `(${globalName} = ${globalName} || []).push([${JSON.stringify(chunkIds)}, ${this.generateModuleMap(moduleMap)}]);`;
+  }
+  
   /**
    * 生成公共路径运行时
    */
-  generatePublicPathRuntime() {
+  generatePublicPathRuntime(publicPath = '') {
     return `
 // __webpack_require__.p = public path
-__webpack_require__.p = "";
+__webpack_require__.p = ${JSON.stringify(publicPath)};
     `.trim();
   }
   
+  /**
+   * 生成热更新代码块
+   * 只包含发生变化的模块，加载后通过 JSONP 回调交给 HMR 运行时
+   */
+  generateHotUpdateChunk(chunkId, moduleMap) {
+    return `self["webpackHotUpdate"](${JSON.stringify(chunkId)}, ${this.generateModuleMap(moduleMap)});`;
+  }
+  
   /**
    * 添加缩进
    */
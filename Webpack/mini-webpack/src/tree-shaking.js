@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Tree Shaking
+ * 从入口出发标记每个模块被使用的导出（usedExports），
+ * 并移除没有副作用且导出未被使用的模块（sideEffects）
+ */
+class TreeShaking {
+  constructor(options = {}) {
+    this.options = {
+      usedExports: true,
+      sideEffects: true,
+      ...options
+    };
+
+    this.included = new Set(); // 需要保留的模块
+    this.queue = []; // 待处理（新加入或使用情况有变化）的模块
+    this.packageCache = new Map(); // 目录 -> 最近的 package.json 信息
+  }
+
+  /**
+   * 分析 compilation 的模块图
+   */
+  apply(compilation) {
+    compilation.modules.forEach(module => {
+      module.usedExports = this.options.usedExports ? new Set() : true;
+    });
+
+    // 入口模块的所有导出都视为被使用
+    compilation.entries.forEach(entryModule => {
+      this.markAllUsed(entryModule);
+      this.include(entryModule);
+    });
+
+    while (this.queue.length > 0) {
+      const module = this.queue.shift();
+      if (this.included.has(module)) {
+        this.processModule(module);
+      }
+    }
+
+    if (this.options.sideEffects) {
+      this.removeUnusedModules(compilation);
+    }
+  }
+
+  /**
+   * 处理模块的依赖：把使用到的导出标记到被依赖的模块上
+   */
+  processModule(module) {
+    module.dependencies.forEach(dep => {
+      const target = dep.module;
+      if (!target) {
+        return;
+      }
+
+      // require()、import() 等无法静态分析的依赖使用全部导出
+      if (dep.type !== 'import') {
+        this.markAllUsed(target);
+        this.include(target);
+        return;
+      }
+
+      // 仅导入类型
+      if (dep.importKind === 'type') {
+        return;
+      }
+
+      const used = dep.reexport
+        ? this.processReexport(module, dep)
+        : this.processImport(dep);
+
+      if (used || this.hasSideEffects(target)) {
+        this.include(target);
+      }
+    });
+  }
+
+  /**
+   * 处理 import 语句，返回是否使用了目标模块的导出
+   */
+  processImport(dep) {
+    let used = false;
+
+    dep.specifiers.forEach(spec => {
+      if (!spec.referenced) {
+        return;
+      }
+
+      used = true;
+
+      if (spec.imported !== '*') {
+        this.markUsed(dep.module, spec.imported);
+      } else if (spec.members) {
+        spec.members.forEach(name => this.markUsed(dep.module, name));
+      } else {
+        this.markAllUsed(dep.module);
+      }
+    });
+
+    return used;
+  }
+
+  /**
+   * 处理 export ... from 语句：当前模块被使用的导出映射到目标模块
+   */
+  processReexport(module, dep) {
+    const target = dep.module;
+    let used = false;
+
+    dep.specifiers.forEach(spec => {
+      // export * from：当前模块自身未提供的导出由目标模块提供
+      if (spec.imported === '*' && !spec.exported) {
+        if (module.usedExports === true) {
+          this.markAllUsed(target);
+          used = true;
+          return;
+        }
+
+        module.usedExports.forEach(name => {
+          const ownExport = module.providedExports && module.providedExports.includes(name);
+          if (name !== 'default' && !ownExport && this.providesExport(target, name)) {
+            this.markUsed(target, name);
+            used = true;
+          }
+        });
+        return;
+      }
+
+      if (!this.isExportUsed(module, spec.exported)) {
+        return;
+      }
+
+      used = true;
+
+      if (spec.imported === '*') {
+        this.markAllUsed(target);
+      } else {
+        this.markUsed(target, spec.imported);
+      }
+    });
+
+    return used;
+  }
+
+  /**
+   * 检查模块（包括 export * 的部分）是否可能提供某个导出
+   */
+  providesExport(module, name, visited = new Set()) {
+    if (!module.esModule) {
+      return true;
+    }
+
+    if (module.providedExports.includes(name)) {
+      return true;
+    }
+
+    if (visited.has(module)) {
+      return false;
+    }
+    visited.add(module);
+
+    return module.dependencies.some(dep => {
+      return dep.reexport &&
+        dep.module &&
+        dep.specifiers.some(spec => spec.imported === '*' && !spec.exported) &&
+        this.providesExport(dep.module, name, visited);
+    });
+  }
+
+  /**
+   * 检查导出是否被使用
+   */
+  isExportUsed(module, name) {
+    return module.usedExports === true || module.usedExports.has(name);
+  }
+
+  /**
+   * 标记单个导出被使用
+   */
+  markUsed(module, name) {
+    if (module.usedExports === true || module.usedExports.has(name)) {
+      return;
+    }
+
+    module.usedExports.add(name);
+    this.queue.push(module);
+  }
+
+  /**
+   * 标记全部导出被使用
+   */
+  markAllUsed(module) {
+    if (module.usedExports === true) {
+      return;
+    }
+
+    module.usedExports = true;
+    this.queue.push(module);
+  }
+
+  /**
+   * 保留模块
+   */
+  include(module) {
+    if (this.included.has(module)) {
+      return;
+    }
+
+    this.included.add(module);
+    this.queue.push(module);
+  }
+
+  /**
+   * 检查模块是否有副作用：package.json 的 sideEffects 声明优先，否则使用源码分析结果
+   */
+  hasSideEffects(module) {
+    if (!this.options.sideEffects || module.external) {
+      return true;
+    }
+
+    const declared = this.getPackageSideEffects(module.path);
+    if (declared !== undefined) {
+      return declared;
+    }
+
+    return !module.sideEffectFree;
+  }
+
+  /**
+   * 读取最近的 package.json 中的 sideEffects 声明
+   * @returns {boolean|undefined} 未声明时返回 undefined
+   */
+  getPackageSideEffects(modulePath) {
+    const pkg = this.findPackage(path.dirname(modulePath));
+    if (!pkg || pkg.sideEffects === undefined) {
+      return undefined;
+    }
+
+    if (typeof pkg.sideEffects === 'boolean') {
+      return pkg.sideEffects;
+    }
+
+    if (Array.isArray(pkg.sideEffects)) {
+      const relativePath = path.relative(pkg.dir, modulePath).split(path.sep).join('/');
+      return pkg.sideEffects.some(pattern => this.matchGlob(pattern, relativePath));
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 向上查找 package.json
+   */
+  findPackage(dir) {
+    if (this.packageCache.has(dir)) {
+      return this.packageCache.get(dir);
+    }
+
+    let pkg = null;
+    const pkgPath = path.join(dir, 'package.json');
+
+    if (fs.existsSync(pkgPath)) {
+      try {
+        const json = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+        pkg = { dir, sideEffects: json.sideEffects };
+      } catch (error) {
+        pkg = { dir, sideEffects: undefined };
+      }
+    } else if (path.dirname(dir) !== dir) {
+      pkg = this.findPackage(path.dirname(dir));
+    }
+
+    this.packageCache.set(dir, pkg);
+    return pkg;
+  }
+
+  /**
+   * 匹配 sideEffects 中的 glob，不含 / 的模式匹配任意目录下的文件
+   */
+  matchGlob(pattern, relativePath) {
+    let glob = pattern.replace(/^\.\//, '');
+    if (!glob.includes('/')) {
+      glob = `**/${glob}`;
+    }
+
+    const source = glob
+      .split('**/')
+      .map(part => part
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]'))
+      .join('(?:.*/)?');
+
+    return new RegExp(`^${source}$`).test(relativePath);
+  }
+
+  /**
+   * 移除未保留的模块，并断开指向它们的依赖
+   */
+  removeUnusedModules(compilation) {
+    compilation.modules.forEach(module => {
+      if (!this.included.has(module)) {
+        compilation.modules.delete(module);
+      }
+    });
+
+    compilation.modules.forEach(module => {
+      module.dependencies.forEach(dep => {
+        if (dep.module && !this.included.has(dep.module)) {
+          dep.module = null;
+        }
+      });
+    });
+  }
+}
+
+module.exports = TreeShaking;
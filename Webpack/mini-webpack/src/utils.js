@@ -23,6 +23,81 @@ function generateFileHash(filePath, algorithm = 'md5', length = 8) {
   return generateHash(content, algorithm, length);
 }
 
+/**
+ * 替换文件名模板中的占位符，如 [name]、[contenthash:8]
+ * values 的值为字符串或 (length) => string，为函数时由它处理 :N 长度，否则按长度截取；
+ * 没有对应值的占位符保持原样
+ */
+function replacePathVariables(template, values) {
+  return template.replace(/\[(\w+)(?::(\d+))?\]/g, (match, key, length) => {
+    const value = values[key];
+    if (value === undefined || value === null) {
+      return match;
+    }
+    
+    const size = length ? Number(length) : undefined;
+    if (typeof value === 'function') {
+      return value(size);
+    }
+    return size ? String(value).slice(0, size) : String(value);
+  });
+}
+
+/**
+ * 替换资源文件名模板中的 [name]、[ext]、[path]、[query]、[hash]、[contenthash]
+ * hash 支持 [hash:8] 形式的长度，ext 由调用方决定是否带点
+ */
+function interpolateName(template, { resourcePath, context = process.cwd(), content, ext, query = '' }) {
+  const extname = path.extname(resourcePath);
+  const directory = normalizePath(path.relative(context, path.dirname(resourcePath)));
+  const hash = generateHash(content, 'md5', 32);
+  const getHash = (length = 20) => hash.slice(0, length);
+  
+  return replacePathVariables(template, {
+    name: path.basename(resourcePath, extname),
+    ext: ext === undefined ? extname : ext,
+    path: directory && directory !== '.' ? `${directory}/` : '',
+    query,
+    hash: getHash,
+    contenthash: getHash
+  });
+}
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * 按扩展名获取 MIME 类型
+ */
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
 /**
  * 确保目录存在
  */
@@ -94,7 +169,8 @@ function deepMerge(target, source) {
   
   for (const key in source) {
     if (source.hasOwnProperty(key)) {
-      if (isObject(source[key]) && isObject(target[key])) {
+      // 正则等非普通对象直接覆盖
+      if (isPlainObject(source[key]) && isPlainObject(target[key])) {
         result[key] = deepMerge(target[key], source[key]);
       } else {
         result[key] = source[key];
@@ -112,6 +188,17 @@ function isObject(obj) {
   return obj !== null && typeof obj === 'object' && !Array.isArray(obj);
 }
 
+/**
+ * 检查是否为普通对象
+ */
+function isPlainObject(obj) {
+  if (!isObject(obj)) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(obj);
+  return proto === Object.prototype || proto === null;
+}
+
 /**
  * 检查是否为函数
  */
@@ -140,6 +227,19 @@ function normalizePath(filePath) {
   return path.normalize(filePath).replace(/\\/g, '/');
 }
 
+/**
+ * 比较模块ID、代码块ID：数字按大小，字符串按字典序，数字排在字符串之前
+ */
+function compareIds(a, b) {
+  if (typeof a !== typeof b) {
+    return typeof a === 'number' ? -1 : 1;
+  }
+  if (typeof a === 'number') {
+    return a - b;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
 /**
  * 获取相对路径
  */
@@ -349,6 +449,9 @@ const colors = {
 module.exports = {
   generateHash,
   generateFileHash,
+  replacePathVariables,
+  interpolateName,
+  getMimeType,
   ensureDir,
   removeDir,
   copyFile,
@@ -356,11 +459,13 @@ module.exports = {
   formatSize,
   formatTime,
   deepMerge,
+  isPlainObject,
   isObject,
   isFunction,
   isString,
   isArray,
   normalizePath,
+  compareIds,
   getRelativePath,
   getExtension,
   getBasename,
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 文件监听器
+ * 监听一组文件的变化，并按 aggregateTimeout 聚合（防抖）后统一通知
+ * 还可以监听尚不存在的文件（解析失败时尝试过的路径），文件出现时视为变化
+ */
+class FileWatcher {
+  constructor(options = {}) {
+    this.options = {
+      aggregateTimeout: 300,
+      poll: false,
+      ignored: null,
+      ...options
+    };
+
+    this.watchers = new Map(); // 文件路径 -> 监听句柄
+    this.missingWatchers = new Map(); // 不存在的文件路径 -> 监听句柄
+    this.mtimes = new Map(); // 文件路径 -> 最近一次的修改时间
+
+    // 聚合中的变化
+    this.aggregatedChanges = new Set();
+    this.aggregatedRemovals = new Set();
+    this.timer = null;
+
+    this.paused = false;
+    this.closed = false;
+    this.callback = null;
+    this.callbackUndelayed = null;
+  }
+
+  /**
+   * 开始（或更新）监听
+   * @param {Iterable<string>} files 需要监听的文件
+   * @param {Iterable<string>} missing 需要等待其出现的文件
+   * @param {number} startTime 本次构建的开始时间，之后修改过的文件会立即视为变化
+   * @param {Function} callback 聚合后的回调 ({ changedFiles, removedFiles })
+   * @param {Function} callbackUndelayed 每次检测到变化时立即触发的回调 (file, mtime)
+   */
+  watch(files, missing, startTime, callback, callbackUndelayed) {
+    this.callback = callback;
+    this.callbackUndelayed = callbackUndelayed;
+    this.paused = false;
+
+    const nextFiles = new Set(Array.from(files).filter(file => !this.isIgnored(file)));
+    const nextMissing = new Set(Array.from(missing).filter(file => !this.isIgnored(file) && !nextFiles.has(file)));
+
+    // 移除不再需要监听的文件
+    for (const file of this.watchers.keys()) {
+      if (!nextFiles.has(file)) {
+        this.unwatchFile(file);
+      }
+    }
+    for (const file of this.missingWatchers.keys()) {
+      if (!nextMissing.has(file)) {
+        this.unwatchMissing(file);
+      }
+    }
+
+    // 监听新增的文件
+    for (const file of nextFiles) {
+      if (!this.watchers.has(file)) {
+        this.watchFile(file);
+      }
+
+      // 构建期间被修改过的文件
+      const mtime = this.mtimes.get(file);
+      if (mtime === null) {
+        this.onChange(file, Date.now(), 'remove');
+      } else if (mtime > startTime) {
+        this.onChange(file, mtime, 'change');
+      }
+    }
+
+    for (const file of nextMissing) {
+      if (!this.missingWatchers.has(file)) {
+        this.watchMissing(file);
+      }
+    }
+  }
+
+  /**
+   * 监听单个文件
+   */
+  watchFile(file) {
+    this.mtimes.set(file, this.readMtime(file));
+
+    if (this.options.poll) {
+      this.watchers.set(file, this.pollFile(file));
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(file, { persistent: true }, (eventType) => {
+        const mtime = this.readMtime(file);
+
+        // 编辑器常以"写临时文件再重命名"的方式保存，原监听句柄会失效，需要重新监听
+        if (eventType === 'rename' && mtime !== null) {
+          this.unwatchFile(file);
+          this.watchFile(file);
+        }
+
+        this.onRawChange(file, mtime);
+      });
+
+      watcher.on('error', () => {
+        this.unwatchFile(file);
+      });
+
+      this.watchers.set(file, watcher);
+    } catch (error) {
+      // 文件已不存在，等下次构建重新收集依赖
+      this.mtimes.set(file, null);
+    }
+  }
+
+  /**
+   * 监听尚不存在的文件，文件出现（构建期间已出现）时视为变化
+   */
+  watchMissing(file) {
+    this.mtimes.set(file, null);
+
+    if (this.options.poll) {
+      this.missingWatchers.set(file, this.pollFile(file));
+    } else {
+      // fs.watch 不能监听不存在的路径，改为监听最近的已存在的上级目录
+      const dir = this.findExistingDirectory(path.dirname(file));
+
+      try {
+        const watcher = fs.watch(dir, { persistent: true }, () => {
+          const mtime = this.readMtime(file);
+
+          // 中间目录被创建后，改为监听更深一层的目录
+          if (mtime === null && this.findExistingDirectory(path.dirname(file)) !== dir) {
+            this.unwatchMissing(file);
+            this.watchMissing(file);
+            return;
+          }
+
+          this.onRawChange(file, mtime);
+        });
+
+        watcher.on('error', () => {
+          this.unwatchMissing(file);
+        });
+
+        this.missingWatchers.set(file, watcher);
+      } catch (error) {
+        // 目录无法监听，等下次构建重新收集依赖
+        return;
+      }
+    }
+
+    const mtime = this.readMtime(file);
+    if (mtime !== null) {
+      this.onRawChange(file, mtime);
+    }
+  }
+
+  /**
+   * 轮询文件的修改时间（文件不存在时也可以轮询）
+   */
+  pollFile(file) {
+    const interval = typeof this.options.poll === 'number' ? this.options.poll : 1000;
+    const listener = (curr) => {
+      this.onRawChange(file, curr.mtimeMs === 0 ? null : curr.mtimeMs);
+    };
+
+    fs.watchFile(file, { interval, persistent: true }, listener);
+    return { close: () => fs.unwatchFile(file, listener) };
+  }
+
+  /**
+   * 取消监听单个文件
+   */
+  unwatchFile(file) {
+    const watcher = this.watchers.get(file);
+    if (watcher) {
+      watcher.close();
+      this.watchers.delete(file);
+    }
+  }
+
+  /**
+   * 取消监听不存在的文件
+   */
+  unwatchMissing(file) {
+    const watcher = this.missingWatchers.get(file);
+    if (watcher) {
+      watcher.close();
+      this.missingWatchers.delete(file);
+    }
+  }
+
+  /**
+   * 处理底层监听事件：比较修改时间，过滤掉重复事件
+   */
+  onRawChange(file, mtime) {
+    const lastMtime = this.mtimes.get(file);
+    if (mtime === lastMtime) {
+      return;
+    }
+
+    this.mtimes.set(file, mtime);
+
+    if (mtime === null) {
+      this.onChange(file, Date.now(), 'remove');
+    } else {
+      this.onChange(file, mtime, 'change');
+    }
+  }
+
+  /**
+   * 记录变化并重置聚合计时器
+   */
+  onChange(file, mtime, type) {
+    if (this.paused || this.closed) {
+      return;
+    }
+
+    if (type === 'remove') {
+      this.aggregatedChanges.delete(file);
+      this.aggregatedRemovals.add(file);
+    } else {
+      this.aggregatedRemovals.delete(file);
+      this.aggregatedChanges.add(file);
+    }
+
+    if (this.callbackUndelayed) {
+      this.callbackUndelayed(file, mtime);
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.emitAggregated(), this.options.aggregateTimeout);
+  }
+
+  /**
+   * 输出聚合后的变化，并暂停直到下一次 watch() 调用
+   */
+  emitAggregated() {
+    this.timer = null;
+
+    const changes = {
+      changedFiles: this.aggregatedChanges,
+      removedFiles: this.aggregatedRemovals
+    };
+
+    this.aggregatedChanges = new Set();
+    this.aggregatedRemovals = new Set();
+    this.paused = true;
+
+    if (this.callback) {
+      this.callback(changes);
+    }
+  }
+
+  /**
+   * 暂停通知（构建期间的变化在下次 watch() 时通过修改时间补发）
+   */
+  pause() {
+    this.paused = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 检查文件是否被忽略
+   */
+  isIgnored(file) {
+    const ignored = this.options.ignored;
+    if (!ignored) {
+      return false;
+    }
+
+    const patterns = Array.isArray(ignored) ? ignored : [ignored];
+    return patterns.some(pattern => {
+      if (typeof pattern === 'string') {
+        return file.includes(pattern);
+      }
+      if (pattern instanceof RegExp) {
+        return pattern.test(file);
+      }
+      if (typeof pattern === 'function') {
+        return pattern(file);
+      }
+      return false;
+    });
+  }
+
+  /**
+   * 读取文件修改时间，文件不存在时返回 null
+   */
+  readMtime(file) {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 查找最近的已存在的目录
+   */
+  findExistingDirectory(dir) {
+    let current = dir;
+
+    while (true) {
+      try {
+        if (fs.statSync(current).isDirectory()) {
+          return current;
+        }
+      } catch (error) {
+        // 不存在，继续向上查找
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return current;
+      }
+      current = parent;
+    }
+  }
+
+  /**
+   * 关闭所有监听
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    for (const file of Array.from(this.watchers.keys())) {
+      this.unwatchFile(file);
+    }
+    for (const file of Array.from(this.missingWatchers.keys())) {
+      this.unwatchMissing(file);
+    }
+
+    this.mtimes.clear();
+  }
+}
+
+module.exports = FileWatcher;
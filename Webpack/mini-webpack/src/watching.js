@@ -0,0 +1,222 @@
+const FileWatcher = require('./watcher');
+
+/**
+ * 监听模式句柄
+ * 负责"构建 -> 监听文件 -> 变化后增量重新构建"的循环
+ */
+class Watching {
+  constructor(compiler, watchOptions = {}, handler = () => {}) {
+    this.compiler = compiler;
+    this.handler = handler;
+    this.watchOptions = {
+      aggregateTimeout: 300,
+      poll: false,
+      ...watchOptions
+    };
+
+    this.watcher = new FileWatcher(this.watchOptions);
+    this.startTime = null;
+    this.running = false; // 是否正在构建
+    this.invalid = false; // 构建期间是否又被标记为失效
+    this.closed = false;
+    this.callbacks = []; // invalidate() 的回调，在下次构建完成后调用
+    this.closeCallbacks = null;
+    this.fileDependencies = new Set(); // 上一次构建收集到的文件
+    this.missingDependencies = new Set(); // 上一次构建解析失败时尝试过的不存在的文件
+
+    this.compiler.watchMode = true;
+    this.compiler.modifiedFiles = new Set();
+    this.compiler.removedFiles = new Set();
+
+    process.nextTick(() => this.startBuild());
+  }
+
+  /**
+   * 开始构建，回调中抛出的异常在下一个 tick 同步抛出，不会变成未处理的 Promise 拒绝
+   */
+  startBuild() {
+    this.go().catch(error => {
+      process.nextTick(() => {
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * 执行一次构建
+   */
+  async go() {
+    this.startTime = Date.now();
+    this.running = true;
+    this.invalid = false;
+
+    let compilation = null;
+    let stats = null;
+    let buildError = null;
+
+    try {
+      // 触发 watchRun 钩子
+      await this.compiler.hooks.watchRun.promise(this.compiler);
+
+      compilation = this.compiler.createCompilation();
+      await this.compiler.compile(compilation);
+
+      stats = this.compiler.createStats(compilation);
+
+      // 触发 done 钩子
+      this.compiler.hooks.done.call(stats);
+    } catch (error) {
+      buildError = error;
+
+      // 触发 failed 钩子
+      this.compiler.hooks.failed.call(error);
+    }
+
+    // 在 try 之外调用，回调中抛出的异常不会被当作构建失败再回调一次
+    this.done(buildError, compilation, buildError ? null : stats);
+  }
+
+  /**
+   * 构建结束：缓存模块、通知调用方、开始下一轮监听
+   */
+  done(error, compilation, stats) {
+    this.running = false;
+
+    if (compilation) {
+      this.compiler.cacheModules(compilation);
+
+      // 构建失败时也要监听已收集到的文件，修复后才能自动重新构建
+      for (const file of compilation.fileDependencies) {
+        this.fileDependencies.add(file);
+      }
+      for (const file of compilation.missingDependencies) {
+        this.missingDependencies.add(file);
+      }
+      if (!error) {
+        this.fileDependencies = new Set(compilation.fileDependencies);
+        this.missingDependencies = new Set(compilation.missingDependencies);
+      }
+    }
+
+    this.compiler.modifiedFiles = new Set();
+    this.compiler.removedFiles = new Set();
+
+    if (this.closed) {
+      this.finishClose();
+      return;
+    }
+
+    this.handler(error, stats);
+
+    const callbacks = this.callbacks;
+    this.callbacks = [];
+    callbacks.forEach(callback => callback());
+
+    // 回调中可能已调用 close()
+    if (this.closed) {
+      return;
+    }
+
+    // 构建期间被 invalidate()，立即重新构建
+    if (this.invalid) {
+      this.startBuild();
+      return;
+    }
+
+    this.watcher.watch(
+      this.fileDependencies,
+      this.missingDependencies,
+      this.startTime,
+      (changes) => this.onAggregatedChanges(changes),
+      (file, mtime) => this.compiler.hooks.invalid.call(file, mtime)
+    );
+  }
+
+  /**
+   * 聚合后的文件变化
+   */
+  onAggregatedChanges({ changedFiles, removedFiles }) {
+    for (const file of changedFiles) {
+      this.compiler.modifiedFiles.add(file);
+    }
+    for (const file of removedFiles) {
+      this.compiler.removedFiles.add(file);
+    }
+
+    this.invalidateInternal();
+  }
+
+  /**
+   * 手动标记失效并重新构建
+   */
+  invalidate(callback) {
+    if (callback) {
+      this.callbacks.push(callback);
+    }
+
+    // 触发 invalid 钩子（手动失效时没有对应的文件）
+    this.compiler.hooks.invalid.call(null, Date.now());
+
+    this.invalidateInternal();
+  }
+
+  /**
+   * 重新构建，正在构建时延后到本次构建结束
+   */
+  invalidateInternal() {
+    if (this.closed) {
+      return;
+    }
+
+    if (this.running) {
+      this.invalid = true;
+      return;
+    }
+
+    this.watcher.pause();
+    this.startBuild();
+  }
+
+  /**
+   * 停止监听
+   */
+  close(callback) {
+    if (this.closed) {
+      if (callback && this.running) {
+        this.closeCallbacks.push(callback);
+      } else if (callback) {
+        callback();
+      }
+      return;
+    }
+
+    this.closeCallbacks = callback ? [callback] : [];
+    this.closed = true;
+    this.watcher.close();
+
+    // 正在构建时等本次构建结束再收尾
+    if (!this.running) {
+      this.finishClose();
+    }
+  }
+
+  /**
+   * 完成关闭
+   */
+  finishClose() {
+    this.compiler.hooks.watchClose.call();
+    this.compiler.watchMode = false;
+    this.compiler.watching = null;
+    this.compiler.modifiedFiles = undefined;
+    this.compiler.removedFiles = undefined;
+    this.compiler.moduleCache.clear();
+
+    const callbacks = this.closeCallbacks;
+    this.closeCallbacks = [];
+    this.compiler.closeWorkerPool().then(() => {
+      callbacks.forEach(callback => callback());
+    });
+  }
+}
+
+module.exports = Watching;
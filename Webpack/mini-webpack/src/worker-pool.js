@@ -0,0 +1,110 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * 线程池（默认执行模块构建，也用于压缩等其他任务）
+ * 任务按提交顺序排队，分配给空闲的线程；线程按需创建，最多 size 个
+ */
+class WorkerPool {
+  constructor(size, workerData, filename = path.join(__dirname, 'build-worker.js')) {
+    this.size = size;
+    this.workerData = workerData; // 传给每个线程的可序列化配置
+    this.filename = filename; // 线程入口文件
+    this.workers = [];
+    this.idleWorkers = [];
+    this.tasks = new Map(); // 构建线程 -> 正在执行的任务
+    this.queue = [];
+  }
+
+  /**
+   * 提交任务，返回构建线程的执行结果
+   */
+  run(data) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ data, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  /**
+   * 把排队的任务分配给空闲线程
+   */
+  schedule() {
+    while (this.queue.length > 0) {
+      let worker = this.idleWorkers.pop();
+      if (!worker) {
+        if (this.workers.length >= this.size) {
+          return;
+        }
+        worker = this.createWorker();
+      }
+
+      const task = this.queue.shift();
+      this.tasks.set(worker, task);
+
+      // 执行任务时保持进程存活，空闲线程不阻止进程退出
+      worker.ref();
+      worker.postMessage(task.data);
+    }
+  }
+
+  /**
+   * 创建构建线程
+   */
+  createWorker() {
+    const worker = new Worker(this.filename, {
+      workerData: this.workerData
+    });
+    let workerError = null;
+
+    worker.on('message', (result) => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      worker.unref();
+      this.idleWorkers.push(worker);
+
+      if (result.error) {
+        const error = new Error(result.error.message);
+        error.stack = result.error.stack;
+        task.reject(error);
+      } else {
+        task.resolve(result);
+      }
+
+      this.schedule();
+    });
+
+    worker.on('error', (error) => {
+      workerError = error;
+    });
+
+    // 线程意外退出时当前任务失败，后续任务由新线程执行
+    worker.on('exit', (code) => {
+      this.workers = this.workers.filter(item => item !== worker);
+      this.idleWorkers = this.idleWorkers.filter(item => item !== worker);
+
+      const task = this.tasks.get(worker);
+      if (task) {
+        this.tasks.delete(worker);
+        task.reject(workerError || new Error(`构建线程意外退出，退出码: ${code}`));
+        this.schedule();
+      }
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * 关闭所有构建线程
+   */
+  async close() {
+    const workers = this.workers;
+    this.workers = [];
+    this.idleWorkers = [];
+
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = WorkerPool;
@@ -4,12 +4,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 const { MiniWebpack, createWebpack } = require('../src/index');
 const { ConfigResolver } = require('../src/config');
 const Module = require('../src/module');
 const { Dependency } = require('../src/dependency');
 const Chunk = require('../src/chunk');
 const Template = require('../src/template');
+const Resolver = require('../src/resolver');
+const Compilation = require('../src/compilation');
+const { RawSource, ConcatSource, ReplaceSource, PrefixSource } = require('../src/sources');
+const { HotModuleReplacementPlugin, MiniCssExtractPlugin, ProfilingPlugin, ProgressPlugin, DefinePlugin, HtmlPlugin, BannerPlugin, JsMinimizerPlugin } = require('../src/plugins');
+const { minify } = require('../src/minify');
+const { decodeMappings } = require('../src/source-map');
+const { SyncHook, SyncLoopHook, AsyncSeriesBailHook, AsyncSeriesWaterfallHook, AsyncParallelBailHook, HookMap, MultiHook } = require('../src/hooks');
 const { generateHash, formatSize, formatTime } = require('../src/utils');
 
 // 测试配置
@@ -182,6 +190,47 @@ function testModule() {
   }
 }
 
+// 测试模块路径解析
+function testResolver() {
+  console.log('\n🧪 测试模块路径解析...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const pkgDir = path.join(fixturesDir, 'node_modules/exports-pkg');
+  const relative = (file) => path.relative(fixturesDir, file).split(path.sep).join('/');
+  
+  fs.mkdirSync(path.join(pkgDir, 'dist/utils'), { recursive: true });
+  fs.mkdirSync(path.join(fixturesDir, 'lib'), { recursive: true });
+  fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({
+    main: './main.js',
+    exports: {
+      '.': { import: './dist/index.mjs', require: './dist/index.cjs' },
+      './utils/*': './dist/utils/*.js'
+    }
+  }));
+  ['dist/index.mjs', 'dist/index.cjs', 'dist/utils/format.js'].forEach(file => {
+    fs.writeFileSync(path.join(pkgDir, file), 'module.exports = {};');
+  });
+  fs.writeFileSync(path.join(fixturesDir, 'lib/index.js'), 'module.exports = {};');
+  
+  const resolver = new Resolver({ alias: { '@fixtures': fixturesDir } });
+  let error = null;
+  try {
+    resolver.resolve('./missing', fixturesDir);
+  } catch (e) {
+    error = e;
+  }
+  
+  console.log('✅ 模块路径解析:', {
+    extension: relative(resolver.resolve('./math', fixturesDir)),
+    directoryIndex: relative(resolver.resolve('./lib', fixturesDir)),
+    exportsImport: relative(resolver.resolve('exports-pkg', fixturesDir, 'import')),
+    exportsRequire: relative(resolver.resolve('exports-pkg', fixturesDir, 'require')),
+    exportsPattern: relative(resolver.resolve('exports-pkg/utils/format', fixturesDir)),
+    alias: relative(resolver.resolve('@fixtures/math', fixturesDir)),
+    triedPaths: error ? error.tried.map(relative) : null
+  });
+}
+
 // 测试依赖解析
 function testDependency() {
   console.log('\n🧪 测试依赖解析...');
@@ -269,6 +318,1487 @@ async function testBuild() {
   }
 }
 
+// 测试动态导入生成异步代码块
+async function testAsyncChunks() {
+  console.log('\n🧪 测试异步代码块...');
+  
+  const webpack = createWebpack(testWebpackConfig);
+  const stats = await webpack.run();
+  
+  const entryChunk = stats.chunks.find(chunk => chunk.isInitial());
+  const asyncChunks = stats.chunks.filter(chunk => !chunk.isInitial());
+  const bundleContent = fs.readFileSync(path.join(testWebpackConfig.output.path, 'bundle.js'), 'utf-8');
+  
+  console.log('✅ 异步代码块生成:', {
+    asyncChunkCount: asyncChunks.length,
+    hasParent: asyncChunks.every(chunk => chunk.parents.has(entryChunk)),
+    asyncFilesEmitted: asyncChunks.every(chunk => stats.assets.has(chunk.files[0])),
+    hasChunkLoader: bundleContent.includes('__webpack_require__.e')
+  });
+}
+
+// 测试代码分割
+async function testSplitChunks() {
+  console.log('\n🧪 测试代码分割...');
+  
+  // 第二个入口与主入口共享 math.js
+  const otherPath = path.join(__dirname, 'fixtures/other.js');
+  fs.writeFileSync(otherPath, `
+import { multiply } from './math.js';
+console.log('2 * 3 =', multiply(2, 3));
+`);
+  
+  const webpack = createWebpack({
+    ...testWebpackConfig,
+    entry: {
+      main: testWebpackConfig.entry,
+      other: otherPath
+    },
+    output: {
+      ...testWebpackConfig.output,
+      filename: '[name].js'
+    },
+    optimization: {
+      splitChunks: {
+        cacheGroups: {
+          common: { name: 'common', minChunks: 2, minSize: 0, priority: 10 }
+        }
+      }
+    }
+  });
+  const stats = await webpack.run();
+  
+  const commonChunk = stats.chunks.find(chunk => chunk.name === 'common');
+  const entryChunks = stats.chunks.filter(chunk => chunk.isEntry());
+  const mainContent = fs.readFileSync(path.join(testWebpackConfig.output.path, 'main.js'), 'utf-8');
+  
+  console.log('✅ 公共模块拆分:', {
+    commonModules: commonChunk ? commonChunk.getModules().map(module => path.basename(module.path)) : [],
+    removedFromEntries: !!commonChunk && entryChunks.every(chunk => {
+      return chunk.getModules().every(module => !commonChunk.hasModule(module));
+    }),
+    entriesRequireCommon: !!commonChunk && entryChunks.every(chunk => chunk.requiredChunks.has(commonChunk)),
+    waitsForSplitChunks: mainContent.includes('__webpack_require__.X(')
+  });
+}
+
+// 测试 tree shaking
+async function testTreeShaking() {
+  console.log('\n🧪 测试 tree shaking...');
+  
+  // 压缩后函数名会被缩短，这里只检查 tree shaking 的结果
+  const webpack = createWebpack({
+    ...testWebpackConfig,
+    mode: 'production',
+    optimization: { minimize: false }
+  });
+  const stats = await webpack.run();
+  
+  const mathModule = Array.from(stats.modules).find(module => module.path.endsWith('math.js'));
+  const bundleContent = fs.readFileSync(path.join(testWebpackConfig.output.path, 'bundle.js'), 'utf-8');
+  const mathStats = stats.toJson().modules.find(module => module.id === mathModule.id);
+  
+  console.log('✅ 未使用的导出已移除:', {
+    usedExports: mathStats.usedExports,
+    prunedExports: mathStats.prunedExports,
+    multiplyRemoved: !bundleContent.includes('multiply'),
+    addKept: bundleContent.includes('function add')
+  });
+}
+
+// 测试 ES 模块转换
+async function testESModuleTransform() {
+  console.log('\n🧪 测试 ES 模块转换...');
+  
+  const webpack = createWebpack(testWebpackConfig);
+  await webpack.run();
+  
+  const bundleContent = fs.readFileSync(path.join(testWebpackConfig.output.path, 'bundle.js'), 'utf-8');
+  
+  console.log('✅ ES 模块转换为运行时调用:', {
+    noImportStatements: !/^\s*import\s/m.test(bundleContent),
+    noExportStatements: !/^\s*export\s/m.test(bundleContent),
+    definesGetters: bundleContent.includes('__webpack_require__.d(__webpack_exports__'),
+    usesLiveBinding: /\(0, _math_js__WEBPACK_IMPORTED_MODULE_\d+__\.add\)/.test(bundleContent)
+  });
+  
+  // 同一个包既被 import 又被 require 时，按 exports 的 import、require 条件分别解析为不同的模块
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const pkgDir = path.join(fixturesDir, 'node_modules/exports-pkg');
+  fs.writeFileSync(path.join(pkgDir, 'dist/index.mjs'), "export default 'esm';\n");
+  fs.writeFileSync(path.join(pkgDir, 'dist/index.cjs'), "module.exports = 'cjs';\n");
+  fs.writeFileSync(path.join(fixturesDir, 'conditions-entry.js'), `
+import esm from 'exports-pkg';
+const cjs = require('exports-pkg');
+console.log(esm, cjs);
+`);
+  const conditionsStats = await createWebpack({
+    ...testWebpackConfig,
+    entry: path.join(fixturesDir, 'conditions-entry.js'),
+    output: { path: path.join(__dirname, 'dist', 'conditions'), filename: 'conditions.js' },
+    devtool: false
+  }).run();
+  let conditionValues = [];
+  new Function('console', conditionsStats.assets.get('conditions.js').source())({ log: (...values) => { conditionValues = values; } });
+  
+  console.log('✅ import 与 require 同一请求:', {
+    values: conditionValues,
+    modules: Array.from(conditionsStats.modules).filter(module => module.path.includes('exports-pkg')).length
+  });
+}
+
+// 测试 Source Map
+async function testSourceMap() {
+  console.log('\n🧪 测试 Source Map...');
+  
+  const outputPath = testWebpackConfig.output.path;
+  
+  const webpack = createWebpack({ ...testWebpackConfig, devtool: 'source-map' });
+  await webpack.run();
+  
+  const bundleContent = fs.readFileSync(path.join(outputPath, 'bundle.js'), 'utf-8');
+  const sourceMap = JSON.parse(fs.readFileSync(path.join(outputPath, 'bundle.js.map'), 'utf-8'));
+  
+  console.log('✅ 生成 .map 文件:', {
+    hasComment: bundleContent.endsWith('//# sourceMappingURL=bundle.js.map'),
+    version: sourceMap.version,
+    sources: sourceMap.sources,
+    hasMappings: sourceMap.mappings.length > 0
+  });
+  
+  const inlineWebpack = createWebpack({ ...testWebpackConfig, devtool: 'inline-source-map' });
+  const inlineStats = await inlineWebpack.run();
+  const inlineContent = inlineStats.assets.get('bundle.js').source();
+  
+  const evalWebpack = createWebpack({ ...testWebpackConfig, devtool: 'eval-source-map' });
+  const evalStats = await evalWebpack.run();
+  const evalContent = evalStats.assets.get('bundle.js').source();
+  
+  console.log('✅ devtool 选项:', {
+    inline: inlineContent.includes('//# sourceMappingURL=data:application/json') && !inlineStats.assets.has('bundle.js.map'),
+    eval: evalContent.includes('eval(') && evalContent.includes('sourceURL=webpack-internal:///') && !evalStats.assets.has('bundle.js.map')
+  });
+}
+
+// 测试文件系统缓存
+async function testCache() {
+  console.log('\n🧪 测试文件系统缓存...');
+  
+  const cacheConfig = {
+    ...testWebpackConfig,
+    cache: {
+      type: 'filesystem',
+      cacheDirectory: path.join(__dirname, 'dist/.cache')
+    }
+  };
+  
+  const firstStats = await createWebpack(cacheConfig).run();
+  const secondStats = await createWebpack(cacheConfig).run();
+  
+  console.log('✅ 缓存命中:', {
+    first: firstStats.cache,
+    second: secondStats.cache,
+    sameHash: firstStats.hash === secondStats.hash,
+    summary: secondStats.toString().split('\n').find(line => line.startsWith('Cache:'))
+  });
+  
+  // 修改源码后只有该模块失效
+  const mathPath = path.join(__dirname, 'fixtures/math.js');
+  const mathSource = fs.readFileSync(mathPath, 'utf-8');
+  fs.appendFileSync(mathPath, '\nexport const TAU = 6.28318;\n');
+  const changedStats = await createWebpack(cacheConfig).run();
+  fs.writeFileSync(mathPath, mathSource);
+  
+  // 修改 loader 配置后所有模块失效
+  const loaderStats = await createWebpack({
+    ...cacheConfig,
+    module: { rules: [{ test: /\.js$/, use: [(source) => source] }] }
+  }).run();
+  
+  // DefinePlugin 的替换结果写入缓存，定义变化时模块缓存失效
+  fs.writeFileSync(path.join(__dirname, 'fixtures/cache-define.js'), 'console.log(__V__);\n');
+  const buildDefine = (value) => createWebpack({
+    ...cacheConfig,
+    entry: path.join(__dirname, 'fixtures/cache-define.js'),
+    output: { path: path.join(__dirname, 'dist/cache-define'), filename: 'define.js' },
+    devtool: false,
+    plugins: [new DefinePlugin({ __V__: JSON.stringify(value) })]
+  }).run();
+  await buildDefine('one');
+  const defineStats = await buildDefine('two');
+  
+  // 打包器自身的任何源码（loader 运行器、解析器、插件等）都是构建依赖
+  const srcDir = path.join(__dirname, '../src');
+  const buildDependencies = createWebpack(cacheConfig).compiler.cache.buildDependencies;
+  
+  console.log('✅ 缓存失效:', {
+    sourceChanged: changedStats.cache,
+    loaderChanged: loaderStats.cache,
+    defineChanged: defineStats.cache,
+    defineValue: defineStats.assets.get('define.js').source().includes('console.log("two")'),
+    buildDependencies: ['loader.js', 'resolver.js', 'chunk.js', 'template.js', 'loaders/babel-loader.js', 'plugins/index.js']
+      .every(file => buildDependencies.includes(path.join(srcDir, file)))
+  });
+}
+
+// 测试多线程构建
+async function testParallelism() {
+  console.log('\n🧪 测试多线程构建...');
+  
+  const serialStats = await createWebpack(testWebpackConfig).run();
+  const serialContent = serialStats.assets.get('bundle.js').source();
+  
+  // 记录主线程上触发的模块钩子
+  const webpack = createWebpack({ ...testWebpackConfig, parallelism: 2 });
+  const createCompilation = webpack.compiler.createCompilation.bind(webpack.compiler);
+  const hookCalls = { buildModule: 0, succeedModule: 0 };
+  webpack.compiler.createCompilation = () => {
+    const compilation = createCompilation();
+    compilation.hooks.buildModule.tap('TestPlugin', () => hookCalls.buildModule++);
+    compilation.hooks.succeedModule.tap('TestPlugin', () => hookCalls.succeedModule++);
+    return compilation;
+  };
+  
+  const parallelStats = await webpack.run();
+  const parallelContent = parallelStats.assets.get('bundle.js').source();
+  
+  // 函数形式的 loader 无法传给构建线程，回退到主线程构建
+  const fallbackStats = await createWebpack({
+    ...testWebpackConfig,
+    parallelism: 2,
+    module: { rules: [{ test: /\.js$/, use: [(source) => source] }] }
+  }).run();
+  
+  console.log('✅ 多线程构建结果:', {
+    sameHash: serialStats.hash === parallelStats.hash,
+    sameContent: serialContent === parallelContent,
+    sameModuleOrder: Array.from(serialStats.modules).map(m => m.path).join() === Array.from(parallelStats.modules).map(m => m.path).join(),
+    hookCalls,
+    poolClosed: webpack.compiler.workerPool === null,
+    fallbackWarning: fallbackStats.warnings.some(warning => warning.includes('主线程'))
+  });
+}
+
+// 测试 loader 运行器
+async function testLoaders() {
+  console.log('\n🧪 测试 loader 运行器...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.mkdirSync(path.join(fixturesDir, 'loaders'), { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir, 'loaders/upper-loader.js'), `
+const path = require('path');
+module.exports = function (source) {
+  const callback = this.async();
+  const options = this.getOptions({ type: 'object', properties: { suffix: { type: 'string' } }, additionalProperties: false });
+  this.addDependency(path.join(this.context, 'extra.txt'));
+  setTimeout(() => callback(null, 'module.exports = ' + JSON.stringify(source.toUpperCase() + (options.suffix || '')) + ';'), 10);
+};
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'loaders-entry.js'), `
+import './style.css';
+import logo from './logo.png';
+const text = require('./text.txt');
+const plain = require('!!./loaders/upper-loader!./text.txt');
+console.log(logo, text, plain);
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'text.txt'), 'hello');
+  fs.writeFileSync(path.join(fixturesDir, 'extra.txt'), 'extra');
+  fs.writeFileSync(path.join(fixturesDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]));
+  
+  const createLoaderWebpack = (suffix) => createWebpack({
+    ...testWebpackConfig,
+    entry: path.join(fixturesDir, 'loaders-entry.js'),
+    output: { path: path.join(__dirname, 'dist'), filename: 'loaders.js' },
+    resolveLoader: { modules: ['node_modules', path.join(fixturesDir, 'loaders')] },
+    module: {
+      rules: [
+        { test: /\.css$/, use: ['style', 'css'] },
+        { test: /\.png$/, use: [{ loader: 'file', options: { name: 'images/[name].[hash:8].[ext]' } }] },
+        { test: /\.txt$/, use: [{ loader: 'upper', options: { suffix } }] }
+      ]
+    }
+  });
+  
+  const stats = await createLoaderWebpack('!').run();
+  const content = stats.assets.get('loaders.js').source();
+  const textModule = Array.from(stats.modules).find(module => module.identifier.endsWith('text.txt'));
+  const imageFile = Array.from(stats.assets.keys()).find(name => name.startsWith('images/'));
+  
+  console.log('✅ loader 链:', {
+    pitch: content.includes("document.createElement('style')") && Array.from(stats.modules).some(module => module.identifier.startsWith('!!')),
+    asyncOptions: content.includes('"HELLO!"'),
+    inlineNoConfig: content.includes('"HELLO"'),
+    rawImage: imageFile,
+    rawContent: fs.readFileSync(path.join(__dirname, 'dist', imageFile)).equals(fs.readFileSync(path.join(fixturesDir, 'logo.png'))),
+    addDependency: textModule.fileDependencies.has(path.join(fixturesDir, 'extra.txt'))
+  });
+  
+  let error = null;
+  try {
+    await createLoaderWebpack(1).run();
+  } catch (e) {
+    error = e;
+  }
+  
+  console.log('✅ loader 选项校验:', {
+    message: error ? error.message.split('\n').slice(-1)[0] : null
+  });
+  
+  // 内置 babel-loader 保留 ES 模块语法，import() 仍然拆分出异步代码块
+  fs.writeFileSync(path.join(fixturesDir, 'babel-entry.js'), `
+import { add } from './math.js';
+const double = (value) => add(value, value);
+import('./dynamic.js').then(module => console.log(double(2), module.default));
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'babel-broken.js'), 'const = ;\n');
+  
+  const createBabelWebpack = (entry) => createWebpack({
+    ...testWebpackConfig,
+    entry: path.join(fixturesDir, entry),
+    output: { path: path.join(__dirname, 'dist', 'babel'), filename: 'babel.js' },
+    module: { rules: [{ test: /\.js$/, use: 'babel' }] }
+  });
+  
+  const babelStats = await createBabelWebpack('babel-entry.js').run();
+  const babelContent = babelStats.assets.get('babel.js').source();
+  const mathModule = Array.from(babelStats.modules).find(module => module.path.endsWith('math.js'));
+  
+  let babelError = null;
+  try {
+    await createBabelWebpack('babel-broken.js').run();
+  } catch (e) {
+    babelError = e;
+  }
+  
+  console.log('✅ babel-loader:', {
+    asyncChunk: Array.from(babelStats.assets.keys()).filter(name => name.endsWith('.js') && name !== 'babel.js').length === 1,
+    chunkLoading: babelContent.includes('__webpack_require__.e('),
+    noInteropRequire: !babelContent.includes('_interopRequireWildcard'),
+    esModule: mathModule.esModule,
+    arrowTransformed: !babelContent.includes('(value) =>') && !babelContent.includes('value =>'),
+    error: babelError ? babelError.message.includes('Babel 转换失败') : false
+  });
+}
+
+// 测试资源模块
+async function testAssetModules() {
+  console.log('\n🧪 测试资源模块...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'assets-entry.js'), `
+import small from './small.png';
+import large from './large.png';
+import note from './note.txt';
+const icon = require('./icon.svg');
+console.log(small, large, note, icon);
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'small.png'), Buffer.alloc(100, 1));
+  fs.writeFileSync(path.join(fixturesDir, 'large.png'), Buffer.alloc(10000, 2));
+  fs.writeFileSync(path.join(fixturesDir, 'note.txt'), 'hello asset');
+  fs.writeFileSync(path.join(fixturesDir, 'icon.svg'), '<svg/>');
+  
+  const stats = await createWebpack({
+    ...testWebpackConfig,
+    entry: path.join(fixturesDir, 'assets-entry.js'),
+    output: { path: path.join(__dirname, 'dist'), filename: 'assets.js', publicPath: '/static/' },
+    module: {
+      rules: [
+        { test: /\.png$/, type: 'asset', parser: { dataUrlCondition: { maxSize: 4096 } } },
+        { test: /\.txt$/, type: 'asset/source' },
+        { test: /\.svg$/, type: 'asset/inline' }
+      ]
+    }
+  }).run();
+  
+  // 在沙箱中执行输出的代码，收集各资源模块的导出值
+  let exported = [];
+  new Function('console', stats.assets.get('assets.js').source())({ log: (...values) => { exported = values; } });
+  const [small, large, note, icon] = exported;
+  const largeFile = Array.from(stats.assets.keys()).find(name => name.startsWith('large.'));
+  
+  console.log('✅ 资源模块:', {
+    inline: small.startsWith('data:image/png;base64,'),
+    resource: large,
+    emitted: /^large\.[0-9a-f]{8}\.png$/.test(largeFile) && stats.assets.get(largeFile).size === 10000,
+    source: note,
+    svg: icon
+  });
+}
+
+// 测试 CSS：@import、url()、CSS Modules 和 CSS 提取
+async function testCss() {
+  console.log('\n🧪 测试 CSS...');
+
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'css-entry.js'), `
+import './css-main.css';
+import styles from './css-card.module.css';
+console.log(styles.card, styles.fadeIn);
+export const loadLazy = () => import('./css-lazy.js');
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'css-main.css'), `
+@import './css-base.css';
+@import url(css-print.css) print;
+.header { background: url(./css-bg.png); }
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'css-base.css'), 'body { margin: 0; }\n');
+  fs.writeFileSync(path.join(fixturesDir, 'css-print.css'), '.header { color: black; }\n');
+  fs.writeFileSync(path.join(fixturesDir, 'css-bg.png'), Buffer.alloc(10000, 3));
+  fs.writeFileSync(path.join(fixturesDir, 'css-card.module.css'), `
+.card { animation: fadeIn 1s; }
+:global(.dark) .card { color: white; }
+@keyframes fadeIn { from { opacity: 0; } }
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'css-lazy.js'), `import './css-lazy.css';\n`);
+  fs.writeFileSync(path.join(fixturesDir, 'css-lazy.css'), '.lazy { color: blue; }\n');
+
+  const config = {
+    ...testWebpackConfig,
+    entry: path.join(fixturesDir, 'css-entry.js'),
+    output: { path: path.join(__dirname, 'dist'), filename: 'css.js', publicPath: '/static/' }
+  };
+
+  // 在沙箱中执行输出的代码，收集插入的 <style> 和模块导出值
+  const execute = (source) => {
+    const styles = [];
+    const document = {
+      head: { appendChild: (element) => element.tagName === 'style' && styles.push(element.textContent) },
+      createElement: (tagName) => ({ tagName, setAttribute() {} })
+    };
+    let exported = [];
+    new Function('document', 'self', 'console', source)(document, {}, { log: (...values) => { exported = values; } });
+    return { styles, exported };
+  };
+
+  const injected = execute((await createWebpack(config).run()).assets.get('css.js').source());
+
+  const webpack = createWebpack(config);
+  new MiniCssExtractPlugin().apply(webpack.compiler);
+  const stats = await webpack.run();
+  const css = stats.assets.get('main.css').source();
+  const mainChunk = stats.compilation.chunks.find(chunk => chunk.isEntry());
+  const asyncChunk = stats.compilation.chunks.find(chunk => !chunk.isEntry());
+  const extracted = execute(stats.assets.get('css.js').source());
+  const [card, fadeIn] = extracted.exported;
+
+  console.log('✅ CSS:', {
+    injectedStyles: injected.styles.length,
+    scoped: /^css-card-module__card--[0-9a-f]{5}$/.test(card) && injected.exported[0] === card,
+    extractedFiles: mainChunk.files.filter(file => file.endsWith('.css')).concat(asyncChunk.files.filter(file => file.endsWith('.css'))),
+    importOrder: css.indexOf('margin: 0') < css.indexOf('.header {'),
+    media: css.includes('@media print {'),
+    url: /url\("\/static\/css-bg\.[0-9a-f]{8}\.png"\)/.test(css),
+    globalClass: css.includes(`.dark .${card}`),
+    keyframes: css.includes(`@keyframes ${fadeIn}`) && css.includes(`animation: ${fadeIn} 1s`),
+    noStyleTags: extracted.styles.length === 0,
+    cssRuntime: stats.assets.get('css.js').source().includes('__webpack_require__.miniCssF')
+  });
+}
+
+// 测试监听模式
+async function testFilenameTemplates() {
+  console.log('\n🧪 测试文件名模板...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'names-entry.js'), `
+import logo from './large.png?v=2';
+export const load = () => import('./names-lazy.js');
+console.log(logo);
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'names-lazy.js'), 'export default "lazy";');
+  
+  const build = (output) => createWebpack({
+    ...testWebpackConfig,
+    entry: path.join(fixturesDir, 'names-entry.js'),
+    output: {
+      path: path.join(__dirname, 'dist'),
+      chunkFilename: 'chunks/[id].[chunkhash:8].js',
+      sourceMapFilename: 'maps/[file].[contenthash:6].map',
+      assetModuleFilename: 'assets/[name].[contenthash:6][ext][query]',
+      ...output
+    },
+    module: { rules: [{ test: /\.png$/, type: 'asset/resource' }] }
+  }).run();
+  
+  const stats = await build({ filename: '[name].[contenthash:8].js' });
+  const names = Array.from(stats.assets.keys());
+  const mainFile = names.find(name => /^main\.[0-9a-f]{8}\.js$/.test(name));
+  const chunkFile = names.find(name => /^chunks\/[\w-]+\.[0-9a-f]{8}\.js$/.test(name));
+  const assetFile = names.find(name => name.startsWith('assets/'));
+  
+  // 只修改入口文件，异步 chunk 的文件名应保持不变
+  fs.appendFileSync(path.join(fixturesDir, 'names-entry.js'), 'console.log("changed");\n');
+  const changed = await build({ filename: '[name].[contenthash:8].js' });
+  const changedNames = Array.from(changed.assets.keys());
+  
+  const fnStats = await build({ filename: (pathData) => `fn-${pathData.chunk.name}.js` });
+  
+  // 相同的源码在 development 和 production 模式下生成的代码不同，[fullhash] 也应不同
+  const buildMode = async (mode) => {
+    const modeStats = await createWebpack({
+      ...testWebpackConfig,
+      mode,
+      entry: path.join(fixturesDir, 'names-lazy.js'),
+      output: { path: path.join(__dirname, 'dist', 'fullhash'), filename: '[fullhash].js' }
+    }).run();
+    return Array.from(modeStats.assets.keys()).find(name => name.endsWith('.js'));
+  };
+  const developmentFile = await buildMode('development');
+  const productionFile = await buildMode('production');
+  
+  console.log('✅ 文件名模板:', {
+    contenthash: Boolean(mainFile),
+    chunkhash: Boolean(chunkFile),
+    sourceMap: names.some(name => /^maps\/main\.[0-9a-f]{8}\.js\.[0-9a-f]{6}\.map$/.test(name)),
+    asset: assetFile,
+    assetOnDisk: fs.existsSync(path.join(__dirname, 'dist', assetFile.replace(/\?.*$/, ''))),
+    stableChunk: changedNames.includes(chunkFile),
+    entryChanged: !changedNames.includes(mainFile),
+    functionFilename: fnStats.assets.has('fn-main.js'),
+    fullhashByMode: developmentFile !== productionFile
+  });
+}
+
+async function testIds() {
+  console.log('\n🧪 测试模块和代码块ID...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const write = (name, content) => fs.writeFileSync(path.join(fixturesDir, name), content);
+  write('ids-a.js', `
+import { shared } from './ids-shared.js';
+export const load = () => import('./ids-lazy.js');
+console.log(shared);
+`);
+  write('ids-b.js', `import { shared } from './ids-shared.js';\nimport { only } from './ids-only.js';\nconsole.log(shared, only);\n`);
+  write('ids-lazy.js', `import { shared } from './ids-shared.js';\nexport default shared;\n`);
+  write('ids-shared.js', 'export const shared = "shared";\n');
+  write('ids-only.js', 'export const only = "only";\n');
+  
+  const build = async (optimization) => {
+    const stats = await createWebpack({
+      ...testWebpackConfig,
+      entry: { a: path.join(fixturesDir, 'ids-a.js'), b: path.join(fixturesDir, 'ids-b.js') },
+      output: { path: path.join(__dirname, 'dist'), filename: '[name].js', chunkFilename: '[id].js' },
+      optimization
+    }).run();
+    const modules = Array.from(stats.modules).filter(module => module.id !== null);
+    return {
+      stats,
+      moduleIds: new Map(modules.map(module => [path.basename(module.path), module.id])),
+      chunkIds: new Map(stats.chunks.map(chunk => [chunk.name || 'lazy', chunk.id]))
+    };
+  };
+  
+  const natural = await build({ moduleIds: 'natural', chunkIds: 'natural' });
+  const named = await build({});
+  const deterministic = await build({ moduleIds: 'deterministic', chunkIds: 'deterministic' });
+  const size = await build({ moduleIds: 'size', chunkIds: 'size' });
+  
+  // 在沙箱中执行 named 输出，验证字符串ID的模块映射
+  let logged = [];
+  new Function('console', named.stats.assets.get('b.js').source())({ log: (...values) => { logged = values; } });
+  
+  // 入口新增一个依赖后，deterministic 下已有模块和代码块的ID不变
+  write('ids-a.js', `import './ids-only.js';\n` + fs.readFileSync(path.join(fixturesDir, 'ids-a.js'), 'utf-8'));
+  const changed = await build({ moduleIds: 'deterministic', chunkIds: 'deterministic' });
+  
+  const naturalIds = Array.from(natural.moduleIds.values());
+  const deterministicIds = Array.from(deterministic.moduleIds.values()).concat(Array.from(deterministic.chunkIds.values()));
+  
+  console.log('✅ 模块和代码块ID:', {
+    naturalUnique: new Set(naturalIds).size === naturalIds.length,
+    namedModule: named.moduleIds.get('ids-shared.js'),
+    namedChunks: Array.from(named.chunkIds.values()),
+    namedRuns: logged.join(','),
+    deterministicShort: deterministicIds.every(id => Number.isInteger(id) && id < 1000),
+    deterministicStable: Array.from(deterministic.moduleIds).every(([name, id]) => changed.moduleIds.get(name) === id) &&
+      Array.from(deterministic.chunkIds).every(([name, id]) => changed.chunkIds.get(name) === id),
+    sizeMostUsed: size.moduleIds.get('ids-shared.js') === 0
+  });
+}
+
+async function testLibrary() {
+  console.log('\n🧪 测试 library 输出...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'library-entry.js'), `
+export * from './math.js';
+export const version = '1.0.0';
+export default function hello() { return 'hello'; }
+`);
+  
+  const build = async (library, output = {}) => {
+    const stats = await createWebpack({
+      ...testWebpackConfig,
+      entry: path.join(fixturesDir, 'library-entry.js'),
+      output: { path: path.join(__dirname, 'dist'), filename: 'library.js', library, ...output },
+      devtool: false
+    }).run();
+    return stats.assets.get('library.js').source();
+  };
+  
+  const varScope = {};
+  new Function('self', `${await build('MyLib')}\nself.MyLib = MyLib;`)(varScope);
+  
+  const commonjs2 = { exports: {} };
+  new Function('module', 'exports', await build({ type: 'commonjs2', export: 'default' }))(commonjs2, commonjs2.exports);
+  
+  const umdSource = await build({ name: 'MyLib', type: 'umd', umdNamedDefine: true }, { globalObject: 'this' });
+  let amdName = null;
+  let amdExports = null;
+  const define = (name, deps, factory) => { amdName = name; amdExports = factory(); };
+  define.amd = {};
+  new Function('define', umdSource)(define);
+  const umdRoot = {};
+  new Function(umdSource).call(umdRoot);
+  
+  // ES 模块输出写入 .mjs 后动态导入
+  const modulePath = path.join(__dirname, 'dist', 'library.mjs');
+  fs.writeFileSync(modulePath, await build({ type: 'module' }));
+  const esm = await import(`${require('url').pathToFileURL(modulePath).href}?t=${Date.now()}`);
+  
+  console.log('✅ library 输出:', {
+    var: typeof varScope.MyLib.add === 'function' && varScope.MyLib.version,
+    commonjs2: commonjs2.exports(),
+    umdAmd: amdName === 'MyLib' && amdExports.version,
+    umdRoot: umdRoot.MyLib.default(),
+    moduleExports: Object.keys(esm).sort(),
+    moduleStarExport: esm.add(1, 2)
+  });
+}
+
+async function testNodeTarget() {
+  console.log('\n🧪 测试 node target...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'node-entry.js'), `
+import { readFileSync } from 'fs';
+import { join } from 'node:path';
+export const info = { dirname: __dirname, readFile: typeof readFileSync, joined: join('a', 'b') };
+export const loadLazy = () => import('./node-lazy.js');
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'node-lazy.js'), 'export default "lazy " + typeof require("os").platform;');
+  
+  const build = async (target, node) => {
+    const outputPath = path.join(__dirname, 'dist', target);
+    const stats = await createWebpack({
+      ...testWebpackConfig,
+      target,
+      node,
+      entry: path.join(fixturesDir, 'node-entry.js'),
+      output: { path: outputPath, filename: 'js/[name].js', chunkFilename: 'chunks/[id].js', library: { type: 'commonjs2' } },
+      devtool: false
+    }).run();
+    const bundlePath = path.join(outputPath, 'js/main.js');
+    delete require.cache[bundlePath];
+    return { stats, exports: require(bundlePath) };
+  };
+  
+  const node = await build('node');
+  const asyncNode = await build('async-node', { __dirname: true });
+  const externals = Array.from(node.stats.modules).filter(module => module.external).map(module => module.external.request);
+  
+  console.log('✅ node target:', {
+    externals,
+    dirname: node.exports.info.dirname === path.join(__dirname, 'dist', 'node', 'js'),
+    builtins: node.exports.info.readFile === 'function' && node.exports.info.joined === 'a/b',
+    requireChunk: await node.exports.loadLazy().then(module => module.default),
+    asyncNodeChunk: await asyncNode.exports.loadLazy().then(module => module.default),
+    dirnameOption: asyncNode.exports.info.dirname
+  });
+}
+
+async function testExternals() {
+  console.log('\n🧪 测试 externals...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'externals-entry.js'), `
+const React = require('react');
+const map = require('lodash/map');
+const button = require('ui/button');
+const jq = require('jquery');
+module.exports = { React, map, button, jq, os: require('os-lib') };
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'externals-esm.js'), `
+import { join } from 'path-lib';
+export const joined = join('a', 'b');
+`);
+  
+  const build = async (name, options) => {
+    const outputPath = path.join(__dirname, 'dist', name);
+    const stats = await createWebpack({
+      ...testWebpackConfig,
+      devtool: false,
+      ...options,
+      output: { path: outputPath, filename: '[name].js', ...options.output }
+    }).run();
+    return { stats, outputPath };
+  };
+  
+  // var、commonjs 前缀、数组、正则、函数和 import 类型
+  const cjs = await build('externals', {
+    entry: path.join(fixturesDir, 'externals-entry.js'),
+    output: { library: { name: 'Lib', type: 'var' } },
+    externals: [
+      { react: 'React', 'lodash/map': ['commonjs lodash', 'map'] },
+      /^ui\//,
+      ({ request }, callback) => request === 'jquery' ? callback(null, ['$', 'fn']) : request === 'os-lib' ? callback(null, 'import os') : callback()
+    ]
+  });
+  const Lib = new Function('React', '$', 'ui', 'button', 'require', `${fs.readFileSync(path.join(cjs.outputPath, 'main.js'), 'utf-8')}\nreturn Lib;`)(
+    { version: '18' },
+    { fn: 'jquery fn' },
+    10,
+    2,
+    (request) => request === 'lodash' ? { map: 'lodash map' } : require(request)
+  );
+  
+  // module 类型：入口文件顶部静态导入
+  const esm = await build('externals-module', {
+    entry: path.join(fixturesDir, 'externals-esm.js'),
+    output: { filename: '[name].mjs', library: { type: 'module' } },
+    externalsType: 'module',
+    externals: { 'path-lib': 'node:path' }
+  });
+  const esmExports = await import(path.join(esm.outputPath, 'main.mjs'));
+  
+  console.log('✅ externals:', {
+    externals: cjs.stats.toJson().modules.filter(module => module.external).map(module => module.external),
+    var: Lib.React.version === '18',
+    commonjs: Lib.map === 'lodash map',
+    regexp: Lib.button === 5,
+    function: Lib.jq === 'jquery fn',
+    import: typeof (await Lib.os).platform === 'function',
+    module: esmExports.joined === 'a/b'
+  });
+}
+
+async function testRequireContext() {
+  console.log('\n🧪 测试 require.context...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const localeDir = path.join(fixturesDir, 'context-locale');
+  fs.mkdirSync(path.join(localeDir, 'extra'), { recursive: true });
+  fs.writeFileSync(path.join(localeDir, 'en.js'), 'module.exports = "hello";');
+  fs.writeFileSync(path.join(localeDir, 'zh.js'), 'export default "你好";');
+  fs.writeFileSync(path.join(localeDir, 'extra', 'fr.js'), 'module.exports = "bonjour";');
+  fs.mkdirSync(path.join(fixturesDir, 'context-pages'), { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir, 'context-pages', 'home.js'), 'export default "home";');
+  fs.writeFileSync(path.join(fixturesDir, 'context-pages', 'about.js'), 'export default "about";');
+  fs.writeFileSync(path.join(fixturesDir, 'context-entry.js'), `
+const context = require.context('./context-locale', false, /\\.js$/);
+export const keys = context.keys();
+export const en = context('./en.js');
+export const fr = require('./context-locale/extra/' + 'fr' + '.js');
+export const zh = (lang) => require(\`./context-locale/\${lang}.js\`).default;
+export const lazy = (page) => import(\`./context-pages/\${page}.js\`);
+export const eager = (lang) => import(/* webpackMode: "eager" */ \`./context-locale/extra/\${lang}.js\`);
+export const critical = (request) => require(request);
+export const criticalImport = (request) => import(request);
+`);
+  
+  const outputPath = path.join(__dirname, 'dist', 'context');
+  const stats = await createWebpack({
+    ...testWebpackConfig,
+    target: 'node',
+    entry: path.join(fixturesDir, 'context-entry.js'),
+    output: { path: outputPath, filename: '[name].js', chunkFilename: 'chunks/[name].js', library: { type: 'commonjs2' } },
+    devtool: false
+  }).run();
+  const bundlePath = path.join(outputPath, 'main.js');
+  delete require.cache[bundlePath];
+  const exports = require(bundlePath);
+  
+  console.log('✅ require.context:', {
+    keys: exports.keys,
+    en: exports.en,
+    concat: exports.fr,
+    template: exports.zh('zh'),
+    lazy: (await exports.lazy('home')).default,
+    lazyChunks: Array.from(stats.assets.keys()).filter(name => name.startsWith('chunks/')),
+    eager: await exports.eager('fr'),
+    missing: await exports.lazy('contact').catch(error => error.code),
+    critical: (() => {
+      try {
+        return exports.critical('./context-locale/en.js');
+      } catch (error) {
+        return `${error.code}: ${error.message}`;
+      }
+    })(),
+    criticalImport: await exports.criticalImport('./context-locale/en.js').catch(error => error.code),
+    contextModules: Array.from(stats.modules).filter(module => module.contextOptions).map(module => module.id),
+    warnings: stats.warnings.filter(warning => warning.includes('Critical dependency')).length
+  });
+}
+
+async function testMultiCompiler() {
+  console.log('\n🧪 测试多配置构建...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'multi-server.js'), `
+const { add } = require('./math');
+module.exports = 'server ' + add(1, 2);
+`);
+  const outputPath = path.join(__dirname, 'dist', 'multi');
+  const createConfigs = () => {
+    const configs = [
+      {
+        ...testWebpackConfig,
+        name: 'server',
+        target: 'node',
+        entry: path.join(fixturesDir, 'multi-server.js'),
+        dependencies: ['client'],
+        output: { path: path.join(outputPath, 'server'), filename: 'server.js', library: { type: 'commonjs2' } }
+      },
+      {
+        ...testWebpackConfig,
+        name: 'client',
+        output: { path: path.join(outputPath, 'client'), filename: 'client.js' }
+      }
+    ];
+    configs.parallelism = 1;
+    return configs;
+  };
+  
+  // 按 dependencies 顺序构建，统计信息按配置顺序合并
+  const webpack = createWebpack(createConfigs);
+  const order = [];
+  webpack.compiler.hooks.run.tapPromise('Test', async (compiler) => order.push(compiler.name));
+  const stats = await webpack.run();
+  const bundlePath = path.join(outputPath, 'server', 'server.js');
+  delete require.cache[bundlePath];
+  
+  let circularError = null;
+  try {
+    createWebpack([{ ...testWebpackConfig, name: 'a', dependencies: ['b'] }, { ...testWebpackConfig, name: 'b', dependencies: ['a'] }]);
+  } catch (error) {
+    circularError = error.message.split('\n')[1];
+  }
+  
+  // 共用一个监听会话，手动失效后按依赖顺序重新构建
+  const watchWebpack = createWebpack(createConfigs());
+  const watchOrder = [];
+  watchWebpack.compiler.hooks.watchRun.tapPromise('Test', async (compiler) => watchOrder.push(compiler.name));
+  let builds = 0;
+  await new Promise((resolve) => {
+    const watching = watchWebpack.compiler.watch({ aggregateTimeout: 50 }, (error) => {
+      builds++;
+      if (error || builds > 1) {
+        watching.close(resolve);
+      } else {
+        watching.invalidate();
+      }
+    });
+    
+    setTimeout(() => watching.close(resolve), 5000).unref();
+  });
+  
+  console.log('✅ 多配置构建:', {
+    compiler: webpack.compiler.constructor.name,
+    order,
+    children: stats.toJson().children.map(child => child.name),
+    assets: Array.from(stats.assets.keys()).filter(name => name.endsWith('.js')),
+    server: require(bundlePath),
+    circularError,
+    builds,
+    watchOrder
+  });
+}
+
+async function testHooks() {
+  console.log('\n🧪 测试钩子...');
+  
+  // stage、before 决定执行顺序，拦截器可以观察每次触发和每个监听器
+  const order = [];
+  const events = [];
+  const hook = new SyncHook(['value']);
+  hook.tap('A', () => order.push('A'));
+  hook.tap({ name: 'B', stage: -10 }, () => order.push('B'));
+  hook.tap({ name: 'C', before: 'A' }, () => order.push('C'));
+  hook.tap({ name: 'D', stage: 10 }, () => order.push('D'));
+  hook.intercept({
+    call: (value) => events.push(`call:${value}`),
+    tap: (tap) => events.push(`tap:${tap.name}`),
+    done: () => events.push('done')
+  });
+  hook.call(1);
+  
+  const waterfall = new AsyncSeriesWaterfallHook(['value']);
+  waterfall.tapPromise('add', async (value) => value + 1);
+  waterfall.tapAsync('multiply', (value, callback) => callback(null, value * 10));
+  waterfall.tap('keep', () => undefined);
+  
+  const bail = new AsyncSeriesBailHook([]);
+  bail.tap('skip', () => undefined);
+  bail.tapPromise('bail', async () => 'bailed');
+  bail.tap('never', () => { throw new Error('不应执行'); });
+  
+  // 并行执行，按注册顺序取第一个结果
+  const parallelBail = new AsyncParallelBailHook([]);
+  parallelBail.tapAsync('slow', (callback) => setTimeout(() => callback(null, 'slow'), 20));
+  parallelBail.tapPromise('fast', async () => 'fast');
+  
+  let rounds = 0;
+  const loop = new SyncLoopHook([]);
+  loop.tap('retry', () => (++rounds < 3 ? true : undefined));
+  loop.call();
+  
+  const hookMap = new HookMap(() => new SyncHook(['module']));
+  const multiHook = new MultiHook([hookMap.for('javascript'), hookMap.for('css')]);
+  const types = [];
+  multiHook.tap('Test', (type) => types.push(type));
+  hookMap.get('javascript').call('js');
+  hookMap.get('css').call('css');
+  
+  // ProfilingPlugin 通过拦截器记录插件耗时
+  const profilePath = path.join(__dirname, 'dist', 'profile.json');
+  const webpack = createWebpack({ ...testWebpackConfig, plugins: [new ProfilingPlugin({ outputPath: profilePath })] });
+  webpack.compiler.hooks.emit.tapPromise('SlowPlugin', () => new Promise(resolve => setTimeout(resolve, 10)));
+  await webpack.run();
+  const slowTiming = JSON.parse(fs.readFileSync(profilePath, 'utf-8')).find(timing => timing.name === 'SlowPlugin');
+  
+  console.log('✅ 钩子:', {
+    order,
+    events,
+    waterfall: await waterfall.promise(1),
+    bail: await bail.promise(),
+    parallelBail: await parallelBail.promise(),
+    loopRounds: rounds,
+    multiHook: types,
+    profiling: { hook: slowTiming.hook, calls: slowTiming.calls, timed: slowTiming.duration >= 9 }
+  });
+}
+
+async function testCompilerHooks() {
+  console.log('\n🧪 测试编译器生命周期钩子...');
+  
+  const calls = [];
+  const emitted = [];
+  const trackPlugin = {
+    apply(compiler) {
+      Object.keys(compiler.hooks)
+        .filter(name => !['assetEmitted', 'infrastructureLog'].includes(name))
+        .forEach(name => compiler.hooks[name].tap('TrackPlugin', () => {
+          if (!calls.includes(name)) {
+            calls.push(name);
+          }
+        }));
+      compiler.hooks.assetEmitted.tap('TrackPlugin', (file, { targetPath }) => emitted.push(path.basename(targetPath)));
+      // 接管编译器日志，不再输出到控制台
+      compiler.hooks.infrastructureLog.tap('TrackPlugin', (origin) => origin === 'Compiler' || undefined);
+    }
+  };
+  
+  // ProgressPlugin、DefinePlugin 依赖 compilation 钩子
+  const webpack = createWebpack({
+    ...testWebpackConfig,
+    devtool: false,
+    plugins: [trackPlugin, new ProgressPlugin(), new DefinePlugin({ __VERSION__: '"1.0.0"' })]
+  });
+  
+  await new Promise((resolve) => {
+    const watching = webpack.compiler.watch({ aggregateTimeout: 50 }, () => watching.close(resolve));
+  });
+  await webpack.compiler.close();
+  
+  // DefinePlugin 替换 loader 输出中的变量，输出的代码可以直接执行
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'define-entry.js'), `
+console.log(__VERSION__, process.env.NODE_ENV, typeof __VERSION__);
+`);
+  const defineStats = await createWebpack({
+    ...testWebpackConfig,
+    entry: path.join(fixturesDir, 'define-entry.js'),
+    output: { path: path.join(__dirname, 'dist', 'define'), filename: 'define.js' },
+    module: { rules: [{ test: /define-entry\.js$/, use: 'babel' }] },
+    plugins: [new DefinePlugin({ __VERSION__: '"1.0.0"', 'process.env.NODE_ENV': JSON.stringify('production') })]
+  }).run();
+  const defineContent = defineStats.assets.get('define.js').source();
+  let defined = [];
+  new Function('console', defineContent)({ log: (...values) => { defined = values; } });
+  
+  // shouldEmit 返回 false 时不输出资源
+  const noEmitPath = path.join(__dirname, 'dist', 'no-emit');
+  await createWebpack({
+    ...testWebpackConfig,
+    output: { path: noEmitPath, filename: 'bundle.js' },
+    plugins: [{ apply: (compiler) => compiler.hooks.shouldEmit.tap('NoEmitPlugin', () => false) }]
+  }).run();
+  
+  console.log('✅ 编译器生命周期钩子:', {
+    calls,
+    emitted,
+    shouldEmit: fs.existsSync(noEmitPath),
+    defined,
+    replaced: !defineContent.includes('__VERSION__') && !defineContent.includes('process.env')
+  });
+}
+
+// 测试资源 API 和 processAssets 阶段
+async function testAssets() {
+  console.log('\n🧪 测试资源 API...');
+  
+  const stages = [];
+  const infos = {};
+  const assetPlugin = {
+    apply(compiler) {
+      compiler.hooks.thisCompilation.tap('AssetPlugin', (compilation) => {
+        ['REPORT', 'ADDITIONAL', 'DEV_TOOLING', 'OPTIMIZE'].forEach(stage => {
+          compilation.hooks.processAssets.tap({ name: `AssetPlugin${stage}`, stage: Compilation[`PROCESS_ASSETS_STAGE_${stage}`] }, () => stages.push(stage));
+        });
+        
+        compilation.hooks.processAssets.tap({ name: 'AssetPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL }, () => {
+          compilation.emitAsset('a.txt', new RawSource('a'), { sourceFilename: 'a.txt' });
+          compilation.emitAsset('b.txt', new RawSource('b'));
+          compilation.updateAsset('a.txt', source => new ConcatSource(source, '!'), { extra: true });
+          compilation.deleteAsset('b.txt');
+        });
+        
+        compilation.hooks.afterProcessAssets.tap('AssetPlugin', () => {
+          compilation.getAssets().forEach(asset => {
+            infos[asset.name] = asset.info;
+          });
+        });
+      });
+    }
+  };
+  
+  const outputPath = path.join(__dirname, 'dist', 'assets');
+  const webpack = createWebpack({
+    ...testWebpackConfig,
+    devtool: 'source-map',
+    output: { path: outputPath, filename: '[name].[contenthash:8].js' },
+    plugins: [assetPlugin, new HtmlPlugin(), new BannerPlugin('mini-webpack')]
+  });
+  const stats = await webpack.run();
+  
+  const bundleName = Array.from(stats.assets.keys()).find(name => name.startsWith('main.') && name.endsWith('.js'));
+  const bundleContent = fs.readFileSync(path.join(outputPath, bundleName), 'utf-8');
+  
+  console.log('✅ 资源 API:', {
+    stages,
+    updated: fs.readFileSync(path.join(outputPath, 'a.txt'), 'utf-8'),
+    info: infos['a.txt'],
+    deleted: !stats.assets.has('b.txt'),
+    immutable: infos[bundleName].immutable,
+    related: infos[bundleName].related,
+    html: fs.readFileSync(path.join(outputPath, 'index.html'), 'utf-8').includes(`<script src="${bundleName}"></script>`),
+    banner: bundleContent.startsWith('/*! mini-webpack */\n')
+  });
+  
+  const replaceSource = new ReplaceSource(new RawSource('const a = 1;'));
+  replaceSource.replace(0, 4, 'let');
+  replaceSource.insert(12, ' // a');
+  
+  console.log('✅ Source 类:', {
+    replace: replaceSource.source(),
+    prefix: new PrefixSource('  ', 'a\nb\n').source(),
+    concat: new ConcatSource('a', new RawSource('b'), 'c').source(),
+    size: new RawSource('中文').size()
+  });
+}
+
+// 测试生产模式压缩
+async function testMinimize() {
+  console.log('\n🧪 测试生产模式压缩...');
+  
+  const outputPath = path.join(__dirname, 'dist', 'minimize');
+  const config = {
+    ...testWebpackConfig,
+    mode: 'production',
+    devtool: 'source-map',
+    output: { path: outputPath, filename: 'bundle.js' }
+  };
+  
+  // BannerPlugin 在压缩之前添加许可证注释
+  const stats = await createWebpack({
+    ...config,
+    optimization: { minimizer: [new JsMinimizerPlugin({ parallel: 2 })] },
+    plugins: [new BannerPlugin('mini-webpack | MIT')]
+  }).run();
+  
+  const bundleContent = fs.readFileSync(path.join(outputPath, 'bundle.js'), 'utf-8');
+  const sourceMap = JSON.parse(fs.readFileSync(path.join(outputPath, 'bundle.js.map'), 'utf-8'));
+  
+  // 压缩后代码中的字符串映射回源码中的同一行
+  const lines = bundleContent.split('\n');
+  const line = lines.findIndex(text => text.includes('"Entry file loaded"'));
+  const column = lines[line].indexOf('"Entry file loaded"');
+  const segment = decodeMappings(sourceMap.mappings)[line].filter(item => item[0] <= column).pop();
+  const originalLine = sourceMap.sourcesContent[segment[1]].split('\n')[segment[2]];
+  
+  const jsAssets = stats.compilation.getAssets().filter(asset => asset.name.endsWith('.js'));
+  
+  console.log('✅ 压缩输出:', {
+    minimized: jsAssets.map(asset => [asset.name, asset.info.minimized]),
+    noIndentation: !/\n\s+/.test(bundleContent),
+    license: bundleContent.startsWith('/*! mini-webpack | MIT */'),
+    noComments: !bundleContent.includes('// webpackBootstrap'),
+    noPathComments: !/\/\*!? \.\//.test(bundleContent),
+    mappedLine: originalLine.trim(),
+    sourceMappingURL: bundleContent.endsWith('//# sourceMappingURL=bundle.js.map')
+  });
+  
+  // exclude 的资源不压缩，minimize: false 时不压缩
+  const excludeStats = await createWebpack({
+    ...config,
+    optimization: { minimizer: [new JsMinimizerPlugin({ exclude: 'bundle' })] }
+  }).run();
+  const disabledStats = await createWebpack({ ...config, optimization: { minimize: false } }).run();
+  
+  const { code } = minify([
+    '/** @license MIT */',
+    '// 普通注释',
+    'function run(longName) {',
+    '  var unused = 1;',
+    '  if (false) { dead(); }',
+    '  return longName * (2 + 3);',
+    '  after();',
+    '}'
+  ].join('\n'));
+  
+  // 直接调用的 eval 可以修改能访问到的变量，引用这些变量的表达式不能折叠；
+  // eval 所在作用域链中的变量不改名也不移除，其他函数照常压缩
+  const evalCode = minify([
+    'var topLevel = 1;',
+    'function update(code) { var evalLocal = 1; eval(code); }',
+    'function other() { var longName = 2; var unusedName = 3; return longName; }',
+    'other();',
+    'update("topLevel = \'changed\'");',
+    'function local() { var value = 1; return typeof value; }',
+    'console.log(typeof topLevel, local(), 2 * 3);'
+  ].join('\n')).code;
+  const evalLogs = [];
+  new Function('console', evalCode)({ log: (...args) => evalLogs.push(...args) });
+  
+  // 带标签的模板字符串保持原样
+  const taggedCode = minify('const tag = (strings, ...values) => strings.raw.join("|") + values.join(",");\nconsole.log(String.raw`a\\n${1 + 2}`, tag`x${"y"}z`);').code;
+  const taggedLogs = [];
+  new Function('console', taggedCode)({ log: (...args) => taggedLogs.push(...args) });
+  
+  console.log('✅ 压缩选项:', {
+    excluded: excludeStats.compilation.getAssets().filter(asset => asset.name.endsWith('.js')).map(asset => [asset.name, !!asset.info.minimized]),
+    disabled: !disabledStats.compilation.getAsset('bundle.js').info.minimized,
+    code,
+    evalScope: evalLogs,
+    evalBailout: {
+      kept: evalCode.includes('evalLocal') && evalCode.includes('code'),
+      mangled: !evalCode.includes('longName') && !evalCode.includes('unusedName')
+    },
+    tagged: taggedLogs
+  });
+}
+
+// 测试模块合并
+async function testConcatenateModules() {
+  console.log('\n🧪 测试模块合并...');
+  
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  fs.writeFileSync(path.join(fixturesDir, 'concat-entry.js'), `
+import { label as formatLabel, format, counter, increment } from './concat-format.js';
+import * as shapes from './concat-shapes.js';
+import legacy from './concat-legacy.js';
+import { evaluated } from './concat-eval.js';
+import { shared } from './concat-shared.js';
+const label = 'entry';
+increment();
+console.log(label, formatLabel, format(2), counter, shapes.area(2), Object.keys(shapes).sort().join(), legacy.name, evaluated, shared);
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'concat-format.js'), `
+const label = 'format';
+export let counter = 0;
+export function increment() { counter++; }
+export function format(value) { return label + ':' + value; }
+export { label };
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'concat-shapes.js'), `
+export const square = 'square';
+export function area(size) { return size * size; }
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'concat-legacy.js'), `
+const { helper } = require('./concat-helper.js');
+module.exports = { name: 'legacy-' + helper };
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'concat-helper.js'), "export const helper = 'helper';\n");
+  fs.writeFileSync(path.join(fixturesDir, 'concat-eval.js'), `
+import { shared } from './concat-shared.js';
+export const evaluated = eval('1 + 1') + shared.length;
+`);
+  fs.writeFileSync(path.join(fixturesDir, 'concat-shared.js'), "export const shared = 'shared';\n");
+  
+  const build = (optimization) => createWebpack({
+    ...testWebpackConfig,
+    mode: 'production',
+    entry: path.join(fixturesDir, 'concat-entry.js'),
+    output: { path: path.join(__dirname, 'dist', 'concat'), filename: 'concat.js' },
+    optimization: { minimize: false, ...optimization }
+  }).run();
+  
+  // 在沙箱中执行输出的代码，收集入口模块输出的值
+  const execute = (stats) => {
+    let logged = [];
+    new Function('console', stats.assets.get('concat.js').source())({ log: (...values) => { logged = values; } });
+    return logged;
+  };
+  const countWrappers = (stats) => (stats.assets.get('concat.js').source().match(/^\/\*\*\*\/ \(function/gm) || []).length;
+  
+  const stats = await build({});
+  const disabledStats = await build({ concatenateModules: false });
+  const source = stats.assets.get('concat.js').source();
+  const getModule = (name) => Array.from(stats.modules).find(module => module.path.endsWith(name));
+  
+  console.log('✅ 合并 ES 模块:', {
+    concatenated: getModule('concat-entry.js').toJson().concatenatedModules,
+    wrappers: countWrappers(stats),
+    disabledWrappers: countWrappers(disabledStats),
+    renamed: source.includes("const label_concat_entry = 'entry'") && source.includes("const label = 'format'"),
+    output: execute(stats),
+    sameAsDisabled: JSON.stringify(execute(stats)) === JSON.stringify(execute(disabledStats))
+  });
+  
+  console.log('✅ 不能合并的原因:', {
+    legacy: getModule('concat-legacy.js').optimizationBailout,
+    helper: getModule('concat-helper.js').optimizationBailout,
+    eval: getModule('concat-eval.js').optimizationBailout,
+    shared: getModule('concat-shared.js').optimizationBailout,
+    printed: stats.toString({ optimizationBailout: true }).includes('ModuleConcatenation bailout: 使用了 eval()')
+  });
+}
+
+async function testWatch() {
+  console.log('\n🧪 测试监听模式...');
+  
+  const webpack = createWebpack(testWebpackConfig);
+  const mathPath = path.join(__dirname, 'fixtures/math.js');
+  const hashes = [];
+  
+  await new Promise((resolve) => {
+    const watching = webpack.compiler.watch({ aggregateTimeout: 50 }, (error, stats) => {
+      hashes.push(error ? null : stats.hash);
+      
+      if (hashes.length === 1) {
+        // 修改依赖文件，触发增量重新构建
+        setTimeout(() => {
+          fs.appendFileSync(mathPath, '\nexport const E = 2.71828;\n');
+        }, 100);
+      } else {
+        watching.close(resolve);
+      }
+    });
+    
+    // 超时保护
+    setTimeout(() => watching.close(resolve), 5000).unref();
+  });
+  
+  console.log('✅ 监听模式重新构建:', {
+    builds: hashes.length,
+    hashChanged: hashes.length === 2 && hashes[0] !== hashes[1]
+  });
+  
+  // 依赖的文件不存在时构建失败，创建该文件后应自动重新构建
+  const missingEntry = path.join(__dirname, 'fixtures/watch-missing-entry.js');
+  const missingPath = path.join(__dirname, 'fixtures/watch-missing.js');
+  fs.writeFileSync(missingEntry, "import { value } from './watch-missing.js';\nconsole.log(value);\n");
+  
+  const missingWebpack = createWebpack({
+    ...testWebpackConfig,
+    entry: missingEntry,
+    output: { path: path.join(__dirname, 'dist/watch-missing'), filename: 'bundle.js' }
+  });
+  const results = [];
+  
+  await new Promise((resolve) => {
+    const watching = missingWebpack.compiler.watch({ aggregateTimeout: 50 }, (error) => {
+      results.push(error ? error.message : 'ok');
+      
+      if (results.length === 1) {
+        setTimeout(() => {
+          fs.writeFileSync(missingPath, 'export const value = 42;\n');
+        }, 100);
+      } else {
+        watching.close(resolve);
+      }
+    });
+    
+    setTimeout(() => watching.close(resolve), 5000).unref();
+  });
+  
+  console.log('✅ 监听缺失的依赖:', {
+    firstFailed: results.length > 0 && results[0].includes('无法解析模块'),
+    rebuilt: results[1] === 'ok'
+  });
+  
+  // 回调中抛出的异常不是构建失败：不触发 failed 钩子，也不会带着错误再回调一次，
+  // 而是作为未捕获的异常同步抛出（不是未处理的 Promise 拒绝）
+  const throwingWebpack = createWebpack(testWebpackConfig);
+  const handlerErrors = [];
+  let failedCalls = 0;
+  let rejections = 0;
+  throwingWebpack.compiler.hooks.failed.tap('TestWatch', () => failedCalls++);
+  
+  const onRejection = () => rejections++;
+  process.on('unhandledRejection', onRejection);
+  const thrown = await new Promise((resolve) => {
+    const onException = (error) => resolve(error);
+    process.once('uncaughtException', onException);
+    
+    const watching = throwingWebpack.compiler.watch({ aggregateTimeout: 50 }, (error) => {
+      handlerErrors.push(error);
+      watching.close();
+      throw new Error('回调异常');
+    });
+    
+    setTimeout(() => {
+      process.removeListener('uncaughtException', onException);
+      resolve(null);
+    }, 5000).unref();
+  });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  process.removeListener('unhandledRejection', onRejection);
+  
+  console.log('✅ 监听回调抛出异常:', {
+    thrown: thrown !== null && thrown.message === '回调异常',
+    unhandledRejections: rejections,
+    handlerCalls: handlerErrors.length,
+    succeeded: handlerErrors[0] === null,
+    failedHook: failedCalls
+  });
+}
+
+// 测试热更新文件生成
+async function testHotUpdate() {
+  console.log('\n🧪 测试热更新文件生成...');
+  
+  const webpack = createWebpack(testWebpackConfig);
+  new HotModuleReplacementPlugin().apply(webpack.compiler);
+  
+  const mathPath = path.join(__dirname, 'fixtures/math.js');
+  const builds = [];
+  
+  await new Promise((resolve) => {
+    const watching = webpack.compiler.watch({ aggregateTimeout: 50 }, (error, stats) => {
+      builds.push(stats ? Array.from(stats.assets.keys()) : []);
+      
+      if (builds.length === 1) {
+        setTimeout(() => {
+          fs.appendFileSync(mathPath, '\nexport const SQRT2 = 1.41421;\n');
+        }, 100);
+      } else {
+        watching.close(resolve);
+      }
+    });
+    
+    setTimeout(() => watching.close(resolve), 5000).unref();
+  });
+  
+  const updateAssets = builds[1] || [];
+  console.log('✅ 热更新文件生成:', {
+    hasRuntime: fs.readFileSync(path.join(testWebpackConfig.output.path, 'bundle.js'), 'utf-8').includes('hotCreateModule'),
+    hasManifest: updateAssets.some(name => name.endsWith('.hot-update.json')),
+    hasUpdateChunk: updateAssets.some(name => name.endsWith('.hot-update.js'))
+  });
+  
+  // 在 vm 中运行输出的代码，逐次应用热更新：依赖被父模块接受、更新冒泡到接受它的祖先模块、
+  // 被拒绝或无人接受的更新返回 false（客户端据此整页刷新）
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const hmrOutputPath = path.join(__dirname, 'dist', 'hmr');
+  const write = (name, content) => fs.writeFileSync(path.join(fixturesDir, name), content);
+  write('hmr-entry.js', `
+var value = require('./hmr-value.js');
+var parent = require('./hmr-parent.js');
+require('./hmr-declined.js');
+require('./hmr-unaccepted.js');
+self.hmrEvents.push('run:' + value + ':' + parent);
+module.hot.accept('./hmr-value.js', function() {
+  self.hmrEvents.push('accept:' + require('./hmr-value.js'));
+});
+module.hot.accept('./hmr-parent.js', function() {
+  self.hmrEvents.push('accept-parent:' + require('./hmr-parent.js'));
+});
+module.hot.decline('./hmr-declined.js');
+`);
+  const writeValue = (version) => write('hmr-value.js', `
+module.exports = 'value${version}';
+module.hot.dispose(function(data) {
+  self.hmrEvents.push('dispose:value${version}');
+});
+`);
+  writeValue(1);
+  write('hmr-parent.js', "module.exports = 'parent-' + require('./hmr-child.js');\n");
+  write('hmr-child.js', "module.exports = 'child1';\n");
+  write('hmr-declined.js', "module.exports = 'declined1';\n");
+  write('hmr-unaccepted.js', "module.exports = 'unaccepted1';\n");
+  
+  const hmrWebpack = createWebpack({
+    ...testWebpackConfig,
+    entry: path.join(fixturesDir, 'hmr-entry.js'),
+    output: { path: hmrOutputPath, filename: 'bundle.js' },
+    devtool: false
+  });
+  new HotModuleReplacementPlugin().apply(hmrWebpack.compiler);
+  
+  // 浏览器环境：fetch 读取热更新清单，script 标签执行热更新代码块
+  const hmrWarnings = [];
+  const context = vm.createContext({ console: { ...console, warn: (message) => hmrWarnings.push(message) }, hmrEvents: [] });
+  context.self = context;
+  context.fetch = (url) => {
+    const file = path.join(hmrOutputPath, path.basename(url));
+    return Promise.resolve(fs.existsSync(file)
+      ? { status: 200, ok: true, json: () => Promise.resolve(JSON.parse(fs.readFileSync(file, 'utf-8'))) }
+      : { status: 404, ok: false });
+  };
+  context.document = {
+    createElement: () => ({}),
+    head: {
+      appendChild: (script) => vm.runInContext(fs.readFileSync(path.join(hmrOutputPath, path.basename(script.src)), 'utf-8'), context)
+    }
+  };
+  
+  // 每次构建后应用更新，再修改下一个文件
+  const changes = [
+    () => writeValue(2),
+    () => write('hmr-child.js', "module.exports = 'child2';\n"),
+    () => write('hmr-declined.js', "module.exports = 'declined2';\n"),
+    () => write('hmr-unaccepted.js', "module.exports = 'unaccepted2';\n")
+  ];
+  const results = [];
+  
+  await new Promise((resolve) => {
+    let builds = 0;
+    const watching = hmrWebpack.compiler.watch({ aggregateTimeout: 50 }, async (error) => {
+      builds++;
+      if (error) {
+        watching.close(resolve);
+        return;
+      }
+      
+      if (builds === 1) {
+        vm.runInContext(fs.readFileSync(path.join(hmrOutputPath, 'bundle.js'), 'utf-8'), context);
+      } else {
+        const applied = await context.__mini_webpack_hot__[0].check();
+        results.push(applied === false ? false : applied.length);
+      }
+      
+      if (builds <= changes.length) {
+        setTimeout(changes[builds - 1], 100);
+      } else {
+        watching.close(resolve);
+      }
+    });
+    
+    setTimeout(() => watching.close(resolve), 15000).unref();
+  });
+  
+  console.log('✅ 热更新运行时:', {
+    events: context.hmrEvents,
+    accepted: results[0] > 0,
+    bubbled: results[1] === 2,
+    declined: results[2],
+    unaccepted: results[3],
+    reasons: hmrWarnings.map(message => (message.match(/\((\S+)\)/) || [])[1])
+  });
+}
+
 // 主测试函数
 async function runTests() {
   console.log('🚀 开始运行 Mini Webpack 测试\n');
@@ -284,7 +1814,32 @@ async function runTests() {
     testChunk();
     testTemplate();
     testModule();
+    testResolver();
     await testBuild();
+    await testAsyncChunks();
+    await testSplitChunks();
+    await testTreeShaking();
+    await testESModuleTransform();
+    await testSourceMap();
+    await testCache();
+    await testParallelism();
+    await testLoaders();
+    await testAssetModules();
+    await testCss();
+    await testFilenameTemplates();
+    await testIds();
+    await testLibrary();
+    await testNodeTarget();
+    await testExternals();
+    await testRequireContext();
+    await testMultiCompiler();
+    await testHooks();
+    await testCompilerHooks();
+    await testAssets();
+    await testMinimize();
+    await testConcatenateModules();
+    await testWatch();
+    await testHotUpdate();
     
     console.log('\n🎉 所有测试完成！');
     
@@ -307,8 +1862,33 @@ module.exports = {
   testUtils,
   testConfig,
   testModule,
+  testResolver,
   testDependency,
   testChunk,
   testTemplate,
-  testBuild
+  testBuild,
+  testAsyncChunks,
+  testSplitChunks,
+  testTreeShaking,
+  testESModuleTransform,
+  testSourceMap,
+  testCache,
+  testParallelism,
+  testLoaders,
+  testAssetModules,
+  testCss,
+  testFilenameTemplates,
+  testIds,
+  testLibrary,
+  testNodeTarget,
+  testExternals,
+  testRequireContext,
+  testMultiCompiler,
+  testHooks,
+  testCompilerHooks,
+  testAssets,
+  testMinimize,
+  testConcatenateModules,
+  testWatch,
+  testHotUpdate
 };
\ No newline at end of file